@@ -6,60 +6,11 @@ const GAME_CONSTANTS = {
     EXPENSE_CYCLE: 30, // Days between recurring expenses
     CUSTOMER_MAX_PATIENCE: 60, // Minutes before customers leave if not served
     STAFF_WAGE_CYCLE: 7, // Days between paying staff
-    CITIES: ['London', 'Berlin', 'Paris', 'Madrid', 'Rome'],
     ESTABLISHMENT_TYPES: ['Bar', 'Nightclub', 'Restaurant', 'Fast Food'],
     MAX_STAFF: 20,
     MAX_CUSTOMERS: 100
   };
   
-  const CITY_DATA = {
-    London: {
-      rentMultiplier: 1.5,
-      wageMultiplier: 1.4,
-      customerAffluence: 1.3,
-      openingHours: { earliest: 6, latest: 2 }, // 6 AM to 2 AM
-      alcoholLicenseCost: 1500,
-      noiseRestriction: 70, // 0-100 scale
-      healthInspectionFrequency: 60 // Days between inspections
-    },
-    Berlin: {
-      rentMultiplier: 1.1,
-      wageMultiplier: 1.2,
-      customerAffluence: 1.1,
-      openingHours: { earliest: 0, latest: 24 }, // 24/7 allowed
-      alcoholLicenseCost: 1000,
-      noiseRestriction: 90,
-      healthInspectionFrequency: 45
-    },
-    Paris: {
-      rentMultiplier: 1.3,
-      wageMultiplier: 1.3,
-      customerAffluence: 1.4,
-      openingHours: { earliest: 8, latest: 2 }, // 8 AM to 2 AM
-      alcoholLicenseCost: 1200,
-      noiseRestriction: 60,
-      healthInspectionFrequency: 30
-    },
-    Madrid: {
-      rentMultiplier: 0.9,
-      wageMultiplier: 0.9,
-      customerAffluence: 0.9,
-      openingHours: { earliest: 10, latest: 5 }, // 10 AM to 5 AM
-      alcoholLicenseCost: 900,
-      noiseRestriction: 80,
-      healthInspectionFrequency: 90
-    },
-    Rome: {
-      rentMultiplier: 1.0,
-      wageMultiplier: 1.0,
-      customerAffluence: 1.0,
-      openingHours: { earliest: 9, latest: 1 }, // 9 AM to 1 AM
-      alcoholLicenseCost: 1100,
-      noiseRestriction: 65,
-      healthInspectionFrequency: 50
-    }
-  };
-  
   const VENUE_SIZES = {
     small: {
       capacity: 30,
@@ -123,33 +74,417 @@ const GAME_CONSTANTS = {
     regular: {
       patienceModifier: 1.2, // More patient
       spendingModifier: 1.0,
+      priceSensitivity: 1.0, // Reaction to prices away from the reference (see PRICING)
       groupSizeProbability: [0.6, 0.3, 0.1, 0.0], // Probability of 1, 2, 3, or 4 people
       description: 'Local customers who visit frequently'
     },
     tourist: {
       patienceModifier: 0.8, // Less patient
       spendingModifier: 1.2, // Spends more
+      priceSensitivity: 0.6, // Less sure what things should cost
       groupSizeProbability: [0.2, 0.4, 0.3, 0.1],
       description: 'Visitors who are exploring the city'
     },
     business: {
       patienceModifier: 0.7, // Impatient
       spendingModifier: 1.5, // Spends much more
+      priceSensitivity: 0.3, // Rarely looks at the prices
       groupSizeProbability: [0.3, 0.5, 0.2, 0.0],
       description: 'Professionals on business trips or after work'
     },
     student: {
       patienceModifier: 1.3, // Very patient
       spendingModifier: 0.7, // Spends less
+      priceSensitivity: 1.6, // Counts every euro
       groupSizeProbability: [0.2, 0.3, 0.4, 0.1],
       description: 'Young people with limited budgets but plenty of time'
     }
   };
   
+  const MARKETING_TYPES = {
+    // Advertising campaigns - budget is spread evenly over the campaign duration
+    campaigns: {
+      local: {
+        name: 'Local Flyers',
+        durationDays: 7,
+        referenceDailyBudget: 30, // Daily spend that gives the full effect
+        customerBoost: 0.10, // Extra share of hourly customers
+        popularityPerDay: 0.2,
+        description: 'Flyers and posters around the neighbourhood'
+      },
+      newspaper: {
+        name: 'Newspaper Ad',
+        durationDays: 5,
+        referenceDailyBudget: 60,
+        customerBoost: 0.15,
+        popularityPerDay: 0.3,
+        description: 'Advertisement in the local paper'
+      },
+      radio: {
+        name: 'Radio Spot',
+        durationDays: 7,
+        referenceDailyBudget: 150,
+        customerBoost: 0.25,
+        popularityPerDay: 0.5,
+        description: 'City-wide radio advertising'
+      },
+      online: {
+        name: 'Online Ads',
+        durationDays: 14,
+        referenceDailyBudget: 40,
+        customerBoost: 0.12,
+        popularityPerDay: 0.25,
+        description: 'Targeted search and display ads'
+      },
+      social: {
+        name: 'Social Media',
+        durationDays: 10,
+        referenceDailyBudget: 25,
+        customerBoost: 0.10,
+        popularityPerDay: 0.4,
+        description: 'Social media posts and influencer shout-outs'
+      }
+    },
+    // Promotions - fixed daily cost covers the discounts given away
+    promotions: {
+      happy_hour: {
+        name: 'Happy Hour',
+        durationDays: 7,
+        dailyCost: 15,
+        customerBoost: 0.30,
+        popularityPerDay: 0.1,
+        hours: { start: 17, end: 19 }, // Only active during these hours
+        description: 'Discounted drinks in the early evening'
+      },
+      discount: {
+        name: 'Discount',
+        durationDays: 7,
+        dailyCost: 25,
+        customerBoost: 0.15,
+        popularityPerDay: 0.1,
+        description: 'Reduced prices on selected items'
+      },
+      two_for_one: {
+        name: 'Two For One',
+        durationDays: 3,
+        dailyCost: 40,
+        customerBoost: 0.35,
+        popularityPerDay: 0.2,
+        description: 'Buy one, get one free'
+      },
+      special_menu: {
+        name: 'Special Menu',
+        durationDays: 7,
+        dailyCost: 20,
+        customerBoost: 0.10,
+        popularityPerDay: 0.2,
+        description: 'Limited-time specials'
+      },
+      loyalty: {
+        name: 'Loyalty Programme',
+        durationDays: 30,
+        dailyCost: 10,
+        customerBoost: 0.05,
+        popularityPerDay: 0.1,
+        description: 'Rewards for returning customers'
+      }
+    },
+    // Special events - announced in advance, budget is spent on the event day(s)
+    events: {
+      live_music: {
+        name: 'Live Music',
+        leadDays: 2,
+        durationDays: 1,
+        referenceBudget: 1000,
+        customerBoost: 0.50,
+        popularityBoost: 3,
+        hours: { start: 19, end: 2 },
+        description: 'Live band performance'
+      },
+      theme_night: {
+        name: 'Theme Night',
+        leadDays: 2,
+        durationDays: 1,
+        referenceBudget: 600,
+        customerBoost: 0.40,
+        popularityBoost: 2,
+        hours: { start: 19, end: 2 },
+        description: 'Themed decorations, drinks and dress code'
+      },
+      tasting: {
+        name: 'Tasting',
+        leadDays: 3,
+        durationDays: 1,
+        referenceBudget: 800,
+        customerBoost: 0.30,
+        popularityBoost: 2,
+        hours: { start: 17, end: 22 },
+        description: 'Guided tasting of featured products'
+      },
+      celebrity: {
+        name: 'Celebrity Appearance',
+        leadDays: 5,
+        durationDays: 1,
+        referenceBudget: 5000,
+        customerBoost: 1.00,
+        popularityBoost: 6,
+        hours: { start: 20, end: 2 },
+        description: 'A well-known guest makes an appearance'
+      },
+      competition: {
+        name: 'Competition',
+        leadDays: 3,
+        durationDays: 1,
+        referenceBudget: 500,
+        customerBoost: 0.35,
+        popularityBoost: 2,
+        hours: { start: 18, end: 23 },
+        description: 'Quiz, karaoke or drinking-game competition'
+      }
+    },
+    MAX_CUSTOMER_MULTIPLIER: 3.0 // Cap on combined marketing effect
+  };
+  
+  // Wholesale suppliers. Catalogue prices start at the item's cost price times
+  // priceFactor and then move with supplier price changes. Reliability is the
+  // chance an order arrives complete and on time; lead times are in game hours.
+  const SUPPLIERS = {
+    city_wholesale: {
+      name: 'City Wholesale',
+      itemTypes: ['drinks', 'food', 'ingredients'],
+      priceFactor: 1.0,
+      minOrder: 10, // Units per order
+      leadTimeHours: 24,
+      reliability: 0.9,
+      description: 'Cash-and-carry stocking everything a venue needs'
+    },
+    express_drinks: {
+      name: 'Express Drinks',
+      itemTypes: ['drinks', 'ingredients'],
+      subtypes: ['alcoholic', 'non-alcoholic', 'spirit', 'wine', 'mixer', 'garnish'],
+      priceFactor: 1.25,
+      minOrder: 1,
+      leadTimeHours: 4,
+      reliability: 0.95,
+      description: 'Same-day drinks delivery at a premium'
+    },
+    cellar_direct: {
+      name: 'Cellar Direct',
+      itemTypes: ['drinks', 'ingredients'],
+      subtypes: ['alcoholic', 'spirit', 'wine'],
+      priceFactor: 0.85,
+      minOrder: 24,
+      leadTimeHours: 48,
+      reliability: 0.8,
+      description: 'Importer of beer, wine and spirits'
+    },
+    fresh_farm: {
+      name: 'Fresh Farm Foods',
+      itemTypes: ['food', 'ingredients'],
+      subtypes: ['main', 'starter', 'side', 'dessert', 'meat', 'dairy', 'produce', 'bakery', 'garnish'],
+      priceFactor: 0.9,
+      minOrder: 10,
+      leadTimeHours: 12,
+      reliability: 0.85,
+      description: 'Local produce and meat, delivered overnight'
+    },
+    budget_bulk: {
+      name: 'Budget Bulk',
+      itemTypes: ['drinks', 'food', 'ingredients'],
+      priceFactor: 0.75,
+      minOrder: 50,
+      leadTimeHours: 72,
+      reliability: 0.65,
+      description: 'Cheapest prices, if you can wait and trust them'
+    }
+  };
+  
+  // Days stock keeps after delivery before it spoils and is thrown away, by
+  // inventory type and subtype. Items named in 'items' override their subtype;
+  // null means the stock keeps. Equipment never spoils.
+  const SHELF_LIFE = {
+    drinks: {
+      subtypes: { 'alcoholic': null, 'non-alcoholic': null },
+      items: {
+        'Beer': 14, // Draft beer goes flat once the keg is tapped
+        'Milkshake': 2,
+        'Juice': 5
+      }
+    },
+    food: {
+      subtypes: { main: 4, starter: 2, side: 5, dessert: 3 },
+      items: {
+        'Ice Cream': 30
+      }
+    },
+    ingredients: {
+      subtypes: { spirit: null, wine: null, mixer: null, dry: null, garnish: 4, produce: 5, meat: 4, dairy: 7, bakery: 3 },
+      items: {
+        'Lime Juice': 3,
+        'Potatoes': 14,
+        'Parmesan': 30
+      }
+    }
+  };
+  
+  // What customers expect to pay for menu items, by venue type, before the
+  // city's price level is applied. Unlisted items are expected at their cost
+  // price times defaultMarkup. At a price above the reference a customer may
+  // not order the item at all: the chance is (reference / price) raised to
+  // elasticity times their type's priceSensitivity. Prices below it can tempt
+  // a second serving, up to maxExtraServingChance.
+  const PRICING = {
+    referencePrices: {
+      'Bar': {
+        'Water': 1.5, 'Cola': 2.5, 'Soda': 2.5, 'Beer': 4.0, 'Wine': 6.5, 'Wine (Glass)': 6.0,
+        'Whiskey': 7.0, 'Vodka': 6.0, 'Cocktail': 8.5
+      },
+      'Nightclub': {
+        'Water': 1.5, 'Cola': 2.5, 'Beer': 4.0, 'Wine': 6.5, 'Whiskey': 7.0, 'Vodka': 6.0,
+        'Cocktail': 8.5, 'Cocktails': 9.0, 'Energy Drink': 5.0, 'Premium Cocktail': 12.0
+      },
+      'Restaurant': {
+        'Water': 1.5, 'Cola': 2.5, 'Soft Drinks': 2.5, 'Beer': 4.0, 'Wine': 8.0, 'Wine (Bottle)': 24.0,
+        'Coffee': 2.5, 'Tea': 2.0, 'Steak': 22.0, 'Pasta': 14.0, 'Salad': 8.0, 'Soup': 6.0,
+        'Cake': 7.0, 'Dessert': 8.5
+      },
+      'Fast Food': {
+        'Water': 1.5, 'Cola': 2.5, 'Soda': 1.8, 'Beer': 4.0, 'Milkshake': 3.5, 'Coffee': 2.0,
+        'Juice': 2.5, 'Burger': 6.5, 'Fries': 3.0, 'Pizza Slice': 4.0, 'Chicken Wings': 5.5,
+        'Chicken Nuggets': 3.5, 'Ice Cream': 3.0
+      }
+    },
+    defaultMarkup: 3.5,
+    elasticity: 2,
+    maxExtraServingChance: 0.5,
+    satisfactionWeight: 20, // Satisfaction points per 100% the bill is above the reference
+    maxPriceRules: 10
+  };
+  
+  // Taxes owed by every venue. City packs may set their own rates; these are
+  // used for any rate a pack leaves out. VAT is included in menu prices and
+  // entrance fees, payroll tax is charged on top of wages and corporate tax
+  // on each year's profit. What is owed for a period falls due
+  // paymentTermDays after the period ends. Paying late adds latePenaltyRate
+  // of the amount once, then weeklyInterestRate for every further week.
+  const TAXES = {
+    defaultRates: { vat: 0.2, payroll: 0.2, corporate: 0.25 },
+    vatableCategories: ['sales', 'entrance_fee'],
+    periods: { vat: 'monthly', payroll: 'monthly', corporate: 'yearly' },
+    paymentTermDays: { vat: 20, payroll: 15, corporate: 60, audit: 14 },
+    latePenaltyRate: 0.05,
+    weeklyInterestRate: 0.01
+  };
+  
+  // Business loans. A venue can secure loans up to loanToValue of its sale
+  // value, or newBusinessShare of that until it has a month of profit on
+  // record, or while it is losing money. The annual rate is baseAnnualRate
+  // plus a risk premium: newBusinessPremium without a profit history,
+  // lossPremium while losing money, and less of newBusinessPremium the closer
+  // the profit margin gets to healthyMargin. A missed monthly payment adds
+  // missedPaymentPenalty of the payment to the balance; after
+  // seizeAfterMissedPayments in a row the lender repossesses the venue.
+  const LOANS = {
+    loanToValue: 0.5,
+    newBusinessShare: 0.5,
+    minAmount: 1000,
+    termsMonths: [6, 12, 24, 36],
+    historyMonths: 6,
+    baseAnnualRate: 0.06,
+    newBusinessPremium: 0.04,
+    lossPremium: 0.08,
+    healthyMargin: 0.25,
+    missedPaymentPenalty: 0.05,
+    seizeAfterMissedPayments: 3
+  };
+  
+  // Cash-flow crises. Cash may fall below zero as an overdraft, but while it
+  // does suppliers refuse to deliver and wages that cash can't cover go
+  // unpaid, costing each staff member unpaidWagesMoraleLoss morale. After
+  // graceDays in the red, or as soon as the overdraft passes overdraftLimit,
+  // the bank forces the sale of the worst-performing venue. With no venue
+  // left to sell the player is bankrupt and the game is over.
+  const INSOLVENCY = {
+    overdraftLimit: 10000,
+    graceDays: 14,
+    unpaidWagesMoraleLoss: 15
+  };
+  
+  // Save games. Each save is a named slot; saving under an existing name
+  // overwrites it. 'save' with no name writes defaultSlot and the midnight
+  // autosave writes autosaveSlot. version is the save format being written;
+  // raise it with an upgrade in utils/saveUpgrades.js whenever the shape of
+  // the saved game state changes. The thumbnail is a small picture of the
+  // venue view for the save list. exportsave adds archiveExtension to file
+  // names that don't have an extension. importsave saves the game in play to
+  // importBackupSlot and exports it before replacing its database records.
+  const SAVES = {
+    version: '1.3',
+    defaultSlot: 'Quicksave',
+    autosaveSlot: 'Autosave',
+    maxNameLength: 40,
+    thumbnailWidth: 160,
+    thumbnailHeight: 90,
+    archiveExtension: '.lasave',
+    importBackupSlot: 'Before import'
+  };
+  
+  // Undo. The last historySize commands that can be reversed (fire, wage,
+  // setprice, upgradevenue and sellvenue) are kept so 'undo' can take them
+  // back, most recent first. A command can only be undone within
+  // windowMinutes of game time, on the same game day, and until a customer
+  // has been served at its venue.
+  const UNDO = {
+    historySize: 10,
+    windowMinutes: 60
+  };
+  
+  // Regulars. Every city has a pool of poolSize named patrons, who start with
+  // a loyalty (0-100) between startingLoyalty.min and max. When a group
+  // arrives at a venue one patron who isn't out already is picked and leads
+  // it with their return chance: baseReturnChance, plus loyaltyReturnChance
+  // at full loyalty and affinityReturnChance at full affinity (0-1) for that
+  // venue. A visit above satisfiedAt raises loyalty by up to loyaltyPerVisit
+  // and affinity by up to affinityPerVisit; one below it lowers them as much
+  // again, and leaving without paying counts as half the worst visit. A
+  // patron whose loyalty reaches 0 stops coming and is replaced.
+  // Each patron keeps their last historyLength visits; favouriteCount items
+  // of each kind are the favourites they order first.
+  //
+  // While a venue runs the loyalty promotion its patrons get programme.discount
+  // off their bill, gain loyalty programme.loyaltyMultiplier times as fast and
+  // are programme.returnChance more likely to come back.
+  const PATRONS = {
+    poolSize: 40,
+    startingLoyalty: { min: 10, max: 30 },
+    baseReturnChance: 0.04,
+    loyaltyReturnChance: 0.16,
+    affinityReturnChance: 0.12,
+    satisfiedAt: 60,
+    loyaltyPerVisit: 10,
+    affinityPerVisit: 0.2,
+    historyLength: 20,
+    favouriteCount: 3,
+    programme: {
+      discount: 0.10,
+      loyaltyMultiplier: 1.5,
+      returnChance: 0.05
+    }
+  };
+  
   module.exports = {
     GAME_CONSTANTS,
-    CITY_DATA,
     VENUE_SIZES,
     STAFF_TYPES,
-    CUSTOMER_TYPES
+    CUSTOMER_TYPES,
+    MARKETING_TYPES,
+    SUPPLIERS,
+    SHELF_LIFE,
+    PRICING,
+    TAXES,
+    LOANS,
+    INSOLVENCY,
+    SAVES,
+    UNDO,
+    PATRONS
   };
\ No newline at end of file
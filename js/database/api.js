@@ -7,7 +7,13 @@ const {
   CustomerDAO,
   TransactionDAO,
   InventoryDAO,
-  SettingsDAO
+  SettingsDAO,
+  MarketingDAO,
+  CityDAO,
+  InspectionDAO,
+  TaxDAO,
+  LoanDAO,
+  SaveDAO
 } = require('./dao');
 const {
   VenueService,
@@ -29,6 +35,12 @@ class DatabaseAPI {
     this.transaction = new TransactionDAO();
     this.inventory = new InventoryDAO();
     this.settings = new SettingsDAO();
+    this.marketing = new MarketingDAO();
+    this.city = new CityDAO();
+    this.inspection = new InspectionDAO();
+    this.tax = new TaxDAO();
+    this.loan = new LoanDAO();
+    this.save = new SaveDAO();
     
     // Initialize services
     this.venueService = new VenueService();
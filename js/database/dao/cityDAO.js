@@ -0,0 +1,232 @@
+// js/database/dao/cityDAO.js
+const { DatabaseManager } = require('../databaseManager');
+
+class CityDAO {
+  constructor() {
+    this.db = DatabaseManager.getInstance();
+  }
+
+  /**
+   * Inserts or updates cities and their regulations from city packs
+   * @param {Array<Object>} packs - Validated city packs
+   * @returns {Promise<Object>} Database IDs by city name
+   */
+  async seedCities(packs) {
+    const transactionId = await this.db.beginTransaction();
+
+    try {
+      const ids = {};
+
+      for (const pack of packs) {
+        // Upsert keeps city IDs stable, so venues referencing them stay valid
+        await this.db.run(`
+          INSERT INTO cities (name, country, rent_multiplier, wage_multiplier, customer_affluence, name_lists, updated_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+          ON CONFLICT(name) DO UPDATE SET
+            country = excluded.country,
+            rent_multiplier = excluded.rent_multiplier,
+            wage_multiplier = excluded.wage_multiplier,
+            customer_affluence = excluded.customer_affluence,
+            name_lists = excluded.name_lists,
+            updated_at = excluded.updated_at
+        `, [
+          pack.name,
+          pack.country || null,
+          pack.rentMultiplier,
+          pack.wageMultiplier,
+          pack.customerAffluence,
+          JSON.stringify(pack.names || {}),
+          new Date().toISOString()
+        ], transactionId);
+
+        const city = await this.db.get('SELECT id FROM cities WHERE name = ?', [pack.name], transactionId);
+        const regulations = pack.regulations;
+
+        // The pack defines version 1; announced changes are stored as later versions
+        await this.db.run(`
+          INSERT INTO city_regulations (city_id, version, opening_hour_earliest, opening_hour_latest,
+            alcohol_license_cost, max_noise_level, health_inspection_frequency, smoking_ban, minimum_wage, updated_at)
+          VALUES (?, 1, ?, ?, ?, ?, ?, ?, ?, ?)
+          ON CONFLICT(city_id, version) DO UPDATE SET
+            opening_hour_earliest = excluded.opening_hour_earliest,
+            opening_hour_latest = excluded.opening_hour_latest,
+            alcohol_license_cost = excluded.alcohol_license_cost,
+            max_noise_level = excluded.max_noise_level,
+            health_inspection_frequency = excluded.health_inspection_frequency,
+            smoking_ban = excluded.smoking_ban,
+            minimum_wage = excluded.minimum_wage,
+            updated_at = excluded.updated_at
+        `, [
+          city.id,
+          regulations.openingHours.earliest,
+          regulations.openingHours.latest,
+          regulations.alcoholLicenseCost,
+          regulations.noiseLimit,
+          regulations.healthInspectionFrequency,
+          regulations.smokingBan ? 1 : 0,
+          regulations.minimumWage || 0,
+          new Date().toISOString()
+        ], transactionId);
+
+        ids[pack.name] = city.id;
+      }
+
+      await this.db.commitTransaction(transactionId);
+      return ids;
+    } catch (error) {
+      await this.db.rollbackTransaction(transactionId);
+      console.error('Error seeding cities:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stores a new version of a city's regulations
+   * @param {number} cityId - City ID
+   * @param {Object} version - Regulation version
+   * @param {number} version.version - Version number
+   * @param {Object} version.rules - Rules in city pack form (openingHours, noiseLimit, ...)
+   * @param {string} [version.description] - What changed
+   * @param {string} [version.announcedDate] - Game date the change was announced (ISO format)
+   * @param {string} [version.effectiveDate] - Game date the rules take effect (ISO format)
+   * @returns {Promise<number>} ID of the created record
+   */
+  async addRegulationVersion(cityId, version) {
+    try {
+      const rules = version.rules;
+      return await this.db.insert('city_regulations', {
+        city_id: cityId,
+        version: version.version,
+        opening_hour_earliest: rules.openingHours.earliest,
+        opening_hour_latest: rules.openingHours.latest,
+        alcohol_license_cost: rules.alcoholLicenseCost,
+        max_noise_level: rules.noiseLimit,
+        health_inspection_frequency: rules.healthInspectionFrequency,
+        smoking_ban: rules.smokingBan ? 1 : 0,
+        minimum_wage: rules.minimumWage || 0,
+        description: version.description || null,
+        announced_date: version.announcedDate || null,
+        effective_date: version.effectiveDate || null
+      });
+    } catch (error) {
+      console.error(`Error adding regulation version for city ${cityId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets every regulation version for a city, oldest first
+   * @param {number} cityId - City ID
+   * @returns {Promise<Array>} Array of regulation versions
+   */
+  async getRegulationVersions(cityId) {
+    try {
+      const rows = await this.db.query(
+        'SELECT * FROM city_regulations WHERE city_id = ? ORDER BY version',
+        [cityId]
+      );
+
+      return rows.map(row => ({
+        version: row.version,
+        rules: this.mapRecordToRules(row),
+        description: row.description,
+        announcedDate: row.announced_date,
+        effectiveDate: row.effective_date
+      }));
+    } catch (error) {
+      console.error(`Error getting regulation versions for city ${cityId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets every city with its pack regulations (version 1)
+   * @returns {Promise<Array>} Array of city objects in city pack form
+   */
+  async getAllCities() {
+    try {
+      const rows = await this.db.query(`
+        SELECT c.*, r.opening_hour_earliest, r.opening_hour_latest, r.alcohol_license_cost,
+          r.max_noise_level, r.health_inspection_frequency, r.smoking_ban, r.minimum_wage
+        FROM cities c
+        LEFT JOIN city_regulations r ON r.city_id = c.id AND r.version = 1
+        ORDER BY c.name
+      `);
+
+      return rows.map(row => this.mapRecordToCity(row));
+    } catch (error) {
+      console.error('Error getting cities:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets a city ID by name
+   * @param {string} name - City name
+   * @returns {Promise<number|null>} City ID, or null if not found
+   */
+  async getCityId(name) {
+    try {
+      const row = await this.db.get('SELECT id FROM cities WHERE name = ?', [name]);
+      return row ? row.id : null;
+    } catch (error) {
+      console.error(`Error getting city ${name}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets a city's rent multiplier, as its pack set it
+   * @param {string} name - City name
+   * @returns {Promise<number|null>} Rent multiplier, or null if not found
+   */
+  async getRentMultiplier(name) {
+    try {
+      const row = await this.db.get('SELECT rent_multiplier FROM cities WHERE name = ?', [name]);
+      return row ? row.rent_multiplier : null;
+    } catch (error) {
+      console.error(`Error getting city ${name}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Maps a joined database record to a city object
+   * @param {Object} record - Database record
+   * @returns {Object} City object
+   */
+  mapRecordToCity(record) {
+    return {
+      id: record.id,
+      name: record.name,
+      country: record.country,
+      rentMultiplier: record.rent_multiplier,
+      wageMultiplier: record.wage_multiplier,
+      customerAffluence: record.customer_affluence,
+      popularity: record.popularity,
+      regulations: this.mapRecordToRules(record),
+      names: JSON.parse(record.name_lists || '{}')
+    };
+  }
+
+  /**
+   * Maps regulation columns to rules in city pack form
+   * @param {Object} record - Database record
+   * @returns {Object} Rules object
+   */
+  mapRecordToRules(record) {
+    return {
+      openingHours: {
+        earliest: record.opening_hour_earliest,
+        latest: record.opening_hour_latest
+      },
+      noiseLimit: record.max_noise_level,
+      alcoholLicenseCost: record.alcohol_license_cost,
+      healthInspectionFrequency: record.health_inspection_frequency,
+      smokingBan: record.smoking_ban === 1,
+      minimumWage: record.minimum_wage
+    };
+  }
+}
+
+module.exports = CityDAO;
@@ -23,10 +23,12 @@ class CustomerDAO {
         venue_id: visit.venueId,
         visit_date: visit.date || new Date().toISOString(),
         customer_type: visit.customerType,
+        patron_id: visit.patronId || null,
         group_size: visit.groupSize,
         total_spent: visit.totalSpent || 0,
         satisfaction: visit.satisfaction || 50,
         status: visit.status || 'completed',
+        leave_reason: visit.leaveReason || null,
         metadata: JSON.stringify(visit.metadata || {})
       };
 
@@ -88,7 +90,9 @@ class CustomerDAO {
   }
 
   /**
-   * Gets summary statistics for customer visits
+   * Gets summary statistics for customer visits. A patron who has been to
+   * the venue before counts as a returning customer; everyone else,
+   * including the rest of their group, counts as new.
    * @param {string|number} venueId - The venue ID
    * @param {string} [period='daily'] - Period for grouping ('daily', 'weekly', 'monthly')
    * @returns {Promise<Array>} Array of summary objects
@@ -117,9 +121,15 @@ class CustomerDAO {
           ${groupBy} AS period,
           COUNT(*) AS visit_count,
           SUM(group_size) AS total_customers,
+          SUM(CASE WHEN EXISTS (
+            SELECT 1 FROM customer_visits earlier
+            WHERE earlier.venue_id = visit.venue_id
+              AND earlier.patron_id = visit.patron_id
+              AND (earlier.visit_date < visit.visit_date OR (earlier.visit_date = visit.visit_date AND earlier.id < visit.id))
+          ) THEN group_size - 1 ELSE group_size END) AS new_customers,
           SUM(total_spent) AS total_revenue,
           AVG(satisfaction) AS avg_satisfaction
-        FROM customer_visits
+        FROM customer_visits visit
         WHERE venue_id = ?
         GROUP BY period
         ORDER BY period DESC
@@ -159,6 +169,33 @@ class CustomerDAO {
     }
   }
 
+  /**
+   * Gets the busiest hours of the week for a venue
+   * @param {string|number} venueId - The venue ID
+   * @param {number} [limit=3] - Maximum number of hours to return
+   * @returns {Promise<Array>} Weekday (0 is Sunday), hour and average customers on the days with visits, busiest first
+   */
+  async getPeakTimes(venueId, limit = 3) {
+    try {
+      const query = `
+        SELECT 
+          CAST(strftime('%w', visit_date) AS INTEGER) AS weekday,
+          CAST(strftime('%H', visit_date) AS INTEGER) AS hour,
+          SUM(group_size) * 1.0 / COUNT(DISTINCT date(visit_date)) AS avg_customers
+        FROM customer_visits
+        WHERE venue_id = ?
+        GROUP BY weekday, hour
+        ORDER BY avg_customers DESC
+        LIMIT ?
+      `;
+
+      return await this.db.query(query, [venueId, limit]);
+    } catch (error) {
+      console.error(`Error getting peak times for venue ${venueId}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Gets satisfaction trends over time
    * @param {string|number} venueId - The venue ID
@@ -242,10 +279,12 @@ class CustomerDAO {
       venueId: record.venue_id,
       date: record.visit_date,
       customerType: record.customer_type,
+      patronId: record.patron_id || null,
       groupSize: record.group_size,
       totalSpent: record.total_spent,
       satisfaction: record.satisfaction,
       status: record.status,
+      leaveReason: record.leave_reason,
       metadata: JSON.parse(record.metadata || '{}')
     };
   }
@@ -5,6 +5,12 @@ const CustomerDAO = require('./customerDAO');
 const TransactionDAO = require('./transactionDAO');
 const InventoryDAO = require('./inventoryDAO');
 const SettingsDAO = require('./settingsDAO');
+const MarketingDAO = require('./marketingDAO');
+const CityDAO = require('./cityDAO');
+const InspectionDAO = require('./inspectionDAO');
+const TaxDAO = require('./taxDAO');
+const LoanDAO = require('./loanDAO');
+const SaveDAO = require('./saveDAO');
 
 module.exports = {
   VenueDAO,
@@ -12,5 +18,11 @@ module.exports = {
   CustomerDAO,
   TransactionDAO,
   InventoryDAO,
-  SettingsDAO
+  SettingsDAO,
+  MarketingDAO,
+  CityDAO,
+  InspectionDAO,
+  TaxDAO,
+  LoanDAO,
+  SaveDAO
 };
\ No newline at end of file
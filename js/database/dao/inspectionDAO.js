@@ -0,0 +1,112 @@
+// js/database/dao/inspectionDAO.js
+const { DatabaseManager } = require('../databaseManager');
+
+class InspectionDAO {
+  constructor() {
+    this.db = DatabaseManager.getInstance();
+  }
+
+  /**
+   * Stores a health inspection report
+   * @param {Object} report - The inspection report
+   * @returns {Promise<string>} ID of the stored report
+   */
+  async createReport(report) {
+    try {
+      if (!report.id || !report.venueId || !report.date || !report.grade) {
+        throw new Error('Missing required inspection report properties');
+      }
+
+      await this.db.insert('health_inspections', this.mapReportToRecord(report));
+      return report.id;
+    } catch (error) {
+      console.error('Error creating health inspection report:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets inspection reports for a venue, newest first
+   * @param {string|number} venueId - The venue ID
+   * @param {number} [limit=10] - Maximum number of reports
+   * @returns {Promise<Array>} Array of report objects
+   */
+  async getReportsByVenue(venueId, limit = 10) {
+    try {
+      const records = await this.db.query(
+        'SELECT * FROM health_inspections WHERE venue_id = ? ORDER BY inspection_date DESC LIMIT ?',
+        [venueId, limit]
+      );
+      return records.map(record => this.mapRecordToReport(record));
+    } catch (error) {
+      console.error(`Error retrieving health inspections for venue ${venueId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets the most recent inspection report for a venue
+   * @param {string|number} venueId - The venue ID
+   * @returns {Promise<Object|null>} The report, or null if the venue was never inspected
+   */
+  async getLatestReport(venueId) {
+    const reports = await this.getReportsByVenue(venueId, 1);
+    return reports.length > 0 ? reports[0] : null;
+  }
+
+  /**
+   * Maps a report object to a database record
+   * @private
+   * @param {Object} report - The report object
+   * @returns {Object} The database record
+   */
+  mapReportToRecord(report) {
+    return {
+      id: report.id,
+      venue_id: report.venueId,
+      inspection_date: report.date,
+      score: report.score,
+      grade: report.grade,
+      passed: report.passed ? 1 : 0,
+      is_reinspection: report.reinspection ? 1 : 0,
+      cleanliness_score: report.components.cleanliness,
+      equipment_score: report.components.equipment,
+      kitchen_score: report.components.kitchen,
+      food_poisoning_incidents: report.foodPoisoningIncidents || 0,
+      findings: JSON.stringify(report.findings || []),
+      fine: report.fine || 0,
+      closed_until: report.closedUntil || null,
+      next_inspection_date: report.nextInspection || null
+    };
+  }
+
+  /**
+   * Maps a database record to a report object
+   * @private
+   * @param {Object} record - The database record
+   * @returns {Object} The report object
+   */
+  mapRecordToReport(record) {
+    return {
+      id: record.id,
+      venueId: record.venue_id,
+      date: record.inspection_date,
+      score: record.score,
+      grade: record.grade,
+      passed: record.passed === 1,
+      reinspection: record.is_reinspection === 1,
+      components: {
+        cleanliness: record.cleanliness_score,
+        equipment: record.equipment_score,
+        kitchen: record.kitchen_score
+      },
+      foodPoisoningIncidents: record.food_poisoning_incidents,
+      findings: JSON.parse(record.findings || '[]'),
+      fine: record.fine,
+      closedUntil: record.closed_until,
+      nextInspection: record.next_inspection_date
+    };
+  }
+}
+
+module.exports = InspectionDAO;
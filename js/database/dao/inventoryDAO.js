@@ -18,12 +18,19 @@ class InventoryDAO {
         throw new Error('Missing required inventory item properties');
       }
 
+      const category = await this.db.get('SELECT id FROM inventory_categories WHERE name = ?', [item.type]);
+      if (!category) {
+        throw new Error(`Unknown inventory category: ${item.type}`);
+      }
+
       // Convert item object to a format suitable for database
       const itemRecord = {
         venue_id: item.venueId,
+        category_id: category.id,
         name: item.name,
         type: item.type,
         subtype: item.subtype,
+        unit: item.unit || null,
         cost_price: item.costPrice,
         sell_price: item.sellPrice || item.costPrice * 2, // Default markup
         stock: item.stock || 0,
@@ -193,6 +200,7 @@ class InventoryDAO {
         SELECT * FROM inventory_items 
         WHERE venue_id = ? 
         AND type IN ('drinks', 'food')
+        AND id NOT IN (SELECT menu_item_id FROM inventory_recipes)
         AND stock <= ?
         ORDER BY stock ASC
       `;
@@ -272,20 +280,27 @@ class InventoryDAO {
    */
   async analyzeInventoryProfitability(venueId) {
     try {
+      // Made-to-order items cost what their recipe's ingredients cost
       const query = `
         SELECT 
-          id,
-          name,
-          type,
-          subtype,
-          cost_price,
-          sell_price,
-          stock,
-          (sell_price - cost_price) AS profit_per_unit,
-          ((sell_price - cost_price) / cost_price * 100) AS markup_percentage
-        FROM inventory_items 
-        WHERE venue_id = ? 
-        AND type IN ('drinks', 'food')
+          i.id,
+          i.name,
+          i.type,
+          i.subtype,
+          COALESCE(r.recipe_cost, i.cost_price) AS cost_price,
+          i.sell_price,
+          i.stock,
+          (i.sell_price - COALESCE(r.recipe_cost, i.cost_price)) AS profit_per_unit,
+          ((i.sell_price - COALESCE(r.recipe_cost, i.cost_price)) / COALESCE(r.recipe_cost, i.cost_price) * 100) AS markup_percentage
+        FROM inventory_items i
+        LEFT JOIN (
+          SELECT ir.menu_item_id, SUM(ir.quantity * ing.cost_price) AS recipe_cost
+          FROM inventory_recipes ir
+          JOIN inventory_items ing ON ing.id = ir.ingredient_item_id
+          GROUP BY ir.menu_item_id
+        ) r ON r.menu_item_id = i.id
+        WHERE i.venue_id = ? 
+        AND i.type IN ('drinks', 'food')
         ORDER BY markup_percentage DESC
       `;
 
@@ -296,6 +311,241 @@ class InventoryDAO {
     }
   }
 
+  /**
+   * Gets the automatic reorder rules for a venue
+   * @param {string|number} venueId - The venue ID
+   * @returns {Promise<Array>} Array of reorder rule objects
+   */
+  async getReorderRules(venueId) {
+    try {
+      const records = await this.db.query(
+        'SELECT * FROM inventory_reorder_rules WHERE venue_id = ? ORDER BY item_type, item_name',
+        [venueId]
+      );
+      return records.map(record => ({
+        itemType: record.item_type,
+        itemName: record.item_name,
+        reorderPoint: record.reorder_point,
+        parLevel: record.par_level
+      }));
+    } catch (error) {
+      console.error(`Error getting reorder rules for venue ${venueId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Creates or replaces the reorder rule for an item
+   * @param {string|number} venueId - The venue ID
+   * @param {Object} rule - Rule with itemType, itemName, reorderPoint and parLevel
+   * @returns {Promise<boolean>} True if saved
+   */
+  async saveReorderRule(venueId, rule) {
+    try {
+      await this.db.run(`
+        INSERT INTO inventory_reorder_rules (venue_id, item_type, item_name, reorder_point, par_level)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(venue_id, item_type, item_name) DO UPDATE SET
+          reorder_point = excluded.reorder_point,
+          par_level = excluded.par_level,
+          updated_at = CURRENT_TIMESTAMP
+      `, [venueId, rule.itemType, rule.itemName, rule.reorderPoint, rule.parLevel]);
+      return true;
+    } catch (error) {
+      console.error(`Error saving reorder rule for ${rule.itemName}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Deletes the reorder rule for an item
+   * @param {string|number} venueId - The venue ID
+   * @param {string} itemType - Item type
+   * @param {string} itemName - Item name
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteReorderRule(venueId, itemType, itemName) {
+    try {
+      await this.db.run(
+        'DELETE FROM inventory_reorder_rules WHERE venue_id = ? AND item_type = ? AND item_name = ?',
+        [venueId, itemType, itemName]
+      );
+      return true;
+    } catch (error) {
+      console.error(`Error deleting reorder rule for ${itemName}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets the stock batches of an inventory item, oldest first
+   * @param {number} inventoryItemId - The inventory item ID
+   * @returns {Promise<Array>} Array of batch objects
+   */
+  async getBatches(inventoryItemId) {
+    try {
+      const records = await this.db.query(
+        'SELECT * FROM inventory_batches WHERE inventory_item_id = ? ORDER BY received_at, id',
+        [inventoryItemId]
+      );
+      return records.map(record => ({
+        quantity: record.quantity,
+        receivedQuantity: record.received_quantity,
+        unitCost: record.unit_cost,
+        receivedAt: record.received_at,
+        expiresAt: record.expires_at
+      }));
+    } catch (error) {
+      console.error(`Error getting batches for inventory item ${inventoryItemId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replaces the stock batches of an inventory item
+   * @param {number} inventoryItemId - The inventory item ID
+   * @param {Array<Object>} batches - Batches with quantity, receivedQuantity, unitCost, receivedAt and expiresAt
+   * @returns {Promise<boolean>} True if saved
+   */
+  async saveBatches(inventoryItemId, batches) {
+    const transactionId = await this.db.beginTransaction();
+
+    try {
+      await this.db.run('DELETE FROM inventory_batches WHERE inventory_item_id = ?', [inventoryItemId], transactionId);
+
+      for (const batch of batches) {
+        await this.db.run(`
+          INSERT INTO inventory_batches
+            (inventory_item_id, quantity, received_quantity, unit_cost, received_at, expires_at)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `, [inventoryItemId, batch.quantity, batch.receivedQuantity, batch.unitCost, batch.receivedAt, batch.expiresAt], transactionId);
+      }
+
+      await this.db.commitTransaction(transactionId);
+      return true;
+    } catch (error) {
+      await this.db.rollbackTransaction(transactionId);
+      console.error(`Error saving batches for inventory item ${inventoryItemId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets the recipe of a made-to-order item
+   * @param {number} menuItemId - The inventory item ID of the drink or dish
+   * @returns {Promise<Array>} Recipe lines with ingredient, ingredientItemId and quantity
+   */
+  async getRecipe(menuItemId) {
+    try {
+      const records = await this.db.query(`
+        SELECT ir.ingredient_item_id, ir.quantity, ing.name
+        FROM inventory_recipes ir
+        JOIN inventory_items ing ON ing.id = ir.ingredient_item_id
+        WHERE ir.menu_item_id = ?
+        ORDER BY ir.id
+      `, [menuItemId]);
+      return records.map(record => ({
+        ingredient: record.name,
+        ingredientItemId: record.ingredient_item_id,
+        quantity: record.quantity
+      }));
+    } catch (error) {
+      console.error(`Error getting recipe for inventory item ${menuItemId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replaces the recipe of a made-to-order item
+   * @param {number} menuItemId - The inventory item ID of the drink or dish
+   * @param {Array<Object>} lines - Recipe lines with ingredientItemId and quantity
+   * @returns {Promise<boolean>} True if saved
+   */
+  async saveRecipe(menuItemId, lines) {
+    const transactionId = await this.db.beginTransaction();
+
+    try {
+      await this.db.run('DELETE FROM inventory_recipes WHERE menu_item_id = ?', [menuItemId], transactionId);
+
+      for (const line of lines) {
+        await this.db.run(
+          'INSERT INTO inventory_recipes (menu_item_id, ingredient_item_id, quantity) VALUES (?, ?, ?)',
+          [menuItemId, line.ingredientItemId, line.quantity],
+          transactionId
+        );
+      }
+
+      await this.db.commitTransaction(transactionId);
+      return true;
+    } catch (error) {
+      await this.db.rollbackTransaction(transactionId);
+      console.error(`Error saving recipe for inventory item ${menuItemId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets a venue's stock-takes, most recent first
+   * @param {string|number} venueId - The venue ID
+   * @param {number} [limit=12] - Maximum number of stock-takes
+   * @returns {Promise<Array>} Stock-takes with id, date and total
+   */
+  async getStocktakes(venueId, limit = 12) {
+    try {
+      const records = await this.db.query(
+        'SELECT * FROM stocktakes WHERE venue_id = ? ORDER BY taken_at DESC LIMIT ?',
+        [venueId, limit]
+      );
+      return records.map(record => ({
+        id: record.id,
+        date: record.taken_at,
+        total: record.total_cost
+      }));
+    } catch (error) {
+      console.error(`Error getting stock-takes for venue ${venueId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Records a stock-take with its variance by item and by shift
+   * @param {string|number} venueId - The venue ID
+   * @param {Object} stocktake - Stock-take with date, items, shifts and total
+   * @returns {Promise<number>} ID of the stock-take
+   */
+  async saveStocktake(venueId, stocktake) {
+    const transactionId = await this.db.beginTransaction();
+
+    try {
+      const stocktakeId = await this.db.insert('stocktakes', {
+        venue_id: venueId,
+        taken_at: stocktake.date,
+        total_cost: stocktake.total
+      }, transactionId);
+
+      for (const item of stocktake.items) {
+        await this.db.run(`
+          INSERT INTO stocktake_items (stocktake_id, item_type, item_name, theoretical, counted, variance, cost)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [stocktakeId, item.itemType, item.itemName, item.theoretical, item.counted, item.variance, item.cost], transactionId);
+      }
+
+      for (const shift of stocktake.shifts) {
+        await this.db.run(`
+          INSERT INTO stocktake_shifts (stocktake_id, staff_id, staff_name, shift_date, shift, incidents, cost)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [stocktakeId, String(shift.staffId), shift.staffName, shift.shiftDate, shift.shift, shift.incidents, shift.cost], transactionId);
+      }
+
+      await this.db.commitTransaction(transactionId);
+      return stocktakeId;
+    } catch (error) {
+      await this.db.rollbackTransaction(transactionId);
+      console.error(`Error saving stock-take for venue ${venueId}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Maps a database record to an inventory item object
    * @private
@@ -309,6 +559,7 @@ class InventoryDAO {
       name: record.name,
       type: record.type,
       subtype: record.subtype,
+      unit: record.unit,
       costPrice: record.cost_price,
       sellPrice: record.sell_price,
       stock: record.stock,
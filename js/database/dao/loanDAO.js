@@ -0,0 +1,126 @@
+// js/database/dao/loanDAO.js
+const { DatabaseManager } = require('../databaseManager');
+
+class LoanDAO {
+  constructor() {
+    this.db = DatabaseManager.getInstance();
+  }
+
+  /**
+   * Stores a loan, replacing the stored copy if there is one
+   * @param {Object} loan - The loan
+   * @returns {Promise<boolean>} True when stored
+   */
+  async saveLoan(loan) {
+    try {
+      if (!loan.id || !loan.principal || !loan.takenAt) {
+        throw new Error('Missing required loan properties');
+      }
+
+      const record = this.mapLoanToRecord(loan);
+      await this.db.run(`
+        INSERT INTO loans (id, venue_id, venue_name, principal, balance, annual_rate, term_months, monthly_payment,
+          payments_made, missed_payments, interest_paid, penalties, status, taken_at, closed_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(id) DO UPDATE SET
+          venue_id = excluded.venue_id,
+          balance = excluded.balance,
+          payments_made = excluded.payments_made,
+          missed_payments = excluded.missed_payments,
+          interest_paid = excluded.interest_paid,
+          penalties = excluded.penalties,
+          status = excluded.status,
+          closed_at = excluded.closed_at,
+          updated_at = CURRENT_TIMESTAMP
+      `, [
+        record.id, record.venue_id, record.venue_name, record.principal, record.balance, record.annual_rate,
+        record.term_months, record.monthly_payment, record.payments_made, record.missed_payments,
+        record.interest_paid, record.penalties, record.status, record.taken_at, record.closed_at
+      ]);
+      return true;
+    } catch (error) {
+      console.error(`Error saving loan ${loan.id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets loans, newest first
+   * @param {string} [status] - Only loans with this status
+   * @returns {Promise<Array>} Array of loan objects
+   */
+  async getLoans(status) {
+    try {
+      let query = 'SELECT * FROM loans';
+      const params = [];
+
+      if (status) {
+        query += ' WHERE status = ?';
+        params.push(status);
+      }
+
+      query += ' ORDER BY taken_at DESC';
+
+      const records = await this.db.query(query, params);
+      return records.map(record => this.mapRecordToLoan(record));
+    } catch (error) {
+      console.error('Error retrieving loans:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Maps a loan object to a database record
+   * @private
+   * @param {Object} loan - The loan object
+   * @returns {Object} The database record
+   */
+  mapLoanToRecord(loan) {
+    return {
+      id: loan.id,
+      venue_id: loan.venueId || null,
+      venue_name: loan.venueName,
+      principal: loan.principal,
+      balance: loan.balance,
+      annual_rate: loan.annualRate,
+      term_months: loan.termMonths,
+      monthly_payment: loan.monthlyPayment,
+      payments_made: loan.paymentsMade,
+      missed_payments: loan.missedPayments,
+      interest_paid: loan.interestPaid,
+      penalties: loan.penalties,
+      status: loan.status,
+      taken_at: loan.takenAt,
+      closed_at: loan.closedAt || null
+    };
+  }
+
+  /**
+   * Maps a database record to a loan object
+   * @private
+   * @param {Object} record - The database record
+   * @returns {Object} The loan object
+   */
+  mapRecordToLoan(record) {
+    return {
+      id: record.id,
+      number: Number(String(record.id).replace('loan_', '')),
+      venueId: record.venue_id,
+      venueName: record.venue_name,
+      principal: record.principal,
+      balance: record.balance,
+      annualRate: record.annual_rate,
+      termMonths: record.term_months,
+      monthlyPayment: record.monthly_payment,
+      paymentsMade: record.payments_made,
+      missedPayments: record.missed_payments,
+      interestPaid: record.interest_paid,
+      penalties: record.penalties,
+      status: record.status,
+      takenAt: record.taken_at,
+      closedAt: record.closed_at
+    };
+  }
+}
+
+module.exports = LoanDAO;
@@ -0,0 +1,152 @@
+// js/database/dao/marketingDAO.js
+const { DatabaseManager } = require('../databaseManager');
+
+class MarketingDAO {
+  constructor() {
+    this.db = DatabaseManager.getInstance();
+  }
+
+  /**
+   * Creates a marketing campaign, promotion or special event record
+   * @param {Object} campaign - The campaign data
+   * @returns {Promise<string>} ID of the created campaign
+   */
+  async createCampaign(campaign) {
+    try {
+      // Ensure campaign has all required fields
+      if (!campaign.id || !campaign.venueId || !campaign.kind || !campaign.type) {
+        throw new Error('Missing required campaign properties');
+      }
+
+      await this.db.insert('marketing_campaigns', this.mapCampaignToRecord(campaign));
+      return campaign.id;
+    } catch (error) {
+      console.error('Error creating marketing campaign:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Updates an existing campaign
+   * @param {string} id - The campaign ID
+   * @param {Object} campaignData - The updated campaign data
+   * @returns {Promise<boolean>} True if update successful
+   */
+  async updateCampaign(id, campaignData) {
+    try {
+      // Prepare update object with only supported fields
+      const updateData = {
+        updated_at: new Date().toISOString()
+      };
+
+      if (campaignData.status !== undefined) updateData.status = campaignData.status;
+      if (campaignData.totalSpent !== undefined) updateData.total_spent = campaignData.totalSpent;
+      if (campaignData.metadata) updateData.metadata = JSON.stringify(campaignData.metadata);
+
+      return await this.db.update('marketing_campaigns', id, updateData);
+    } catch (error) {
+      console.error(`Error updating marketing campaign ${id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets campaigns for a venue
+   * @param {string|number} venueId - The venue ID
+   * @param {Object} [options] - Query options
+   * @param {string} [options.kind] - Filter by kind (campaign, promotion, event)
+   * @param {string|Array<string>} [options.status] - Filter by status
+   * @returns {Promise<Array>} Array of campaign objects
+   */
+  async getCampaignsByVenue(venueId, options = {}) {
+    try {
+      let query = 'SELECT * FROM marketing_campaigns WHERE venue_id = ?';
+      const params = [venueId];
+
+      if (options.kind) {
+        query += ' AND kind = ?';
+        params.push(options.kind);
+      }
+
+      if (options.status) {
+        const statuses = Array.isArray(options.status) ? options.status : [options.status];
+        query += ` AND status IN (${statuses.map(() => '?').join(', ')})`;
+        params.push(...statuses);
+      }
+
+      query += ' ORDER BY start_date DESC';
+
+      const records = await this.db.query(query, params);
+      return records.map(record => this.mapRecordToCampaign(record));
+    } catch (error) {
+      console.error(`Error retrieving marketing campaigns for venue ${venueId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets all campaigns that have not yet finished
+   * @returns {Promise<Array>} Array of campaign objects
+   */
+  async getUnfinishedCampaigns() {
+    try {
+      const records = await this.db.query(
+        "SELECT * FROM marketing_campaigns WHERE status IN ('scheduled', 'active') ORDER BY start_date"
+      );
+      return records.map(record => this.mapRecordToCampaign(record));
+    } catch (error) {
+      console.error('Error retrieving unfinished marketing campaigns:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Maps a campaign object to a database record
+   * @private
+   * @param {Object} campaign - The campaign object
+   * @returns {Object} The database record
+   */
+  mapCampaignToRecord(campaign) {
+    return {
+      id: campaign.id,
+      venue_id: campaign.venueId,
+      kind: campaign.kind,
+      type: campaign.type,
+      name: campaign.name,
+      description: campaign.description || null,
+      budget: campaign.budget || 0,
+      daily_cost: campaign.dailyCost || 0,
+      total_spent: campaign.totalSpent || 0,
+      start_date: campaign.startDate,
+      end_date: campaign.endDate,
+      status: campaign.status || 'scheduled',
+      metadata: JSON.stringify(campaign.metadata || {})
+    };
+  }
+
+  /**
+   * Maps a database record to a campaign object
+   * @private
+   * @param {Object} record - The database record
+   * @returns {Object} The campaign object
+   */
+  mapRecordToCampaign(record) {
+    return {
+      id: record.id,
+      venueId: record.venue_id,
+      kind: record.kind,
+      type: record.type,
+      name: record.name,
+      description: record.description,
+      budget: record.budget,
+      dailyCost: record.daily_cost,
+      totalSpent: record.total_spent,
+      startDate: record.start_date,
+      endDate: record.end_date,
+      status: record.status,
+      metadata: JSON.parse(record.metadata || '{}')
+    };
+  }
+}
+
+module.exports = MarketingDAO;
@@ -0,0 +1,170 @@
+// js/database/dao/saveDAO.js
+const { DatabaseManager } = require('../databaseManager');
+
+class SaveDAO {
+  constructor() {
+    this.db = DatabaseManager.getInstance();
+  }
+
+  /**
+   * Writes a save slot, overwriting the slot if one with the same name exists
+   * @param {Object} save - Slot with name, saveDate, version, gameData and metadata
+   * @returns {Promise<number>} ID of the slot
+   */
+  async saveSlot(save) {
+    try {
+      if (!save.name || !save.gameData) {
+        throw new Error('Missing required save properties');
+      }
+
+      const record = this.mapSaveToRecord(save);
+      await this.db.run(`
+        INSERT INTO saved_games (name, save_date, version, game_data, cash, venue_count, current_venue,
+          game_date, playtime, thumbnail, source)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(name) DO UPDATE SET
+          save_date = excluded.save_date,
+          version = excluded.version,
+          game_data = excluded.game_data,
+          cash = excluded.cash,
+          venue_count = excluded.venue_count,
+          current_venue = excluded.current_venue,
+          game_date = excluded.game_date,
+          playtime = excluded.playtime,
+          thumbnail = excluded.thumbnail,
+          source = excluded.source,
+          updated_at = CURRENT_TIMESTAMP
+      `, [
+        record.name, record.save_date, record.version, record.game_data, record.cash, record.venue_count,
+        record.current_venue, record.game_date, record.playtime, record.thumbnail, record.source
+      ]);
+
+      const row = await this.db.get('SELECT id FROM saved_games WHERE name = ?', [record.name]);
+      return row.id;
+    } catch (error) {
+      console.error(`Error writing save slot ${save.name}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets every save slot without its game data, most recent first
+   * @returns {Promise<Array>} Array of save objects
+   */
+  async getSaves() {
+    try {
+      const records = await this.db.query(`
+        SELECT id, name, save_date, version, cash, venue_count, current_venue, game_date, playtime, thumbnail, source
+        FROM saved_games
+        ORDER BY save_date DESC
+      `);
+      return records.map(record => this.mapRecordToSave(record));
+    } catch (error) {
+      console.error('Error retrieving save slots:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets a save slot with its game data
+   * @param {string} name - Slot name (not case sensitive)
+   * @returns {Promise<Object|null>} The save, or null if there is no such slot
+   */
+  async getSave(name) {
+    try {
+      const record = await this.db.get('SELECT * FROM saved_games WHERE name = ?', [name]);
+      return record ? this.mapRecordToSave(record) : null;
+    } catch (error) {
+      console.error(`Error retrieving save slot ${name}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Deletes a save slot
+   * @param {string} name - Slot name (not case sensitive)
+   * @returns {Promise<boolean>} True if a slot was deleted
+   */
+  async deleteSave(name) {
+    try {
+      const result = await this.db.run('DELETE FROM saved_games WHERE name = ?', [name]);
+      return result.changes > 0;
+    } catch (error) {
+      console.error(`Error deleting save slot ${name}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Renames a save slot
+   * @param {string} name - Current slot name (not case sensitive)
+   * @param {string} newName - New slot name
+   * @returns {Promise<boolean>} True if a slot was renamed
+   */
+  async renameSave(name, newName) {
+    try {
+      const result = await this.db.run(
+        'UPDATE saved_games SET name = ?, updated_at = CURRENT_TIMESTAMP WHERE name = ?',
+        [newName, name]
+      );
+      return result.changes > 0;
+    } catch (error) {
+      console.error(`Error renaming save slot ${name}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Maps a save object to a database record
+   * @private
+   * @param {Object} save - The save object
+   * @returns {Object} The database record
+   */
+  mapSaveToRecord(save) {
+    const metadata = save.metadata || {};
+    return {
+      name: save.name,
+      save_date: save.saveDate || new Date().toISOString(),
+      version: save.version,
+      game_data: JSON.stringify(save.gameData),
+      cash: metadata.cash || 0,
+      venue_count: metadata.venueCount || 0,
+      current_venue: metadata.currentVenue || null,
+      game_date: metadata.gameDate || null,
+      playtime: Math.round(metadata.playtime || 0),
+      thumbnail: metadata.thumbnail || null,
+      source: save.source || 'game'
+    };
+  }
+
+  /**
+   * Maps a database record to a save object
+   * @private
+   * @param {Object} record - The database record
+   * @returns {Object} The save object; gameData is only set when the record includes it
+   */
+  mapRecordToSave(record) {
+    const save = {
+      id: record.id,
+      name: record.name,
+      saveDate: record.save_date,
+      version: record.version,
+      source: record.source,
+      metadata: {
+        cash: record.cash,
+        venueCount: record.venue_count,
+        currentVenue: record.current_venue,
+        gameDate: record.game_date,
+        playtime: record.playtime,
+        thumbnail: record.thumbnail
+      }
+    };
+
+    if (record.game_data) {
+      save.gameData = JSON.parse(record.game_data);
+    }
+    return save;
+  }
+}
+
+module.exports = SaveDAO;
@@ -1,6 +1,7 @@
 // js/database/dao/staffDAO.js
 const { DatabaseManager } = require('../databaseManager');
 const { v4: uuidv4 } = require('uuid');
+const { isOnShift, scheduleFromWorkingTimes } = require('../../utils/shifts');
 
 class StaffDAO {
   constructor() {
@@ -44,6 +45,10 @@ class StaffDAO {
 
       // Insert staff record
       await this.db.insert('staff', staffRecord);
+
+      if (staff.schedule) {
+        await this.saveSchedule(staffId, staff.schedule);
+      }
       
       // Return complete staff with ID
       return {
@@ -104,6 +109,10 @@ class StaffDAO {
 
         // Insert staff record using the transaction
         await this.db.insert('staff', staffRecord, transactionId);
+
+        if (staff.schedule) {
+          await this.saveSchedule(staffId, staff.schedule, transactionId);
+        }
         
         // Add to result list
         createdStaff.push({
@@ -471,7 +480,8 @@ class StaffDAO {
   }
 
   /**
-   * Gets staff that are scheduled to work for a specific venue and time
+   * Gets staff that are scheduled to work for a specific venue and time,
+   * including overnight shifts that started the day before
    * @param {string|number} venueId - The venue ID
    * @param {number} dayOfWeek - The day of week (1-7 for Monday-Sunday)
    * @param {number} hour - The hour of day (0-23)
@@ -480,28 +490,15 @@ class StaffDAO {
   async getScheduledStaff(venueId, dayOfWeek, hour) {
     try {
       const venueStaff = await this.getStaffByVenueId(venueId);
-      
-      // Filter staff by schedule
+      const schedules = await this.getSchedulesByVenue(venueId);
+
+      // Convert from 1-7 (Monday-Sunday) to 0-6 (Sunday-Saturday)
+      const day = dayOfWeek % 7;
+
       return venueStaff.filter(staff => {
-        // Check if the staff works on this day
-        if (!staff.workingDays || !Array.isArray(staff.workingDays)) return false;
-        
-        // Convert from 1-7 (Monday-Sunday) to 0-6 (Sunday-Saturday)
-        const dayIndex = (dayOfWeek + 5) % 7;
-        
-        if (!staff.workingDays[dayIndex]) return false;
-        
-        // Check if the staff works at this hour
-        if (!staff.workingHours || typeof staff.workingHours !== 'object') return false;
-        
-        const { start, end } = staff.workingHours;
-        
-        // Handle shifts that span midnight
-        if (end < start) {
-          return hour >= start || hour < end;
-        } else {
-          return hour >= start && hour < end;
-        }
+        // Staff without a roster keep their original working days and hours
+        const schedule = schedules[staff.id] || scheduleFromWorkingTimes(staff.workingDays, staff.workingHours);
+        return isOnShift(schedule, day, hour);
       });
     } catch (error) {
       console.error(`Error getting scheduled staff for venue ${venueId}:`, error);
@@ -509,6 +506,93 @@ class StaffDAO {
     }
   }
 
+  /**
+   * Gets a staff member's weekly roster
+   * @param {string|number} staffId - The staff ID
+   * @returns {Promise<Array|null>} Shifts from Sunday to Saturday, or null if no roster is stored
+   */
+  async getSchedule(staffId) {
+    try {
+      const records = await this.db.query('SELECT * FROM staff_schedule WHERE staff_id = ?', [staffId]);
+      return records.length > 0 ? this.mapRecordsToSchedule(records) : null;
+    } catch (error) {
+      console.error(`Error retrieving schedule for staff ${staffId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets the weekly rosters of every staff member at a venue
+   * @param {string|number} venueId - The venue ID
+   * @returns {Promise<Object>} Shifts from Sunday to Saturday by staff ID
+   */
+  async getSchedulesByVenue(venueId) {
+    try {
+      const records = await this.db.query(`
+        SELECT sch.* FROM staff_schedule sch
+        JOIN staff s ON s.id = sch.staff_id
+        WHERE s.venue_id = ?
+      `, [venueId]);
+
+      const recordsByStaff = {};
+      records.forEach(record => {
+        (recordsByStaff[record.staff_id] = recordsByStaff[record.staff_id] || []).push(record);
+      });
+
+      const schedules = {};
+      Object.entries(recordsByStaff).forEach(([staffId, staffRecords]) => {
+        schedules[staffId] = this.mapRecordsToSchedule(staffRecords);
+      });
+      return schedules;
+    } catch (error) {
+      console.error(`Error retrieving schedules for venue ${venueId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stores a staff member's weekly roster, one row per day
+   * @param {string|number} staffId - The staff ID
+   * @param {Array<Object|null>} schedule - Shifts from Sunday to Saturday; null for a day off
+   * @param {string} [transactionId] - Optional transaction ID
+   * @returns {Promise<boolean>} True if the roster was stored
+   */
+  async saveSchedule(staffId, schedule, transactionId = null) {
+    try {
+      for (let day = 0; day < 7; day++) {
+        const shift = schedule[day] || null;
+        await this.db.run(`
+          INSERT INTO staff_schedule (staff_id, day_of_week, working, start_hour, end_hour)
+          VALUES (?, ?, ?, ?, ?)
+          ON CONFLICT(staff_id, day_of_week) DO UPDATE SET
+            working = excluded.working,
+            start_hour = excluded.start_hour,
+            end_hour = excluded.end_hour
+        `, [staffId, day, shift ? 1 : 0, shift ? shift.start : null, shift ? shift.end : null], transactionId);
+      }
+      return true;
+    } catch (error) {
+      console.error(`Error saving schedule for staff ${staffId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Maps staff_schedule rows to a weekly roster
+   * @private
+   * @param {Array<Object>} records - Rows for one staff member
+   * @returns {Array<Object|null>} Shifts from Sunday to Saturday
+   */
+  mapRecordsToSchedule(records) {
+    const schedule = [null, null, null, null, null, null, null];
+    records.forEach(record => {
+      if (record.working) {
+        schedule[record.day_of_week] = { start: record.start_hour, end: record.end_hour };
+      }
+    });
+    return schedule;
+  }
+
   /**
    * Maps a database record to a staff object
    * @private
@@ -0,0 +1,114 @@
+// js/database/dao/taxDAO.js
+const { DatabaseManager } = require('../databaseManager');
+
+class TaxDAO {
+  constructor() {
+    this.db = DatabaseManager.getInstance();
+  }
+
+  /**
+   * Stores a tax liability, replacing the stored copy if there is one
+   * @param {Object} liability - The tax liability
+   * @returns {Promise<boolean>} True when stored
+   */
+  async saveLiability(liability) {
+    try {
+      if (!liability.id || !liability.venueId || !liability.type || !liability.period) {
+        throw new Error('Missing required tax liability properties');
+      }
+
+      const record = this.mapLiabilityToRecord(liability);
+      await this.db.run(`
+        INSERT INTO tax_liabilities (id, venue_id, tax_type, period, rate, base, amount, penalties, status, due_date, paid_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(id) DO UPDATE SET
+          base = excluded.base,
+          amount = excluded.amount,
+          penalties = excluded.penalties,
+          status = excluded.status,
+          due_date = excluded.due_date,
+          paid_at = excluded.paid_at,
+          updated_at = CURRENT_TIMESTAMP
+      `, [
+        record.id, record.venue_id, record.tax_type, record.period, record.rate, record.base,
+        record.amount, record.penalties, record.status, record.due_date, record.paid_at
+      ]);
+      return true;
+    } catch (error) {
+      console.error(`Error saving tax liability ${liability.id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Gets a venue's tax liabilities, most recent period first
+   * @param {string|number} venueId - The venue ID
+   * @param {string} [status] - Only liabilities with this status
+   * @returns {Promise<Array>} Array of liability objects
+   */
+  async getLiabilities(venueId, status) {
+    try {
+      let query = 'SELECT * FROM tax_liabilities WHERE venue_id = ?';
+      const params = [venueId];
+
+      if (status) {
+        query += ' AND status = ?';
+        params.push(status);
+      }
+
+      query += ' ORDER BY period DESC, tax_type';
+
+      const records = await this.db.query(query, params);
+      return records.map(record => this.mapRecordToLiability(record));
+    } catch (error) {
+      console.error(`Error retrieving tax liabilities for venue ${venueId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Maps a liability object to a database record
+   * @private
+   * @param {Object} liability - The liability object
+   * @returns {Object} The database record
+   */
+  mapLiabilityToRecord(liability) {
+    return {
+      id: liability.id,
+      venue_id: liability.venueId,
+      tax_type: liability.type,
+      period: liability.period,
+      rate: liability.rate,
+      base: liability.base,
+      amount: liability.amount,
+      penalties: liability.penalties || 0,
+      status: liability.status,
+      due_date: liability.dueDate || null,
+      paid_at: liability.paidAt || null
+    };
+  }
+
+  /**
+   * Maps a database record to a liability object
+   * @private
+   * @param {Object} record - The database record
+   * @returns {Object} The liability object
+   */
+  mapRecordToLiability(record) {
+    return {
+      id: record.id,
+      venueId: record.venue_id,
+      type: record.tax_type,
+      period: record.period,
+      rate: record.rate,
+      base: record.base,
+      amount: record.amount,
+      penalties: record.penalties,
+      status: record.status,
+      dueDate: record.due_date,
+      paidAt: record.paid_at
+    };
+  }
+}
+
+module.exports = TaxDAO;
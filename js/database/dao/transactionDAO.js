@@ -18,22 +18,8 @@ class TransactionDAO {
         throw new Error('Missing required transaction properties');
       }
 
-      // Convert transaction object to a format suitable for database
-      const transactionRecord = {
-        venue_id: transaction.venueId,
-        type: transaction.type,
-        category: transaction.category,
-        subcategory: transaction.subcategory || null,
-        amount: transaction.amount,
-        timestamp: transaction.timestamp || new Date().toISOString(),
-        item: transaction.item || null,
-        quantity: transaction.quantity || null,
-        price: transaction.price || null,
-        metadata: JSON.stringify(transaction.metadata || {})
-      };
-
       // Insert transaction record and get the ID
-      return await this.db.insert('transactions', transactionRecord);
+      return await this.db.insert('transactions', this.mapTransactionToRecord(transaction));
     } catch (error) {
       console.error('Error recording transaction:', error);
       throw error;
@@ -276,22 +262,8 @@ class TransactionDAO {
             continue; // Skip invalid transactions
           }
 
-          // Convert transaction object to a format suitable for database
-          const transactionRecord = {
-            venue_id: transaction.venueId,
-            type: transaction.type,
-            category: transaction.category,
-            subcategory: transaction.subcategory || null,
-            amount: transaction.amount,
-            timestamp: transaction.timestamp || new Date().toISOString(),
-            item: transaction.item || null,
-            quantity: transaction.quantity || null,
-            price: transaction.price || null,
-            metadata: JSON.stringify(transaction.metadata || {})
-          };
-
           // Insert transaction record
-          await this.db.insert('transactions', transactionRecord, transactionId);
+          await this.db.insert('transactions', this.mapTransactionToRecord(transaction), transactionId);
           count++;
         }
 
@@ -310,6 +282,51 @@ class TransactionDAO {
     }
   }
 
+  /**
+   * Converts a transaction object to a format suitable for the database
+   * @private
+   * @param {Object} transaction - The transaction data
+   * @returns {Object} The database record
+   */
+  mapTransactionToRecord(transaction) {
+    const timestamp = transaction.timestamp || new Date().toISOString();
+
+    // The game date columns are required; take them from the game date, or
+    // from the timestamp when the caller only knows that
+    const date = transaction.date || this.parseTimestamp(timestamp);
+
+    return {
+      venue_id: transaction.venueId,
+      type: transaction.type,
+      category: transaction.category,
+      subcategory: transaction.subcategory || null,
+      amount: transaction.amount,
+      game_date_year: date.year,
+      game_date_month: date.month,
+      game_date_day: date.day,
+      game_date_hour: date.hour || 0,
+      game_date_minute: date.minute || 0,
+      timestamp,
+      item: transaction.item || null,
+      quantity: transaction.quantity || null,
+      price: transaction.price || null,
+      metadata: JSON.stringify(transaction.metadata || {})
+    };
+  }
+
+  /**
+   * Reads the date and time fields of an ISO timestamp as written, without
+   * converting time zones
+   * @private
+   * @param {string} timestamp - ISO timestamp
+   * @returns {Object} Date with year, month, day, hour and minute
+   */
+  parseTimestamp(timestamp) {
+    const [, year, month, day, hour, minute] =
+      (timestamp.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/) || []).map(Number);
+    return { year, month, day, hour, minute };
+  }
+
   /**
    * Maps a database record to a transaction object
    * @private
@@ -1,14 +1,31 @@
 // js/database/databaseManager.js
 const sqlite3 = require('sqlite3').verbose();
+const fs = require('fs');
 const path = require('path');
-const { app } = require('electron');
 const os = require('os');
 
 // Define connection pool size based on environment
 const POOL_SIZE = process.env.NODE_ENV === 'production' ? 5 : 2;
 
+// SQLite filename for a private in-memory database
+const IN_MEMORY = ':memory:';
+
 class DatabaseManager {
   static instance = null;
+  static options = {};
+
+  /**
+   * Configure the database before first use, e.g. to run without Electron
+   * @param {Object} options - Database options
+   * @param {string} [options.filename] - Database file path, or ':memory:' for an in-memory database
+   */
+  static configure(options = {}) {
+    DatabaseManager.options = { ...options };
+
+    if (DatabaseManager.instance && !DatabaseManager.instance.isInitialized) {
+      DatabaseManager.instance.configureStorage();
+    }
+  }
 
   /**
    * Get singleton instance of DatabaseManager
@@ -22,14 +39,41 @@ class DatabaseManager {
   }
 
   constructor() {
-    this.dbPath = path.join(app.getPath('userData'), 'liquid-assets.db');
+    this.configureStorage();
     this.isInitialized = false;
+    this.initPromise = null;
     this.pool = [];
+    this.connections = new Set(); // Every open connection, pooled or in use
     this.activeConnections = 0;
     this.connectionQueue = [];
+    this.idleWaiters = [];
     this.transactionConnections = new Map(); // Map to track connections used in transactions
   }
 
+  /**
+   * Apply the configured database location
+   * @private
+   */
+  configureStorage() {
+    this.dbPath = DatabaseManager.options.filename || null;
+
+    // Every connection to ':memory:' opens a separate database, so share a single one
+    this.poolSize = this.dbPath === IN_MEMORY ? 1 : POOL_SIZE;
+  }
+
+  /**
+   * Get the database file path, defaulting to Electron's user data folder
+   * @private
+   * @returns {string}
+   */
+  getDatabasePath() {
+    if (!this.dbPath) {
+      const { app } = require('electron');
+      this.dbPath = path.join(app.getPath('userData'), 'liquid-assets.db');
+    }
+    return this.dbPath;
+  }
+
   /**
    * Initialize the database
    * @returns {Promise<boolean>}
@@ -39,9 +83,24 @@ class DatabaseManager {
       return true;
     }
 
+    // Several managers initialize at startup; share one pool between them
+    if (!this.initPromise) {
+      this.initPromise = this.createPool().finally(() => {
+        this.initPromise = null;
+      });
+    }
+    return this.initPromise;
+  }
+
+  /**
+   * Open the connection pool and apply pragmas
+   * @private
+   * @returns {Promise<boolean>} True if successful
+   */
+  async createPool() {
     try {
       // Create initial connection pool
-      for (let i = 0; i < POOL_SIZE; i++) {
+      for (let i = 0; i < this.poolSize; i++) {
         const connection = await this.createConnection();
         this.pool.push(connection);
       }
@@ -53,7 +112,7 @@ class DatabaseManager {
       }
 
       this.isInitialized = true;
-      console.log(`Database initialized with connection pool of size ${POOL_SIZE}`);
+      console.log(`Database initialized with connection pool of size ${this.poolSize}`);
       return true;
     } catch (error) {
       console.error('Failed to initialize database:', error);
@@ -68,11 +127,12 @@ class DatabaseManager {
    */
   createConnection() {
     return new Promise((resolve, reject) => {
-      const db = new sqlite3.Database(this.dbPath, (err) => {
+      const db = new sqlite3.Database(this.getDatabasePath(), (err) => {
         if (err) {
           reject(new Error(`Could not connect to database: ${err.message}`));
           return;
         }
+        this.connections.add(db);
         resolve(db);
       });
     });
@@ -104,7 +164,7 @@ class DatabaseManager {
     }
 
     // If we've reached max connections, wait for one to be released
-    if (this.activeConnections >= POOL_SIZE) {
+    if (this.activeConnections >= this.poolSize) {
       return new Promise((resolve) => {
         this.connectionQueue.push((connection) => {
           this.activeConnections++;
@@ -129,6 +189,35 @@ class DatabaseManager {
     return connection;
   }
 
+  /**
+   * Check whether any query is running or waiting for a connection
+   * @returns {boolean} True if the database is idle
+   */
+  isIdle() {
+    return this.activeConnections === 0 && this.connectionQueue.length === 0;
+  }
+
+  /**
+   * Wait until no query is running or waiting for a connection
+   * @returns {Promise<void>}
+   */
+  whenIdle() {
+    if (this.isIdle()) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.idleWaiters.push(resolve));
+  }
+
+  /**
+   * Resolve everything waiting in whenIdle()
+   * @private
+   */
+  notifyIdle() {
+    const waiters = this.idleWaiters;
+    this.idleWaiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+
   /**
    * Release a connection back to the pool
    * @private
@@ -136,6 +225,11 @@ class DatabaseManager {
    * @param {string} [requesterId] - Optional ID for transaction tracking
    */
   releaseConnection(connection, requesterId = null) {
+    // Connections still in use when the database was closed are not reused
+    if (!this.connections.has(connection)) {
+      return;
+    }
+
     // If this is a transaction connection and we're not explicitly ending the transaction, keep it
     if (requesterId && this.transactionConnections.has(requesterId)) {
       return;
@@ -144,6 +238,7 @@ class DatabaseManager {
     // If we have waiting requests, give them this connection
     if (this.connectionQueue.length > 0) {
       const nextRequest = this.connectionQueue.shift();
+      this.activeConnections--; // The waiting request counts it again
       nextRequest(connection);
       return;
     }
@@ -156,6 +251,10 @@ class DatabaseManager {
     if (requesterId) {
       this.transactionConnections.delete(requesterId);
     }
+
+    if (this.isIdle()) {
+      this.notifyIdle();
+    }
   }
 
   /**
@@ -231,20 +330,25 @@ class DatabaseManager {
    * Execute a SQL statement with proper connection management
    * @param {string} sql - SQL statement to execute
    * @param {Array} [params=[]] - Parameters for the SQL statement
+   * @param {string} [transactionId] - Optional transaction ID
    * @returns {Promise<Object>} Object with lastID and changes properties
    */
-  async run(sql, params = []) {
+  async run(sql, params = [], transactionId = null) {
     if (!this.isInitialized) {
       await this.initialize();
     }
 
-    const connection = await this.getConnection();
+    const connection = await this.getConnection(transactionId);
     try {
       const result = await this.runOnConnection(connection, sql, params);
-      this.releaseConnection(connection);
+      if (!transactionId) {
+        this.releaseConnection(connection);
+      }
       return result;
     } catch (error) {
-      this.releaseConnection(connection);
+      if (!transactionId) {
+        this.releaseConnection(connection);
+      }
       throw error;
     }
   }
@@ -253,20 +357,25 @@ class DatabaseManager {
    * Execute a SQL query and return all results
    * @param {string} sql - SQL query
    * @param {Array} [params=[]] - Parameters for the SQL query
+   * @param {string} [transactionId] - Optional transaction ID
    * @returns {Promise<Array>} Array of result rows
    */
-  async query(sql, params = []) {
+  async query(sql, params = [], transactionId = null) {
     if (!this.isInitialized) {
       await this.initialize();
     }
 
-    const connection = await this.getConnection();
+    const connection = await this.getConnection(transactionId);
     try {
       const rows = await this.queryOnConnection(connection, sql, params);
-      this.releaseConnection(connection);
+      if (!transactionId) {
+        this.releaseConnection(connection);
+      }
       return rows;
     } catch (error) {
-      this.releaseConnection(connection);
+      if (!transactionId) {
+        this.releaseConnection(connection);
+      }
       throw error;
     }
   }
@@ -275,24 +384,58 @@ class DatabaseManager {
    * Fetch a single record from the database
    * @param {string} sql - SQL query
    * @param {Array} [params=[]] - Parameters for the SQL query
+   * @param {string} [transactionId] - Optional transaction ID
    * @returns {Promise<Object|null>} Single result row or null
    */
-  async get(sql, params = []) {
+  async get(sql, params = [], transactionId = null) {
     if (!this.isInitialized) {
       await this.initialize();
     }
 
-    const connection = await this.getConnection();
+    const connection = await this.getConnection(transactionId);
     try {
       const row = await this.getOnConnection(connection, sql, params);
-      this.releaseConnection(connection);
+      if (!transactionId) {
+        this.releaseConnection(connection);
+      }
       return row;
     } catch (error) {
-      this.releaseConnection(connection);
+      if (!transactionId) {
+        this.releaseConnection(connection);
+      }
       throw error;
     }
   }
 
+  /**
+   * Execute one or more SQL statements without parameters (e.g. a schema script)
+   * @param {string} sql - SQL statements to execute
+   * @param {string} [transactionId] - Optional transaction ID
+   * @returns {Promise<void>}
+   */
+  async exec(sql, transactionId = null) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    const connection = await this.getConnection(transactionId);
+    try {
+      await new Promise((resolve, reject) => {
+        connection.exec(sql, (err) => {
+          if (err) {
+            reject(new Error(`SQL error in exec: ${err.message}`));
+            return;
+          }
+          resolve();
+        });
+      });
+    } finally {
+      if (!transactionId) {
+        this.releaseConnection(connection);
+      }
+    }
+  }
+
   /**
    * Begin a transaction
    * @returns {Promise<string>} Transaction ID
@@ -326,12 +469,15 @@ class DatabaseManager {
 
     const connection = this.transactionConnections.get(transactionId);
     
+    // The transaction is over, so hand its connection back to the pool
+    this.transactionConnections.delete(transactionId);
+
     try {
       await this.runOnConnection(connection, 'COMMIT');
-      this.releaseConnection(connection, transactionId);
+      this.releaseConnection(connection);
       return true;
     } catch (error) {
-      this.releaseConnection(connection, transactionId);
+      this.releaseConnection(connection);
       throw error;
     }
   }
@@ -348,12 +494,15 @@ class DatabaseManager {
 
     const connection = this.transactionConnections.get(transactionId);
     
+    // The transaction is over, so hand its connection back to the pool
+    this.transactionConnections.delete(transactionId);
+
     try {
       await this.runOnConnection(connection, 'ROLLBACK');
-      this.releaseConnection(connection, transactionId);
+      this.releaseConnection(connection);
       return true;
     } catch (error) {
-      this.releaseConnection(connection, transactionId);
+      this.releaseConnection(connection);
       throw error;
     }
   }
@@ -531,26 +680,25 @@ class DatabaseManager {
         });
       };
 
-      // Close all pool connections
-      Promise.all([
-        ...this.pool.map(closeConnection),
-        ...Array.from(this.transactionConnections.values()).map(closeConnection)
-      ])
+      // Close all connections, including those still in use
+      const connections = Array.from(this.connections);
+      this.connections.clear();
+
+      Promise.all(connections.map(closeConnection))
         .then(() => {
           this.pool = [];
           this.transactionConnections.clear();
           this.activeConnections = 0;
           this.connectionQueue = [];
           this.isInitialized = false;
+          this.notifyIdle();
           console.log('All database connections closed');
           resolve();
         })
         .catch(reject);
     });
   }
-
-  const fs = require('fs');
-const path = require('path');
+}
 
 /**
  * Create a sample migration file
@@ -777,4 +925,4 @@ async function createSampleMigration() {
   return filePath;
 }
 
-module.exports = { createSampleMigration };
+module.exports = { DatabaseManager, createSampleMigration };
@@ -20,7 +20,7 @@ class MigrationManager {
       
       if (!tableExists) {
         const sql = `
-          CREATE TABLE ${this.migrationTableName} (
+          CREATE TABLE IF NOT EXISTS ${this.migrationTableName} (
             id INTEGER PRIMARY KEY AUTOINCREMENT,
             name TEXT NOT NULL,
             batch INTEGER NOT NULL,
@@ -48,10 +48,11 @@ class MigrationManager {
           return;
         }
         
-        // Filter for .js files and sort by name (which should include version numbers)
+        // Filter for .js files and sort by version number, so migration_10 follows migration_9
+        const version = file => parseInt(file.replace(/\D/g, ''), 10) || 0;
         const migrations = files
           .filter(file => file.endsWith('.js'))
-          .sort();
+          .sort((a, b) => version(a) - version(b) || a.localeCompare(b));
         
         resolve(migrations);
       });
@@ -105,11 +106,13 @@ class MigrationManager {
       const appliedMigrations = [];
       
       for (const migrationFile of pending) {
+        let transactionId = null;
+        
         try {
           console.log(`Applying migration: ${migrationFile}`);
           
           // Start transaction
-          await this.db.beginTransaction();
+          transactionId = await this.db.beginTransaction();
           
           // Import and run migration
           const migrationPath = path.join(this.migrationsDir, migrationFile);
@@ -119,22 +122,24 @@ class MigrationManager {
             throw new Error(`Migration ${migrationFile} does not have an up() method`);
           }
           
-          await migration.up(this.db);
+          await migration.up(this.getTransactionScope(transactionId));
           
           // Record the migration
           await this.db.insert(this.migrationTableName, {
             name: migrationFile,
             batch: batch
-          });
+          }, transactionId);
           
           // Commit transaction
-          await this.db.commitTransaction();
+          await this.db.commitTransaction(transactionId);
           
           appliedMigrations.push(migrationFile);
           console.log(`Successfully applied migration: ${migrationFile}`);
         } catch (error) {
           // Rollback transaction on error
-          await this.db.rollbackTransaction();
+          if (transactionId) {
+            await this.db.rollbackTransaction(transactionId);
+          }
           console.error(`Error applying migration ${migrationFile}:`, error);
           throw error;
         }
@@ -185,11 +190,13 @@ class MigrationManager {
       const rolledBackMigrations = [];
       
       for (const migration of migrations) {
+        let transactionId = null;
+        
         try {
           console.log(`Rolling back migration: ${migration.name}`);
           
           // Start transaction
-          await this.db.beginTransaction();
+          transactionId = await this.db.beginTransaction();
           
           // Import and run down method
           const migrationPath = path.join(this.migrationsDir, migration.name);
@@ -199,22 +206,25 @@ class MigrationManager {
             throw new Error(`Migration ${migration.name} does not have a down() method`);
           }
           
-          await migrationModule.down(this.db);
+          await migrationModule.down(this.getTransactionScope(transactionId));
           
           // Delete migration record
           await this.db.run(
             `DELETE FROM ${this.migrationTableName} WHERE id = ?`,
-            [migration.id]
+            [migration.id],
+            transactionId
           );
           
           // Commit transaction
-          await this.db.commitTransaction();
+          await this.db.commitTransaction(transactionId);
           
           rolledBackMigrations.push(migration.name);
           console.log(`Successfully rolled back migration: ${migration.name}`);
         } catch (error) {
           // Rollback transaction on error
-          await this.db.rollbackTransaction();
+          if (transactionId) {
+            await this.db.rollbackTransaction(transactionId);
+          }
           console.error(`Error rolling back migration ${migration.name}:`, error);
           throw error;
         }
@@ -228,6 +238,26 @@ class MigrationManager {
     }
   }
 
+  /**
+   * Get a database handle whose statements all run inside a transaction.
+   * exec also takes a node-style callback, as migration_1 was written
+   * against the raw sqlite3 handle.
+   * @private
+   * @param {string} transactionId - Transaction ID
+   * @returns {Object} Object with run, query, get and exec methods
+   */
+  getTransactionScope(transactionId) {
+    return {
+      run: (sql, params = []) => this.db.run(sql, params, transactionId),
+      query: (sql, params = []) => this.db.query(sql, params, transactionId),
+      get: (sql, params = []) => this.db.get(sql, params, transactionId),
+      exec: (sql, callback) => {
+        const result = this.db.exec(sql, transactionId);
+        return callback ? result.then(() => callback(null), callback) : result;
+      }
+    };
+  }
+
   /**
    * Create a new migration file
    * @param {string} name - Name of the migration
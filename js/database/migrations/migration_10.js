@@ -0,0 +1,52 @@
+// js/database/migrations/migration_10.js
+// Adds stock-takes with their variance by item and by shift
+module.exports = {
+    up: async function(db) {
+      await db.run(`
+        CREATE TABLE IF NOT EXISTS stocktakes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          venue_id INTEGER NOT NULL,
+          taken_at TEXT NOT NULL, -- Game time, ISO format
+          total_cost REAL NOT NULL, -- Negative when stock is missing
+          FOREIGN KEY (venue_id) REFERENCES venues(id) ON DELETE CASCADE
+        )
+      `);
+
+      await db.run(`
+        CREATE TABLE IF NOT EXISTS stocktake_items (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          stocktake_id INTEGER NOT NULL,
+          item_type TEXT NOT NULL,
+          item_name TEXT NOT NULL,
+          theoretical REAL NOT NULL,
+          counted REAL NOT NULL,
+          variance REAL NOT NULL,
+          cost REAL NOT NULL,
+          FOREIGN KEY (stocktake_id) REFERENCES stocktakes(id) ON DELETE CASCADE
+        )
+      `);
+
+      await db.run(`
+        CREATE TABLE IF NOT EXISTS stocktake_shifts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          stocktake_id INTEGER NOT NULL,
+          staff_id TEXT NOT NULL,
+          staff_name TEXT NOT NULL,
+          shift_date TEXT NOT NULL, -- Game date the shift started
+          shift TEXT NOT NULL,
+          incidents INTEGER NOT NULL,
+          cost REAL NOT NULL,
+          FOREIGN KEY (stocktake_id) REFERENCES stocktakes(id) ON DELETE CASCADE
+        )
+      `);
+
+      await db.run('CREATE INDEX IF NOT EXISTS idx_stocktakes_venue ON stocktakes(venue_id, taken_at)');
+    },
+
+    down: async function(db) {
+      await db.run('DROP INDEX IF EXISTS idx_stocktakes_venue');
+      await db.run('DROP TABLE IF EXISTS stocktake_shifts');
+      await db.run('DROP TABLE IF EXISTS stocktake_items');
+      await db.run('DROP TABLE IF EXISTS stocktakes');
+    }
+  };
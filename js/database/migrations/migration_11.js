@@ -0,0 +1,31 @@
+// js/database/migrations/migration_11.js
+// Adds tax liabilities: VAT, payroll and corporate tax owed by each venue
+module.exports = {
+    up: async function(db) {
+      await db.run(`
+        CREATE TABLE IF NOT EXISTS tax_liabilities (
+          id TEXT PRIMARY KEY,
+          venue_id INTEGER NOT NULL,
+          tax_type TEXT NOT NULL, -- vat, payroll, corporate or audit
+          period TEXT NOT NULL, -- e.g. 2025-03 for monthly taxes, 2025 for yearly ones
+          rate REAL NOT NULL,
+          base REAL NOT NULL, -- Sales, wages or profit the tax was charged on
+          amount REAL NOT NULL,
+          penalties REAL NOT NULL DEFAULT 0,
+          status TEXT NOT NULL, -- accruing, due, overdue or paid
+          due_date TEXT, -- Game date (ISO format)
+          paid_at TEXT, -- Game date (ISO format)
+          created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (venue_id) REFERENCES venues(id) ON DELETE CASCADE
+        )
+      `);
+
+      await db.run('CREATE INDEX IF NOT EXISTS idx_tax_liabilities_venue ON tax_liabilities(venue_id, period)');
+    },
+
+    down: async function(db) {
+      await db.run('DROP INDEX IF EXISTS idx_tax_liabilities_venue');
+      await db.run('DROP TABLE IF EXISTS tax_liabilities');
+    }
+  };
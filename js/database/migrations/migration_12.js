@@ -0,0 +1,34 @@
+// js/database/migrations/migration_12.js
+// Adds business loans secured on the player's venues
+module.exports = {
+    up: async function(db) {
+      await db.run(`
+        CREATE TABLE IF NOT EXISTS loans (
+          id TEXT PRIMARY KEY,
+          venue_id INTEGER, -- Venue the loan is secured on; NULL once it has been repossessed
+          venue_name TEXT NOT NULL,
+          principal REAL NOT NULL,
+          balance REAL NOT NULL,
+          annual_rate REAL NOT NULL,
+          term_months INTEGER NOT NULL,
+          monthly_payment REAL NOT NULL,
+          payments_made INTEGER NOT NULL DEFAULT 0,
+          missed_payments INTEGER NOT NULL DEFAULT 0, -- In a row; reset by a payment
+          interest_paid REAL NOT NULL DEFAULT 0,
+          penalties REAL NOT NULL DEFAULT 0,
+          status TEXT NOT NULL, -- active, repaid or seized
+          taken_at TEXT NOT NULL, -- Game date (ISO format)
+          closed_at TEXT, -- Game date (ISO format)
+          created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await db.run('CREATE INDEX IF NOT EXISTS idx_loans_status ON loans(status)');
+    },
+
+    down: async function(db) {
+      await db.run('DROP INDEX IF EXISTS idx_loans_status');
+      await db.run('DROP TABLE IF EXISTS loans');
+    }
+  };
@@ -0,0 +1,31 @@
+// js/database/migrations/migration_13.js
+// Adds named save slots; gameService has always saved here but no migration created the table
+module.exports = {
+    up: async function(db) {
+      await db.run(`
+        CREATE TABLE IF NOT EXISTS saved_games (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL UNIQUE COLLATE NOCASE, -- Slot name chosen by the player
+          save_date TEXT NOT NULL, -- Real time the slot was written (ISO format)
+          version TEXT NOT NULL, -- Save format version
+          game_data TEXT NOT NULL, -- JSON game state
+          cash REAL NOT NULL DEFAULT 0,
+          venue_count INTEGER NOT NULL DEFAULT 0,
+          current_venue TEXT,
+          game_date TEXT, -- Game date (ISO format)
+          playtime INTEGER NOT NULL DEFAULT 0, -- Seconds played
+          thumbnail TEXT, -- PNG data URL of the venue view
+          source TEXT NOT NULL DEFAULT 'game', -- game, or imported from an old JSON save
+          created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await db.run('CREATE INDEX IF NOT EXISTS idx_saved_games_date ON saved_games(save_date)');
+    },
+
+    down: async function(db) {
+      await db.run('DROP INDEX IF EXISTS idx_saved_games_date');
+      await db.run('DROP TABLE IF EXISTS saved_games');
+    }
+  };
@@ -0,0 +1,16 @@
+// js/database/migrations/migration_14.js
+// Records which patron led each customer visit, so returning customers can be told from new ones
+module.exports = {
+    up: async function(db) {
+      // NULL for strangers; patrons are the only customers known across visits
+      await db.run('ALTER TABLE customer_visits ADD COLUMN patron_id TEXT');
+      await db.run("UPDATE customer_visits SET patron_id = json_extract(metadata, '$.patronId') WHERE json_extract(metadata, '$.patronId') IS NOT NULL");
+
+      await db.run('CREATE INDEX IF NOT EXISTS idx_customer_visits_patron ON customer_visits(venue_id, patron_id, visit_date)');
+    },
+
+    down: async function(db) {
+      await db.run('DROP INDEX IF EXISTS idx_customer_visits_patron');
+      await db.run('ALTER TABLE customer_visits DROP COLUMN patron_id');
+    }
+  };
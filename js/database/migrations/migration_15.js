@@ -0,0 +1,15 @@
+// js/database/migrations/migration_15.js
+// Adds the metadata column TransactionDAO has always written, so transactions can be recorded
+module.exports = {
+    up: async function(db) {
+      await db.run('ALTER TABLE transactions ADD COLUMN metadata TEXT');
+
+      // Daily and weekly trends group by the game-time timestamp
+      await db.run('CREATE INDEX IF NOT EXISTS idx_transactions_venue_time ON transactions(venue_id, timestamp)');
+    },
+
+    down: async function(db) {
+      await db.run('DROP INDEX IF EXISTS idx_transactions_venue_time');
+      await db.run('ALTER TABLE transactions DROP COLUMN metadata');
+    }
+  };
@@ -0,0 +1,35 @@
+// js/database/migrations/migration_2.js
+// Adds persisted marketing campaigns, promotions and special events
+module.exports = {
+    up: async function(db) {
+      await db.run(`
+        CREATE TABLE marketing_campaigns (
+          id TEXT PRIMARY KEY,
+          venue_id INTEGER NOT NULL,
+          kind TEXT NOT NULL, -- campaign, promotion or event
+          type TEXT NOT NULL,
+          name TEXT NOT NULL,
+          description TEXT,
+          budget REAL NOT NULL DEFAULT 0,
+          daily_cost REAL NOT NULL DEFAULT 0,
+          total_spent REAL NOT NULL DEFAULT 0,
+          start_date TEXT NOT NULL, -- Game date (ISO format)
+          end_date TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'scheduled',
+          metadata TEXT,
+          created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (venue_id) REFERENCES venues(id) ON DELETE CASCADE
+        )
+      `);
+
+      await db.run('CREATE INDEX idx_marketing_campaigns_venue_id ON marketing_campaigns(venue_id)');
+      await db.run('CREATE INDEX idx_marketing_campaigns_status ON marketing_campaigns(status)');
+    },
+
+    down: async function(db) {
+      await db.run('DROP INDEX IF EXISTS idx_marketing_campaigns_status');
+      await db.run('DROP INDEX IF EXISTS idx_marketing_campaigns_venue_id');
+      await db.run('DROP TABLE IF EXISTS marketing_campaigns');
+    }
+  };
@@ -0,0 +1,31 @@
+// js/database/migrations/migration_3.js
+// Adds the customer_visits table used by the customer analytics queries
+module.exports = {
+    up: async function(db) {
+      await db.run(`
+        CREATE TABLE IF NOT EXISTS customer_visits (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          venue_id INTEGER NOT NULL,
+          visit_date TEXT NOT NULL, -- Game time of arrival (ISO format)
+          customer_type TEXT NOT NULL,
+          group_size INTEGER NOT NULL,
+          total_spent REAL NOT NULL DEFAULT 0,
+          satisfaction REAL NOT NULL DEFAULT 50,
+          status TEXT NOT NULL DEFAULT 'completed',
+          leave_reason TEXT,
+          metadata TEXT,
+          created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (venue_id) REFERENCES venues(id) ON DELETE CASCADE
+        )
+      `);
+
+      await db.run('CREATE INDEX IF NOT EXISTS idx_customer_visits_venue_date ON customer_visits(venue_id, visit_date)');
+      await db.run('CREATE INDEX IF NOT EXISTS idx_customer_visits_type ON customer_visits(customer_type)');
+    },
+
+    down: async function(db) {
+      await db.run('DROP INDEX IF EXISTS idx_customer_visits_type');
+      await db.run('DROP INDEX IF EXISTS idx_customer_visits_venue_date');
+      await db.run('DROP TABLE IF EXISTS customer_visits');
+    }
+  };
@@ -0,0 +1,13 @@
+// js/database/migrations/migration_4.js
+// Stores the country and local name lists from city packs
+module.exports = {
+    up: async function(db) {
+      await db.run('ALTER TABLE cities ADD COLUMN country TEXT');
+      await db.run('ALTER TABLE cities ADD COLUMN name_lists TEXT');
+    },
+
+    down: async function(db) {
+      await db.run('ALTER TABLE cities DROP COLUMN name_lists');
+      await db.run('ALTER TABLE cities DROP COLUMN country');
+    }
+  };
@@ -0,0 +1,70 @@
+// js/database/migrations/migration_5.js
+// Turns city_regulations into versioned rules so regulation changes can be
+// announced ahead of their effective date, and adds smoking bans and minimum wages
+module.exports = {
+    up: async function(db) {
+      await db.run(`
+        CREATE TABLE city_regulations_versioned (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          city_id INTEGER NOT NULL,
+          version INTEGER NOT NULL,
+          opening_hour_earliest INTEGER NOT NULL,
+          opening_hour_latest INTEGER NOT NULL,
+          alcohol_license_cost REAL NOT NULL,
+          max_noise_level INTEGER NOT NULL,
+          health_inspection_frequency INTEGER NOT NULL,
+          smoking_ban INTEGER NOT NULL DEFAULT 0,
+          minimum_wage REAL NOT NULL DEFAULT 0, -- Weekly wage
+          description TEXT,
+          announced_date TEXT, -- Game date (ISO format); NULL for city pack rules
+          effective_date TEXT, -- Game date (ISO format); NULL for city pack rules
+          created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (city_id, version),
+          FOREIGN KEY (city_id) REFERENCES cities(id) ON DELETE CASCADE
+        )
+      `);
+
+      await db.run(`
+        INSERT INTO city_regulations_versioned (city_id, version, opening_hour_earliest, opening_hour_latest,
+          alcohol_license_cost, max_noise_level, health_inspection_frequency, created_at, updated_at)
+        SELECT city_id, 1, opening_hour_earliest, opening_hour_latest,
+          alcohol_license_cost, max_noise_level, health_inspection_frequency, created_at, updated_at
+        FROM city_regulations
+      `);
+
+      await db.run('DROP TABLE city_regulations');
+      await db.run('ALTER TABLE city_regulations_versioned RENAME TO city_regulations');
+      await db.run('CREATE INDEX IF NOT EXISTS idx_city_regulations_effective ON city_regulations(city_id, effective_date)');
+    },
+
+    down: async function(db) {
+      await db.run(`
+        CREATE TABLE city_regulations_single (
+          city_id INTEGER PRIMARY KEY,
+          opening_hour_earliest INTEGER NOT NULL,
+          opening_hour_latest INTEGER NOT NULL,
+          alcohol_license_cost REAL NOT NULL,
+          max_noise_level INTEGER NOT NULL,
+          health_inspection_frequency INTEGER NOT NULL,
+          created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (city_id) REFERENCES cities(id) ON DELETE CASCADE
+        )
+      `);
+
+      // Keep the base rules from each city pack
+      await db.run(`
+        INSERT INTO city_regulations_single (city_id, opening_hour_earliest, opening_hour_latest,
+          alcohol_license_cost, max_noise_level, health_inspection_frequency, created_at, updated_at)
+        SELECT city_id, opening_hour_earliest, opening_hour_latest,
+          alcohol_license_cost, max_noise_level, health_inspection_frequency, created_at, updated_at
+        FROM city_regulations
+        WHERE version = 1
+      `);
+
+      await db.run('DROP INDEX IF EXISTS idx_city_regulations_effective');
+      await db.run('DROP TABLE city_regulations');
+      await db.run('ALTER TABLE city_regulations_single RENAME TO city_regulations');
+    }
+  };
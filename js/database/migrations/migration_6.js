@@ -0,0 +1,34 @@
+// js/database/migrations/migration_6.js
+// Adds graded health inspection reports
+module.exports = {
+    up: async function(db) {
+      await db.run(`
+        CREATE TABLE IF NOT EXISTS health_inspections (
+          id TEXT PRIMARY KEY,
+          venue_id INTEGER NOT NULL,
+          inspection_date TEXT NOT NULL, -- Game date (ISO format)
+          score INTEGER NOT NULL,
+          grade TEXT NOT NULL, -- A-F; D and F fail
+          passed INTEGER NOT NULL,
+          is_reinspection INTEGER NOT NULL DEFAULT 0,
+          cleanliness_score INTEGER NOT NULL,
+          equipment_score INTEGER NOT NULL,
+          kitchen_score INTEGER, -- NULL for venues that don't serve food
+          food_poisoning_incidents INTEGER NOT NULL DEFAULT 0,
+          findings TEXT, -- JSON array of inspector notes
+          fine REAL NOT NULL DEFAULT 0,
+          closed_until TEXT, -- Game date (ISO format)
+          next_inspection_date TEXT, -- Game date (ISO format)
+          created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (venue_id) REFERENCES venues(id) ON DELETE CASCADE
+        )
+      `);
+
+      await db.run('CREATE INDEX IF NOT EXISTS idx_health_inspections_venue_date ON health_inspections(venue_id, inspection_date)');
+    },
+
+    down: async function(db) {
+      await db.run('DROP INDEX IF EXISTS idx_health_inspections_venue_date');
+      await db.run('DROP TABLE IF EXISTS health_inspections');
+    }
+  };
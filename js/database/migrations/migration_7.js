@@ -0,0 +1,24 @@
+// js/database/migrations/migration_7.js
+// Adds par levels and reorder points for automatic restocking
+module.exports = {
+    up: async function(db) {
+      await db.run(`
+        CREATE TABLE IF NOT EXISTS inventory_reorder_rules (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          venue_id INTEGER NOT NULL,
+          item_type TEXT NOT NULL, -- drinks or food
+          item_name TEXT NOT NULL,
+          reorder_point INTEGER NOT NULL, -- Reorder when stock falls to this level
+          par_level INTEGER NOT NULL, -- Stock level each reorder restores
+          created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(venue_id, item_type, item_name),
+          FOREIGN KEY (venue_id) REFERENCES venues(id) ON DELETE CASCADE
+        )
+      `);
+    },
+
+    down: async function(db) {
+      await db.run('DROP TABLE IF EXISTS inventory_reorder_rules');
+    }
+  };
@@ -0,0 +1,25 @@
+// js/database/migrations/migration_8.js
+// Adds dated stock batches so perishable stock can expire
+module.exports = {
+    up: async function(db) {
+      await db.run(`
+        CREATE TABLE IF NOT EXISTS inventory_batches (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          inventory_item_id INTEGER NOT NULL,
+          quantity INTEGER NOT NULL, -- Units left in the batch
+          received_quantity INTEGER NOT NULL,
+          unit_cost REAL NOT NULL,
+          received_at TEXT NOT NULL, -- Game time, ISO format
+          expires_at TEXT, -- Game time, ISO format; NULL for stock that keeps
+          FOREIGN KEY (inventory_item_id) REFERENCES inventory_items(id) ON DELETE CASCADE
+        )
+      `);
+
+      await db.run('CREATE INDEX IF NOT EXISTS idx_inventory_batches_item ON inventory_batches(inventory_item_id)');
+    },
+
+    down: async function(db) {
+      await db.run('DROP INDEX IF EXISTS idx_inventory_batches_item');
+      await db.run('DROP TABLE IF EXISTS inventory_batches');
+    }
+  };
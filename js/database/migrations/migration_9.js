@@ -0,0 +1,34 @@
+// js/database/migrations/migration_9.js
+// Adds ingredients and the recipes that make menu items from them
+module.exports = {
+    up: async function(db) {
+      // Items are saved with a subtype, and ingredients with the unit they are measured in
+      await db.run('ALTER TABLE inventory_items ADD COLUMN subtype TEXT');
+      await db.run('ALTER TABLE inventory_items ADD COLUMN unit TEXT');
+
+      await db.run("INSERT OR IGNORE INTO inventory_categories (name) VALUES ('ingredients')");
+
+      await db.run(`
+        CREATE TABLE IF NOT EXISTS inventory_recipes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          menu_item_id INTEGER NOT NULL,
+          ingredient_item_id INTEGER NOT NULL,
+          quantity REAL NOT NULL, -- In the ingredient's unit, per serving
+          FOREIGN KEY (menu_item_id) REFERENCES inventory_items(id) ON DELETE CASCADE,
+          FOREIGN KEY (ingredient_item_id) REFERENCES inventory_items(id) ON DELETE CASCADE,
+          UNIQUE(menu_item_id, ingredient_item_id)
+        )
+      `);
+
+      await db.run('CREATE INDEX IF NOT EXISTS idx_inventory_recipes_menu_item ON inventory_recipes(menu_item_id)');
+    },
+
+    down: async function(db) {
+      await db.run('DROP INDEX IF EXISTS idx_inventory_recipes_menu_item');
+      await db.run('DROP TABLE IF EXISTS inventory_recipes');
+      await db.run("DELETE FROM inventory_items WHERE type = 'ingredients'");
+      await db.run("DELETE FROM inventory_categories WHERE name = 'ingredients'");
+      await db.run('ALTER TABLE inventory_items DROP COLUMN unit');
+      await db.run('ALTER TABLE inventory_items DROP COLUMN subtype');
+    }
+  };
@@ -0,0 +1,590 @@
+// js/database/services/gameService.js
+const { 
+    VenueDAO, 
+    StaffDAO, 
+    CustomerDAO, 
+    TransactionDAO, 
+    InventoryDAO, 
+    SettingsDAO,
+    SaveDAO
+  } = require('../dao');
+  const { DatabaseManager } = require('../databaseManager');
+  const rng = require('../../utils/rng');
+  const { SAVES } = require('../../config');
+  const { getSaveMetadata } = require('../../utils/saveSlotFiles');
+  const { getSaveVersion, upgradeSave, validateSave } = require('../../utils/saveUpgrades');
+  
+  // Career tables copied into save archives, each after the tables its rows refer to
+  const ARCHIVE_TABLES = [
+    'cities', 'city_regulations', 'player', 'venues', 'venue_finances', 'venue_licenses', 'venue_stats',
+    'staff', 'staff_skills', 'staff_personality', 'staff_schedule',
+    'inventory_items', 'inventory_batches', 'inventory_recipes', 'inventory_reorder_rules',
+    'transactions', 'customer_visits', 'events', 'health_inspections', 'marketing_campaigns', 'reports',
+    'stocktakes', 'stocktake_items', 'stocktake_shifts', 'tax_liabilities', 'loans', 'game_time'
+  ];
+  
+  class GameService {
+    constructor() {
+      this.db = DatabaseManager.getInstance();
+      this.venueDAO = new VenueDAO();
+      this.staffDAO = new StaffDAO();
+      this.customerDAO = new CustomerDAO();
+      this.transactionDAO = new TransactionDAO();
+      this.inventoryDAO = new InventoryDAO();
+      this.settingsDAO = new SettingsDAO();
+      this.saveDAO = new SaveDAO();
+    }
+  
+    /**
+     * Saves the current game state to a named slot, overwriting any slot with that name
+     * @param {Object} gameState - The current game state
+     * @param {string} saveName - Name of the slot
+     * @param {Object} [options] - Extra slot details
+     * @param {string} [options.thumbnail] - Data URL of a picture of the venue view
+     * @param {string} [options.saveDate] - When the game was saved (defaults to now)
+     * @param {string} [options.source] - 'game', or 'imported' for an old JSON save
+     * @returns {Promise<Object>} Save result
+     */
+    async saveGame(gameState, saveName = SAVES.autosaveSlot, options = {}) {
+      try {
+        // Capture the random generator so the save resumes the same sequence
+        if (!gameState.random) {
+          gameState = { ...gameState, random: rng.getState() };
+        }
+        
+        const saveDate = options.saveDate || new Date().toISOString();
+        const saveId = await this.saveDAO.saveSlot({
+          name: saveName,
+          saveDate,
+          version: gameState.version || SAVES.version,
+          gameData: gameState,
+          source: options.source,
+          metadata: {
+            ...this.getSaveMetadata(gameState),
+            thumbnail: options.thumbnail || null
+          }
+        });
+        
+        return {
+          success: true,
+          saveId,
+          saveName,
+          saveDate
+        };
+      } catch (error) {
+        console.error('Error saving game:', error);
+        throw error;
+      }
+    }
+  
+    /**
+     * Loads a saved game by slot name
+     * @param {string} saveName - Name of the slot to load (not case sensitive)
+     * @returns {Promise<Object>} Loaded game state
+     */
+    async loadGame(saveName) {
+      try {
+        // Get the save record
+        const save = await this.saveDAO.getSave(saveName);
+        
+        if (!save) {
+          throw new Error(`No save called "${saveName}"`);
+        }
+        
+        // Bring older saves up to the current format; the slot keeps the settings it was saved with
+        const gameState = upgradeSave(save.gameData);
+        if (!validateSave(gameState)) {
+          throw new Error(`Save "${save.name}" is damaged or incomplete`);
+        }
+        
+        // Resume the random sequence from where it was saved
+        if (gameState.random) {
+          rng.setState(gameState.random);
+        }
+        
+        return {
+          success: true,
+          gameState,
+          saveInfo: {
+            id: save.id,
+            name: save.name,
+            date: save.saveDate,
+            version: save.version,
+            metadata: save.metadata
+          }
+        };
+      } catch (error) {
+        console.error(`Error loading game save ${saveName}:`, error);
+        throw error;
+      }
+    }
+  
+    /**
+     * Gets list of saved games
+     * @returns {Promise<Array>} Save slots, most recent first, with name, date, version, source and metadata
+     */
+    async getSavedGames() {
+      try {
+        const saves = await this.saveDAO.getSaves();
+        
+        return saves.map(save => ({
+          id: save.id,
+          name: save.name,
+          date: save.saveDate,
+          version: save.version,
+          source: save.source,
+          metadata: save.metadata
+        }));
+      } catch (error) {
+        console.error('Error getting saved games:', error);
+        throw error;
+      }
+    }
+  
+    /**
+     * Deletes a saved game
+     * @param {string} saveName - Name of the slot to delete
+     * @returns {Promise<boolean>} True if a slot was deleted
+     */
+    async deleteSavedGame(saveName) {
+      try {
+        return await this.saveDAO.deleteSave(saveName);
+      } catch (error) {
+        console.error(`Error deleting save ${saveName}:`, error);
+        throw error;
+      }
+    }
+  
+    /**
+     * Renames a saved game
+     * @param {string} saveName - Current name of the slot
+     * @param {string} newName - New name; must not belong to another slot
+     * @returns {Promise<boolean>} True if the slot was renamed
+     */
+    async renameSavedGame(saveName, newName) {
+      try {
+        const existing = await this.saveDAO.getSave(newName);
+        if (existing && existing.name.toLowerCase() !== saveName.toLowerCase()) {
+          throw new Error(`There is already a save called "${existing.name}"`);
+        }
+        
+        return await this.saveDAO.renameSave(saveName, newName);
+      } catch (error) {
+        console.error(`Error renaming save ${saveName}:`, error);
+        throw error;
+      }
+    }
+  
+    /**
+     * Imports saves written by the old JSON save paths as slots. Each gets
+     * its own slot, named after the old save with a number added if the
+     * name is taken, so nothing already saved is overwritten.
+     * @param {Array<Object>} legacySaves - Saves with name, date and gameData
+     * @returns {Promise<Array<string>>} Names of the slots created
+     */
+    async importLegacySaves(legacySaves) {
+      const imported = [];
+      
+      for (const legacy of legacySaves) {
+        const gameData = legacy.gameData;
+        if (!this.canUpgrade(gameData)) {
+          console.warn(`Skipping old save "${legacy.name}": it can't be brought up to the current format`);
+          continue;
+        }
+        
+        const name = await this.getFreeSaveName(legacy.name || 'Imported save');
+        await this.saveDAO.saveSlot({
+          name,
+          saveDate: legacy.date || gameData.lastSaveTime || new Date().toISOString(),
+          version: getSaveVersion(gameData),
+          gameData,
+          source: 'imported',
+          metadata: this.getSaveMetadata(gameData)
+        });
+        imported.push(name);
+      }
+      
+      return imported;
+    }
+  
+    /**
+     * Collects a save slot and the career's database rows for a save archive.
+     * The database only holds the rows of the game in play, so the slot must
+     * be the one that game was just saved to.
+     * @param {string} saveName - Name of the slot to export
+     * @returns {Promise<Object>} Archive payload with the save, game time, settings and table rows
+     */
+    async exportSave(saveName) {
+      try {
+        const save = await this.saveDAO.getSave(saveName);
+        if (!save) {
+          throw new Error(`No save called "${saveName}"`);
+        }
+        
+        const tables = {};
+        for (const table of ARCHIVE_TABLES) {
+          if (await this.db.tableExists(table)) {
+            tables[table] = await this.db.query(`SELECT * FROM ${table}`);
+          }
+        }
+        
+        return {
+          exportedAt: new Date().toISOString(),
+          save: {
+            name: save.name,
+            saveDate: save.saveDate,
+            version: save.version,
+            metadata: save.metadata,
+            gameData: save.gameData
+          },
+          gameTime: save.gameData.gameTime,
+          settings: save.gameData.settings,
+          tables
+        };
+      } catch (error) {
+        console.error(`Error exporting save ${saveName}:`, error);
+        throw error;
+      }
+    }
+  
+    /**
+     * Imports a save archive: replaces the career's database rows with the
+     * archive's and stores its save as a new slot
+     * @param {Object} archive - Archive payload from exportSave
+     * @returns {Promise<string>} Name of the slot created
+     */
+    async importSave(archive) {
+      try {
+        if (!archive || !archive.save || !archive.tables) {
+          throw new Error('The archive has no save in it');
+        }
+        if (!this.canUpgrade(archive.save.gameData)) {
+          throw new Error(`The save in the archive (format ${archive.save.version}) can't be loaded by this version of the game`);
+        }
+        
+        // Look up the tables and columns here; rows from a different schema keep the columns both share
+        const columns = {};
+        for (const table of ARCHIVE_TABLES) {
+          if (await this.db.tableExists(table)) {
+            const info = await this.db.query(`PRAGMA table_info(${table})`);
+            columns[table] = info.map(column => column.name);
+          }
+        }
+        const tables = ARCHIVE_TABLES.filter(table => columns[table]);
+        
+        const transactionId = await this.db.beginTransaction();
+        
+        try {
+          // Rows may arrive before the rows they refer to; check the references at commit
+          await this.db.run('PRAGMA defer_foreign_keys = ON', [], transactionId);
+          
+          for (const table of [...tables].reverse()) {
+            await this.db.run(`DELETE FROM ${table}`, [], transactionId);
+          }
+          
+          for (const table of tables) {
+            for (const row of archive.tables[table] || []) {
+              const rowColumns = Object.keys(row).filter(column => columns[table].includes(column));
+              if (rowColumns.length === 0) continue;
+              
+              await this.db.run(
+                `INSERT INTO ${table} (${rowColumns.join(', ')}) VALUES (${rowColumns.map(() => '?').join(', ')})`,
+                rowColumns.map(column => row[column]),
+                transactionId
+              );
+            }
+          }
+          
+          await this.db.commitTransaction(transactionId);
+        } catch (error) {
+          await this.db.rollbackTransaction(transactionId);
+          throw error;
+        }
+        
+        const name = await this.getFreeSaveName(archive.save.name || 'Imported save');
+        await this.saveDAO.saveSlot({
+          name,
+          saveDate: archive.save.saveDate,
+          version: getSaveVersion(archive.save.gameData),
+          gameData: archive.save.gameData,
+          source: 'imported',
+          metadata: {
+            ...this.getSaveMetadata(archive.save.gameData),
+            thumbnail: archive.save.metadata ? archive.save.metadata.thumbnail : null
+          }
+        });
+        
+        return name;
+      } catch (error) {
+        console.error('Error importing save archive:', error);
+        throw error;
+      }
+    }
+
+    /**
+     * Copies the rows a change is about to touch, so restoreRows can put
+     * them back. Each part of the scope names a table and a WHERE clause
+     * that matches the rows before and after the change.
+     * @param {Array<Object>} scope - Parts with table, where and params
+     * @returns {Promise<Array<Object>>} Snapshot: the scope parts with their rows
+     */
+    async captureRows(scope) {
+      const snapshot = [];
+
+      for (const part of scope) {
+        if (!(await this.db.tableExists(part.table))) continue;
+
+        const rows = await this.db.query(
+          `SELECT rowid AS undo_rowid, * FROM ${part.table} WHERE ${part.where}`,
+          part.params || []
+        );
+        snapshot.push({ ...part, rows });
+      }
+
+      return snapshot;
+    }
+
+    /**
+     * Puts rows back as captureRows found them, in one transaction: rows
+     * the change added to the scope are deleted, and rows it altered or
+     * removed are written back
+     * @param {Array<Object>} snapshot - Snapshot from captureRows
+     * @returns {Promise<void>}
+     */
+    async restoreRows(snapshot) {
+      const transactionId = await this.db.beginTransaction();
+
+      try {
+        // Rows go back parent first but may be checked against children not yet restored
+        await this.db.run('PRAGMA defer_foreign_keys = ON', [], transactionId);
+
+        for (const part of [...snapshot].reverse()) {
+          const kept = new Set(part.rows.map(row => row.undo_rowid));
+          const current = await this.db.query(
+            `SELECT rowid AS undo_rowid FROM ${part.table} WHERE ${part.where}`,
+            part.params || [],
+            transactionId
+          );
+
+          for (const row of current.filter(row => !kept.has(row.undo_rowid))) {
+            await this.db.run(`DELETE FROM ${part.table} WHERE rowid = ?`, [row.undo_rowid], transactionId);
+          }
+        }
+
+        for (const part of snapshot) {
+          for (const row of part.rows) {
+            const columns = Object.keys(row).filter(column => column !== 'undo_rowid');
+            await this.db.run(
+              `INSERT INTO ${part.table} (rowid, ${columns.join(', ')}) VALUES (?, ${columns.map(() => '?').join(', ')}) ` +
+              `ON CONFLICT DO UPDATE SET ${columns.map(column => `${column} = excluded.${column}`).join(', ')}`,
+              [row.undo_rowid, ...columns.map(column => row[column])],
+              transactionId
+            );
+          }
+        }
+
+        await this.db.commitTransaction(transactionId);
+      } catch (error) {
+        await this.db.rollbackTransaction(transactionId);
+        console.error('Error restoring rows:', error);
+        throw error;
+      }
+    }
+
+    /**
+     * Checks that an old save upgrades to a valid save in the current format
+     * @private
+     * @param {Object} gameData - Saved game data
+     * @returns {boolean} True if the save could be loaded
+     */
+    canUpgrade(gameData) {
+      try {
+        return Boolean(gameData) && validateSave(upgradeSave(gameData));
+      } catch (error) {
+        return false;
+      }
+    }
+  
+    /**
+     * Finds a slot name that isn't taken, adding a number to the name if it is
+     * @private
+     * @param {string} name - Preferred name
+     * @returns {Promise<string>} Free slot name
+     */
+    async getFreeSaveName(name) {
+      const baseName = name.slice(0, SAVES.maxNameLength);
+      let freeName = baseName;
+      for (let copy = 2; await this.saveDAO.getSave(freeName); copy++) {
+        freeName = `${baseName} (${copy})`;
+      }
+      return freeName;
+    }
+  
+    /**
+     * Summarises a game state for the save list
+     * @private
+     * @param {Object} gameState - Saved game state
+     * @returns {Object} Metadata with cash, venueCount, currentVenue, gameDate and playtime
+     */
+    getSaveMetadata(gameState) {
+      return getSaveMetadata(gameState);
+    }
+  
+    /**
+     * Creates a new player profile
+     * @param {string} name - Player name
+     * @returns {Promise<Object>} Created player
+     */
+    async createPlayer(name) {
+      try {
+        const playerId = await this.db.insert('players', {
+          name,
+          cash: 10000, // Starting cash
+          reputation: 0,
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+          settings: JSON.stringify({
+            difficulty: 'normal',
+            tutorials: true,
+            notifications: true
+          })
+        });
+        
+        return {
+          id: playerId,
+          name,
+          cash: 10000,
+          reputation: 0,
+          createdAt: new Date().toISOString()
+        };
+      } catch (error) {
+        console.error('Error creating player:', error);
+        throw error;
+      }
+    }
+  
+    /**
+     * Updates player data
+     * @param {number} playerId - Player ID
+     * @param {Object} playerData - Updated player data
+     * @returns {Promise<boolean>} True if update successful
+     */
+    async updatePlayer(playerId, playerData) {
+      try {
+        const updateData = {
+          updated_at: new Date().toISOString()
+        };
+        
+        if (playerData.name !== undefined) updateData.name = playerData.name;
+        if (playerData.cash !== undefined) updateData.cash = playerData.cash;
+        if (playerData.reputation !== undefined) updateData.reputation = playerData.reputation;
+        if (playerData.settings !== undefined) updateData.settings = JSON.stringify(playerData.settings);
+        
+        return await this.db.update('players', playerId, updateData);
+      } catch (error) {
+        console.error(`Error updating player ${playerId}:`, error);
+        throw error;
+      }
+    }
+  
+    /**
+     * Gets player data
+     * @param {number} playerId - Player ID
+     * @returns {Promise<Object|null>} Player data or null if not found
+     */
+    async getPlayer(playerId) {
+      try {
+        const record = await this.db.getById('players', playerId);
+        
+        if (!record) {
+          return null;
+        }
+        
+        return {
+          id: record.id,
+          name: record.name,
+          cash: record.cash,
+          reputation: record.reputation,
+          createdAt: record.created_at,
+          updatedAt: record.updated_at,
+          settings: JSON.parse(record.settings || '{}')
+        };
+      } catch (error) {
+        console.error(`Error getting player ${playerId}:`, error);
+        throw error;
+      }
+    }
+  
+    /**
+     * Initializes a new game with first-time setup
+     * @param {string} playerName - Name for the new player
+     * @param {string} startingCity - City the player starts in
+     * @returns {Promise<Object>} New game state
+     */
+    async initializeNewGame(playerName, startingCity) {
+      try {
+        // Start a transaction
+        const transactionId = await this.db.beginTransaction();
+        
+        try {
+          // Create player
+          const player = await this.createPlayer(playerName);
+          
+          // Initialize game settings
+          await this.settingsDAO.saveSettings({
+            'game': {
+              soundEnabled: true,
+              musicVolume: 50,
+              sfxVolume: 50,
+              textSpeed: 'normal',
+              autosave: true
+            }
+          });
+          
+          // Create default game time
+          const gameTime = {
+            day: 1,
+            month: 1,
+            year: 2025,
+            hour: 8,
+            minute: 0,
+            dayOfWeek: 1 // Monday
+          };
+          
+          // Create initial game state
+          const gameState = {
+            player: { ...player, venues: [] },
+            gameTime,
+            currentCity: startingCity,
+            currentVenue: null,
+            settings: {
+              soundEnabled: true,
+              musicVolume: 50,
+              sfxVolume: 50,
+              textSpeed: 'normal',
+              autosave: true
+            },
+            playtime: 0,
+            version: SAVES.version
+          };
+          
+          // Save the initial game
+          await this.saveGame(gameState, 'New Game');
+          
+          // Commit the transaction
+          await this.db.commitTransaction(transactionId);
+          
+          return gameState;
+        } catch (error) {
+          // Rollback on error
+          await this.db.rollbackTransaction(transactionId);
+          throw error;
+        }
+      } catch (error) {
+        console.error('Error initializing new game:', error);
+        throw error;
+      }
+    }
+  }
+  
+  module.exports = GameService;
\ No newline at end of file
@@ -3,8 +3,10 @@ const {
     VenueDAO, 
     StaffDAO, 
     InventoryDAO, 
-    TransactionDAO 
+    TransactionDAO,
+    CityDAO
   } = require('../dao');
+  const { hasRecipe, getRecipeCost } = require('../../utils/recipes');
   
   class VenueService {
     constructor() {
@@ -12,6 +14,7 @@ const {
       this.staffDAO = new StaffDAO();
       this.inventoryDAO = new InventoryDAO();
       this.transactionDAO = new TransactionDAO();
+      this.cityDAO = new CityDAO();
     }
   
     /**
@@ -35,7 +38,7 @@ const {
         await this.addDefaultInventory(venue.id, venue.type);
   
         // Record initial expense (e.g., venue purchase cost)
-        const initialCost = this.calculateInitialCost(venue.type, venue.size, venue.city);
+        const initialCost = await this.calculateInitialCost(venue.type, venue.size, venue.city);
         
         if (initialCost > 0) {
           await this.transactionDAO.recordTransaction({
@@ -123,12 +126,21 @@ const {
         }
   
         // Add each specific item
+        const itemIds = {};
         for (const item of specificItems) {
-          await this.inventoryDAO.addInventoryItem({
+          itemIds[item.name] = await this.inventoryDAO.addInventoryItem({
             ...item,
             venueId
           });
         }
+  
+        // Link made-to-order items to their ingredients
+        for (const item of specificItems.filter(hasRecipe)) {
+          await this.inventoryDAO.saveRecipe(itemIds[item.name], item.recipe.map(line => ({
+            ingredientItemId: itemIds[line.ingredient],
+            quantity: line.quantity
+          })));
+        }
       } catch (error) {
         console.error(`Error adding default inventory for venue ${venueId}:`, error);
         throw error;
@@ -185,17 +197,17 @@ const {
           name: 'Wine (Glass)',
           type: 'drinks',
           subtype: 'alcoholic',
-          costPrice: 2.00,
           sellPrice: 6.00,
-          stock: 30
+          stock: 0,
+          recipe: [{ ingredient: 'House Wine', quantity: 15 }]
         },
         {
           name: 'Whiskey',
           type: 'drinks',
           subtype: 'alcoholic',
-          costPrice: 2.50,
           sellPrice: 7.50,
-          stock: 20
+          stock: 0,
+          recipe: [{ ingredient: 'Scotch Whisky', quantity: 4 }]
         },
         {
           name: 'Soda',
@@ -207,7 +219,27 @@ const {
         }
       ];
   
-      return [...equipment, ...drinks];
+      // Ingredients, counted and priced in centilitres
+      const ingredients = [
+        {
+          name: 'House Wine',
+          type: 'ingredients',
+          subtype: 'wine',
+          unit: 'cl',
+          costPrice: 0.08,
+          stock: 750
+        },
+        {
+          name: 'Scotch Whisky',
+          type: 'ingredients',
+          subtype: 'spirit',
+          unit: 'cl',
+          costPrice: 0.50,
+          stock: 350
+        }
+      ];
+  
+      return this.withRecipeCosts([...equipment, ...drinks, ...ingredients]);
     }
   
     /**
@@ -288,25 +320,38 @@ const {
           name: 'Pasta',
           type: 'food',
           subtype: 'main',
-          costPrice: 3.00,
           sellPrice: 12.00,
-          stock: 20
+          stock: 0,
+          recipe: [
+            { ingredient: 'Dried Pasta', quantity: 120 },
+            { ingredient: 'Tomatoes', quantity: 150 },
+            { ingredient: 'Parmesan', quantity: 20 },
+            { ingredient: 'Olive Oil', quantity: 2 }
+          ]
         },
         {
           name: 'Steak',
           type: 'food',
           subtype: 'main',
-          costPrice: 7.00,
           sellPrice: 22.00,
-          stock: 15
+          stock: 0,
+          recipe: [
+            { ingredient: 'Beef Steak', quantity: 1 },
+            { ingredient: 'Potatoes', quantity: 200 },
+            { ingredient: 'Butter', quantity: 20 }
+          ]
         },
         {
           name: 'Salad',
           type: 'food',
           subtype: 'starter',
-          costPrice: 2.00,
           sellPrice: 8.00,
-          stock: 20
+          stock: 0,
+          recipe: [
+            { ingredient: 'Lettuce', quantity: 100 },
+            { ingredient: 'Tomatoes', quantity: 80 },
+            { ingredient: 'Olive Oil', quantity: 2 }
+          ]
         },
         {
           name: 'Dessert',
@@ -318,7 +363,88 @@ const {
         }
       ];
   
-      return [...equipment, ...drinks, ...food];
+      // Ingredients, counted and priced in grams, centilitres or units
+      const ingredients = [
+        {
+          name: 'Dried Pasta',
+          type: 'ingredients',
+          subtype: 'dry',
+          unit: 'g',
+          costPrice: 0.003,
+          stock: 5000
+        },
+        {
+          name: 'Tomatoes',
+          type: 'ingredients',
+          subtype: 'produce',
+          unit: 'g',
+          costPrice: 0.004,
+          stock: 6000
+        },
+        {
+          name: 'Parmesan',
+          type: 'ingredients',
+          subtype: 'dairy',
+          unit: 'g',
+          costPrice: 0.025,
+          stock: 1000
+        },
+        {
+          name: 'Olive Oil',
+          type: 'ingredients',
+          subtype: 'dry',
+          unit: 'cl',
+          costPrice: 0.05,
+          stock: 300
+        },
+        {
+          name: 'Beef Steak',
+          type: 'ingredients',
+          subtype: 'meat',
+          unit: 'unit',
+          costPrice: 5.50,
+          stock: 20
+        },
+        {
+          name: 'Potatoes',
+          type: 'ingredients',
+          subtype: 'produce',
+          unit: 'g',
+          costPrice: 0.002,
+          stock: 5000
+        },
+        {
+          name: 'Butter',
+          type: 'ingredients',
+          subtype: 'dairy',
+          unit: 'g',
+          costPrice: 0.01,
+          stock: 1000
+        },
+        {
+          name: 'Lettuce',
+          type: 'ingredients',
+          subtype: 'produce',
+          unit: 'g',
+          costPrice: 0.006,
+          stock: 3000
+        }
+      ];
+  
+      return this.withRecipeCosts([...equipment, ...drinks, ...food, ...ingredients]);
+    }
+  
+    /**
+     * Sets the cost price of made-to-order items from their ingredients
+     * @param {Array<Object>} items - Default inventory items, including the ingredients
+     * @returns {Array<Object>} The same items
+     */
+    withRecipeCosts(items) {
+      const ingredients = items.filter(item => item.type === 'ingredients');
+      items.filter(hasRecipe).forEach(item => {
+        item.costPrice = getRecipeCost(item.recipe, ingredients);
+      });
+      return items;
     }
   
     /**
@@ -513,9 +639,9 @@ const {
      * @param {string} venueType - Venue type
      * @param {string} venueSize - Venue size
      * @param {string} city - City where venue is located
-     * @returns {number} Initial cost
+     * @returns {Promise<number>} Initial cost
      */
-    calculateInitialCost(venueType, venueSize, city) {
+    async calculateInitialCost(venueType, venueSize, city) {
       // Base costs by venue type
       const typeCosts = {
         'Bar': 20000,
@@ -531,19 +657,10 @@ const {
         'large': 3
       };
       
-      // City multipliers (can be refined based on actual city data)
-      const cityMultipliers = {
-        'London': 1.5,
-        'Berlin': 1.2,
-        'Paris': 1.4,
-        'Madrid': 1.1,
-        'Rome': 1.3
-      };
-      
-      // Calculate cost based on type, size, and city
+      // Calculate cost based on type, size, and the city pack's rent level
       const baseCost = typeCosts[venueType] || 25000;
       const sizeMultiplier = sizeMultipliers[venueSize] || 1;
-      const cityMultiplier = cityMultipliers[city] || 1;
+      const cityMultiplier = (await this.cityDAO.getRentMultiplier(city)) || 1;
       
       return Math.round(baseCost * sizeMultiplier * cityMultiplier);
     }
@@ -677,7 +794,7 @@ const {
         }
         
         // Base value depends on venue type and size
-        const baseValue = this.calculateInitialCost(venue.type, venue.size, venue.city);
+        const baseValue = await this.calculateInitialCost(venue.type, venue.size, venue.city);
         
         // Value modifiers based on various factors
         let modifiers = 1.0;
@@ -734,7 +851,7 @@ const {
         }
         
         // Calculate upgrade cost
-        const upgradeCost = this.calculateUpgradeCost(venue.type, venue.size, newSize, venue.city);
+        const upgradeCost = await this.calculateUpgradeCost(venue.type, venue.size, newSize, venue.city);
         
         // Record the upgrade expense
         await this.transactionDAO.recordTransaction({
@@ -781,9 +898,9 @@ const {
      * @param {string} currentSize - Current venue size
      * @param {string} newSize - New venue size
      * @param {string} city - City where venue is located
-     * @returns {number} Upgrade cost
+     * @returns {Promise<number>} Upgrade cost
      */
-    calculateUpgradeCost(venueType, currentSize, newSize, city) {
+    async calculateUpgradeCost(venueType, currentSize, newSize, city) {
       // Base costs for upgrades by venue type
       const typeCosts = {
         'Bar': { 'small_to_medium': 15000, 'medium_to_large': 30000 },
@@ -792,23 +909,14 @@ const {
         'Fast Food': { 'small_to_medium': 18000, 'medium_to_large': 35000 }
       };
       
-      // City multipliers
-      const cityMultipliers = {
-        'London': 1.5,
-        'Berlin': 1.2,
-        'Paris': 1.4,
-        'Madrid': 1.1,
-        'Rome': 1.3
-      };
-      
       // Determine upgrade type
       const upgradeType = currentSize === 'small' ? 'small_to_medium' : 'medium_to_large';
       
       // Get base cost
       const baseCost = typeCosts[venueType]?.[upgradeType] || 20000;
       
-      // Apply city multiplier
-      const cityMultiplier = cityMultipliers[city] || 1;
+      // Apply the city pack's rent multiplier
+      const cityMultiplier = (await this.cityDAO.getRentMultiplier(city)) || 1;
       
       return Math.round(baseCost * cityMultiplier);
     }
@@ -1021,12 +1129,21 @@ const {
         }
         
         // Add each specific item
+        const itemIds = {};
         for (const item of specificItems) {
-          await this.inventoryDAO.addInventoryItem({
+          itemIds[item.name] = await this.inventoryDAO.addInventoryItem({
             ...item,
             venueId
           });
         }
+  
+        // Link made-to-order items to their ingredients
+        for (const item of specificItems.filter(hasRecipe)) {
+          await this.inventoryDAO.saveRecipe(itemIds[item.name], item.recipe.map(line => ({
+            ingredientItemId: itemIds[line.ingredient],
+            quantity: line.quantity
+          })));
+        }
       } catch (error) {
         console.error(`Error adding upgrade inventory for venue ${venueId}:`, error);
         throw error;
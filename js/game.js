@@ -1,6 +1,6 @@
 // Main game class that ties together all modules
 
-const { GAME_CONSTANTS } = require('./config');
+const { GAME_CONSTANTS, SAVES } = require('./config');
 const TimeManager = require('./modules/timeManager');
 const VenueManager = require('./modules/venueManager');
 const StaffManager = require('./modules/staffManager');
@@ -9,10 +9,14 @@ const FinancialManager = require('./modules/financialManager');
 const InventoryManager = require('./modules/inventoryManager');
 const EventManager = require('./modules/eventManager');
 const CityManager = require('./modules/cityManager');
+const MarketingManager = require('./modules/marketingManager');
+const SaveManager = require('./modules/saveManager');
+const UndoManager = require('./modules/undoManager');
 const UIManager = require('./ui/uiManager');
 const CommandProcessor = require('./ui/commandProcessor');
 const NotificationManager = require('./ui/notificationManager');
 const dbAPI = require('./database/api');
+const rng = require('./utils/rng');
 
 class Game {
   constructor() {
@@ -36,6 +40,7 @@ class Game {
     try {
       // Initialize the database system
       await dbAPI.initialize();
+      this.dbAPI = dbAPI;
       this.dbInitialized = true;
       
       if (this.notificationManager) {
@@ -60,12 +65,12 @@ class Game {
     this.cityManager = new CityManager(this);
     this.notificationManager = new NotificationManager(this);
     
-    // Start database initialization (async)
-    this.initializeDatabase()
+    // Start database initialization (async); databaseReady settles once it is done
+    this.databaseReady = this.initializeDatabase()
       .then(success => {
         if (success) {
           // When database is ready, sync in-memory state with database
-          this.syncStateWithDatabase();
+          return this.syncStateWithDatabase();
         }
       })
       .catch(error => {
@@ -79,6 +84,9 @@ class Game {
     this.financialManager = new FinancialManager(this);
     this.inventoryManager = new InventoryManager(this);
     this.eventManager = new EventManager(this);
+    this.marketingManager = new MarketingManager(this);
+    this.saveManager = new SaveManager(this);
+    this.undoManager = new UndoManager(this);
     
     // Initialize UI-related managers last
     this.uiManager = new UIManager(this);
@@ -93,10 +101,14 @@ class Game {
         reputation: 0,
         venues: []
       },
-      currentCity: 'London',
+      // The city packs' starting city, once they are loaded
+      currentCity: this.cityManager ? this.cityManager.getStartingCity() : null,
       currentVenue: null,
       customers: [],
       staff: [],
+      marketing: {
+        campaigns: []
+      },
       settings: {
         gamePaused: true,
         soundEnabled: true,
@@ -112,6 +124,12 @@ class Game {
     if (!this.dbInitialized) return;
     
     try {
+      // Make sure the city packs are in the database before anything references them
+      await this.cityManager.seedDatabase();
+      
+      // Bring saves from the old JSON save paths into the save slots
+      await this.saveManager.importLegacySaves();
+      
       // Get all settings from the database
       const settings = await dbAPI.settings.getSettingsByCategory('game');
       if (settings && Object.keys(settings).length > 0) {
@@ -141,6 +159,11 @@ class Game {
         }
       }
       
+      // Load running marketing campaigns
+      if (this.marketingManager) {
+        await this.marketingManager.loadFromDatabase();
+      }
+      
       // Update UI to reflect loaded data
       if (this.uiManager) {
         this.uiManager.updateDisplay();
@@ -197,6 +220,7 @@ class Game {
     
     // Initialize cities
     this.cityManager.initializeCities();
+    this.state.currentCity = this.cityManager.getStartingCity();
   }
   
   setupButtonListeners() {
@@ -250,6 +274,15 @@ class Game {
       // Reset game state
       this.initializeGameState();
       
+      // Start a fresh random sequence (its seed is saved with the game)
+      rng.seed(Date.now());
+      
+      // Count playtime from zero
+      this.saveManager.startSession();
+      
+      // Nothing from a previous game can be undone
+      this.undoManager.clear();
+      
       // Wait for database initialization if it's still in progress
       if (!this.dbInitialized) {
         await this.initializeDatabase();
@@ -264,7 +297,7 @@ class Game {
         const playerName = "Player";
         
         // Create new player in database
-        const newGameState = await dbAPI.gameService.initializeNewGame(playerName);
+        const newGameState = await dbAPI.gameService.initializeNewGame(playerName, this.state.currentCity);
         
         if (newGameState) {
           // Update in-memory state with database state
@@ -384,136 +417,14 @@ class Game {
     }
   }
   
-  async saveGame() {
-    // Prepare game data to save
-    const gameData = {
-      player: this.state.player,
-      gameTime: this.timeManager.getGameTime(),
-      cities: this.cityManager.getCities(),
-      currentCity: this.state.currentCity,
-      currentVenue: this.state.currentVenue,
-      staff: this.staffManager.getAllStaff(),
-      settings: this.state.settings,
-      lastSaveTime: new Date().toISOString()
-    };
-    
-    try {
-      if (this.dbInitialized) {
-        // Save via database
-        const saveResult = await dbAPI.gameService.saveGame(gameData, "Manual Save");
-        
-        if (saveResult.success) {
-          this.notificationManager.success('Game saved successfully to database!');
-        } else {
-          throw new Error("Database save failed");
-        }
-      } else {
-        // Fallback to storage API (via preload)
-        if (window.api) {
-          const result = await window.api.saveGame(gameData);
-          
-          if (result.success) {
-            this.notificationManager.success('Game saved successfully!');
-          } else {
-            throw new Error(result.error || "Save failed");
-          }
-        } else {
-          this.notificationManager.error('Save functionality not available.');
-          return false;
-        }
-      }
-      
-      return true;
-    } catch (error) {
-      console.error('Error saving game:', error);
-      this.notificationManager.error('Failed to save game: ' + error.message);
-      return false;
-    }
+  async saveGame(saveName = SAVES.defaultSlot) {
+    return this.saveManager.save(saveName);
   }
   
-  async loadGame() {
+  async loadGame(saveName) {
     try {
-      if (this.dbInitialized) {
-        // Get list of saved games
-        const savedGames = await dbAPI.gameService.getSavedGames();
-        
-        if (savedGames.length === 0) {
-          this.notificationManager.warning('No saved games found.');
-          return false;
-        }
-        
-        // For demonstration, load the most recent save
-        const mostRecentSave = savedGames[0];
-        const loadResult = await dbAPI.gameService.loadGame(mostRecentSave.id);
-        
-        if (loadResult.success) {
-          // Update in-memory state with loaded data
-          const { gameState } = loadResult;
-          
-          // Restore player data
-          this.state.player = gameState.player;
-          
-          // Restore city data
-          this.cityManager.setCities(gameState.cities);
-          this.state.currentCity = gameState.currentCity;
-          
-          // Restore venue
-          this.state.currentVenue = gameState.currentVenue;
-          
-          // Restore time
-          this.timeManager.setGameTime(gameState.gameTime);
-          
-          // Restore staff
-          this.staffManager.setAllStaff(gameState.staff);
-          
-          // Restore settings
-          this.state.settings = gameState.settings;
-          
-          // Save current player and venue IDs to settings
-          await dbAPI.settings.setSetting('current_player_id', this.state.player.id, 'game');
-          if (this.state.currentVenue) {
-            await dbAPI.settings.setSetting('current_venue_id', this.state.currentVenue.id, 'game');
-          }
-          
-          this.notificationManager.success('Game loaded successfully from database!');
-        } else {
-          throw new Error("Failed to load game data");
-        }
-      } else {
-        // Fallback to file storage via preload
-        if (window.api) {
-          const gameData = await window.api.loadGame();
-          
-          if (gameData) {
-            // Restore player data
-            this.state.player = gameData.player;
-            
-            // Restore city data
-            this.cityManager.setCities(gameData.cities);
-            this.state.currentCity = gameData.currentCity;
-            
-            // Restore venue
-            this.state.currentVenue = gameData.currentVenue;
-            
-            // Restore time
-            this.timeManager.setGameTime(gameData.gameTime);
-            
-            // Restore staff
-            this.staffManager.setAllStaff(gameData.staff);
-            
-            // Restore settings
-            this.state.settings = gameData.settings;
-            
-            this.notificationManager.success('Game loaded successfully from file!');
-          } else {
-            this.notificationManager.warning('No saved game found.');
-            return false;
-          }
-        } else {
-          this.notificationManager.error('Load functionality not available.');
-          return false;
-        }
-      }
+      const loaded = await this.saveManager.load(saveName);
+      if (!loaded) return false;
       
       // Update UI
       this.uiManager.updateDisplay();
@@ -522,7 +433,8 @@ class Game {
       this.initializeUI();
       
       // Hide main menu
-      document.getElementById('main-menu').style.display = 'none';
+      const mainMenu = document.getElementById('main-menu');
+      if (mainMenu) mainMenu.style.display = 'none';
       
       // Resume game clock if it was running
       if (!this.state.settings.gamePaused) {
@@ -587,7 +499,7 @@ class Game {
       this.eventManager.checkForRandomEvents();
       
       // Check inventory levels periodically
-      if (Math.random() < 0.1) { // 10% chance each tick
+      if (rng.random() < 0.1) { // 10% chance each tick
         const lowStock = this.inventoryManager.checkInventoryLevels(this.state.currentVenue);
         if (lowStock && lowStock.length > 0) {
           this.notificationManager.warning(`You have ${lowStock.length} items with low stock. Use 'checkstock' for details.`);
@@ -604,13 +516,7 @@ class Game {
     
     // Autosave every in-game day at midnight
     if (gameTime.hour === 0 && gameTime.minute === 0) {
-      if (this.dbInitialized) {
-        // Use database for autosave
-        await this.saveGame();
-      } else {
-        // Fallback to file storage
-        this.saveGame();
-      }
+      await this.saveGame(SAVES.autosaveSlot);
     }
   }
   
@@ -693,8 +599,8 @@ class Game {
   }
 }
 
-// Create global game instance when the module is imported
-const game = new Game();
+// Create global game instance when the module is imported in the renderer
+const game = typeof window !== 'undefined' ? new Game() : null;
 
-// Export the game instance
-module.exports = game;
\ No newline at end of file
+// Export the game instance, plus the class for headless runs
+module.exports = { game, Game };
\ No newline at end of file
@@ -0,0 +1,69 @@
+// js/modules/city/cityPackLoader.js
+// Loads city definitions from JSON packs
+
+const fs = require('fs');
+const path = require('path');
+const { validateCityPack } = require('../../utils/validator');
+
+// Packs shipped with the game; modders can drop extra <city>.json files here
+const DEFAULT_CITY_PACK_DIRECTORY = path.join(__dirname, '../../data/cities');
+
+/**
+ * Read every *.json city pack in the given directories.
+ * Invalid packs are skipped with a warning. Directories are read in order and
+ * files alphabetically, so a later pack with the same city name replaces an
+ * earlier one (e.g. a mod adjusting London).
+ * @param {Array<string>} [directories] - Directories to read
+ * @returns {Array<Object>} Valid city packs
+ */
+function loadCityPacks(directories = [DEFAULT_CITY_PACK_DIRECTORY]) {
+  const packs = new Map();
+
+  directories.forEach(directory => {
+    if (!fs.existsSync(directory)) {
+      console.warn(`City pack directory not found: ${directory}`);
+      return;
+    }
+
+    fs.readdirSync(directory)
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .forEach(file => {
+        const pack = readCityPack(path.join(directory, file));
+        if (pack) {
+          packs.set(pack.name, pack);
+        }
+      });
+  });
+
+  return Array.from(packs.values());
+}
+
+/**
+ * Read and validate a single city pack
+ * @param {string} filePath - Path to the JSON file
+ * @returns {Object|null} The pack, or null if it can't be used
+ */
+function readCityPack(filePath) {
+  let pack;
+  try {
+    pack = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.warn(`Skipping city pack ${filePath}: ${error.message}`);
+    return null;
+  }
+
+  const errors = validateCityPack(pack);
+  if (errors.length > 0) {
+    console.warn(`Skipping invalid city pack ${filePath}:\n  ${errors.join('\n  ')}`);
+    return null;
+  }
+
+  return pack;
+}
+
+module.exports = {
+  DEFAULT_CITY_PACK_DIRECTORY,
+  loadCityPacks,
+  readCityPack
+};
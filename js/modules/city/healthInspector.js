@@ -0,0 +1,323 @@
+// js/modules/city/healthInspector.js
+// Carries out health inspections and follows up on failed ones
+
+const { withDatabaseFallback, isDatabaseAvailable } = require('../../database/dbUtils');
+const { createLogger } = require('../../utils/logger');
+const { generateEntityId } = require('../../utils/idGenerator');
+const time = require('../time');
+
+// Equipment at or below this condition is written up by the inspector
+const EQUIPMENT_MAINTENANCE_THRESHOLD = 40;
+
+// Score lost per food poisoning report in the lookback window
+const FOOD_POISONING_PENALTY = 15;
+const FOOD_POISONING_LOOKBACK_DAYS = 30;
+
+// Days between a failed inspection and the re-inspection
+const REINSPECTION_DAYS = 7;
+
+// Fines are multiplied when a re-inspection fails again
+const REPEAT_FAILURE_MULTIPLIER = 2;
+
+// Reports kept on the venue; the database keeps the full history
+const MAX_STORED_REPORTS = 10;
+
+// Grades from best to worst. D and F fail, bringing a fine and a closure.
+const GRADES = [
+  { grade: 'A', minScore: 90, popularity: 5 },
+  { grade: 'B', minScore: 80, popularity: 2 },
+  { grade: 'C', minScore: 70, popularity: 0 },
+  { grade: 'D', minScore: 55, popularity: -5, baseFine: 200, closureDays: 1 },
+  { grade: 'F', minScore: 0, popularity: -15, baseFine: 500, closureDays: 3 }
+];
+
+const PASSING_SCORE = 70;
+
+/**
+ * Scores a venue on cleanliness, equipment condition, kitchen staff skills
+ * and recent food poisoning reports, and grades it from A to F. Every
+ * inspection produces a report that is kept on the venue and stored in the
+ * database. A failing grade brings a fine, a short closure and a
+ * re-inspection a week later; a passing grade schedules the next routine
+ * visit using the city's inspection frequency.
+ */
+class HealthInspector {
+  /**
+   * Create a new HealthInspector instance
+   * @param {Object} game - The main game object
+   */
+  constructor(game) {
+    this.game = game;
+    this.logger = createLogger(game);
+  }
+
+  /**
+   * Inspect a venue
+   * @param {Object} venue - Venue to inspect
+   * @param {Object} [options] - Inspection options
+   * @param {boolean} [options.reinspection] - Follow-up to a failed inspection
+   * @returns {Promise<Object>} The inspection report
+   */
+  async inspect(venue, options = {}) {
+    const reinspection = Boolean(options.reinspection);
+    this.logger.warning(
+      reinspection ?
+        `The health inspector is back at ${venue.name} for a re-inspection.` :
+        `A health inspector has arrived at ${venue.name} for a surprise inspection!`,
+      'CITY'
+    );
+
+    const findings = [];
+    const cleanliness = this.scoreCleanliness(venue, findings);
+    const equipment = await this.scoreEquipment(venue, findings);
+    const kitchen = this.scoreKitchen(venue, findings);
+
+    const incidents = this.countFoodPoisoningIncidents(venue);
+    if (incidents > 0) {
+      findings.push(`${incidents} food poisoning report${incidents === 1 ? '' : 's'} in the last ${FOOD_POISONING_LOOKBACK_DAYS} days`);
+    }
+
+    // Venues without a kitchen are judged on the premises alone
+    const weighted = kitchen === null ?
+      cleanliness * 0.6 + equipment * 0.4 :
+      cleanliness * 0.4 + equipment * 0.3 + kitchen * 0.3;
+    const score = Math.max(0, Math.min(100, Math.round(weighted - incidents * FOOD_POISONING_PENALTY)));
+    const band = this.getGradeBand(score);
+
+    const gameTime = time.getGameTime();
+    const report = {
+      id: generateEntityId('inspection'),
+      venueId: venue.id,
+      date: time.toISOString(gameTime),
+      score,
+      grade: band.grade,
+      passed: score >= PASSING_SCORE,
+      reinspection,
+      components: { cleanliness, equipment, kitchen },
+      foodPoisoningIncidents: incidents,
+      findings,
+      fine: 0,
+      closedUntil: null,
+      nextInspection: null
+    };
+
+    this.applyOutcome(venue, report, band);
+    this.scheduleNextInspection(venue, report);
+    this.recordReport(venue, report);
+    this.saveReport(report);
+
+    return report;
+  }
+
+  /**
+   * Get the grade band for a score
+   * @param {number} score - Inspection score (0-100)
+   * @returns {Object} Grade band from GRADES
+   */
+  getGradeBand(score) {
+    return GRADES.find(band => score >= band.minScore) || GRADES[GRADES.length - 1];
+  }
+
+  /**
+   * Get the reports kept on a venue, newest first
+   * @param {Object} venue - Venue
+   * @returns {Array<Object>} Inspection reports
+   */
+  getReports(venue) {
+    return [...(venue.inspectionReports || [])].reverse();
+  }
+
+  /**
+   * Score the venue's cleanliness
+   * @private
+   * @param {Object} venue - Venue being inspected
+   * @param {Array<string>} findings - Findings to add to
+   * @returns {number} Score (0-100)
+   */
+  scoreCleanliness(venue, findings) {
+    const score = Math.round(Math.max(0, Math.min(100, venue.stats.cleanliness)));
+    if (score < PASSING_SCORE) {
+      findings.push(`Premises are not clean enough (${score}%)`);
+    }
+    return score;
+  }
+
+  /**
+   * Score the condition of the venue's equipment. Each item needing
+   * maintenance costs more points the worse its condition.
+   * @private
+   * @param {Object} venue - Venue being inspected
+   * @param {Array<string>} findings - Findings to add to
+   * @returns {Promise<number>} Score (0-100)
+   */
+  async scoreEquipment(venue, findings) {
+    const worn = await withDatabaseFallback(
+      this.game,
+      'inventory',
+      'getEquipmentNeedingMaintenance',
+      [venue.id, EQUIPMENT_MAINTENANCE_THRESHOLD],
+      async () => ((venue.inventory && venue.inventory.equipment) || [])
+        .filter(item => item.condition <= EQUIPMENT_MAINTENANCE_THRESHOLD)
+    );
+
+    let score = 100;
+    (worn || []).forEach(item => {
+      score -= 10 + (EQUIPMENT_MAINTENANCE_THRESHOLD - item.condition) / 2;
+      findings.push(`${item.name} needs maintenance (condition ${Math.round(item.condition)}%)`);
+    });
+
+    return Math.max(0, Math.round(score));
+  }
+
+  /**
+   * Score the food hygiene skills of the kitchen staff
+   * @private
+   * @param {Object} venue - Venue being inspected
+   * @param {Array<string>} findings - Findings to add to
+   * @returns {number|null} Score (0-100), or null if the venue doesn't serve food
+   */
+  scoreKitchen(venue, findings) {
+    if (!venue.licences || !venue.licences.food) return null;
+
+    const cooks = this.game.staffManager ?
+      this.game.staffManager.getStaffByVenue(venue.id).filter(staff => staff.type === 'cook') : [];
+
+    if (cooks.length === 0) {
+      findings.push('Food is served but no cook is employed');
+      return 0;
+    }
+
+    const averageSkill = cooks.reduce((total, cook) => total + ((cook.skills && cook.skills.cooking) || 0), 0) / cooks.length;
+    const score = Math.min(100, Math.round(30 + averageSkill));
+    if (score < PASSING_SCORE) {
+      findings.push(`Kitchen staff lack food hygiene skills (${score}%)`);
+    }
+    return score;
+  }
+
+  /**
+   * Count recent food poisoning reports for a venue
+   * @private
+   * @param {Object} venue - Venue being inspected
+   * @returns {number} Reports in the lookback window
+   */
+  countFoodPoisoningIncidents(venue) {
+    if (!this.game.eventManager) return 0;
+    return this.game.eventManager
+      .getRecentEvents(venue.id, 'food_poisoning', FOOD_POISONING_LOOKBACK_DAYS)
+      .length;
+  }
+
+  /**
+   * Apply the popularity change and, for failing grades, the fine and closure
+   * @private
+   * @param {Object} venue - Inspected venue
+   * @param {Object} report - Inspection report
+   * @param {Object} band - Grade band
+   */
+  applyOutcome(venue, report, band) {
+    venue.stats.popularity = Math.max(0, Math.min(100, venue.stats.popularity + band.popularity));
+
+    if (report.passed) {
+      this.logger.success(
+        `${venue.name} passed its health inspection with grade ${report.grade} (${report.score}/100).`,
+        'CITY'
+      );
+      return;
+    }
+
+    let fine = band.baseFine + Math.round((PASSING_SCORE - report.score) * 10);
+    if (report.reinspection) {
+      fine *= REPEAT_FAILURE_MULTIPLIER;
+    }
+    report.fine = fine;
+
+    this.logger.error(
+      `${venue.name} failed its health inspection with grade ${report.grade} (${report.score}/100): ${report.findings.join('; ')}.`,
+      'CITY'
+    );
+
+    if (this.game.financialManager) {
+      this.game.financialManager.expenseManager.payFine(venue, 'health_inspection', fine);
+    }
+    this.logger.error(`You've been fined €${fine} for health code violations.`, 'CITY');
+
+    const regulationEngine = this.game.cityManager.regulationEngine;
+    regulationEngine.closeVenue(venue, `failed health inspection (grade ${report.grade})`, band.closureDays);
+    report.closedUntil = time.toISOString({ ...venue.forcedClosure.until, hour: 0, minute: 0 });
+  }
+
+  /**
+   * Schedule a re-inspection after a failure, or the next routine inspection
+   * @private
+   * @param {Object} venue - Inspected venue
+   * @param {Object} report - Inspection report
+   */
+  scheduleNextInspection(venue, report) {
+    const cityManager = this.game.cityManager;
+    if (!cityManager.getCity(venue.city)) return;
+
+    const event = cityManager.scheduleHealthInspection(
+      venue.city,
+      venue.id,
+      report.passed ? undefined : REINSPECTION_DAYS
+    );
+
+    if (!report.passed) {
+      event.reinspection = true;
+      event.description = 'Health re-inspection';
+      this.logger.warning(
+        `The inspector will return on ${event.scheduledDay}/${event.scheduledMonth}/${event.scheduledYear}.`,
+        'CITY'
+      );
+    }
+
+    if (this.game.eventManager) {
+      this.game.eventManager.scheduleEvent(event);
+    }
+
+    report.nextInspection = time.toISOString({
+      year: event.scheduledYear,
+      month: event.scheduledMonth,
+      day: event.scheduledDay,
+      hour: event.scheduledHour,
+      minute: 0
+    });
+  }
+
+  /**
+   * Keep a report on the venue and update its inspection stats
+   * @private
+   * @param {Object} venue - Inspected venue
+   * @param {Object} report - Inspection report
+   */
+  recordReport(venue, report) {
+    if (!venue.inspectionReports) {
+      venue.inspectionReports = [];
+    }
+
+    venue.inspectionReports.push(report);
+    if (venue.inspectionReports.length > MAX_STORED_REPORTS) {
+      venue.inspectionReports.shift();
+    }
+
+    venue.stats.lastHealthInspection = report.date;
+    venue.stats.healthInspectionScore = report.score;
+    venue.stats.healthInspectionGrade = report.grade;
+  }
+
+  /**
+   * Store a report in the database
+   * @private
+   * @param {Object} report - Inspection report
+   */
+  saveReport(report) {
+    if (!isDatabaseAvailable(this.game, 'inspection')) return;
+
+    this.game.dbAPI.inspection.createReport(report).catch(error => {
+      this.logger.error(`Error saving health inspection report: ${error.message}`, 'DATABASE');
+    });
+  }
+}
+
+module.exports = HealthInspector;
@@ -0,0 +1,403 @@
+// js/modules/city/regulationEngine.js
+// Announces city regulation changes and enforces venue compliance
+
+const { createLogger } = require('../../utils/logger');
+const eventBus = require('../../utils/eventBus');
+const rng = require('../../utils/rng');
+const time = require('../time');
+
+// Days between announcing a change and it taking effect
+const NOTICE_DAYS = 14;
+
+// Minimum days between two announcements in the same city
+const ANNOUNCEMENT_COOLDOWN_DAYS = 30;
+
+// Days a venue is warned before fines start
+const GRACE_DAYS = 3;
+
+// Daily fine per violation; each fine in a row adds another step
+const BASE_FINE = 150;
+
+// Fines in a row before the city closes the venue
+const FINES_BEFORE_CLOSURE = 5;
+
+// Length of a forced closure in days
+const CLOSURE_DAYS = 3;
+
+const REGULATION_TYPES = ['hours', 'noise', 'alcohol_license', 'smoking', 'minimum_wage'];
+
+/**
+ * Turns regulations into rules that change over time. Changes are announced
+ * NOTICE_DAYS ahead as a new regulation version and take effect on their
+ * effective date. Each day, venues that break the rules in force are warned,
+ * then fined with growing amounts, and finally closed for a few days.
+ *
+ * State lives on the city and venue objects (pendingRegulations,
+ * venue.compliance, venue.forcedClosure) so it is saved with the game.
+ */
+class RegulationEngine {
+  /**
+   * Create a new RegulationEngine instance
+   * @param {Object} game - The main game object
+   */
+  constructor(game) {
+    this.game = game;
+    this.logger = createLogger(game);
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event listeners for game events
+   */
+  setupEventListeners() {
+    if (time) {
+      time.onDay((gameTime) => {
+        this.processDailyRegulations(gameTime);
+      });
+    }
+  }
+
+  /**
+   * Bring due changes into force, then check every venue
+   * @param {Object} gameTime - Current game time
+   */
+  processDailyRegulations(gameTime) {
+    this.applyDueChanges(gameTime);
+
+    (this.game.state.player.venues || []).forEach(venue => {
+      this.enforceCompliance(venue, gameTime);
+    });
+  }
+
+  /**
+   * Announce a regulation change for a city
+   * @param {string} cityName - City name
+   * @param {string} [type] - One of REGULATION_TYPES; random if omitted
+   * @returns {Object|null} The pending change, or null if nothing was announced
+   */
+  proposeChange(cityName, type) {
+    const cityManager = this.game.cityManager;
+    const city = cityManager.getCity(cityName);
+    if (!city) return null;
+
+    if (!city.pendingRegulations) {
+      city.pendingRegulations = [];
+    }
+
+    // One change at a time, and not too often
+    const today = this.toDate(time.getGameTime());
+    if (city.pendingRegulations.length > 0) return null;
+    if (city.lastRegulationAnnouncement &&
+        time.getDateDifferenceInDays(city.lastRegulationAnnouncement, today) < ANNOUNCEMENT_COOLDOWN_DAYS) {
+      return null;
+    }
+
+    const regulationType = REGULATION_TYPES.includes(type) ?
+      type : REGULATION_TYPES[Math.floor(rng.random() * REGULATION_TYPES.length)];
+
+    const change = this.buildChange(regulationType, cityManager.toRules(city.regulations));
+    if (!change) return null;
+
+    const pending = {
+      version: (city.regulations.version || 1) + 1,
+      type: regulationType,
+      rules: change.rules,
+      description: change.description,
+      announcedDate: today,
+      effectiveDate: time.addDaysToDate(today, NOTICE_DAYS)
+    };
+
+    city.pendingRegulations.push(pending);
+    city.lastRegulationAnnouncement = today;
+
+    this.logger.warning(
+      `${cityName} has announced new regulations: ${change.description}. ` +
+      `They take effect on ${this.formatDate(pending.effectiveDate)}.`,
+      'CITY'
+    );
+
+    this.saveVersion(city, pending);
+    return pending;
+  }
+
+  /**
+   * Work out the new rules for a regulation change
+   * @param {string} type - Regulation type
+   * @param {Object} rules - Rules currently in force (city pack form)
+   * @returns {Object|null} New rules and a description, or null if the rule can't change
+   */
+  buildChange(type, rules) {
+    const next = { ...rules, openingHours: { ...rules.openingHours } };
+    const tighten = rng.random() < 0.7;
+
+    switch (type) {
+      case 'hours': {
+        const { earliest, latest } = rules.openingHours;
+
+        if (earliest === 0 && latest >= 24) {
+          // Round-the-clock cities can only get stricter
+          next.openingHours = { earliest: 6, latest: 4 };
+        } else {
+          const newLatest = (latest % 24 + (tighten ? 23 : 1)) % 24;
+          if (newLatest === earliest) return null;
+          next.openingHours.latest = newLatest;
+        }
+
+        return {
+          rules: next,
+          description: `venues may open from ${next.openingHours.earliest}:00 and must close by ${next.openingHours.latest}:00`
+        };
+      }
+
+      case 'noise': {
+        next.noiseLimit = Math.max(40, Math.min(100, rules.noiseLimit + (tighten ? -5 : 5)));
+        if (next.noiseLimit === rules.noiseLimit) return null;
+        return { rules: next, description: `the noise limit changes to ${next.noiseLimit}` };
+      }
+
+      case 'alcohol_license': {
+        const increase = 1.05 + rng.random() * 0.2;
+        next.alcoholLicenseCost = Math.round(rules.alcoholLicenseCost * increase / 10) * 10;
+        return { rules: next, description: `the alcohol license now costs €${next.alcoholLicenseCost}` };
+      }
+
+      case 'smoking': {
+        // Bans are never lifted once introduced
+        if (rules.smokingBan) return null;
+        next.smokingBan = true;
+        return { rules: next, description: 'smoking is banned inside venues' };
+      }
+
+      case 'minimum_wage': {
+        const increase = 1.03 + rng.random() * 0.05;
+        next.minimumWage = rules.minimumWage > 0 ? Math.round(rules.minimumWage * increase) : 250;
+        return { rules: next, description: `the minimum wage rises to €${next.minimumWage}/week` };
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Bring announced changes into force once their effective date is reached
+   * @param {Object} gameTime - Current game time
+   */
+  applyDueChanges(gameTime) {
+    const cityManager = this.game.cityManager;
+    const today = this.toDate(gameTime);
+
+    Object.values(cityManager.getCities()).forEach(city => {
+      const pending = city.pendingRegulations || [];
+
+      while (pending.length > 0 && !time.isDateEarlier(today, pending[0].effectiveDate)) {
+        const change = pending.shift();
+        city.regulations = cityManager.createRegulations(change.rules, change.version);
+
+        this.logger.warning(`New regulations are now in force in ${city.name}: ${change.description}.`, 'CITY');
+      }
+    });
+  }
+
+  /**
+   * Check a venue against the rules in force and escalate if it breaks them
+   * @param {Object} venue - Venue to check
+   * @param {Object} gameTime - Current game time
+   */
+  enforceCompliance(venue, gameTime) {
+    const today = this.toDate(gameTime);
+
+    if (!venue.compliance) {
+      venue.compliance = { daysInBreach: 0, consecutiveFines: 0 };
+    }
+
+    if (venue.forcedClosure) {
+      if (time.isDateEarlier(today, venue.forcedClosure.until)) return;
+      this.reopenVenue(venue);
+    }
+
+    const violations = this.getViolations(venue);
+    const compliance = venue.compliance;
+
+    if (violations.length === 0) {
+      if (compliance.daysInBreach > 0) {
+        this.logger.success(`${venue.name} now complies with ${venue.city} regulations.`, 'CITY');
+      }
+      compliance.daysInBreach = 0;
+      compliance.consecutiveFines = 0;
+      return;
+    }
+
+    compliance.daysInBreach++;
+
+    if (compliance.daysInBreach <= GRACE_DAYS) {
+      const daysLeft = GRACE_DAYS - compliance.daysInBreach + 1;
+      this.logger.warning(
+        `${venue.name} breaks ${venue.city} regulations: ${violations.join('; ')}. ` +
+        `Fix this within ${daysLeft} day${daysLeft === 1 ? '' : 's'} to avoid fines.`,
+        'CITY'
+      );
+      return;
+    }
+
+    compliance.consecutiveFines++;
+    const fine = BASE_FINE * violations.length * compliance.consecutiveFines;
+
+    if (this.game.financialManager) {
+      this.game.financialManager.expenseManager.payFine(venue, 'regulation', fine);
+    }
+    this.logger.error(`${venue.name} was fined €${fine} for breaking ${venue.city} regulations: ${violations.join('; ')}.`, 'CITY');
+
+    if (compliance.consecutiveFines >= FINES_BEFORE_CLOSURE) {
+      compliance.consecutiveFines = 0;
+      this.closeVenue(venue, `repeated violations: ${violations.join('; ')}`);
+    }
+  }
+
+  /**
+   * List the ways a venue breaks the rules in force
+   * @param {Object} venue - Venue to check
+   * @returns {Array<string>} Violations; empty if the venue complies
+   */
+  getViolations(venue) {
+    const cityManager = this.game.cityManager;
+    const city = cityManager.getCity(venue.city);
+    if (!city || !venue.settings) return [];
+
+    const violations = [];
+    const regulations = city.regulations;
+    const { openingHour, closingHour, musicVolume, smokingAllowed } = venue.settings;
+
+    if (!cityManager.isWithinOpeningHoursRegulation(venue.city, openingHour, closingHour)) {
+      const permitted = regulations.openingHoursRestriction;
+      violations.push(`opening hours ${openingHour}:00-${closingHour}:00 are outside the permitted ${permitted.earliest}:00-${permitted.latest}:00`);
+    }
+
+    if (!cityManager.checkNoiseCompliance(venue.city, musicVolume)) {
+      violations.push(`music volume ${musicVolume} is above the noise limit of ${regulations.maxNoiseLevelAllowed}`);
+    }
+
+    if (smokingAllowed && cityManager.isSmokingBanned(venue.city)) {
+      violations.push('smoking is allowed despite the smoking ban');
+    }
+
+    const minimumWage = cityManager.getMinimumWage(venue.city);
+    if (minimumWage > 0 && this.game.staffManager) {
+      const underpaid = this.game.staffManager.getStaffByVenue(venue.id)
+        .filter(staff => staff.wage < minimumWage);
+      if (underpaid.length > 0) {
+        violations.push(`${underpaid.length} staff paid below the minimum wage of €${minimumWage}/week`);
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * Get the compliance status of a venue
+   * @param {Object} venue - Venue to check
+   * @returns {Object} Violations, days in breach, grace days left and any closure
+   */
+  getComplianceStatus(venue) {
+    const compliance = venue.compliance || { daysInBreach: 0, consecutiveFines: 0 };
+
+    return {
+      violations: this.getViolations(venue),
+      daysInBreach: compliance.daysInBreach,
+      graceDaysLeft: Math.max(0, GRACE_DAYS - compliance.daysInBreach),
+      consecutiveFines: compliance.consecutiveFines,
+      closedUntil: venue.forcedClosure ? venue.forcedClosure.until : null
+    };
+  }
+
+  /**
+   * Check whether the city has closed a venue
+   * @param {Object} venue - Venue to check
+   * @returns {boolean} True if the venue is under a forced closure
+   */
+  isForcedClosed(venue) {
+    return Boolean(venue && venue.forcedClosure);
+  }
+
+  /**
+   * Close a venue by order of the city authorities. An existing closure is
+   * only ever extended, never shortened.
+   * @param {Object} venue - Venue to close
+   * @param {string} reason - Reason for the closure
+   * @param {number} [days=CLOSURE_DAYS] - Length of the closure in days
+   */
+  closeVenue(venue, reason, days = CLOSURE_DAYS) {
+    const today = this.toDate(time.getGameTime());
+    const until = time.addDaysToDate(today, days);
+
+    if (venue.forcedClosure && !time.isDateEarlier(venue.forcedClosure.until, until)) {
+      return;
+    }
+
+    venue.forcedClosure = {
+      reason,
+      since: venue.forcedClosure ? venue.forcedClosure.since : today,
+      until
+    };
+
+    this.logger.error(
+      `${venue.city} authorities have closed ${venue.name} until ${this.formatDate(until)} for ${reason}.`,
+      'CITY'
+    );
+    eventBus.emit('venueClosed', venue);
+  }
+
+  /**
+   * End a forced closure
+   * @private
+   * @param {Object} venue - Venue to reopen
+   */
+  reopenVenue(venue) {
+    venue.forcedClosure = null;
+    this.logger.info(`${venue.name} may reopen. Make sure it complies with ${venue.city} regulations.`, 'CITY');
+    eventBus.emit('venueOpened', venue);
+  }
+
+  /**
+   * Store an announced regulation version in the database
+   * @private
+   * @param {Object} city - City
+   * @param {Object} pending - Pending change
+   */
+  saveVersion(city, pending) {
+    if (!this.game.dbInitialized || !this.game.dbAPI || !city.id) return;
+
+    this.game.dbAPI.city.addRegulationVersion(city.id, {
+      version: pending.version,
+      rules: pending.rules,
+      description: pending.description,
+      announcedDate: time.toISOString({ ...pending.announcedDate, hour: 0, minute: 0 }),
+      effectiveDate: time.toISOString({ ...pending.effectiveDate, hour: 0, minute: 0 })
+    }).catch(error => {
+      this.logger.error(`Error saving regulation change: ${error.message}`, 'DATABASE');
+    });
+  }
+
+  /**
+   * Strip a game time down to its date
+   * @private
+   * @param {Object} gameTime - Game time
+   * @returns {Object} Date with year, month and day
+   */
+  toDate(gameTime) {
+    return { year: gameTime.year, month: gameTime.month, day: gameTime.day };
+  }
+
+  /**
+   * Format a date for messages
+   * @private
+   * @param {Object} date - Date with year, month and day
+   * @returns {string} Date as DD/MM/YYYY
+   */
+  formatDate(date) {
+    return `${String(date.day).padStart(2, '0')}/${String(date.month).padStart(2, '0')}/${date.year}`;
+  }
+}
+
+module.exports = RegulationEngine;
@@ -1,34 +1,137 @@
 // City Manager - Handles city-specific properties and differences
 
-const { GAME_CONSTANTS, CITY_DATA } = require('../config');
+const { TAXES } = require('../config');
+const { loadCityPacks } = require('./city/cityPackLoader');
+const RegulationEngine = require('./city/regulationEngine');
+const HealthInspector = require('./city/healthInspector');
+const rng = require('../utils/rng');
+const time = require('./time');
 
 class CityManager {
   constructor(game) {
     this.game = game;
     this.cities = {};
+    this.packs = [];
+    
+    // Announces regulation changes and enforces compliance
+    this.regulationEngine = new RegulationEngine(game);
+
+    // Carries out scheduled health inspections
+    this.healthInspector = new HealthInspector(game);
   }
   
-  initializeCities() {
-    // Initialize all cities with their base properties
-    GAME_CONSTANTS.CITIES.forEach(cityName => {
-      this.cities[cityName] = {
-        name: cityName,
-        rentMultiplier: CITY_DATA[cityName].rentMultiplier,
-        wageMultiplier: CITY_DATA[cityName].wageMultiplier,
-        customerAffluence: CITY_DATA[cityName].customerAffluence,
+  /**
+   * Build the cities from the JSON city packs
+   * @param {Array<string>} [directories] - Pack directories; defaults to js/data/cities
+   */
+  initializeCities(directories) {
+    this.packs = loadCityPacks(directories);
+    this.cities = {};
+
+    this.packs.forEach(pack => {
+      this.cities[pack.name] = {
+        name: pack.name,
+        country: pack.country || null,
+        rentMultiplier: pack.rentMultiplier,
+        wageMultiplier: pack.wageMultiplier,
+        customerAffluence: pack.customerAffluence,
+        priceLevel: pack.priceLevel || 1, // Local menu prices relative to PRICING.referencePrices
+        taxes: { ...TAXES.defaultRates, ...pack.taxes }, // VAT, payroll and corporate tax rates
         popularity: 50, // Base popularity out of 100
-        regulations: {
-          openingHoursRestriction: CITY_DATA[cityName].openingHours,
-          alcoholLicenseCost: CITY_DATA[cityName].alcoholLicenseCost,
-          maxNoiseLevelAllowed: CITY_DATA[cityName].noiseRestriction,
-          healthInspectionFrequency: CITY_DATA[cityName].healthInspectionFrequency
-        },
+        regulations: this.createRegulations(pack.regulations, 1),
+        pendingRegulations: [], // Announced changes that are not in force yet
+        names: pack.names || {}, // Local name lists for staff and customers
         events: [], // For city-specific events
+        patrons: [], // Named regulars, filled when customers first arrive
         venues: [] // All venues in the city
       };
     });
   }
   
+  /**
+   * Convert rules in city pack form to the regulations kept on a city
+   * @param {Object} rules - Rules (openingHours, noiseLimit, alcoholLicenseCost, ...)
+   * @param {number} version - Regulation version
+   * @returns {Object} City regulations
+   */
+  createRegulations(rules, version) {
+    return {
+      version,
+      openingHoursRestriction: { ...rules.openingHours },
+      alcoholLicenseCost: rules.alcoholLicenseCost,
+      maxNoiseLevelAllowed: rules.noiseLimit,
+      healthInspectionFrequency: rules.healthInspectionFrequency,
+      smokingBan: Boolean(rules.smokingBan),
+      minimumWage: rules.minimumWage || 0
+    };
+  }
+  
+  /**
+   * Convert city regulations back to rules in city pack form
+   * @param {Object} regulations - City regulations
+   * @returns {Object} Rules
+   */
+  toRules(regulations) {
+    return {
+      openingHours: { ...regulations.openingHoursRestriction },
+      alcoholLicenseCost: regulations.alcoholLicenseCost,
+      noiseLimit: regulations.maxNoiseLevelAllowed,
+      healthInspectionFrequency: regulations.healthInspectionFrequency,
+      smokingBan: Boolean(regulations.smokingBan),
+      minimumWage: regulations.minimumWage || 0
+    };
+  }
+  
+  /**
+   * Write the loaded city packs to the cities and city_regulations tables
+   * @returns {Promise<boolean>} True if the cities were seeded
+   */
+  async seedDatabase() {
+    if (!this.game.dbInitialized || !this.game.dbAPI || this.packs.length === 0) {
+      return false;
+    }
+
+    try {
+      const ids = await this.game.dbAPI.city.seedCities(this.packs);
+      Object.entries(ids).forEach(([name, id]) => {
+        if (this.cities[name]) {
+          this.cities[name].id = id;
+        }
+      });
+      return true;
+    } catch (error) {
+      console.error('Error seeding cities:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Get the names of all available cities
+   * @returns {Array<string>} City names
+   */
+  getCityNames() {
+    return Object.keys(this.cities);
+  }
+  
+  /**
+   * Get the city a new game starts in: the pack marked startingCity, or the first one
+   * @returns {string|null} City name, or null if no city packs were loaded
+   */
+  getStartingCity() {
+    const pack = this.packs.find(p => p.startingCity) || this.packs[0];
+    return pack ? pack.name : null;
+  }
+  
+  /**
+   * Get the local name lists for a city
+   * @param {string} cityName - City name
+   * @returns {Object} maleFirstNames, femaleFirstNames and lastNames (any may be missing)
+   */
+  getCityNameLists(cityName) {
+    const city = this.cities[cityName];
+    return city && city.names ? city.names : {};
+  }
+  
   getCities() {
     return { ...this.cities };
   }
@@ -65,6 +168,16 @@ class CityManager {
     return this.cities[cityName].customerAffluence;
   }
   
+  getCityPriceLevel(cityName) {
+    const city = this.cities[cityName];
+    return (city && city.priceLevel) || 1;
+  }
+  
+  getCityTaxRates(cityName) {
+    const city = this.cities[cityName];
+    return { ...TAXES.defaultRates, ...(city && city.taxes) };
+  }
+  
   getCityRegulations(cityName) {
     return { ...this.cities[cityName].regulations };
   }
@@ -72,32 +185,44 @@ class CityManager {
   isWithinOpeningHoursRegulation(cityName, openingHour, closingHour) {
     const restrictions = this.cities[cityName].regulations.openingHoursRestriction;
     
-    // Check if the hours comply with regulations
-    if (closingHour < openingHour) {
-      // Venue closes after midnight
-      if (openingHour < restrictions.earliest) {
-        return false; // Opening too early
-      }
-      if (closingHour > restrictions.latest && restrictions.latest < 24) {
-        return false; // Closing too late
-      }
-    } else {
-      // Normal hours
-      if (openingHour < restrictions.earliest) {
-        return false; // Opening too early
-      }
-      if (closingHour > restrictions.latest) {
-        return false; // Closing too late
+    // Every hour the venue is open must fall inside the permitted window.
+    // Either window may run past midnight (closing/latest before opening/earliest).
+    const openHours = (closingHour - openingHour + 24) % 24 || 24;
+    
+    for (let i = 0; i < openHours; i++) {
+      if (!this.isHourPermitted(restrictions, (openingHour + i) % 24)) {
+        return false;
       }
     }
     
     return true;
   }
   
+  isHourPermitted(restrictions, hour) {
+    const { earliest, latest } = restrictions;
+    
+    if (latest >= 24 && earliest === 0) {
+      return true; // No restriction
+    }
+    if (latest > earliest) {
+      return hour >= earliest && hour < latest;
+    }
+    // Permitted window runs past midnight
+    return hour >= earliest || hour < latest;
+  }
+  
   checkNoiseCompliance(cityName, noiseLevel) {
     return noiseLevel <= this.cities[cityName].regulations.maxNoiseLevelAllowed;
   }
   
+  isSmokingBanned(cityName) {
+    return Boolean(this.cities[cityName].regulations.smokingBan);
+  }
+  
+  getMinimumWage(cityName) {
+    return this.cities[cityName].regulations.minimumWage || 0;
+  }
+  
   updateCityPopularity(cityName, delta) {
     this.cities[cityName].popularity += delta;
     
@@ -133,10 +258,11 @@ class CityManager {
   }
   
   getCityWithHighestPopularity() {
-    let highestCity = GAME_CONSTANTS.CITIES[0];
+    const cityNames = this.getCityNames();
+    let highestCity = cityNames[0];
     let highestPopularity = this.cities[highestCity].popularity;
     
-    for (const city of GAME_CONSTANTS.CITIES) {
+    for (const city of cityNames) {
       if (this.cities[city].popularity > highestPopularity) {
         highestCity = city;
         highestPopularity = this.cities[city].popularity;
@@ -146,17 +272,29 @@ class CityManager {
     return highestCity;
   }
   
-  scheduleHealthInspection(cityName, venueId) {
-    // Schedule a health inspection for the given venue
-    const frequency = this.cities[cityName].regulations.healthInspectionFrequency;
-    const daysUntilInspection = Math.floor(frequency * (0.8 + Math.random() * 0.4)); // Add some randomness
+  /**
+   * Create the event for a venue's next health inspection
+   * @param {string} cityName - City name
+   * @param {string} venueId - Venue ID
+   * @param {number} [daysUntilInspection] - Days from today; defaults to the city's inspection frequency
+   * @returns {Object} Inspection event for the event manager
+   */
+  scheduleHealthInspection(cityName, venueId, daysUntilInspection) {
+    if (daysUntilInspection === undefined) {
+      const frequency = this.cities[cityName].regulations.healthInspectionFrequency;
+      daysUntilInspection = Math.floor(frequency * (0.8 + rng.random() * 0.4)); // Add some randomness
+    }
     
-    // Create inspection event
+    // Inspectors visit during the day
+    const date = time.addDaysToDate(time.getGameTime(), daysUntilInspection);
     const inspectionEvent = {
       type: 'health_inspection',
       description: 'Health inspector visit',
       venueId: venueId,
-      scheduledDay: this.game.timeManager.getGameTime().day + daysUntilInspection
+      scheduledYear: date.year,
+      scheduledMonth: date.month,
+      scheduledDay: date.day,
+      scheduledHour: 11
     };
     
     // Add to city events
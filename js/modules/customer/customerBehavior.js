@@ -5,6 +5,7 @@ const { createLogger } = require('../../utils/logger');
 const eventBus = require('../../utils/eventBus');
 const StateMachine = require('../../utils/stateMachine');
 const time = require('../time');
+const rng = require('../../utils/rng');
 
 /**
  * Manages customer behavior as they move through the venue lifecycle
@@ -56,7 +57,7 @@ class CustomerBehavior {
   handleEnteringCustomer(customer, index) {
     const venue = this.game.venueManager.getVenue(customer.venueId);
     if (!venue) {
-      this.game.customerManager.removeCustomer(index);
+      this.game.customerManager.removeCustomer(index, 'venue_closed');
       return;
     }
     
@@ -68,7 +69,7 @@ class CustomerBehavior {
       if (totalFee > customer.spendingBudget * 0.2) {
         // Too expensive, customer leaves
         this.logger.info(`A group of ${customer.groupSize} customers left because the entrance fee was too high.`, 'CUSTOMER');
-        this.game.customerManager.removeCustomer(index);
+        this.game.customerManager.removeCustomer(index, 'entrance_fee');
         return;
       }
       
@@ -92,6 +93,7 @@ class CustomerBehavior {
       // Seat the customer
       customer.assignedTable = availableTable;
       customer.status = 'seated';
+      customer.seatedTime = { ...(time ? time.getGameTime() : this.game.timeManager.getGameTime()) };
       customer.satisfaction += 5; // Happy to be seated right away
       
       // Find available staff
@@ -107,7 +109,7 @@ class CustomerBehavior {
       } else {
         // Not patient enough to wait
         this.logger.info(`A group of ${customer.groupSize} customers left because no tables were available.`, 'CUSTOMER');
-        this.game.customerManager.removeCustomer(index);
+        this.game.customerManager.removeCustomer(index, 'no_table');
       }
     }
   }
@@ -124,7 +126,7 @@ class CustomerBehavior {
     const minutesSeated = this.calculateMinutesBetween(customer.arrivalTime, currentTime);
     
     // After 5-15 minutes, they're ready to order
-    if (minutesSeated > 5 + Math.floor(Math.random() * 10)) {
+    if (minutesSeated > 5 + Math.floor(rng.random() * 10)) {
       customer.status = 'ordering';
       
       // Event for other systems
@@ -138,9 +140,10 @@ class CustomerBehavior {
    * @param {number} index - Index in customers array
    */
   handleOrderingCustomer(customer, index) {
+    const venue = this.game.venueManager.getVenue(customer.venueId);
+    
     // If no staff assigned, try to assign one
     if (!customer.assignedStaff) {
-      const venue = this.game.venueManager.getVenue(customer.venueId);
       if (venue) {
         this.assignStaffToCustomer(customer, venue);
       }
@@ -153,10 +156,10 @@ class CustomerBehavior {
     }
     
     // Check if staff is working
-    const staff = this.game.staffManager ? this.game.staffManager.getStaff(customer.assignedStaff) : null;
+    let staff = this.game.staffManager ? this.game.staffManager.getStaff(customer.assignedStaff) : null;
     if (!staff || !staff.isWorking) {
       // Reassign staff
-      const venue = this.game.venueManager.getVenue(customer.venueId);
+      customer.assignedStaff = null;
       if (venue) {
         this.assignStaffToCustomer(customer, venue);
       }
@@ -166,6 +169,7 @@ class CustomerBehavior {
         customer.patience -= 2;
         return;
       }
+      staff = this.game.staffManager.getStaff(customer.assignedStaff);
     }
     
     // Process the order using the orders module
@@ -324,10 +328,13 @@ class CustomerBehavior {
     // Process payment
     const venue = this.game.venueManager.getVenue(customer.venueId);
     if (!venue) {
-      this.game.customerManager.removeCustomer(index);
+      this.game.customerManager.removeCustomer(index, 'venue_closed');
       return;
     }
     
+    // Members of the venue's loyalty programme get a discount
+    const discount = this.game.customerManager.patrons.applyLoyaltyDiscount(customer, venue);
+    
     // Calculate final bill (should have been set during ordering)
     const totalSpent = customer.totalSpending || 0;
     
@@ -357,10 +364,11 @@ class CustomerBehavior {
     
     // Move to leaving state
     customer.status = 'leaving';
+    customer.leaveReason = 'paid';
     customer.leaveTime = { ...(time ? time.getGameTime() : this.game.timeManager.getGameTime()) };
     
     // Log the transaction
-    this.logger.success(`A group of ${customer.groupSize} paid €${totalSpent.toFixed(2)}.`, 'FINANCIAL');
+    this.logger.success(`A group of ${customer.groupSize} paid €${totalSpent.toFixed(2)}${discount > 0 ? ` after a €${discount.toFixed(2)} loyalty discount` : ''}.`, 'FINANCIAL');
     
     // Emit event for other systems
     eventBus.emit('customerPaid', customer);
@@ -391,8 +399,8 @@ class CustomerBehavior {
       // Log the departure
       this.logger.info(`A group of ${customer.groupSize} ${customer.type} customers left with ${customer.satisfaction}% satisfaction`, 'CUSTOMER');
       
-      // Remove the customer
-      this.game.customerManager.removeCustomer(index);
+      // Remove the customer, recording the visit with the reason they left
+      this.game.customerManager.removeCustomer(index, customer.leaveReason || 'left');
       
       // Emit event for other systems
       eventBus.emit('customerLeft', customer);
@@ -423,7 +431,7 @@ class CustomerBehavior {
     // Adjust probability based on occupancy
     const tableAvailableProbability = Math.max(0, 1 - occupancyRatio);
     
-    if (Math.random() < tableAvailableProbability) {
+    if (rng.random() < tableAvailableProbability) {
       // Simulate finding a table
       return {
         id: Date.now().toString(),
@@ -7,6 +7,7 @@ const { getRandomFromArray, getRandomInt, getRandomFloat, getRandomWeighted } =
 const { generateEntityId } = require('../../utils/idGenerator');
 const eventBus = require('../../utils/eventBus');
 const time = require('../time');
+const rng = require('../../utils/rng');
 
 /**
  * Responsible for creating new customers with appropriate
@@ -43,7 +44,7 @@ class CustomerGenerator {
     }
     
     // Calculate how many customers arrive in a 15-minute period (our time step)
-    const customersThisTick = Math.floor(hourlyCustomerBase / 4 * Math.random());
+    const customersThisTick = Math.floor(hourlyCustomerBase / 4 * rng.random());
     
     // Generate new customers
     for (let i = 0; i < customersThisTick; i++) {
@@ -101,7 +102,13 @@ class CustomerGenerator {
       }
     }
     
-    return baseRate * popularityMultiplier * timeMultiplier * cityMultiplier;
+    // Active campaigns, promotions and events draw in extra customers
+    let marketingMultiplier = 1.0;
+    if (this.game.marketingManager) {
+      marketingMultiplier = this.game.marketingManager.getCustomerRateMultiplier(venue);
+    }
+    
+    return baseRate * popularityMultiplier * timeMultiplier * cityMultiplier * marketingMultiplier;
   }
   
   /**
@@ -110,6 +117,9 @@ class CustomerGenerator {
    * @returns {Object} The new customer
    */
   addNewCustomer(venue) {
+    // Some groups are led by a returning patron, who is always a regular
+    const patron = this.game.customerManager.patrons.choosePatron(venue);
+    
     // Choose customer type
     const customerTypeKeys = Object.keys(CUSTOMER_TYPES);
     const weights = customerTypeKeys.map(type => {
@@ -145,13 +155,13 @@ class CustomerGenerator {
       return { value: type, weight };
     });
     
-    const type = getRandomWeighted(weights);
+    const type = patron ? 'regular' : getRandomWeighted(weights);
     
     // Determine group size based on customer type probabilities
     const groupSizeProbabilities = CUSTOMER_TYPES[type].groupSizeProbability;
     let groupSize = 1;
     
-    const roll = Math.random();
+    const roll = rng.random();
     let cumulativeProbability = 0;
     
     for (let i = 0; i < groupSizeProbabilities.length; i++) {
@@ -182,10 +192,18 @@ class CustomerGenerator {
       venueId: venue.id
     };
     
+    if (patron) {
+      this.game.customerManager.patrons.applyPatron(customer, patron, venue);
+    }
+    
     // Add to the game
     this.game.customerManager.addCustomer(customer);
     
-    this.logger.info(`A group of ${customer.groupSize} ${type} customers entered ${venue.name}`, 'CUSTOMER');
+    if (patron) {
+      this.logger.info(`${patron.name} is back at ${venue.name} with a group of ${customer.groupSize}`, 'CUSTOMER');
+    } else {
+      this.logger.info(`A group of ${customer.groupSize} ${type} customers entered ${venue.name}`, 'CUSTOMER');
+    }
     
     return customer;
   }
@@ -310,7 +328,7 @@ class CustomerGenerator {
         // Pick 1-3 preferred drinks
         const drinkCount = getRandomInt(1, 3);
         for (let i = 0; i < drinkCount && i < venue.inventory.drinks.length; i++) {
-          const randomIndex = Math.floor(Math.random() * venue.inventory.drinks.length);
+          const randomIndex = Math.floor(rng.random() * venue.inventory.drinks.length);
           const drink = venue.inventory.drinks[randomIndex];
           
           if (!preferences.preferredDrinks.includes(drink.name)) {
@@ -323,7 +341,7 @@ class CustomerGenerator {
         // Pick 1-2 preferred foods
         const foodCount = getRandomInt(1, 2);
         for (let i = 0; i < foodCount && i < venue.inventory.food.length; i++) {
-          const randomIndex = Math.floor(Math.random() * venue.inventory.food.length);
+          const randomIndex = Math.floor(rng.random() * venue.inventory.food.length);
           const food = venue.inventory.food[randomIndex];
           
           if (!preferences.preferredFood.includes(food.name))if (!preferences.preferredFood.includes(food.name)) {
@@ -5,6 +5,7 @@ const { createLogger } = require('../../utils/logger');
 const { getRandomInt, getRandomFromArray } = require('../../utils/randomGenerator');
 const { formatCurrency } = require('../../utils/formatter');
 const eventBus = require('../../utils/eventBus');
+const rng = require('../../utils/rng');
 
 /**
  * Manages customer ordering behavior and preferences
@@ -28,8 +29,10 @@ class CustomerOrders {
     const venue = this.game.venueManager.getVenue(customer.venueId);
     if (!venue || !venue.inventory) return;
     
+    const recipes = this.game.inventoryManager.recipes;
     const orders = [];
     let totalSpending = 0;
+    let refusedOnPrice = 0; // Items picked but turned down as too expensive
     
     // Each person in the group orders
     for (let i = 0; i < customer.groupSize; i++) {
@@ -41,7 +44,7 @@ class CustomerOrders {
         if (customer.preferences.preferredDrinks.length > 0) {
           // Try to find a preferred drink in stock
           for (const preferredDrink of customer.preferences.preferredDrinks) {
-            const drink = venue.inventory.drinks.find(d => d.name === preferredDrink && d.stock > 0);
+            const drink = venue.inventory.drinks.find(d => d.name === preferredDrink && recipes.isAvailable(venue, d));
             if (drink) {
               drinkToOrder = drink;
               break;
@@ -51,27 +54,19 @@ class CustomerOrders {
         
         // If no preferred drink found, pick a random one in stock
         if (!drinkToOrder) {
-          const availableDrinks = venue.inventory.drinks.filter(d => d.stock > 0);
+          const availableDrinks = venue.inventory.drinks.filter(d => recipes.isAvailable(venue, d));
           if (availableDrinks.length > 0) {
             drinkToOrder = getRandomFromArray(availableDrinks);
           }
         }
         
         if (drinkToOrder) {
-          orders.push({
-            type: 'drink',
-            item: drinkToOrder.name,
-            price: drinkToOrder.sellPrice,
-            prepared: false
+          const ordered = this.orderItem(customer, venue, 'drinks', drinkToOrder);
+          if (ordered.length === 0) refusedOnPrice++;
+          ordered.forEach(order => {
+            orders.push(order);
+            totalSpending += order.price;
           });
-          
-          // Reduce stock
-          const drinkIndex = venue.inventory.drinks.findIndex(d => d.name === drinkToOrder.name);
-          if (drinkIndex !== -1) {
-            venue.inventory.drinks[drinkIndex].stock--;
-          }
-          
-          totalSpending += drinkToOrder.sellPrice;
         }
       }
       
@@ -83,7 +78,7 @@ class CustomerOrders {
         
         if (customer.preferences.preferredFood.length > 0) {
           for (const preferredFood of customer.preferences.preferredFood) {
-            const food = venue.inventory.food.find(f => f.name === preferredFood && f.stock > 0);
+            const food = venue.inventory.food.find(f => f.name === preferredFood && recipes.isAvailable(venue, f));
             if (food) {
               foodToOrder = food;
               break;
@@ -92,27 +87,19 @@ class CustomerOrders {
         }
         
         if (!foodToOrder) {
-          const availableFood = venue.inventory.food.filter(f => f.stock > 0);
+          const availableFood = venue.inventory.food.filter(f => recipes.isAvailable(venue, f));
           if (availableFood.length > 0) {
             foodToOrder = getRandomFromArray(availableFood);
           }
         }
         
         if (foodToOrder) {
-          orders.push({
-            type: 'food',
-            item: foodToOrder.name,
-            price: foodToOrder.sellPrice,
-            prepared: false
+          const ordered = this.orderItem(customer, venue, 'food', foodToOrder);
+          if (ordered.length === 0) refusedOnPrice++;
+          ordered.forEach(order => {
+            orders.push(order);
+            totalSpending += order.price;
           });
-          
-          // Reduce stock
-          const foodIndex = venue.inventory.food.findIndex(f => f.name === foodToOrder.name);
-          if (foodIndex !== -1) {
-            venue.inventory.food[foodIndex].stock--;
-          }
-          
-          totalSpending += foodToOrder.sellPrice;
         }
       }
     }
@@ -128,14 +115,14 @@ class CustomerOrders {
         
         // Put the item back in stock
         if (removedItem.type === 'drink') {
-          const drinkIndex = venue.inventory.drinks.findIndex(d => d.name === removedItem.item);
-          if (drinkIndex !== -1) {
-            venue.inventory.drinks[drinkIndex].stock++;
+          const drink = venue.inventory.drinks.find(d => d.name === removedItem.item);
+          if (drink) {
+            recipes.unsell(venue, 'drinks', drink);
           }
         } else if (removedItem.type === 'food') {
-          const foodIndex = venue.inventory.food.findIndex(f => f.name === removedItem.item);
-          if (foodIndex !== -1) {
-            venue.inventory.food[foodIndex].stock++;
+          const food = venue.inventory.food.find(f => f.name === removedItem.item);
+          if (food) {
+            recipes.unsell(venue, 'food', food);
           }
         }
       }
@@ -144,6 +131,15 @@ class CustomerOrders {
     // Staff with good skills might upsell
     this.attemptUpsell(customer, staff, orders, totalSpending, venue);
     
+    // Some stock goes missing unrecorded while the order is made up
+    orders.forEach(order => {
+      const itemType = order.type === 'drink' ? 'drinks' : 'food';
+      const item = venue.inventory[itemType].find(i => i.name === order.item);
+      if (item) {
+        this.game.inventoryManager.stocktakes.recordService(venue, staff, itemType, item);
+      }
+    });
+    
     customer.orders = orders;
     customer.totalSpending = totalSpending;
     
@@ -157,6 +153,11 @@ class CustomerOrders {
       
       // Emit order event
       eventBus.emit('customerOrdered', { customer, orders, totalSpending });
+    } else if (refusedOnPrice > 0) {
+      this.logger.warning(`A group of ${customer.groupSize} found the prices too high and ordered nothing.`, 'CUSTOMER');
+      customer.patience -= 20;
+      
+      eventBus.emit('customerOrderFailed', { customer, reason: 'price' });
     } else {
       this.logger.warning(`A group of ${customer.groupSize} couldn't afford anything on the menu.`, 'CUSTOMER');
       customer.patience -= 20; // Very unhappy
@@ -166,6 +167,44 @@ class CustomerOrders {
     }
   }
   
+  /**
+   * Order an item for one person, if they accept its price. The price is the
+   * one charged at this hour; an item priced well below what the customer
+   * expects may tempt them to a second serving.
+   * @param {Object} customer - Customer object
+   * @param {Object} venue - Venue object
+   * @param {string} itemType - Inventory category (drinks or food)
+   * @param {Object} item - Drink or food item, in stock
+   * @returns {Array<Object>} Orders placed: none if the price put them off
+   */
+  orderItem(customer, venue, itemType, item) {
+    const { pricing, recipes } = this.game.inventoryManager;
+    const price = pricing.getPrice(venue, itemType, item);
+    const referencePrice = pricing.getReferencePrice(venue, itemType, item);
+    const chance = pricing.getOrderChance(customer, price, referencePrice);
+    
+    if (chance < 1 && rng.random() >= chance) return [];
+    
+    const servings = chance > 1 && rng.random() < chance - 1 ? 2 : 1;
+    const orders = [];
+    
+    for (let i = 0; i < servings && recipes.isAvailable(venue, item); i++) {
+      orders.push({
+        type: itemType === 'drinks' ? 'drink' : 'food',
+        item: item.name,
+        price,
+        listPrice: item.sellPrice, // Menu price before any price rule
+        referencePrice,
+        prepared: false
+      });
+      
+      // Reduce stock, or the ingredients of items made to order
+      recipes.sell(venue, itemType, item);
+    }
+    
+    return orders;
+  }
+  
   /**
    * Format order details for logging
    * @param {Array} orders - List of order items
@@ -211,29 +250,29 @@ class CustomerOrders {
     if (staff && staff.skills && staff.type === 'waiter' && staff.skills.customer_service > 70) {
       const upsellChance = (staff.skills.customer_service - 70) / 100;
       
-      if (Math.random() < upsellChance && customer.spendingBudget > totalSpending * 1.2) {
+      if (rng.random() < upsellChance && customer.spendingBudget > totalSpending * 1.2) {
         // Find an extra item to add
         let extraItem = null;
         
         if (venue.type === 'Restaurant' || venue.type === 'Bar') {
           // Upsell a drink
           const expensiveDrinks = venue.inventory.drinks
-            .filter(d => d.stock > 0 && d.sellPrice > totalSpending * 0.2)
+            .filter(d => this.game.inventoryManager.recipes.isAvailable(venue, d) && d.sellPrice > totalSpending * 0.2)
             .sort((a, b) => b.sellPrice - a.sellPrice);
           
           if (expensiveDrinks.length > 0) {
+            const pricing = this.game.inventoryManager.pricing;
             extraItem = {
               type: 'drink',
               item: expensiveDrinks[0].name,
-              price: expensiveDrinks[0].sellPrice,
+              price: pricing.getPrice(venue, 'drinks', expensiveDrinks[0]),
+              listPrice: expensiveDrinks[0].sellPrice,
+              referencePrice: pricing.getReferencePrice(venue, 'drinks', expensiveDrinks[0]),
               prepared: false
             };
             
             // Reduce stock
-            const drinkIndex = venue.inventory.drinks.findIndex(d => d.name === extraItem.item);
-            if (drinkIndex !== -1) {
-              venue.inventory.drinks[drinkIndex].stock--;
-            }
+            this.game.inventoryManager.recipes.sell(venue, 'drinks', expensiveDrinks[0]);
             
             orders.push(extraItem);
             totalSpending += extraItem.price;
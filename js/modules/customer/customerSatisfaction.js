@@ -1,5 +1,7 @@
 // CustomerSatisfaction - Handles customer happiness and patience levels
 
+const { PRICING } = require('../../config');
+
 class CustomerSatisfaction {
   constructor(game) {
     this.game = game;
@@ -296,7 +298,7 @@ class CustomerSatisfaction {
     }
     
     // Remove the customer
-    this.game.customerManager.removeCustomer(index);
+    this.game.customerManager.removeCustomer(index, reason);
   }
   
   calculateFinalSatisfaction(customer, venue) {
@@ -564,7 +566,26 @@ class CustomerSatisfaction {
       valueModifier = (perceivedQuality - 60) / 10; // Moderate impact based on quality vs expectation
     }
     
-    return score + valueModifier;
+    return score + valueModifier + this.calculatePriceModifier(customer);
+  }
+  
+  /**
+   * Judge what the customer paid against the city's reference prices for the
+   * same items. Overcharging costs more satisfaction than a bargain earns,
+   * and price-sensitive customer types feel both more strongly.
+   * @param {Object} customer - Customer
+   * @returns {number} Satisfaction modifier
+   */
+  calculatePriceModifier(customer) {
+    const priced = (customer.orders || []).filter(order => order.referencePrice > 0);
+    if (priced.length === 0) return 0;
+    
+    const paid = priced.reduce((total, order) => total + order.price, 0);
+    const expected = priced.reduce((total, order) => total + order.referencePrice, 0);
+    const sensitivity = this.game.inventoryManager.pricing.getPriceSensitivity(customer);
+    const modifier = -(paid / expected - 1) * PRICING.satisfactionWeight * sensitivity;
+    
+    return modifier > 0 ? Math.min(5, modifier / 2) : Math.max(-15, modifier);
   }
   
   applyWaitingTimeFactor(score, customer) {
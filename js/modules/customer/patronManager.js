@@ -0,0 +1,258 @@
+// js/modules/customer/patronManager.js
+// Named regulars who come back to the venues they like
+
+const { PATRONS } = require('../../config');
+const { createLogger } = require('../../utils/logger');
+const { generateEntityId } = require('../../utils/idGenerator');
+const { getRandomInt } = require('../../utils/randomGenerator');
+const names = require('../names');
+const eventBus = require('../../utils/eventBus');
+const time = require('../time');
+const rng = require('../../utils/rng');
+
+/**
+ * Keeps the pool of named patrons in each city. Most customers are strangers
+ * who come once, but some arriving groups are led by a patron, who orders
+ * their favourites and remembers the visit. How satisfied they leave moves
+ * their loyalty and their affinity for that venue, and both decide how
+ * likely they are to come back. The pools are kept on the city objects
+ * (city.patrons), so they are saved with the game.
+ *
+ * A patron looks like:
+ * {
+ *   id, name, loyalty (0-100), visitCount, totalSpent, lastVisit (ISO date),
+ *   visits: [{ venueId, venueName, date, satisfaction, spent, items, leaveReason }],
+ *   ordered: { itemName: { type: 'drink'|'food', count } },
+ *   affinity: { venueId: 0-1 }
+ * }
+ */
+class PatronManager {
+  /**
+   * Create a new PatronManager instance
+   * @param {Object} game - The main game object
+   */
+  constructor(game) {
+    this.game = game;
+    this.logger = createLogger(game);
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event listeners for game events
+   */
+  setupEventListeners() {
+    eventBus.on('customerDeparted', (customer) => {
+      this.recordVisit(customer);
+    });
+  }
+
+  /**
+   * Get a city's patrons, filling the pool up to PATRONS.poolSize first
+   * @param {string} cityName - City name
+   * @returns {Array<Object>} Patrons; empty if the city is unknown
+   */
+  getPatrons(cityName) {
+    const city = this.game.cityManager.getCity(cityName);
+    if (!city) return [];
+
+    if (!Array.isArray(city.patrons)) {
+      city.patrons = [];
+    }
+    while (city.patrons.length < PATRONS.poolSize) {
+      city.patrons.push(this.createPatron(cityName));
+    }
+    return city.patrons;
+  }
+
+  /**
+   * Decide whether a group arriving at a venue is led by a patron
+   * @param {Object} venue - The venue
+   * @returns {Object|null} The returning patron, or null for strangers
+   */
+  choosePatron(venue) {
+    const visiting = new Set(this.game.state.customers.map(customer => customer.patronId).filter(Boolean));
+    const available = this.getPatrons(venue.city).filter(patron => !visiting.has(patron.id));
+    if (available.length === 0) return null;
+
+    const patron = available[Math.floor(rng.random() * available.length)];
+    return rng.random() < this.getReturnChance(patron, venue) ? patron : null;
+  }
+
+  /**
+   * Make a new customer the group a patron leads: they are a regular and
+   * look for their favourites first
+   * @param {Object} customer - New customer
+   * @param {Object} patron - The patron
+   * @param {Object} venue - The venue they are visiting
+   */
+  applyPatron(customer, patron, venue) {
+    const favourites = this.getFavourites(patron);
+
+    customer.patronId = patron.id;
+    customer.patronCity = venue.city;
+    customer.name = patron.name;
+    customer.preferences.preferredDrinks = [...new Set([...favourites.drinks, ...customer.preferences.preferredDrinks])];
+    customer.preferences.preferredFood = [...new Set([...favourites.food, ...customer.preferences.preferredFood])];
+  }
+
+  /**
+   * Take the loyalty programme discount off a patron's bill
+   * @param {Object} customer - Paying customer
+   * @param {Object} venue - The venue
+   * @returns {number} Discount given; 0 for strangers or without the programme
+   */
+  applyLoyaltyDiscount(customer, venue) {
+    if (!customer.patronId || !customer.totalSpending || !this.hasLoyaltyProgramme(venue)) return 0;
+
+    const discount = Math.round(customer.totalSpending * PATRONS.programme.discount * 100) / 100;
+    customer.totalSpending -= discount;
+    customer.loyaltyDiscount = discount;
+    return discount;
+  }
+
+  /**
+   * Get how likely a patron is to lead a group arriving at a venue
+   * @param {Object} patron - The patron
+   * @param {Object} venue - The venue
+   * @returns {number} Chance, 0-1
+   */
+  getReturnChance(patron, venue) {
+    let chance = PATRONS.baseReturnChance +
+      (patron.loyalty / 100) * PATRONS.loyaltyReturnChance +
+      (patron.affinity[venue.id] || 0) * PATRONS.affinityReturnChance;
+
+    if (this.hasLoyaltyProgramme(venue)) {
+      chance += PATRONS.programme.returnChance;
+    }
+    return Math.min(1, chance);
+  }
+
+  /**
+   * Check whether a venue is running the loyalty promotion
+   * @param {Object} venue - The venue
+   * @returns {boolean} True while the programme is active
+   */
+  hasLoyaltyProgramme(venue) {
+    if (!this.game.marketingManager) return false;
+    return this.game.marketingManager.getActivePromotions(venue.id).some(promotion => promotion.type === 'loyalty');
+  }
+
+  /**
+   * Get the patrons of a city who have visited, most loyal first
+   * @param {string} cityName - City name
+   * @param {number} [count=10] - How many to return
+   * @returns {Array<Object>} Patrons
+   */
+  getTopPatrons(cityName, count = 10) {
+    return this.getPatrons(cityName)
+      .filter(patron => patron.visitCount > 0)
+      .sort((a, b) => b.loyalty - a.loyalty || b.visitCount - a.visitCount)
+      .slice(0, count);
+  }
+
+  /**
+   * Get the items a patron orders most
+   * @param {Object} patron - The patron
+   * @returns {Object} drinks and food, each up to PATRONS.favouriteCount names, most ordered first
+   */
+  getFavourites(patron) {
+    const ofType = (type) => Object.entries(patron.ordered)
+      .filter(([, entry]) => entry.type === type)
+      .sort((a, b) => b[1].count - a[1].count)
+      .slice(0, PATRONS.favouriteCount)
+      .map(([item]) => item);
+
+    return { drinks: ofType('drink'), food: ofType('food') };
+  }
+
+  /**
+   * Get the player's venue a patron likes best
+   * @param {Object} patron - The patron
+   * @returns {Object|null} The venue, or null if they like none of them
+   */
+  getFavouriteVenue(patron) {
+    return this.game.state.player.venues
+      .filter(venue => (patron.affinity[venue.id] || 0) > 0)
+      .sort((a, b) => patron.affinity[b.id] - patron.affinity[a.id])[0] || null;
+  }
+
+  /**
+   * Create a patron with a local name and no visits yet
+   * @private
+   * @param {string} cityName - City name
+   * @returns {Object} Patron
+   */
+  createPatron(cityName) {
+    return {
+      id: generateEntityId('patron'),
+      name: names.generateFullName('random', this.game.cityManager.getCityNameLists(cityName)).fullName,
+      loyalty: getRandomInt(PATRONS.startingLoyalty.min, PATRONS.startingLoyalty.max),
+      visitCount: 0,
+      totalSpent: 0,
+      lastVisit: null,
+      visits: [],
+      ordered: {},
+      affinity: {}
+    };
+  }
+
+  /**
+   * Remember a patron's visit when their group leaves, and move their
+   * loyalty and venue affinity by how satisfied they were
+   * @private
+   * @param {Object} customer - Departing customer
+   */
+  recordVisit(customer) {
+    if (!customer.patronId) return;
+
+    const city = this.game.cityManager.getCity(customer.patronCity);
+    const patron = city && Array.isArray(city.patrons) ? city.patrons.find(p => p.id === customer.patronId) : null;
+    if (!patron) return;
+
+    const venue = this.game.venueManager.getVenue(customer.venueId);
+    const date = time.toISOString(customer.arrivalTime || time.getGameTime());
+    const spent = customer.totalSpending || 0;
+    const orders = customer.orders || [];
+
+    patron.visits.push({
+      venueId: customer.venueId,
+      venueName: venue ? venue.name : '',
+      date,
+      satisfaction: Math.round(customer.satisfaction),
+      spent: Math.round(spent * 100) / 100,
+      items: orders.map(order => order.item),
+      leaveReason: customer.leaveReason || 'unknown'
+    });
+    if (patron.visits.length > PATRONS.historyLength) {
+      patron.visits.shift();
+    }
+
+    patron.visitCount++;
+    patron.totalSpent += spent;
+    patron.lastVisit = date;
+    orders.forEach(order => {
+      const entry = patron.ordered[order.item] || (patron.ordered[order.item] = { type: order.type, count: 0 });
+      entry.count++;
+    });
+
+    // From +1 for a perfect visit down to -1 for one as far below satisfiedAt.
+    // Leaving without being served is a bad visit however patient they were.
+    const verdict = customer.leaveReason === 'paid'
+      ? Math.max(-1, (customer.satisfaction - PATRONS.satisfiedAt) / (100 - PATRONS.satisfiedAt))
+      : -0.5;
+    const multiplier = verdict > 0 && venue && this.hasLoyaltyProgramme(venue) ? PATRONS.programme.loyaltyMultiplier : 1;
+
+    patron.loyalty = Math.max(0, Math.min(100, patron.loyalty + verdict * PATRONS.loyaltyPerVisit * multiplier));
+    patron.affinity[customer.venueId] = Math.max(0, Math.min(1,
+      (patron.affinity[customer.venueId] || 0) + verdict * PATRONS.affinityPerVisit
+    ));
+
+    if (patron.loyalty === 0) {
+      city.patrons.splice(city.patrons.indexOf(patron), 1);
+      this.logger.warning(`${patron.name} won't be coming back to your venues.`, 'CUSTOMER');
+    }
+  }
+}
+
+module.exports = PatronManager;
@@ -5,6 +5,7 @@ const CustomerGenerator = require('./customer/customerGenerator');
 const CustomerBehavior = require('./customer/customerBehavior');
 const CustomerOrders = require('./customer/customerOrders');
 const CustomerSatisfaction = require('./customer/customerSatisfaction');
+const PatronManager = require('./customer/patronManager');
 const { isDatabaseAvailable, withDatabaseFallback } = require('../database/dbUtils');
 const { createLogger } = require('../utils/logger');
 const eventBus = require('../utils/eventBus');
@@ -34,6 +35,7 @@ class CustomerManager {
     this.behavior = new CustomerBehavior(game);
     this.orders = new CustomerOrders(game);
     this.satisfaction = new CustomerSatisfaction(game);
+    this.patrons = new PatronManager(game);
 
     // Setup event listeners
     this.setupEventListeners();
@@ -48,15 +50,9 @@ class CustomerManager {
    * Set up event listeners for game events
    */
   setupEventListeners() {
-    // Listen for time updates to generate and update customers
+    // Listen for time updates to generate customers; the game loop updates
+    // them once per game tick (game.updateGameState)
     if (time) {
-      time.onMinute((gameTime) => {
-        // Only process every 15 minutes of game time for performance
-        if (gameTime.minute % 15 === 0) {
-          this.updateCustomers();
-        }
-      });
-      
       time.onHour((gameTime) => {
         // Generate new customers every hour based on venue conditions
         if (this.game.state.currentVenue) {
@@ -121,6 +117,9 @@ class CustomerManager {
   isVenueOpenNow(venue) {
     if (!venue || !venue.settings) return false;
     
+    // Closed by the city for breaking regulations
+    if (venue.forcedClosure) return false;
+    
     const gameTime = time ? time.getGameTime() : this.game.timeManager.getGameTime();
     const currentHour = gameTime.hour;
     
@@ -227,36 +226,6 @@ class CustomerManager {
       'entering'
     );
     
-    // Save to database if available
-    if (this.useDatabase) {
-      try {
-        await withDatabaseFallback(
-          this.game,
-          'customer',
-          'recordVisit',
-          [{
-            venueId: customer.venueId,
-            customerType: customer.type,
-            groupSize: customer.groupSize,
-            status: customer.status,
-            satisfaction: customer.satisfaction || 70,
-            totalSpent: customer.totalSpending || 0,
-            metadata: {
-              preferences: customer.preferences,
-              patience: customer.patience,
-              spendingBudget: customer.spendingBudget
-            }
-          }],
-          async () => {
-            this.logger.warning('Using in-memory fallback for customer creation', 'DATABASE');
-            return { id: customer.id };
-          }
-        );
-      } catch (error) {
-        this.logger.error(`Error recording customer visit: ${error.message}`, 'DATABASE');
-      }
-    }
-    
     // Add to in-memory state
     this.game.state.customers.push(customer);
     
@@ -271,26 +240,17 @@ class CustomerManager {
    * @param {number} index - Customer index
    * @returns {boolean} True if customer was removed
    */
-  removeCustomer(index) {
+  removeCustomer(index, reason = null) {
     if (index >= 0 && index < this.game.state.customers.length) {
       const customer = this.game.state.customers[index];
       
-      // Update database if available
-      if (this.useDatabase && customer.id) {
-        withDatabaseFallback(
-          this.game,
-          'customer',
-          'updateVisit',
-          [customer.id, { status: 'completed' }],
-          async () => {
-            this.logger.warning('Using in-memory fallback for customer removal', 'DATABASE');
-            return true;
-          }
-        ).catch(error => {
-          this.logger.error(`Error updating customer status: ${error.message}`, 'DATABASE');
-        });
+      if (reason && !customer.leaveReason) {
+        customer.leaveReason = reason;
       }
       
+      // Keep a permanent record of the visit
+      this.recordCompletedVisit(customer);
+      
       // Remove from memory
       this.game.state.customers.splice(index, 1);
       
@@ -302,6 +262,60 @@ class CustomerManager {
     return false;
   }
   
+  /**
+   * Record a finished visit in the customer visit history
+   * @param {Object} customer - Departing customer
+   */
+  recordCompletedVisit(customer) {
+    // Checked per visit since the database finishes initializing after this manager
+    if (!isDatabaseAvailable(this.game, 'customer')) return;
+    
+    const leaveReason = customer.leaveReason || 'unknown';
+    const arrival = customer.arrivalTime || time.getGameTime();
+    
+    withDatabaseFallback(
+      this.game,
+      'customer',
+      'recordVisit',
+      [{
+        venueId: customer.venueId,
+        date: time.toISOString(arrival),
+        customerType: customer.type,
+        patronId: customer.patronId || null,
+        groupSize: customer.groupSize,
+        totalSpent: customer.totalSpending || 0,
+        satisfaction: customer.satisfaction,
+        status: leaveReason === 'paid' ? 'completed' : 'left_early',
+        leaveReason,
+        metadata: {
+          customerId: customer.id,
+          waitTimes: this.calculateWaitTimes(customer),
+          orders: (customer.orders || []).map(order => order.item)
+        }
+      }],
+      async () => null
+    ).catch(error => {
+      this.logger.error(`Error recording customer visit: ${error.message}`, 'DATABASE');
+    });
+  }
+  
+  /**
+   * Work out how long a customer waited at each stage of their visit
+   * @param {Object} customer - Customer object
+   * @returns {Object} Minutes waited for a table, service and payment, plus total stay
+   */
+  calculateWaitTimes(customer) {
+    const now = time.getGameTime();
+    const between = (start, end) => (start && end ? this.calculateMinutesBetween(start, end) : null);
+    
+    return {
+      table: between(customer.arrivalTime, customer.seatedTime),
+      service: between(customer.orderTime, customer.serveTime),
+      payment: between(customer.paymentTime, customer.leaveTime),
+      total: between(customer.arrivalTime, customer.leaveTime || now)
+    };
+  }
+  
   /**
    * Handle venue closed event
    * @param {string|number} venueId - Venue ID
@@ -312,6 +326,7 @@ class CustomerManager {
     
     for (const customer of customers) {
       customer.status = 'leaving';
+      customer.leaveReason = customer.leaveReason || 'venue_closed';
       customer.patience -= 20; // Reduce patience because venue closed
     }
     
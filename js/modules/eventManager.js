@@ -1,5 +1,11 @@
 // Event Manager - Handles random events and scheduled occurrences
 
+const rng = require('../utils/rng');
+const time = require('./time');
+
+// Days of triggered events kept, longer than anything looks back (getRecentEvents)
+const EVENT_HISTORY_DAYS = 60;
+
 class EventManager {
     constructor(game) {
       this.game = game;
@@ -28,11 +34,11 @@ class EventManager {
       this.checkScheduledEvents();
       
       // Random event check - don't run every time, but occasionally based on time passing
-      if (Math.random() > this.eventProbability) return;
+      if (rng.random() > this.eventProbability) return;
       
       // Pick a random event category
       const eventCategories = ['customer', 'staff', 'venue', 'city', 'financial'];
-      const category = eventCategories[Math.floor(Math.random() * eventCategories.length)];
+      const category = eventCategories[Math.floor(rng.random() * eventCategories.length)];
       
       // Pick an event from the category
       switch(category) {
@@ -72,29 +78,53 @@ class EventManager {
           if (!event.recurring) {
             this.events.splice(i, 1);
           }
-          
-          // Add to history
-          this.eventHistory.push({
-            ...event,
-            triggeredAt: { ...currentTime }
-          });
         }
       }
     }
     
     isEventDue(event, currentTime) {
-      // Check if the scheduled date/time has passed
-      if (event.scheduledYear !== undefined && currentTime.year < event.scheduledYear) return false;
-      if (event.scheduledMonth !== undefined && currentTime.month < event.scheduledMonth) return false;
-      if (event.scheduledDay !== undefined && currentTime.day < event.scheduledDay) return false;
-      if (event.scheduledHour !== undefined && currentTime.hour < event.scheduledHour) return false;
+      // Compare from year down to hour, so e.g. day 3 of next month is later than day 20 of this one
+      const fields = [
+        ['scheduledYear', 'year'],
+        ['scheduledMonth', 'month'],
+        ['scheduledDay', 'day'],
+        ['scheduledHour', 'hour']
+      ];
+      
+      for (const [scheduledField, timeField] of fields) {
+        if (event[scheduledField] === undefined) continue;
+        if (currentTime[timeField] > event[scheduledField]) return true;
+        if (currentTime[timeField] < event[scheduledField]) return false;
+      }
       
       return true;
     }
     
+    getRecentEvents(venueId, subtype, days) {
+      // Events of one subtype (e.g. 'food_poisoning') at a venue in the last few days
+      const today = time.getGameTime();
+      return this.eventHistory.filter(event =>
+        event.venueId === venueId &&
+        event.subtype === subtype &&
+        time.getDateDifferenceInDays(event.triggeredAt, today) <= days
+      );
+    }
+    
     triggerEvent(event) {
       window.logToConsole(`Event: ${event.description}`, 'info');
       
+      // Add to history, including random events
+      const now = { ...this.game.timeManager.getGameTime() };
+      this.eventHistory.push({
+        ...event,
+        triggeredAt: now
+      });
+      
+      // The history is in the order events happened, so the oldest are at the front
+      while (time.getDateDifferenceInDays(this.eventHistory[0].triggeredAt, now) > EVENT_HISTORY_DAYS) {
+        this.eventHistory.shift();
+      }
+      
       // Handle the event based on its type
       switch(event.type) {
         case 'health_inspection':
@@ -120,85 +150,13 @@ class EventManager {
     
     handleHealthInspection(event) {
       const venue = this.game.venueManager.getVenue(event.venueId);
-      if (!venue) return;
-      
-      window.logToConsole("Health inspector has arrived for a surprise inspection!", 'warning');
+      if (!venue || !this.game.cityManager) return;
       
-      // Inspector checks cleanliness and equipment condition
-      const cleanlinessScore = venue.stats.cleanliness;
-      
-      // Calculate equipment condition average if available
-      let equipmentScore = 0;
-      let equipmentCount = 0;
-      
-      if (venue.inventory && venue.inventory.equipment) {
-        venue.inventory.equipment.forEach(equipment => {
-          equipmentScore += equipment.condition;
-          equipmentCount++;
+      // The inspector grades the venue, handles any fine or closure and schedules the next visit
+      this.game.cityManager.healthInspector.inspect(venue, { reinspection: event.reinspection })
+        .catch(error => {
+          window.logToConsole(`Health inspection failed to complete: ${error.message}`, 'error');
         });
-        equipmentScore = equipmentCount > 0 ? equipmentScore / equipmentCount : 0;
-      }
-      
-      // Combine scores (60% cleanliness, 40% equipment)
-      const overallScore = (cleanlinessScore * 0.6) + (equipmentScore * 0.4);
-      
-      // Determine results
-      if (overallScore >= 80) {
-        window.logToConsole("Health inspection passed with flying colors! This will boost your reputation.", 'success');
-        venue.stats.popularity += 5;
-      } else if (overallScore >= 60) {
-        window.logToConsole("Health inspection passed, but with some minor issues noted.", 'success');
-        venue.stats.popularity += 2;
-      } else if (overallScore >= 40) {
-        // Failed but not critically
-        window.logToConsole("Health inspection failed. You must address cleanliness issues immediately.", 'error');
-        venue.stats.popularity -= 5;
-        
-        // Fine
-        const fine = 200 + Math.round((60 - overallScore) * 10);
-        this.game.state.player.cash -= fine;
-        window.logToConsole(`You've been fined €${fine} for health code violations.`, 'error');
-        
-        // Record transaction
-        if (this.game.financialManager) {
-          this.game.financialManager.recordTransaction({
-            type: 'expense',
-            category: 'fines',
-            subcategory: 'health_inspection',
-            amount: fine,
-            date: { ...this.game.timeManager.getGameTime() },
-            venueId: venue.id
-          });
-        }
-      } else {
-        // Critical failure
-        window.logToConsole("Health inspection failed critically! Your venue has been temporarily closed!", 'error');
-        venue.stats.popularity -= 15;
-        
-        // Heavy fine
-        const fine = 500 + Math.round((40 - overallScore) * 20);
-        this.game.state.player.cash -= fine;
-        window.logToConsole(`You've been fined €${fine} for serious health code violations.`, 'error');
-        
-        // Record transaction
-        if (this.game.financialManager) {
-          this.game.financialManager.recordTransaction({
-            type: 'expense',
-            category: 'fines',
-            subcategory: 'health_inspection',
-            amount: fine,
-            date: { ...this.game.timeManager.getGameTime() },
-            venueId: venue.id
-          });
-        }
-        
-        // Temporarily close the venue (future feature)
-      }
-      
-      // Schedule next inspection
-      if (this.game.cityManager) {
-        this.game.cityManager.scheduleHealthInspection(venue.city, venue.id);
-      }
     }
     
     handleEquipmentFailure(event) {
@@ -267,7 +225,7 @@ class EventManager {
         case 'food_poisoning':
           window.logToConsole("A customer has reported food poisoning from your venue!", 'error');
           venue.stats.popularity = Math.max(0, venue.stats.popularity - 10);
-          // Future feature: potential fine/closure
+          // Counted against the venue at its next health inspection
           break;
       }
     }
@@ -280,18 +238,22 @@ class EventManager {
       // Handle based on event subtype
       switch(event.subtype) {
         case 'tax_audit':
-          window.logToConsole("Your business is being audited by tax authorities.", 'warning');
-          // Future feature: check financial records, potential fine
-          break;
-        case 'price_increase':
-          window.logToConsole(`The price of ${event.itemType} has increased due to market changes.`, 'warning');
-          // Increase cost prices
-          if (venue.inventory && venue.inventory[event.itemType]) {
-            venue.inventory[event.itemType].forEach(item => {
-              item.costPrice = Math.round(item.costPrice * 1.2 * 100) / 100; // 20% increase
+          // Inspectors check the declared taxes against the takings and wage records
+          this.game.financialManager.taxManager.runAudit(venue)
+            .catch(error => {
+              window.logToConsole(`Tax audit failed to complete: ${error.message}`, 'error');
             });
-          }
           break;
+        case 'price_increase': {
+          // One of the suppliers of that kind of stock puts its prices up by 20%
+          const suppliers = this.game.inventoryManager.suppliers;
+          const affected = suppliers.getSuppliers().filter(supplier => supplier.itemTypes.includes(event.itemType));
+          if (affected.length === 0) break;
+          
+          const supplier = affected[Math.floor(rng.random() * affected.length)];
+          suppliers.changePrices(supplier.id, 0.2, `rising ${event.itemType} costs`);
+          break;
+        }
         case 'rent_increase':
           const increase = Math.round(venue.finances.rentPerMonth * 0.1);
           window.logToConsole(`Your landlord has increased the rent by €${increase}/month.`, 'warning');
@@ -316,13 +278,8 @@ class EventManager {
           city.popularity = Math.max(0, city.popularity - 5);
           break;
         case 'regulation_change':
-          window.logToConsole(`New regulations have been introduced in ${event.city} affecting ${event.regulationType}.`, 'warning');
-          // Update relevant regulation
-          if (event.regulationType === 'noise') {
-            city.regulations.maxNoiseLevelAllowed -= 5;
-          } else if (event.regulationType === 'hours') {
-            city.regulations.openingHoursRestriction.latest -= 1;
-          }
+          // Announced with notice; the regulation engine applies it on its effective date
+          this.game.cityManager.regulationEngine.proposeChange(event.city, event.regulationType);
           break;
       }
     }
@@ -365,7 +322,7 @@ class EventManager {
       }
       
       // Pick a random event
-      const randomEvent = customerEvents[Math.floor(Math.random() * customerEvents.length)];
+      const randomEvent = customerEvents[Math.floor(rng.random() * customerEvents.length)];
       
       // Trigger it
       this.triggerEvent(randomEvent);
@@ -380,7 +337,7 @@ class EventManager {
       if (!venue.staff || venue.staff.length === 0) return;
       
       // Pick a random staff member
-      const randomStaffId = venue.staff[Math.floor(Math.random() * venue.staff.length)];
+      const randomStaffId = venue.staff[Math.floor(rng.random() * venue.staff.length)];
       const staff = this.game.staffManager.getStaff(randomStaffId);
       if (!staff) return;
       
@@ -414,7 +371,7 @@ class EventManager {
       }
       
       // Pick a random event
-      const randomEvent = staffEvents[Math.floor(Math.random() * staffEvents.length)];
+      const randomEvent = staffEvents[Math.floor(rng.random() * staffEvents.length)];
       
       // Trigger it
       this.triggerEvent(randomEvent);
@@ -432,7 +389,7 @@ class EventManager {
       if (venue.inventory && venue.inventory.equipment) {
         venue.inventory.equipment.forEach(equipment => {
           // Higher chance of failure for equipment in poor condition
-          if (equipment.condition < 30 || Math.random() < 0.2) {
+          if (equipment.condition < 30 || rng.random() < 0.2) {
             venueEvents.push({
               type: 'equipment_failure',
               description: `${equipment.name} broke down`,
@@ -463,7 +420,7 @@ class EventManager {
       
       // Pick a random event
       if (venueEvents.length === 0) return;
-      const randomEvent = venueEvents[Math.floor(Math.random() * venueEvents.length)];
+      const randomEvent = venueEvents[Math.floor(rng.random() * venueEvents.length)];
       
       // Trigger it
       this.triggerEvent(randomEvent);
@@ -474,6 +431,7 @@ class EventManager {
       
       const venue = this.game.state.currentVenue;
       const city = venue.city;
+      const regulationTypes = ['hours', 'noise', 'alcohol_license', 'smoking', 'minimum_wage'];
       
       // List of possible city events
       const cityEvents = [
@@ -492,14 +450,14 @@ class EventManager {
         {
           type: 'city_event',
           subtype: 'regulation_change',
-          description: `New regulations in ${city}`,
-          regulationType: Math.random() < 0.5 ? 'noise' : 'hours',
+          description: `Regulation review in ${city}`,
+          regulationType: regulationTypes[Math.floor(rng.random() * regulationTypes.length)],
           city: city
         }
       ];
       
       // Pick a random event
-      const randomEvent = cityEvents[Math.floor(Math.random() * cityEvents.length)];
+      const randomEvent = cityEvents[Math.floor(rng.random() * cityEvents.length)];
       
       // Trigger it
       this.triggerEvent(randomEvent);
@@ -522,7 +480,7 @@ class EventManager {
           type: 'financial_event',
           subtype: 'price_increase',
           description: 'Supplier price increase',
-          itemType: Math.random() < 0.5 ? 'drinks' : 'food',
+          itemType: rng.random() < 0.5 ? 'drinks' : 'food',
           venueId: venue.id
         },
         {
@@ -534,7 +492,7 @@ class EventManager {
       ];
       
       // Pick a random event
-      const randomEvent = financialEvents[Math.floor(Math.random() * financialEvents.length)];
+      const randomEvent = financialEvents[Math.floor(rng.random() * financialEvents.length)];
       
       // Trigger it
       this.triggerEvent(randomEvent);
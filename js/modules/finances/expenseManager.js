@@ -65,15 +65,18 @@ class ExpenseManager {
       if (!venue.staff || venue.staff.length === 0) return;
       
       let totalWages = 0;
+      const staffMembers = [];
+      const payments = [];
       
       // Calculate wages for each staff member
       venue.staff.forEach(staffId => {
         const staff = this.game.staffManager.getStaff(staffId);
         if (staff) {
           totalWages += staff.wage;
+          staffMembers.push(staff);
           
           // Record individual wage payment
-          this.game.financialManager.recordTransaction({
+          payments.push({
             type: 'expense',
             category: 'wages',
             amount: staff.wage,
@@ -82,9 +85,51 @@ class ExpenseManager {
             staffId: staff.id,
             staffName: staff.name
           });
+          
+          // Rostered hours beyond the contract are paid as overtime
+          const { overtimeHours, overtimePay } = this.game.staffManager.scheduler.getWeeklyCost(staff);
+          if (overtimePay > 0) {
+            totalWages += overtimePay;
+            payments.push({
+              type: 'expense',
+              category: 'wages',
+              subcategory: 'overtime',
+              amount: overtimePay,
+              hours: overtimeHours,
+              date: { ...this.game.timeManager.getGameTime() },
+              venueId: venue.id,
+              staffId: staff.id,
+              staffName: staff.name
+            });
+          }
         }
       });
       
+      // Wages the cash can't cover go unpaid and are owed to the staff
+      const insolvencyManager = this.game.financialManager.insolvencyManager;
+      if (totalWages > 0 && this.game.state.player.cash < totalWages) {
+        insolvencyManager.withholdWages(venue, staffMembers, totalWages);
+        return;
+      }
+      
+      payments.forEach(payment => this.game.financialManager.recordTransaction(payment));
+      
+      // Wages owed from earlier weeks are paid once there is the cash for them too
+      const arrears = insolvencyManager.getWageArrears(venue);
+      if (arrears > 0 && this.game.state.player.cash >= totalWages + arrears) {
+        totalWages += arrears;
+        insolvencyManager.clearWageArrears(venue);
+        this.game.financialManager.recordTransaction({
+          type: 'expense',
+          category: 'wages',
+          subcategory: 'arrears',
+          amount: arrears,
+          date: { ...this.game.timeManager.getGameTime() },
+          venueId: venue.id
+        });
+        window.logToConsole(`Paid €${arrears.toFixed(2)} in wages owed to staff from earlier weeks.`, 'success');
+      }
+      
       // Deduct from cash
       this.game.state.player.cash -= totalWages;
       
@@ -94,6 +139,9 @@ class ExpenseManager {
       
       // Log the expense
       window.logToConsole(`Staff wages paid: €${totalWages.toFixed(2)}`, 'info');
+      
+      // Payroll tax on the wages is owed at the end of the month
+      this.game.financialManager.taxManager.chargePayrollTax(venue, totalWages);
     }
     
     payMonthlyExpenses() {
@@ -230,6 +278,132 @@ class ExpenseManager {
       return amount;
     }
     
+    payFine(venue, fineType, amount) {
+      // Deduct from cash
+      this.game.state.player.cash -= amount;
+      
+      // Update finances
+      venue.finances.monthlyExpenses += amount;
+      
+      // Record transaction
+      this.game.financialManager.recordTransaction({
+        type: 'expense',
+        category: 'fines',
+        subcategory: fineType,
+        amount: amount,
+        date: { ...this.game.timeManager.getGameTime() },
+        venueId: venue.id
+      });
+      
+      return amount;
+    }
+    
+    payTax(venue, liability, amount) {
+      // Deduct from cash
+      this.game.state.player.cash -= amount;
+      
+      // Update finances
+      venue.finances.monthlyExpenses += amount;
+      
+      // Record transaction
+      this.game.financialManager.recordTransaction({
+        type: 'expense',
+        category: 'taxes',
+        subcategory: liability.type,
+        period: liability.period,
+        penalties: liability.penalties,
+        amount: amount,
+        date: { ...this.game.timeManager.getGameTime() },
+        venueId: venue.id
+      });
+      
+      return amount;
+    }
+    
+    payLoan(venue, loan, interest, principal) {
+      // Deduct from cash
+      this.game.state.player.cash -= interest + principal;
+      
+      // Only the interest is a cost; repaying what was borrowed is not
+      if (venue) {
+        venue.finances.monthlyExpenses += interest;
+      }
+      
+      // Record transactions
+      if (interest > 0) {
+        this.game.financialManager.recordTransaction({
+          type: 'expense',
+          category: 'interest',
+          amount: interest,
+          loanId: loan.id,
+          date: { ...this.game.timeManager.getGameTime() },
+          venueId: venue ? venue.id : null
+        });
+      }
+      
+      if (principal > 0) {
+        this.game.financialManager.recordTransaction({
+          type: 'financing',
+          category: 'loan',
+          subcategory: 'repayment',
+          amount: principal,
+          loanId: loan.id,
+          date: { ...this.game.timeManager.getGameTime() },
+          venueId: venue ? venue.id : null
+        });
+      }
+      
+      return interest + principal;
+    }
+    
+    paySupplier(venue, order, quantity, amount) {
+      // Deduct from cash
+      this.game.state.player.cash -= amount;
+      
+      // Update finances
+      venue.finances.dailyExpenses += amount;
+      venue.finances.weeklyExpenses += amount;
+      venue.finances.monthlyExpenses += amount;
+      
+      // Record transaction
+      this.game.financialManager.recordTransaction({
+        type: 'expense',
+        category: 'inventory',
+        subcategory: order.itemType,
+        item: order.itemName,
+        quantity: quantity,
+        price: order.unitPrice,
+        amount: amount,
+        supplier: order.supplierName,
+        orderId: order.id,
+        date: { ...this.game.timeManager.getGameTime() },
+        venueId: venue.id
+      });
+      
+      return amount;
+    }
+    
+    recordWaste(venue, waste) {
+      // The stock was paid for on delivery, so writing it off costs no cash
+      this.game.financialManager.recordWriteOff(venue.id, waste.cost, 'waste', {
+        subcategory: waste.itemType,
+        item: waste.itemName,
+        quantity: waste.quantity
+      });
+      
+      return waste.cost;
+    }
+    
+    recordShrinkage(venue, stocktake) {
+      // Stock that went missing was paid for on delivery, so writing it off costs no cash
+      const amount = -stocktake.total;
+      this.game.financialManager.recordWriteOff(venue.id, amount, 'shrinkage', {
+        items: stocktake.items.filter(item => item.variance < 0).length
+      });
+      
+      return amount;
+    }
+    
     calculateDetailedExpenses(period, venueId) {
       // Get all expenses for the period
       const startDate = this.getStartDateForPeriod(period);
@@ -0,0 +1,277 @@
+// js/modules/finances/insolvencyManager.js
+// Cash-flow crises: overdraft warnings, unpaid wages, forced venue sales and bankruptcy
+
+const { INSOLVENCY } = require('../../config');
+const { createLogger } = require('../../utils/logger');
+const time = require('../time');
+
+/**
+ * Deals with the player running out of money. Cash may go below zero, but
+ * while it does suppliers refuse to deliver (supplierManager) and weekly
+ * wages the cash can't cover go unpaid (expenseManager.payStaffWages),
+ * lowering the morale of the staff concerned. Unpaid wages are owed to the
+ * venue's staff (venue.finances.unpaidWages) and paid with a later week's
+ * wages once there is the cash.
+ *
+ * The cash position is checked every day from financialManager.onNewDay.
+ * After INSOLVENCY.graceDays overdrawn, or once the overdraft passes
+ * INSOLVENCY.overdraftLimit, the bank forces the sale of the venue with the
+ * worst profit record through venueManager.sellVenue. If the player is still
+ * overdrawn with no venue left to sell, they are bankrupt: the clock stops
+ * and the game-over screen shows a summary of how things ended.
+ *
+ * The crisis is tracked on the player (game.state.player.insolvency), so it
+ * is saved with the game.
+ */
+class InsolvencyManager {
+  /**
+   * Create a new InsolvencyManager instance
+   * @param {Object} game - The main game object
+   */
+  constructor(game) {
+    this.game = game;
+    this.logger = createLogger(game);
+  }
+
+  /**
+   * Get the player's insolvency record, creating it if needed
+   * @returns {Object} Record with daysOverdrawn, overdrawnSince, forcedSales, unpaidWages and bankruptAt
+   */
+  getRecord() {
+    const player = this.game.state.player;
+    if (!player.insolvency) {
+      player.insolvency = {
+        daysOverdrawn: 0,
+        overdrawnSince: null,
+        forcedSales: [],
+        unpaidWages: 0,
+        bankruptAt: null
+      };
+    }
+    return player.insolvency;
+  }
+
+  /**
+   * Check whether the player's cash is below zero
+   * @returns {boolean} True if overdrawn
+   */
+  isOverdrawn() {
+    return this.game.state.player.cash < 0;
+  }
+
+  /**
+   * Check whether the player has gone bankrupt
+   * @returns {boolean} True once the game is over
+   */
+  isBankrupt() {
+    return Boolean(this.getRecord().bankruptAt);
+  }
+
+  /**
+   * Get the wages a venue owes its staff from weeks that went unpaid
+   * @param {Object} venue - Venue
+   * @returns {number} Amount owed
+   */
+  getWageArrears(venue) {
+    return (venue.finances && venue.finances.unpaidWages) || 0;
+  }
+
+  /**
+   * Leave a week's wages unpaid, owing them to the staff and lowering their morale
+   * @param {Object} venue - Venue
+   * @param {Array<Object>} staffMembers - Staff who weren't paid
+   * @param {number} amount - Wages that went unpaid
+   */
+  withholdWages(venue, staffMembers, amount) {
+    venue.finances.unpaidWages = this.round(this.getWageArrears(venue) + amount);
+
+    staffMembers.forEach(staff => {
+      const morale = Math.max(0, (staff.morale || 0) - INSOLVENCY.unpaidWagesMoraleLoss);
+      this.game.staffManager.behavior.updateStaffMorale(staff.id, morale);
+    });
+
+    this.logger.error(
+      `There wasn't the cash to pay €${amount.toFixed(2)} in wages at ${venue.name}. ` +
+      `${staffMembers.length} staff went unpaid and their morale has dropped. You owe them €${venue.finances.unpaidWages.toFixed(2)}.`,
+      'FINANCE'
+    );
+  }
+
+  /**
+   * Mark a venue's unpaid wages as settled
+   * @param {Object} venue - Venue
+   */
+  clearWageArrears(venue) {
+    venue.finances.unpaidWages = 0;
+  }
+
+  /**
+   * Daily check of the player's cash: warn while overdrawn, force a sale
+   * once the bank loses patience, and end the game when nothing is left to sell
+   * @returns {Promise<void>}
+   */
+  async checkCashFlow() {
+    const record = this.getRecord();
+    if (record.bankruptAt) return;
+
+    const cash = this.game.state.player.cash;
+    if (cash >= 0) {
+      if (record.daysOverdrawn > 0) {
+        this.logger.success('You are back in credit. Suppliers will deliver again.', 'FINANCE');
+      }
+      record.daysOverdrawn = 0;
+      record.overdrawnSince = null;
+      return;
+    }
+
+    if (record.daysOverdrawn === 0) {
+      record.overdrawnSince = time.toISOString(time.getGameTime());
+    }
+    record.daysOverdrawn++;
+
+    const venues = this.game.state.player.venues || [];
+    if (venues.length === 0) {
+      this.declareBankruptcy();
+      return;
+    }
+
+    if (record.daysOverdrawn > INSOLVENCY.graceDays || -cash > INSOLVENCY.overdraftLimit) {
+      await this.forceSale(this.getWorstVenue());
+      return;
+    }
+
+    const daysLeft = INSOLVENCY.graceDays - record.daysOverdrawn + 1;
+    this.logger.warning(
+      `You are €${(-cash).toFixed(2)} overdrawn. Suppliers won't deliver and wages can't be paid until you are back in credit. ` +
+      `The bank will force the sale of ${this.getWorstVenue().name} in ${daysLeft} day${daysLeft === 1 ? '' : 's'}, ` +
+      `or as soon as you are more than €${INSOLVENCY.overdraftLimit} overdrawn.`,
+      'FINANCE'
+    );
+  }
+
+  /**
+   * Find the venue the bank would sell first
+   * @private
+   * @returns {Object} The venue with the lowest average monthly profit, counting the month so far
+   */
+  getWorstVenue() {
+    const loanManager = this.game.financialManager.loanManager;
+    const averageProfit = venue => {
+      const months = loanManager.getProfitHistory(venue).map(month => month.profit);
+      months.push((venue.finances.monthlyRevenue || 0) - (venue.finances.monthlyExpenses || 0));
+      return months.reduce((total, profit) => total + profit, 0) / months.length;
+    };
+
+    return this.game.state.player.venues
+      .map(venue => ({ venue, profit: averageProfit(venue) }))
+      .sort((a, b) => a.profit - b.profit)[0].venue;
+  }
+
+  /**
+   * Sell a venue to cover the overdraft, declaring bankruptcy if that isn't enough
+   * @private
+   * @param {Object} venue - Venue to sell
+   * @returns {Promise<void>}
+   */
+  async forceSale(venue) {
+    const record = this.getRecord();
+    const cashBefore = this.game.state.player.cash;
+
+    const sold = await this.game.venueManager.sellVenue(venue.id, { forced: true });
+    if (!sold) {
+      this.logger.error(`The bank tried to sell ${venue.name} to cover your overdraft, but the sale fell through.`, 'FINANCE');
+      return;
+    }
+
+    const amount = this.round(this.game.state.player.cash - cashBefore);
+    record.unpaidWages = this.round(record.unpaidWages + this.getWageArrears(venue));
+    record.forcedSales.push({
+      venueName: venue.name,
+      venueType: venue.type,
+      city: venue.city,
+      amount,
+      date: time.toISOString(time.getGameTime())
+    });
+    record.daysOverdrawn = 0;
+    record.overdrawnSince = null;
+
+    this.logger.error(`The bank has forced the sale of ${venue.name} for €${amount.toFixed(2)} to cover your overdraft.`, 'FINANCE');
+
+    if (!this.isOverdrawn()) {
+      this.logger.success('The sale has put you back in credit.', 'FINANCE');
+    } else if (this.game.state.player.venues.length === 0) {
+      this.declareBankruptcy();
+    } else {
+      this.logger.warning(
+        `You are still €${(-this.game.state.player.cash).toFixed(2)} overdrawn. Get back in credit within ${INSOLVENCY.graceDays} days or another venue will be sold.`,
+        'FINANCE'
+      );
+    }
+  }
+
+  /**
+   * End the game: stop the clock and show the summary
+   * @private
+   */
+  declareBankruptcy() {
+    const record = this.getRecord();
+    record.bankruptAt = time.toISOString(time.getGameTime());
+
+    const summary = this.getSummary();
+    this.logger.error(`You are bankrupt with debts of €${summary.debts.toFixed(2)}. GAME OVER.`, 'FINANCE');
+
+    if (this.game.timeManager) {
+      this.game.timeManager.pauseGameClock();
+    }
+    if (this.game.uiManager) {
+      this.game.uiManager.showGameOver(summary);
+    }
+  }
+
+  /**
+   * Summarise how the player's business ended, for the game-over screen
+   * @returns {Object} Summary with date, cash, loansOwed, unpaidWages, debts, forcedSales and lines to show
+   */
+  getSummary() {
+    const record = this.getRecord();
+    const cash = this.round(this.game.state.player.cash);
+    const loansOwed = this.round(this.game.financialManager.loanManager.getTotalOwed());
+    const unpaidWages = this.round(record.unpaidWages +
+      (this.game.state.player.venues || []).reduce((total, venue) => total + this.getWageArrears(venue), 0));
+    const debts = this.round(Math.max(0, -cash) + loansOwed + unpaidWages);
+    const date = (record.bankruptAt || time.toISOString(time.getGameTime())).slice(0, 10);
+
+    const lines = [
+      `Declared bankrupt on ${date}.`,
+      `Cash: €${cash.toFixed(2)}`,
+      `Loans outstanding: €${loansOwed.toFixed(2)}`,
+      `Wages owed to staff: €${unpaidWages.toFixed(2)}`,
+      `Total debts: €${debts.toFixed(2)}`
+    ];
+    record.forcedSales.forEach(sale => {
+      lines.push(`${sale.venueName} (${sale.venueType}, ${sale.city}) sold by the bank on ${sale.date.slice(0, 10)} for €${sale.amount.toFixed(2)}`);
+    });
+
+    return {
+      date,
+      cash,
+      loansOwed,
+      unpaidWages,
+      debts,
+      forcedSales: record.forcedSales,
+      lines
+    };
+  }
+
+  /**
+   * Round an amount to cents
+   * @private
+   * @param {number} amount - Amount
+   * @returns {number} Rounded amount
+   */
+  round(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+}
+
+module.exports = InsolvencyManager;
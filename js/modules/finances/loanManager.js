@@ -0,0 +1,415 @@
+// js/modules/finances/loanManager.js
+// Business loans secured on venues: credit offers, monthly repayments and repossession
+
+const { LOANS } = require('../../config');
+const { isDatabaseAvailable, withDatabaseFallback } = require('../../database/dbUtils');
+const { createLogger } = require('../../utils/logger');
+const time = require('../time');
+
+// Months of profit kept on each venue for credit checks
+const MAX_PROFIT_HISTORY = 12;
+
+/**
+ * Lends the player money against a venue. How much a venue can secure
+ * depends on its sale value (venueService.calculateVenueSaleValue, or
+ * venueUpgrader.calculateSaleValue without a database) and its monthly
+ * profit history (venue.finances.profitHistory, recorded at the start of
+ * each month); the interest rate depends on the profit history alone.
+ *
+ * Loans are repaid in equal monthly payments taken when
+ * financialManager.onNewMonth runs. If there isn't the cash for a payment,
+ * the interest and a penalty are added to the balance instead, and after
+ * LOANS.seizeAfterMissedPayments missed payments in a row the lender
+ * repossesses the venue and keeps its sale value. Anything still owed after
+ * that stays as an unsecured loan.
+ *
+ * Loans are the player's (game.state.player.loans), so they are saved with
+ * the game, and are mirrored to the loans table.
+ */
+class LoanManager {
+  /**
+   * Create a new LoanManager instance
+   * @param {Object} game - The main game object
+   */
+  constructor(game) {
+    this.game = game;
+    this.logger = createLogger(game);
+  }
+
+  /**
+   * Get all of the player's loans, including repaid ones
+   * @returns {Array<Object>} Loans in the order they were taken
+   */
+  getLoans() {
+    return this.game.state.player.loans || [];
+  }
+
+  /**
+   * Get the loans still being repaid
+   * @returns {Array<Object>} Active loans
+   */
+  getActiveLoans() {
+    return this.getLoans().filter(loan => loan.status === 'active');
+  }
+
+  /**
+   * Get a loan by its number
+   * @param {number} number - Loan number, as shown by the loan command
+   * @returns {Object|null} The loan, or null if there is no such loan
+   */
+  getLoan(number) {
+    return this.getLoans().find(loan => loan.number === number) || null;
+  }
+
+  /**
+   * Get the total the player still owes
+   * @returns {number} Outstanding balance of all active loans
+   */
+  getTotalOwed() {
+    return this.getActiveLoans().reduce((total, loan) => total + loan.balance, 0);
+  }
+
+  /**
+   * Get a venue's monthly profit history
+   * @param {Object} venue - Venue
+   * @returns {Array<Object>} Months with period, revenue, expenses and profit, oldest first
+   */
+  getProfitHistory(venue) {
+    return (venue.finances && venue.finances.profitHistory) || [];
+  }
+
+  /**
+   * Record the month that has just ended in a venue's profit history
+   * @param {Object} venue - Venue
+   */
+  recordMonth(venue) {
+    const now = time.getGameTime();
+    const month = now.month === 1 ? 12 : now.month - 1;
+    const year = now.month === 1 ? now.year - 1 : now.year;
+    const revenue = venue.finances.monthlyRevenue || 0;
+    const expenses = venue.finances.monthlyExpenses || 0;
+
+    venue.finances.profitHistory = this.getProfitHistory(venue).concat({
+      period: `${year}-${String(month).padStart(2, '0')}`,
+      revenue: this.round(revenue),
+      expenses: this.round(expenses),
+      profit: this.round(revenue - expenses)
+    }).slice(-MAX_PROFIT_HISTORY);
+  }
+
+  /**
+   * Get what a venue is worth to a lender
+   * @param {Object} venue - Venue
+   * @returns {Promise<number>} Sale value
+   */
+  async getVenueValue(venue) {
+    return withDatabaseFallback(
+      this.game,
+      'venueService',
+      'calculateVenueSaleValue',
+      [venue.id],
+      async () => this.game.venueManager.venueUpgrader.calculateSaleValue(venue)
+    );
+  }
+
+  /**
+   * Work out how much a venue can borrow and at what rate
+   * @param {Object} venue - Venue
+   * @returns {Promise<Object>} Offer with value, limit, owed, available, annualRate, months, averageProfit and margin
+   */
+  async getOffer(venue) {
+    const value = await this.getVenueValue(venue);
+    const history = this.getProfitHistory(venue).slice(-LOANS.historyMonths);
+
+    const revenue = history.reduce((total, month) => total + month.revenue, 0);
+    const profit = history.reduce((total, month) => total + month.profit, 0);
+    const averageProfit = history.length > 0 ? profit / history.length : 0;
+    const margin = revenue > 0 ? profit / revenue : 0;
+
+    // Lenders want to see the venue make money before lending the full amount
+    const proven = history.length > 0 && averageProfit > 0;
+    const limit = value * LOANS.loanToValue * (proven ? 1 : LOANS.newBusinessShare);
+
+    let premium;
+    if (history.length === 0) {
+      premium = LOANS.newBusinessPremium;
+    } else if (averageProfit < 0) {
+      premium = LOANS.lossPremium;
+    } else {
+      premium = LOANS.newBusinessPremium * Math.max(0, 1 - margin / LOANS.healthyMargin);
+    }
+
+    const owed = this.getActiveLoans()
+      .filter(loan => loan.venueId === venue.id)
+      .reduce((total, loan) => total + loan.balance, 0);
+
+    return {
+      value,
+      limit: Math.round(limit),
+      owed: this.round(owed),
+      available: Math.max(0, Math.floor(limit - owed)),
+      annualRate: Math.round((LOANS.baseAnnualRate + premium) * 10000) / 10000,
+      months: history.length,
+      averageProfit: this.round(averageProfit),
+      margin
+    };
+  }
+
+  /**
+   * Get the monthly payment that repays a loan over its term
+   * @param {number} amount - Amount borrowed
+   * @param {number} annualRate - Annual interest rate
+   * @param {number} months - Term in months
+   * @returns {number} Monthly payment
+   */
+  getMonthlyPayment(amount, annualRate, months) {
+    const rate = annualRate / 12;
+    const payment = rate === 0 ? amount / months : amount * rate / (1 - Math.pow(1 + rate, -months));
+    return this.round(payment);
+  }
+
+  /**
+   * Borrow money against a venue
+   * @param {Object} venue - Venue the loan is secured on
+   * @param {number} amount - Amount to borrow
+   * @param {number} months - Term in months, one of LOANS.termsMonths
+   * @returns {Promise<Object|null>} The loan, or null if the lender turned it down
+   */
+  async applyForLoan(venue, amount, months) {
+    if (typeof amount !== 'number' || isNaN(amount) || amount < LOANS.minAmount) {
+      this.logger.error(`The smallest loan is €${LOANS.minAmount}.`, 'FINANCE');
+      return null;
+    }
+
+    if (!LOANS.termsMonths.includes(months)) {
+      this.logger.error(`Loans run for ${LOANS.termsMonths.join(', ')} months.`, 'FINANCE');
+      return null;
+    }
+
+    const offer = await this.getOffer(venue);
+    if (amount > offer.available) {
+      this.logger.error(
+        `The bank will lend at most €${offer.available.toFixed(2)} more against ${venue.name} (worth €${offer.value.toFixed(2)}).`,
+        'FINANCE'
+      );
+      return null;
+    }
+
+    const loans = this.getLoans();
+    const loan = {
+      id: `loan_${loans.length + 1}`,
+      number: loans.length + 1,
+      venueId: venue.id,
+      venueName: venue.name,
+      principal: this.round(amount),
+      balance: this.round(amount),
+      annualRate: offer.annualRate,
+      termMonths: months,
+      monthlyPayment: this.getMonthlyPayment(amount, offer.annualRate, months),
+      paymentsMade: 0,
+      missedPayments: 0,
+      interestPaid: 0,
+      penalties: 0,
+      status: 'active',
+      takenAt: time.toISOString(time.getGameTime()),
+      closedAt: null
+    };
+
+    this.game.state.player.loans = loans.concat(loan);
+    this.game.state.player.cash += loan.principal;
+    this.saveLoan(loan);
+
+    // Borrowed money is neither revenue nor taxable profit
+    this.game.financialManager.recordTransaction({
+      type: 'financing',
+      category: 'loan',
+      subcategory: 'drawdown',
+      amount: loan.principal,
+      loanId: loan.id,
+      date: { ...time.getGameTime() },
+      venueId: venue.id
+    });
+
+    this.logger.success(
+      `Borrowed €${loan.principal.toFixed(2)} against ${venue.name} at ${(loan.annualRate * 100).toFixed(1)}% a year: ` +
+      `${months} monthly payments of €${loan.monthlyPayment.toFixed(2)}.`,
+      'FINANCE'
+    );
+    return loan;
+  }
+
+  /**
+   * Pay off some or all of a loan early, without a fee
+   * @param {Object} loan - Loan
+   * @param {number} [amount] - Amount to pay; defaults to the whole balance
+   * @returns {boolean} True if the payment was made
+   */
+  repay(loan, amount = loan.balance) {
+    if (loan.status !== 'active') {
+      this.logger.error(`Loan ${loan.number} is already closed.`, 'FINANCE');
+      return false;
+    }
+
+    if (typeof amount !== 'number' || isNaN(amount) || amount <= 0) {
+      this.logger.error('The repayment must be a positive amount.', 'FINANCE');
+      return false;
+    }
+
+    const payment = this.round(Math.min(amount, loan.balance));
+    if (this.game.state.player.cash < payment) {
+      this.logger.error(`You need €${payment.toFixed(2)} to make that repayment.`, 'FINANCE');
+      return false;
+    }
+
+    this.game.financialManager.expenseManager.payLoan(this.getVenueFor(loan), loan, 0, payment);
+    loan.balance = this.round(loan.balance - payment);
+    this.closeIfRepaid(loan);
+    this.saveLoan(loan);
+
+    if (loan.status === 'repaid') {
+      this.logger.success(`Paid off ${this.describe(loan)}.`, 'FINANCE');
+    } else {
+      this.logger.success(`Paid €${payment.toFixed(2)} off ${this.describe(loan)}. €${loan.balance.toFixed(2)} left to repay.`, 'FINANCE');
+    }
+    return true;
+  }
+
+  /**
+   * Take this month's payment on every active loan, charging penalties for
+   * payments that can't be made and repossessing venues after too many
+   * @returns {Promise<void>}
+   */
+  async collectRepayments() {
+    for (const loan of this.getActiveLoans()) {
+      const interest = this.round(loan.balance * loan.annualRate / 12);
+      const due = this.round(Math.min(loan.monthlyPayment, loan.balance + interest));
+
+      if (this.game.state.player.cash >= due) {
+        this.game.financialManager.expenseManager.payLoan(this.getVenueFor(loan), loan, interest, due - interest);
+        loan.balance = this.round(loan.balance + interest - due);
+        loan.interestPaid = this.round(loan.interestPaid + interest);
+        loan.paymentsMade++;
+        loan.missedPayments = 0;
+        this.closeIfRepaid(loan);
+        this.logger.info(
+          loan.status === 'repaid'
+            ? `Made the last payment of €${due.toFixed(2)} on ${this.describe(loan)}. The loan is paid off.`
+            : `Loan payment of €${due.toFixed(2)} made on ${this.describe(loan)}. €${loan.balance.toFixed(2)} left to repay.`,
+          'FINANCE'
+        );
+      } else {
+        const penalty = this.round(loan.monthlyPayment * LOANS.missedPaymentPenalty);
+        loan.balance = this.round(loan.balance + interest + penalty);
+        loan.penalties = this.round(loan.penalties + penalty);
+        loan.missedPayments++;
+        this.logger.error(
+          `Missed the €${due.toFixed(2)} payment on ${this.describe(loan)}. The interest and a €${penalty.toFixed(2)} penalty ` +
+          `were added to the balance (${loan.missedPayments} missed in a row).`,
+          'FINANCE'
+        );
+
+        if (loan.venueId && loan.missedPayments >= LOANS.seizeAfterMissedPayments) {
+          await this.seizeVenue(loan);
+        } else if (loan.venueId && loan.missedPayments === LOANS.seizeAfterMissedPayments - 1) {
+          this.logger.warning(`Miss one more payment and the bank will repossess ${loan.venueName}.`, 'FINANCE');
+        }
+      }
+
+      this.saveLoan(loan);
+    }
+  }
+
+  /**
+   * Repossess the venue a loan is secured on and put its value towards the loan
+   * @private
+   * @param {Object} loan - Loan in default
+   * @returns {Promise<void>}
+   */
+  async seizeVenue(loan) {
+    const venue = this.game.venueManager.getVenue(loan.venueId);
+    loan.venueId = null;
+    if (!venue) return;
+
+    const value = await this.getVenueValue(venue);
+    await this.game.venueManager.removeVenue(venue.id);
+
+    const recovered = Math.min(value, loan.balance);
+    const surplus = this.round(value - recovered);
+    loan.balance = this.round(loan.balance - recovered);
+    loan.missedPayments = 0;
+
+    this.logger.error(
+      `The bank has repossessed ${venue.name} for missed payments and put its value of €${value.toFixed(2)} towards ${this.describe(loan)}.`,
+      'FINANCE'
+    );
+
+    if (surplus > 0) {
+      this.game.state.player.cash += surplus;
+      this.logger.info(`The €${surplus.toFixed(2)} left over after the loan was repaid has been paid to you.`, 'FINANCE');
+    }
+
+    if (loan.balance > 0) {
+      this.logger.warning(`You still owe €${loan.balance.toFixed(2)} on ${this.describe(loan)}.`, 'FINANCE');
+    } else {
+      loan.status = 'seized';
+      loan.closedAt = time.toISOString(time.getGameTime());
+    }
+  }
+
+  /**
+   * Describe a loan for messages
+   * @param {Object} loan - Loan
+   * @returns {string} e.g. 'loan 2 (The Golden Tap)'
+   */
+  describe(loan) {
+    return `loan ${loan.number} (${loan.venueName})`;
+  }
+
+  /**
+   * Get the venue a loan's payments are booked to
+   * @private
+   * @param {Object} loan - Loan
+   * @returns {Object|null} The venue it is secured on, or the current venue once that is gone
+   */
+  getVenueFor(loan) {
+    return (loan.venueId && this.game.venueManager.getVenue(loan.venueId)) || this.game.state.currentVenue;
+  }
+
+  /**
+   * Mark a loan repaid once nothing is owed
+   * @private
+   * @param {Object} loan - Loan
+   */
+  closeIfRepaid(loan) {
+    if (loan.balance > 0.005) return;
+
+    loan.balance = 0;
+    loan.status = 'repaid';
+    loan.closedAt = time.toISOString(time.getGameTime());
+  }
+
+  /**
+   * Round an amount to cents
+   * @private
+   * @param {number} amount - Amount
+   * @returns {number} Rounded amount
+   */
+  round(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  /**
+   * Mirror a loan to the database, if there is one
+   * @private
+   * @param {Object} loan - Loan
+   */
+  saveLoan(loan) {
+    if (!isDatabaseAvailable(this.game, 'loan')) return;
+
+    this.game.dbAPI.loan.saveLoan(loan).catch(error => {
+      this.logger.error(`Failed to save ${this.describe(loan)}: ${error.message}`, 'DATABASE');
+    });
+  }
+}
+
+module.exports = LoanManager;
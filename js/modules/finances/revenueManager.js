@@ -88,17 +88,21 @@ class RevenueManager {
         food: []
       };
       
+      // Made-to-order items cost what their recipe's ingredients cost
+      const recipes = this.game.inventoryManager.recipes;
+      
       // Calculate for drinks
       if (venue.inventory.drinks) {
         venue.inventory.drinks.forEach(drink => {
+          const costPrice = recipes.getCost(venue, drink);
           const profitability = {
             name: drink.name,
-            costPrice: drink.costPrice,
+            costPrice,
             sellPrice: drink.sellPrice,
-            markup: ((drink.sellPrice / drink.costPrice) - 1) * 100,
-            profitMargin: ((drink.sellPrice - drink.costPrice) / drink.sellPrice) * 100,
-            profit: drink.sellPrice - drink.costPrice,
-            stock: drink.stock
+            markup: ((drink.sellPrice / costPrice) - 1) * 100,
+            profitMargin: ((drink.sellPrice - costPrice) / drink.sellPrice) * 100,
+            profit: drink.sellPrice - costPrice,
+            stock: recipes.getServings(venue, drink)
           };
           
           profitabilityData.drinks.push(profitability);
@@ -108,14 +112,15 @@ class RevenueManager {
       // Calculate for food
       if (venue.inventory.food) {
         venue.inventory.food.forEach(food => {
+          const costPrice = recipes.getCost(venue, food);
           const profitability = {
             name: food.name,
-            costPrice: food.costPrice,
+            costPrice,
             sellPrice: food.sellPrice,
-            markup: ((food.sellPrice / food.costPrice) - 1) * 100,
-            profitMargin: ((food.sellPrice - food.costPrice) / food.sellPrice) * 100,
-            profit: food.sellPrice - food.costPrice,
-            stock: food.stock
+            markup: ((food.sellPrice / costPrice) - 1) * 100,
+            profitMargin: ((food.sellPrice - costPrice) / food.sellPrice) * 100,
+            profit: food.sellPrice - costPrice,
+            stock: recipes.getServings(venue, food)
           };
           
           profitabilityData.food.push(profitability);
@@ -132,12 +137,7 @@ class RevenueManager {
     calculatePeakRevenueHours(venueId) {
       // Get all revenue transactions
       const startDate = this.getStartDateForPeriod('monthly');
-      const revenues = this.game.financialManager.getTransactions(
-        venueId, 
-        startDate, 
-        null, 
-        'revenue'
-      );
+      const revenues = this.getRevenueTransactions(venueId, startDate);
       
       // Group by hour
       const hourlyRevenue = Array(24).fill(0);
@@ -178,12 +178,7 @@ class RevenueManager {
         startDate.month += 12;
       }
       
-      const revenues = this.game.financialManager.getTransactions(
-        venueId, 
-        startDate, 
-        null, 
-        'revenue'
-      );
+      const revenues = this.getRevenueTransactions(venueId, startDate);
       
       // Group by day of week
       const weekdayRevenue = Array(7).fill(0);
@@ -264,12 +259,7 @@ class RevenueManager {
         startDate.month += 12;
       }
       
-      const revenues = this.game.financialManager.getTransactions(
-        venueId, 
-        startDate, 
-        null, 
-        'revenue'
-      );
+      const revenues = this.getRevenueTransactions(venueId, startDate);
       
       // Group by month for trend analysis
       const monthlyRevenue = {};
@@ -361,6 +351,13 @@ class RevenueManager {
              popularityMultiplier;
     }
     
+    getRevenueTransactions(venueId, startDate) {
+      // Only the in-memory transactions carry the game date and hour of each sale
+      return this.game.financialManager.transactionManager
+        .getTransactionsByDateRange(startDate, null, venueId)
+        .filter(transaction => transaction.type === 'revenue');
+    }
+    
     getStartDateForPeriod(period) {
       const currentTime = this.game.timeManager.getGameTime();
       const startDate = { ...currentTime };
@@ -0,0 +1,562 @@
+// js/modules/finances/taxManager.js
+// VAT, payroll and corporate tax: what each venue owes, when it is paid and tax audits
+
+const { TAXES } = require('../../config');
+const { isDatabaseAvailable, withDatabaseFallback } = require('../../database/dbUtils');
+const { createLogger } = require('../../utils/logger');
+const time = require('../time');
+
+// Paid liabilities kept on each venue; older ones stay in the database
+const MAX_PAID_LIABILITIES = 36;
+
+// Months of closed VAT and payroll periods a tax audit looks back over
+const AUDIT_MONTHS = 12;
+
+// Differences smaller than this are rounding, not under-declared tax
+const AUDIT_TOLERANCE = 0.5;
+
+/**
+ * Every venue owes tax at its city's rates (cityManager.getCityTaxRates):
+ * VAT on sales and entrance fees, which is included in the prices customers
+ * pay; payroll tax on top of the wages paid each week; and corporate tax on
+ * each year's profit. What is owed builds up as a liability per tax and
+ * period (venue.taxLiabilities), which is saved with the venue and mirrored
+ * to the tax_liabilities table.
+ *
+ * Once a period ends its liabilities fall due TAXES.paymentTermDays later
+ * and are paid automatically on the due date if there is enough cash.
+ * Anything left unpaid becomes overdue: it draws a late-payment penalty at
+ * once and interest for every further week until it is paid.
+ *
+ * For corporate tax each venue keeps running books per year
+ * (venue.taxBooks): revenue net of VAT against deductible expenses. Tax
+ * payments themselves are not deductible, apart from payroll tax, which is
+ * counted when it is charged.
+ */
+class TaxManager {
+  /**
+   * Create a new TaxManager instance
+   * @param {Object} game - The main game object
+   */
+  constructor(game) {
+    this.game = game;
+    this.logger = createLogger(game);
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event listeners for game events
+   */
+  setupEventListeners() {
+    if (time) {
+      time.onDay(() => {
+        this.updateLiabilities();
+      });
+    }
+  }
+
+  /**
+   * Get the tax rates in force at a venue
+   * @param {Object} venue - Venue
+   * @returns {Object} Rates for vat, payroll and corporate tax
+   */
+  getRates(venue) {
+    const cityManager = this.game.cityManager;
+    return cityManager && venue.city ? cityManager.getCityTaxRates(venue.city) : { ...TAXES.defaultRates };
+  }
+
+  /**
+   * Get a venue's tax liabilities, most recent period first
+   * @param {Object} venue - Venue
+   * @returns {Array<Object>} Liabilities
+   */
+  getLiabilities(venue) {
+    return [...(venue.taxLiabilities || [])].sort((a, b) => b.period.localeCompare(a.period));
+  }
+
+  /**
+   * Get the total still owed by a venue, including penalties
+   * @param {Object} venue - Venue
+   * @param {boolean} [includeAccruing=false] - Also count taxes for periods that haven't ended
+   * @returns {number} Amount owed
+   */
+  getAmountOwed(venue, includeAccruing = false) {
+    return (venue.taxLiabilities || [])
+      .filter(liability => liability.status !== 'paid' && (includeAccruing || liability.status !== 'accruing'))
+      .reduce((total, liability) => total + this.getTotal(liability), 0);
+  }
+
+  /**
+   * Get what a liability costs to settle
+   * @param {Object} liability - Tax liability
+   * @returns {number} Tax plus penalties
+   */
+  getTotal(liability) {
+    return Math.round((liability.amount + liability.penalties) * 100) / 100;
+  }
+
+  /**
+   * Keep the books and charge VAT for a transaction as it is recorded
+   * @param {Object} transaction - Revenue or expense transaction
+   */
+  recordTransaction(transaction) {
+    const venue = transaction.venueId
+      ? this.game.venueManager.getVenue(transaction.venueId)
+      : this.game.state.currentVenue;
+    if (!venue || !(transaction.amount > 0)) return;
+
+    const books = this.getBooks(venue);
+
+    if (transaction.type === 'revenue') {
+      if (TAXES.vatableCategories.includes(transaction.category)) {
+        const rate = this.getRates(venue).vat;
+        const vat = transaction.amount * rate / (1 + rate);
+        this.accrue(venue, 'vat', transaction.amount, vat);
+        books.revenue += transaction.amount - vat;
+      } else {
+        books.revenue += transaction.amount;
+      }
+    } else if (transaction.type === 'expense' && transaction.category !== 'taxes') {
+      books.expenses += transaction.amount;
+    }
+  }
+
+  /**
+   * Charge payroll tax on a week's wages
+   * @param {Object} venue - Venue
+   * @param {number} totalWages - Wages and overtime paid
+   * @returns {number} Payroll tax charged
+   */
+  chargePayrollTax(venue, totalWages) {
+    if (!(totalWages > 0)) return 0;
+
+    const tax = totalWages * this.getRates(venue).payroll;
+    this.accrue(venue, 'payroll', totalWages, tax);
+
+    // Payroll tax is an employment cost, so it counts against profit
+    this.getBooks(venue).expenses += tax;
+    return tax;
+  }
+
+  /**
+   * Assess corporate tax on every venue's profit for a year
+   * @param {number} year - The year that has ended
+   */
+  assessCorporateTax(year) {
+    (this.game.state.player.venues || []).forEach(venue => {
+      const books = (venue.taxBooks || {})[year];
+      if (!books) return;
+
+      const profit = books.revenue - books.expenses;
+      const rate = this.getRates(venue).corporate;
+      if (profit <= 0) {
+        this.logger.info(`${venue.name} made no taxable profit in ${year}, so there is no corporate tax to pay.`, 'FINANCE');
+      } else {
+        const liability = this.createLiability(venue, 'corporate', String(year), rate);
+        liability.base = this.round(profit);
+        liability.amount = this.round(profit * rate);
+        this.closeLiability(liability);
+        this.logger.info(
+          `Corporate tax for ${venue.name} in ${year}: €${liability.amount.toFixed(2)} on a profit of €${liability.base.toFixed(2)}, due ${liability.dueDate.slice(0, 10)}.`,
+          'FINANCE'
+        );
+        this.saveLiability(liability);
+      }
+
+      // Only the year still being traded needs its books
+      Object.keys(venue.taxBooks).filter(key => Number(key) <= year).forEach(key => delete venue.taxBooks[key]);
+    });
+  }
+
+  /**
+   * Pay every tax a venue owes now, without waiting for the due dates
+   * @param {Object} venue - Venue
+   * @returns {boolean} True if everything owed was paid
+   */
+  payAll(venue) {
+    const owed = (venue.taxLiabilities || []).filter(liability => liability.status === 'due' || liability.status === 'overdue');
+    if (owed.length === 0) {
+      this.logger.info(`${venue.name} has no taxes to pay at the moment.`, 'FINANCE');
+      return true;
+    }
+
+    const total = owed.reduce((sum, liability) => sum + this.getTotal(liability), 0);
+    if (this.game.state.player.cash < total) {
+      this.logger.error(`You need €${total.toFixed(2)} to pay the taxes ${venue.name} owes.`, 'FINANCE');
+      return false;
+    }
+
+    owed.forEach(liability => this.pay(venue, liability));
+    return true;
+  }
+
+  /**
+   * Close ended periods, pay taxes that fall due and charge penalties on
+   * those that are late, at every venue
+   * @private
+   */
+  updateLiabilities() {
+    const today = time.toISOString({ ...time.getGameTime(), hour: 0, minute: 0 });
+
+    (this.game.state.player.venues || []).forEach(venue => {
+      (venue.taxLiabilities || []).forEach(liability => {
+        if (liability.status === 'accruing' && liability.period < this.getPeriod(liability.type)) {
+          this.closeLiability(liability);
+          this.saveLiability(liability);
+        }
+
+        if ((liability.status === 'due' || liability.status === 'overdue') && liability.dueDate <= today) {
+          if (this.game.state.player.cash >= this.getTotal(liability)) {
+            this.pay(venue, liability);
+          } else {
+            this.chargeLateness(venue, liability);
+          }
+        }
+      });
+
+      this.pruneLiabilities(venue);
+    });
+  }
+
+  /**
+   * Audit a venue: recalculate VAT from the venue's monthly takings and
+   * payroll tax from the wages paid, charge any tax that was under-declared plus a penalty, and
+   * penalise taxes that are overdue
+   * @param {Object} venue - Venue
+   * @returns {Promise<Object>} Findings: periods checked, shortfall, penalties and the liability raised
+   */
+  async runAudit(venue) {
+    const now = time.getGameTime();
+    const earliest = this.toPeriod(time.addDaysToDate({ ...now, day: 1 }, -AUDIT_MONTHS * 31));
+    const periods = (venue.taxLiabilities || []).filter(liability =>
+      (liability.type === 'vat' || liability.type === 'payroll') &&
+      liability.status !== 'accruing' && !liability.audited && liability.period >= earliest
+    );
+
+    // Each overdue payment is penalised by one audit only
+    const overdue = (venue.taxLiabilities || []).filter(liability => liability.status === 'overdue' && !liability.audited);
+
+    this.logger.warning(`Tax inspectors are auditing the books at ${venue.name}.`, 'FINANCE');
+
+    const findings = { periods: periods.length, shortfall: 0, penalties: 0, liability: null };
+    if (periods.length > 0) {
+      const recorded = await this.getRecordedBases(venue, periods.map(liability => liability.period).sort()[0]);
+
+      periods.forEach(liability => {
+        const base = (recorded[liability.type][liability.period] || 0);
+        const owed = liability.type === 'vat'
+          ? base * liability.rate / (1 + liability.rate)
+          : base * liability.rate;
+
+        // Records that no longer cover a whole period can only understate what was owed
+        if (owed - liability.amount > AUDIT_TOLERANCE) {
+          findings.shortfall += owed - liability.amount;
+        }
+        liability.audited = true;
+      });
+    }
+
+    overdue.forEach(liability => {
+      const penalty = this.round(liability.amount * TAXES.latePenaltyRate);
+      liability.penalties = this.round(liability.penalties + penalty);
+      liability.audited = true;
+      findings.penalties += penalty;
+      this.saveLiability(liability);
+    });
+
+    if (findings.shortfall > 0) {
+      const period = time.toISOString(now).slice(0, 10);
+      const liability = this.createLiability(venue, 'audit', period, 0);
+      liability.base = this.round(findings.shortfall);
+      liability.amount = this.round(findings.shortfall);
+      liability.penalties = this.round(findings.shortfall * TAXES.latePenaltyRate);
+      liability.audited = true;
+      this.closeLiability(liability);
+      this.saveLiability(liability);
+
+      findings.liability = liability;
+      findings.penalties += liability.penalties;
+      this.logger.error(
+        `The audit found €${liability.amount.toFixed(2)} of tax that was not declared. ` +
+        `With a €${liability.penalties.toFixed(2)} penalty it is due by ${liability.dueDate.slice(0, 10)}.`,
+        'FINANCE'
+      );
+    }
+
+    if (overdue.length > 0) {
+      this.logger.error(
+        `The inspectors added €${(findings.penalties - (findings.liability ? findings.liability.penalties : 0)).toFixed(2)} ` +
+        `in penalties to ${overdue.length} overdue tax payment${overdue.length === 1 ? '' : 's'}.`,
+        'FINANCE'
+      );
+    }
+
+    if (findings.shortfall === 0 && overdue.length === 0) {
+      this.logger.success(
+        findings.periods > 0
+          ? `The audit checked ${findings.periods} tax return${findings.periods === 1 ? '' : 's'} and found the books in order.`
+          : 'The audit found no tax returns to check and nothing overdue.',
+        'FINANCE'
+      );
+    }
+
+    findings.shortfall = this.round(findings.shortfall);
+    findings.penalties = this.round(findings.penalties);
+    return findings;
+  }
+
+  /**
+   * Add tax to the liability for the current period, creating it if needed
+   * @private
+   * @param {Object} venue - Venue
+   * @param {string} type - vat or payroll
+   * @param {number} base - Amount the tax is charged on
+   * @param {number} tax - Tax charged
+   */
+  accrue(venue, type, base, tax) {
+    const period = this.getPeriod(type);
+    const id = this.getLiabilityId(venue, type, period);
+    const liability = (venue.taxLiabilities || []).find(existing => existing.id === id)
+      || this.createLiability(venue, type, period, this.getRates(venue)[type]);
+
+    // Rounded when the period closes, so audits add up to the same amount
+    liability.base += base;
+    liability.amount += tax;
+  }
+
+  /**
+   * Add a new liability to a venue
+   * @private
+   * @param {Object} venue - Venue
+   * @param {string} type - vat, payroll, corporate or audit
+   * @param {string} period - Period the tax is for
+   * @param {number} rate - Tax rate
+   * @returns {Object} The liability
+   */
+  createLiability(venue, type, period, rate) {
+    const liability = {
+      id: this.getLiabilityId(venue, type, period),
+      venueId: venue.id,
+      type,
+      period,
+      rate,
+      base: 0,
+      amount: 0,
+      penalties: 0,
+      status: 'accruing',
+      dueDate: null,
+      paidAt: null,
+      daysOverdue: 0
+    };
+
+    venue.taxLiabilities = (venue.taxLiabilities || []).concat(liability);
+    return liability;
+  }
+
+  /**
+   * Set the due date of a liability whose period has ended
+   * @private
+   * @param {Object} liability - Tax liability
+   */
+  closeLiability(liability) {
+    const term = TAXES.paymentTermDays[liability.type];
+    const due = time.addDaysToDate(time.getGameTime(), term);
+    liability.base = this.round(liability.base);
+    liability.amount = this.round(liability.amount);
+    liability.status = 'due';
+    liability.dueDate = time.toISOString({ ...due, hour: 0, minute: 0 });
+  }
+
+  /**
+   * Pay a liability in full
+   * @private
+   * @param {Object} venue - Venue
+   * @param {Object} liability - Tax liability
+   */
+  pay(venue, liability) {
+    const total = this.getTotal(liability);
+    this.game.financialManager.expenseManager.payTax(venue, liability, total);
+
+    liability.status = 'paid';
+    liability.paidAt = time.toISOString(time.getGameTime());
+    this.saveLiability(liability);
+
+    const late = liability.penalties > 0 ? `, including €${liability.penalties.toFixed(2)} in penalties` : '';
+    this.logger.info(`Paid ${this.describe(liability)} for ${venue.name}: €${total.toFixed(2)}${late}.`, 'FINANCE');
+  }
+
+  /**
+   * Charge the penalty or interest for another day a liability is unpaid
+   * @private
+   * @param {Object} venue - Venue
+   * @param {Object} liability - Tax liability
+   */
+  chargeLateness(venue, liability) {
+    if (liability.status !== 'overdue') {
+      liability.status = 'overdue';
+      liability.daysOverdue = 0;
+      liability.penalties = this.round(liability.penalties + liability.amount * TAXES.latePenaltyRate);
+      this.logger.error(
+        `${this.describe(liability)} for ${venue.name} is overdue: you owe €${this.getTotal(liability).toFixed(2)} including a late-payment penalty.`,
+        'FINANCE'
+      );
+      this.saveLiability(liability);
+      return;
+    }
+
+    liability.daysOverdue++;
+    if (liability.daysOverdue % 7 === 0) {
+      liability.penalties = this.round(liability.penalties + liability.amount * TAXES.weeklyInterestRate);
+      this.logger.warning(
+        `${this.describe(liability)} for ${venue.name} is still unpaid and now costs €${this.getTotal(liability).toFixed(2)}.`,
+        'FINANCE'
+      );
+      this.saveLiability(liability);
+    }
+  }
+
+  /**
+   * Get the VAT and payroll tax bases per period from records kept apart
+   * from the tax itself: VAT from the takings in the venue's monthly
+   * profit history, payroll tax from the wage payments
+   * @private
+   * @param {Object} venue - Venue
+   * @param {string} firstPeriod - Earliest period to read, e.g. '2025-03'
+   * @returns {Promise<Object>} Bases by tax type, then by period
+   */
+  async getRecordedBases(venue, firstPeriod) {
+    const bases = { vat: {}, payroll: {} };
+
+    // Monthly revenue only counts sales and entrance fees, the VAT base
+    this.game.financialManager.loanManager.getProfitHistory(venue)
+      .filter(month => month.period >= firstPeriod)
+      .forEach(month => {
+        bases.vat[month.period] = month.revenue;
+      });
+
+    const [year, month] = firstPeriod.split('-').map(Number);
+    const start = { year, month, day: 1, hour: 0, minute: 0 };
+
+    let transactions = await withDatabaseFallback(
+      this.game,
+      'transaction',
+      'getTransactions',
+      [venue.id, { startDate: time.toISOString(start), type: 'expense', category: 'wages' }],
+      async () => []
+    );
+
+    // Without a database, or when its writes failed, the wages are only in memory
+    if (!transactions || transactions.length === 0) {
+      transactions = this.game.financialManager.transactionManager.getTransactions(venue.id, start, null, null);
+    }
+
+    transactions
+      .filter(transaction => transaction.type === 'expense' && transaction.category === 'wages')
+      .forEach(transaction => {
+        const period = transaction.date ? this.toPeriod(transaction.date) : String(transaction.timestamp).slice(0, 7);
+        bases.payroll[period] = (bases.payroll[period] || 0) + transaction.amount;
+      });
+    return bases;
+  }
+
+  /**
+   * Get a venue's books for the current year
+   * @private
+   * @param {Object} venue - Venue
+   * @returns {Object} Revenue and deductible expenses so far this year
+   */
+  getBooks(venue) {
+    const year = time.getGameTime().year;
+    venue.taxBooks = venue.taxBooks || {};
+    if (!venue.taxBooks[year]) {
+      venue.taxBooks[year] = { revenue: 0, expenses: 0 };
+    }
+    return venue.taxBooks[year];
+  }
+
+  /**
+   * Drop the oldest paid liabilities beyond MAX_PAID_LIABILITIES
+   * @private
+   * @param {Object} venue - Venue
+   */
+  pruneLiabilities(venue) {
+    const paid = (venue.taxLiabilities || []).filter(liability => liability.status === 'paid');
+    if (paid.length <= MAX_PAID_LIABILITIES) return;
+
+    const dropped = new Set(
+      paid.sort((a, b) => a.paidAt.localeCompare(b.paidAt)).slice(0, paid.length - MAX_PAID_LIABILITIES)
+    );
+    venue.taxLiabilities = venue.taxLiabilities.filter(liability => !dropped.has(liability));
+  }
+
+  /**
+   * Get the current period for a tax
+   * @private
+   * @param {string} type - vat, payroll or corporate
+   * @returns {string} e.g. '2025-03' for monthly taxes, '2025' for yearly ones
+   */
+  getPeriod(type) {
+    const now = time.getGameTime();
+    return TAXES.periods[type] === 'yearly' ? String(now.year) : this.toPeriod(now);
+  }
+
+  /**
+   * Get the month a date falls in
+   * @private
+   * @param {Object} date - Game date
+   * @returns {string} e.g. '2025-03'
+   */
+  toPeriod(date) {
+    return `${date.year}-${String(date.month).padStart(2, '0')}`;
+  }
+
+  /**
+   * Build the ID of a venue's liability for a tax and period
+   * @private
+   * @param {Object} venue - Venue
+   * @param {string} type - Tax type
+   * @param {string} period - Period
+   * @returns {string} Liability ID
+   */
+  getLiabilityId(venue, type, period) {
+    return `tax_${venue.id}_${type}_${period}`;
+  }
+
+  /**
+   * Describe a liability for messages
+   * @param {Object} liability - Tax liability
+   * @returns {string} e.g. 'VAT for 2025-03'
+   */
+  describe(liability) {
+    const names = { vat: 'VAT', payroll: 'Payroll tax', corporate: 'Corporate tax', audit: 'Tax from the audit' };
+    return liability.type === 'audit'
+      ? `${names.audit} on ${liability.period}`
+      : `${names[liability.type]} for ${liability.period}`;
+  }
+
+  /**
+   * Round an amount to cents
+   * @private
+   * @param {number} amount - Amount
+   * @returns {number} Rounded amount
+   */
+  round(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  /**
+   * Mirror a liability to the database, if there is one
+   * @private
+   * @param {Object} liability - Tax liability
+   */
+  saveLiability(liability) {
+    if (!isDatabaseAvailable(this.game, 'tax')) return;
+
+    this.game.dbAPI.tax.saveLiability(liability).catch(error => {
+      this.logger.error(`Failed to save ${this.describe(liability)}: ${error.message}`, 'DATABASE');
+    });
+  }
+}
+
+module.exports = TaxManager;
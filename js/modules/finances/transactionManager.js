@@ -4,6 +4,9 @@ class TransactionManager {
     constructor(game) {
       this.game = game;
       this.transactions = [];
+      
+      // Whether older transactions have been dropped to keep the list short
+      this.trimmed = false;
     }
     
     recordTransaction(transaction) {
@@ -11,12 +14,18 @@ class TransactionManager {
       transaction.id = Date.now().toString() + Math.random().toString(36).substr(2, 5);
       transaction.timestamp = Date.now();
       
+      // Date filters and reports need the game date
+      if (!transaction.date) {
+        transaction.date = { ...this.game.timeManager.getGameTime() };
+      }
+      
       // Add to transactions array
       this.transactions.push(transaction);
       
       // Trim transactions list if it gets too long
       if (this.transactions.length > 1000) {
         this.transactions = this.transactions.slice(-1000);
+        this.trimmed = true;
       }
       
       return transaction.id;
@@ -26,6 +35,14 @@ class TransactionManager {
       return this.transactions.find(t => t.id === transactionId);
     }
     
+    removeTransaction(transactionId) {
+      const index = this.transactions.findIndex(t => t.id === transactionId);
+      if (index === -1) return false;
+      
+      this.transactions.splice(index, 1);
+      return true;
+    }
+    
     getTransactions(venueId, startDate, endDate, category) {
       // Filter transactions based on parameters
       return this.transactions.filter(transaction => {
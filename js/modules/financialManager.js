@@ -4,7 +4,11 @@ const ExpenseManager = require('./finances/expenseManager');
 const RevenueManager = require('./finances/revenueManager');
 const TransactionManager = require('./finances/transactionManager');
 const ReportingManager = require('./finances/reportingManager');
+const TaxManager = require('./finances/taxManager');
+const LoanManager = require('./finances/loanManager');
+const InsolvencyManager = require('./finances/insolvencyManager');
 const dbAPI = require('../database/api');
+const time = require('./time');
 
 class FinancialManager {
   constructor(game) {
@@ -18,6 +22,9 @@ class FinancialManager {
     this.revenueManager = new RevenueManager(game);
     this.transactionManager = new TransactionManager(game);
     this.reportingManager = new ReportingManager(game, this.transactionManager);
+    this.taxManager = new TaxManager(game);
+    this.loanManager = new LoanManager(game);
+    this.insolvencyManager = new InsolvencyManager(game);
     
     // Check database availability
     this.checkDatabaseAvailability();
@@ -42,6 +49,9 @@ class FinancialManager {
   
   // Daily financial operations
   async onNewDay() {
+    // Overdrafts are checked whichever venue is selected, and even with none left
+    await this.insolvencyManager.checkCashFlow();
+    
     // Skip if no current venue
     if (!this.game.state.currentVenue) return;
     
@@ -124,6 +134,14 @@ class FinancialManager {
   
   // Monthly financial operations
   async onNewMonth() {
+    // Lenders look at each month's profit, so keep it before the totals are reset
+    if (this.game.state.currentVenue) {
+      this.loanManager.recordMonth(this.game.state.currentVenue);
+    }
+    
+    // Loan payments are due whichever venue is selected
+    await this.loanManager.collectRepayments();
+    
     // Skip if no current venue
     if (!this.game.state.currentVenue) return;
     
@@ -165,6 +183,9 @@ class FinancialManager {
   
   // Yearly financial operations
   async onNewYear() {
+    // Every venue owes corporate tax on the year that has just ended
+    this.taxManager.assessCorporateTax(time.getGameTime().year - 1);
+    
     // Skip if no current venue
     if (!this.game.state.currentVenue) return;
     
@@ -239,11 +260,18 @@ class FinancialManager {
   
   // Public methods for other modules to use
   async recordTransaction(transaction) {
+    // VAT and the books for corporate tax follow every transaction, whichever store records it
+    this.taxManager.recordTransaction(transaction);
+    
     if (this.useDatabase) {
       try {
-        // Make sure transaction has a timestamp
+        // The game date fills the table's game date columns, and the
+        // timestamp is in game time so daily reports line up with game days
+        if (!transaction.date) {
+          transaction.date = { ...time.getGameTime() };
+        }
         if (!transaction.timestamp) {
-          transaction.timestamp = new Date().toISOString();
+          transaction.timestamp = time.toISOString({ hour: 0, minute: 0, ...transaction.date });
         }
         
         // Add venue ID if not provided
@@ -251,46 +279,9 @@ class FinancialManager {
           transaction.venueId = this.game.state.currentVenue.id;
         }
         
-        // Convert game date to database-friendly format
-        if (transaction.date) {
-          const gameDate = transaction.date;
-          transaction.game_date_year = gameDate.year;
-          transaction.game_date_month = gameDate.month;
-          transaction.game_date_day = gameDate.day;
-          transaction.game_date_hour = gameDate.hour;
-          transaction.game_date_minute = gameDate.minute;
-          
-          // Remove the original date object
-          delete transaction.date;
-        }
-        
-        // Record in database
-        await dbAPI.transaction.recordTransaction(transaction);
-        
-        // Also update in-memory state if needed
-        if (transaction.type === 'revenue') {
-          // Update venue's revenue stats in memory
-          const venue = this.game.state.currentVenue;
-          if (venue) {
-            venue.finances.dailyRevenue += transaction.amount;
-            venue.finances.weeklyRevenue += transaction.amount;
-            venue.finances.monthlyRevenue += transaction.amount;
-          }
-          
-          // Update player's cash
-          this.game.state.player.cash += transaction.amount;
-        } else if (transaction.type === 'expense') {
-          // Update venue's expense stats in memory
-          const venue = this.game.state.currentVenue;
-          if (venue) {
-            venue.finances.dailyExpenses += transaction.amount;
-            venue.finances.weeklyExpenses += transaction.amount;
-            venue.finances.monthlyExpenses += transaction.amount;
-          }
-          
-          // Update player's cash
-          this.game.state.player.cash -= transaction.amount;
-        }
+        // Record in database. Callers have already moved the cash and the
+        // venue's totals, so this only keeps the record.
+        return await dbAPI.transaction.recordTransaction(transaction);
       } catch (error) {
         console.error("Error recording transaction in database:", error);
         // Fallback to in-memory transaction recording
@@ -301,7 +292,63 @@ class FinancialManager {
       return this.transactionManager.recordTransaction(transaction);
     }
   }
-  
+
+  // Log revenue that the caller has already added to cash and venue finances
+  async recordRevenue(venueId, amount, category, metadata = {}) {
+    const gameTime = time.getGameTime();
+    const transaction = {
+      venueId,
+      type: 'revenue',
+      category,
+      amount,
+      date: { ...gameTime },
+      metadata
+    };
+
+    this.taxManager.recordTransaction(transaction);
+
+    if (this.useDatabase) {
+      try {
+        return await dbAPI.transaction.recordTransaction({
+          ...transaction,
+          timestamp: time.toISOString(gameTime)
+        });
+      } catch (error) {
+        console.error("Error recording revenue in database:", error);
+      }
+    }
+
+    return this.transactionManager.recordTransaction(transaction);
+  }
+
+  // Log an expense that costs no cash, such as spoiled stock that was paid for on delivery
+  async recordWriteOff(venueId, amount, category, metadata = {}) {
+    const gameTime = time.getGameTime();
+    const transaction = {
+      venueId,
+      type: 'expense',
+      category,
+      amount,
+      date: { ...gameTime },
+      metadata
+    };
+
+    this.taxManager.recordTransaction(transaction);
+
+    if (this.useDatabase) {
+      try {
+        return await dbAPI.transaction.recordTransaction({
+          ...transaction,
+          timestamp: time.toISOString(gameTime)
+        });
+      } catch (error) {
+        console.error("Error recording write-off in database:", error);
+      }
+    }
+
+    return this.transactionManager.recordTransaction(transaction);
+  }
+
   async getTransactions(venueId, startDate, endDate, category) {
     if (this.useDatabase) {
       try {
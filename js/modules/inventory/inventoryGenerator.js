@@ -1,5 +1,7 @@
 // InventoryGenerator - Handles creation of default inventory items
 
+const { hasRecipe, getRecipeCost } = require('../../utils/recipes');
+
 class InventoryGenerator {
     constructor() {
       // Empty constructor as this class just handles inventory generation
@@ -8,12 +10,16 @@ class InventoryGenerator {
     generateDefaultInventory(venueType) {
       const inventory = {
         drinks: [],
+        ingredients: [],
         equipment: []
       };
       
       // Add default drinks based on venue type
       this.addDefaultDrinks(inventory.drinks, venueType);
       
+      // Add the spirits, mixers and kitchen stock recipes are made from
+      this.addDefaultIngredients(inventory.ingredients, venueType);
+      
       // Add default equipment
       this.addDefaultEquipment(inventory.equipment, venueType);
       
@@ -23,6 +29,11 @@ class InventoryGenerator {
         this.addDefaultFood(inventory.food, venueType);
       }
       
+      // Items made to order cost what their ingredients cost
+      [...inventory.drinks, ...(inventory.food || [])].filter(hasRecipe).forEach(item => {
+        item.costPrice = getRecipeCost(item.recipe, inventory.ingredients);
+      });
+      
       return inventory;
     }
     
@@ -39,10 +50,20 @@ class InventoryGenerator {
       // Add venue-specific drinks
       if (venueType === 'Bar' || venueType === 'Nightclub') {
         const specializedDrinks = [
-          { name: 'Wine', type: 'drinks', subtype: 'alcoholic', costPrice: 3.0, sellPrice: 6.5, stock: 30 },
-          { name: 'Whiskey', type: 'drinks', subtype: 'alcoholic', costPrice: 2.5, sellPrice: 7.0, stock: 20 },
-          { name: 'Vodka', type: 'drinks', subtype: 'alcoholic', costPrice: 2.0, sellPrice: 6.0, stock: 20 },
-          { name: 'Cocktail', type: 'drinks', subtype: 'alcoholic', costPrice: 3.0, sellPrice: 8.5, stock: 15 }
+          { name: 'Wine', type: 'drinks', subtype: 'alcoholic', sellPrice: 6.5, stock: 0,
+            recipe: [{ ingredient: 'House Wine', quantity: 15 }] },
+          { name: 'Whiskey', type: 'drinks', subtype: 'alcoholic', sellPrice: 7.0, stock: 0,
+            recipe: [{ ingredient: 'Scotch Whisky', quantity: 4 }] },
+          { name: 'Vodka', type: 'drinks', subtype: 'alcoholic', sellPrice: 6.0, stock: 0,
+            recipe: [{ ingredient: 'House Vodka', quantity: 4 }] },
+          { name: 'Cocktail', type: 'drinks', subtype: 'alcoholic', sellPrice: 8.5, stock: 0,
+            recipe: [
+              { ingredient: 'House Vodka', quantity: 4 },
+              { ingredient: 'Lime Juice', quantity: 2 },
+              { ingredient: 'Sugar Syrup', quantity: 2 },
+              { ingredient: 'Soda Water', quantity: 10 },
+              { ingredient: 'Lime Wedge', quantity: 1 }
+            ] }
         ];
         drinksArray.push(...specializedDrinks);
       }
@@ -50,14 +71,21 @@ class InventoryGenerator {
       if (venueType === 'Nightclub') {
         const nightclubDrinks = [
           { name: 'Energy Drink', type: 'drinks', subtype: 'non-alcoholic', costPrice: 1.5, sellPrice: 5.0, stock: 40 },
-          { name: 'Premium Cocktail', type: 'drinks', subtype: 'alcoholic', costPrice: 4.5, sellPrice: 12.0, stock: 10 }
+          { name: 'Premium Cocktail', type: 'drinks', subtype: 'alcoholic', sellPrice: 12.0, stock: 0,
+            recipe: [
+              { ingredient: 'Premium Gin', quantity: 5 },
+              { ingredient: 'Tonic Water', quantity: 15 },
+              { ingredient: 'Lime Wedge', quantity: 1 },
+              { ingredient: 'Mint Sprig', quantity: 1 }
+            ] }
         ];
         drinksArray.push(...nightclubDrinks);
       }
       
       if (venueType === 'Restaurant') {
         const restaurantDrinks = [
-          { name: 'Wine', type: 'drinks', subtype: 'alcoholic', costPrice: 3.0, sellPrice: 8.0, stock: 40 },
+          { name: 'Wine', type: 'drinks', subtype: 'alcoholic', sellPrice: 8.0, stock: 0,
+            recipe: [{ ingredient: 'House Wine', quantity: 15 }] },
           { name: 'Coffee', type: 'drinks', subtype: 'non-alcoholic', costPrice: 0.5, sellPrice: 2.5, stock: 50 },
           { name: 'Tea', type: 'drinks', subtype: 'non-alcoholic', costPrice: 0.3, sellPrice: 2.0, stock: 40 }
         ];
@@ -77,25 +105,113 @@ class InventoryGenerator {
     addDefaultFood(foodArray, venueType) {
       if (venueType === 'Restaurant') {
         const restaurantFood = [
-          { name: 'Steak', type: 'food', subtype: 'main', costPrice: 8.0, sellPrice: 22.0, stock: 20 },
-          { name: 'Pasta', type: 'food', subtype: 'main', costPrice: 3.0, sellPrice: 14.0, stock: 30 },
-          { name: 'Salad', type: 'food', subtype: 'starter', costPrice: 2.0, sellPrice: 8.0, stock: 25 },
-          { name: 'Soup', type: 'food', subtype: 'starter', costPrice: 1.5, sellPrice: 6.0, stock: 20 },
+          { name: 'Steak', type: 'food', subtype: 'main', sellPrice: 22.0, stock: 0,
+            recipe: [
+              { ingredient: 'Beef Steak', quantity: 1 },
+              { ingredient: 'Potatoes', quantity: 200 },
+              { ingredient: 'Butter', quantity: 20 }
+            ] },
+          { name: 'Pasta', type: 'food', subtype: 'main', sellPrice: 14.0, stock: 0,
+            recipe: [
+              { ingredient: 'Dried Pasta', quantity: 120 },
+              { ingredient: 'Tomatoes', quantity: 150 },
+              { ingredient: 'Parmesan', quantity: 20 },
+              { ingredient: 'Olive Oil', quantity: 2 }
+            ] },
+          { name: 'Salad', type: 'food', subtype: 'starter', sellPrice: 8.0, stock: 0,
+            recipe: [
+              { ingredient: 'Lettuce', quantity: 100 },
+              { ingredient: 'Tomatoes', quantity: 80 },
+              { ingredient: 'Olive Oil', quantity: 2 }
+            ] },
+          { name: 'Soup', type: 'food', subtype: 'starter', sellPrice: 6.0, stock: 0,
+            recipe: [
+              { ingredient: 'Vegetables', quantity: 250 },
+              { ingredient: 'Cream', quantity: 5 }
+            ] },
           { name: 'Cake', type: 'food', subtype: 'dessert', costPrice: 2.0, sellPrice: 7.0, stock: 15 }
         ];
         foodArray.push(...restaurantFood);
       } else if (venueType === 'Fast Food') {
         const fastFood = [
-          { name: 'Burger', type: 'food', subtype: 'main', costPrice: 2.5, sellPrice: 6.5, stock: 40 },
-          { name: 'Fries', type: 'food', subtype: 'side', costPrice: 0.8, sellPrice: 3.0, stock: 50 },
+          { name: 'Burger', type: 'food', subtype: 'main', sellPrice: 6.5, stock: 0,
+            recipe: [
+              { ingredient: 'Beef Patty', quantity: 1 },
+              { ingredient: 'Burger Bun', quantity: 1 },
+              { ingredient: 'Cheese Slice', quantity: 1 },
+              { ingredient: 'Lettuce', quantity: 20 }
+            ] },
+          { name: 'Fries', type: 'food', subtype: 'side', sellPrice: 3.0, stock: 0,
+            recipe: [
+              { ingredient: 'Potatoes', quantity: 150 },
+              { ingredient: 'Frying Oil', quantity: 2 }
+            ] },
           { name: 'Pizza Slice', type: 'food', subtype: 'main', costPrice: 1.5, sellPrice: 4.0, stock: 30 },
-          { name: 'Chicken Wings', type: 'food', subtype: 'side', costPrice: 2.0, sellPrice: 5.5, stock: 25 },
+          { name: 'Chicken Wings', type: 'food', subtype: 'side', sellPrice: 5.5, stock: 0,
+            recipe: [
+              { ingredient: 'Chicken Wing', quantity: 6 },
+              { ingredient: 'Hot Sauce', quantity: 2 }
+            ] },
           { name: 'Ice Cream', type: 'food', subtype: 'dessert', costPrice: 1.0, sellPrice: 3.0, stock: 20 }
         ];
         foodArray.push(...fastFood);
       }
     }
     
+    addDefaultIngredients(ingredientsArray, venueType) {
+      // Stock is counted in each ingredient's unit and costPrice is per unit
+      if (venueType === 'Bar' || venueType === 'Nightclub') {
+        const barIngredients = [
+          { name: 'House Vodka', type: 'ingredients', subtype: 'spirit', unit: 'cl', costPrice: 0.3, stock: 700 },
+          { name: 'Scotch Whisky', type: 'ingredients', subtype: 'spirit', unit: 'cl', costPrice: 0.5, stock: 350 },
+          { name: 'House Wine', type: 'ingredients', subtype: 'wine', unit: 'cl', costPrice: 0.08, stock: 750 },
+          { name: 'Lime Juice', type: 'ingredients', subtype: 'mixer', unit: 'cl', costPrice: 0.05, stock: 100 },
+          { name: 'Sugar Syrup', type: 'ingredients', subtype: 'mixer', unit: 'cl', costPrice: 0.03, stock: 100 },
+          { name: 'Soda Water', type: 'ingredients', subtype: 'mixer', unit: 'cl', costPrice: 0.01, stock: 500 },
+          { name: 'Lime Wedge', type: 'ingredients', subtype: 'garnish', unit: 'unit', costPrice: 0.1, stock: 60 }
+        ];
+        ingredientsArray.push(...barIngredients);
+      }
+      
+      if (venueType === 'Nightclub') {
+        const nightclubIngredients = [
+          { name: 'Premium Gin', type: 'ingredients', subtype: 'spirit', unit: 'cl', costPrice: 0.6, stock: 350 },
+          { name: 'Tonic Water', type: 'ingredients', subtype: 'mixer', unit: 'cl', costPrice: 0.02, stock: 750 },
+          { name: 'Mint Sprig', type: 'ingredients', subtype: 'garnish', unit: 'unit', costPrice: 0.15, stock: 40 }
+        ];
+        ingredientsArray.push(...nightclubIngredients);
+      }
+      
+      if (venueType === 'Restaurant') {
+        const restaurantIngredients = [
+          { name: 'House Wine', type: 'ingredients', subtype: 'wine', unit: 'cl', costPrice: 0.08, stock: 750 },
+          { name: 'Beef Steak', type: 'ingredients', subtype: 'meat', unit: 'unit', costPrice: 5.5, stock: 20 },
+          { name: 'Potatoes', type: 'ingredients', subtype: 'produce', unit: 'g', costPrice: 0.002, stock: 5000 },
+          { name: 'Butter', type: 'ingredients', subtype: 'dairy', unit: 'g', costPrice: 0.01, stock: 1000 },
+          { name: 'Dried Pasta', type: 'ingredients', subtype: 'dry', unit: 'g', costPrice: 0.003, stock: 5000 },
+          { name: 'Tomatoes', type: 'ingredients', subtype: 'produce', unit: 'g', costPrice: 0.004, stock: 6000 },
+          { name: 'Parmesan', type: 'ingredients', subtype: 'dairy', unit: 'g', costPrice: 0.025, stock: 1000 },
+          { name: 'Olive Oil', type: 'ingredients', subtype: 'dry', unit: 'cl', costPrice: 0.05, stock: 300 },
+          { name: 'Lettuce', type: 'ingredients', subtype: 'produce', unit: 'g', costPrice: 0.006, stock: 3000 },
+          { name: 'Vegetables', type: 'ingredients', subtype: 'produce', unit: 'g', costPrice: 0.003, stock: 5000 },
+          { name: 'Cream', type: 'ingredients', subtype: 'dairy', unit: 'cl', costPrice: 0.03, stock: 150 }
+        ];
+        ingredientsArray.push(...restaurantIngredients);
+      } else if (venueType === 'Fast Food') {
+        const fastFoodIngredients = [
+          { name: 'Beef Patty', type: 'ingredients', subtype: 'meat', unit: 'unit', costPrice: 0.9, stock: 40 },
+          { name: 'Burger Bun', type: 'ingredients', subtype: 'bakery', unit: 'unit', costPrice: 0.25, stock: 40 },
+          { name: 'Cheese Slice', type: 'ingredients', subtype: 'dairy', unit: 'unit', costPrice: 0.12, stock: 40 },
+          { name: 'Lettuce', type: 'ingredients', subtype: 'produce', unit: 'g', costPrice: 0.006, stock: 1000 },
+          { name: 'Potatoes', type: 'ingredients', subtype: 'produce', unit: 'g', costPrice: 0.002, stock: 8000 },
+          { name: 'Frying Oil', type: 'ingredients', subtype: 'dry', unit: 'cl', costPrice: 0.02, stock: 200 },
+          { name: 'Chicken Wing', type: 'ingredients', subtype: 'meat', unit: 'unit', costPrice: 0.25, stock: 150 },
+          { name: 'Hot Sauce', type: 'ingredients', subtype: 'dry', unit: 'cl', costPrice: 0.05, stock: 100 }
+        ];
+        ingredientsArray.push(...fastFoodIngredients);
+      }
+    }
+    
     addDefaultEquipment(equipmentArray, venueType) {
       // Basic equipment for all venue types
       const basicEquipment = [
@@ -1,6 +1,7 @@
 // InventoryOperations - Handles inventory CRUD operations and equipment condition
 
 const dbAPI = require('../../database/api');
+const rng = require('../../utils/rng');
 
 class InventoryOperations {
     constructor(game) {
@@ -14,114 +15,41 @@ class InventoryOperations {
       this.useDatabase = available;
     }
     
-    async orderInventory(venueId, itemType, itemName, quantity) {
+    async orderInventory(venueId, itemType, itemName, quantity, supplierId) {
       try {
-        const venue = await this.getVenue(venueId);
+        const venue = this.game.venueManager.getVenue(venueId);
         if (!venue) {
           throw new Error(`Cannot order inventory: Venue ${venueId} not found`);
         }
         
-        if (this.useDatabase) {
-          // Get the item from the database
-          const items = await dbAPI.inventory.getInventoryByVenue(venueId, itemType);
-          const item = items.find(i => i.name === itemName);
-          
-          if (!item) {
-            throw new Error(`Item "${itemName}" not found in inventory`);
-          }
-          
-          // Calculate total cost
-          const totalCost = item.costPrice * quantity;
-          
-          // Check if player has enough cash
-          if (this.game.state.player.cash < totalCost) {
-            throw new Error(`Not enough cash to order ${quantity} ${itemName}. Need €${totalCost.toFixed(2)}`);
-          }
-          
-          // Update stock in database
-          const newStock = item.stock + quantity;
-          await dbAPI.inventory.updateInventoryItem(item.id, { stock: newStock });
-          
-          // Record transaction
-          if (this.game.financialManager) {
-            await this.game.financialManager.recordTransaction({
-              venueId: venueId,
-              type: 'expense',
-              category: 'inventory',
-              subcategory: itemType,
-              item: itemName,
-              quantity: quantity,
-              price: item.costPrice,
-              amount: totalCost
-            });
-          } else {
-            // Update player cash directly if financialManager not available
-            this.game.state.player.cash -= totalCost;
-          }
-          
-          // Also update in-memory inventory if this is the current venue
-          if (this.game.state.currentVenue && this.game.state.currentVenue.id === venueId) {
-            const inventoryItem = this.game.state.currentVenue.inventory[itemType]?.find(i => i.name === itemName);
-            if (inventoryItem) {
-              inventoryItem.stock += quantity;
-            }
-          }
-          
-          window.logToConsole(`Ordered ${quantity} ${itemName} for €${totalCost.toFixed(2)}.`, 'success');
-          return true;
-        } else {
-          // Fallback to in-memory inventory management
-          if (!venue.inventory || !venue.inventory[itemType]) {
-            window.logToConsole(`Cannot order inventory: ${itemType} inventory not found.`, 'error');
-            return false;
-          }
-          
-          // Find the item
-          const itemIndex = venue.inventory[itemType].findIndex(item => item.name === itemName);
-          if (itemIndex === -1) {
-            window.logToConsole(`Item "${itemName}" not found in inventory.`, 'error');
-            return false;
-          }
-          
-          const item = venue.inventory[itemType][itemIndex];
-          
-          // Calculate total cost
-          const totalCost = item.costPrice * quantity;
-          
-          // Check if player has enough cash
-          if (this.game.state.player.cash < totalCost) {
-            window.logToConsole(`Not enough cash to order ${quantity} ${itemName}. Need €${totalCost.toFixed(2)}.`, 'error');
-            return false;
-          }
-          
-          // Add to stock
-          venue.inventory[itemType][itemIndex].stock += quantity;
-          
-          // Deduct cost
-          this.game.state.player.cash -= totalCost;
-          
-          // Record transaction
-          if (this.game.financialManager) {
-            this.game.financialManager.recordTransaction({
-              type: 'expense',
-              category: 'inventory',
-              subcategory: itemType,
-              item: itemName,
-              quantity: quantity,
-              price: item.costPrice,
-              amount: totalCost,
-              date: { ...this.game.timeManager.getGameTime() },
-              venueId: venue.id
-            });
-          }
-          
-          window.logToConsole(`Ordered ${quantity} ${itemName} for €${totalCost.toFixed(2)}.`, 'success');
-          return true;
-        }
+        // Stock arrives when the supplier delivers the purchase order
+        return this.game.inventoryManager.suppliers.placeOrder(venue, itemType, itemName, quantity, supplierId);
       } catch (error) {
         console.error(`Error ordering inventory:`, error);
         window.logToConsole(`Failed to order inventory: ${error.message}`, 'error');
-        return false;
+        return null;
+      }
+    }
+    
+    // Mirror an in-memory item's stock and cost price to the database
+    async saveStock(venueId, itemType, itemName) {
+      if (!this.useDatabase) return;
+      
+      try {
+        const venue = this.game.venueManager.getVenue(venueId);
+        const inventoryItem = venue && venue.inventory[itemType]?.find(i => i.name === itemName);
+        const items = await dbAPI.inventory.getInventoryByVenue(venueId, itemType);
+        const item = items.find(i => i.name === itemName);
+        
+        if (inventoryItem && item) {
+          await dbAPI.inventory.updateInventoryItem(item.id, {
+            stock: inventoryItem.stock,
+            costPrice: inventoryItem.costPrice
+          });
+          await dbAPI.inventory.saveBatches(item.id, inventoryItem.batches || []);
+        }
+      } catch (error) {
+        console.error(`Error saving stock of ${itemName}:`, error);
       }
     }
     
@@ -346,11 +274,12 @@ class InventoryOperations {
           if (!venue.inventory) return [];
           
           const lowStockItems = [];
+          const recipes = this.game.inventoryManager.recipes;
           
-          // Check drink levels
+          // Check drink levels, leaving made-to-order items to their ingredients
           if (venue.inventory.drinks) {
             venue.inventory.drinks.forEach(drink => {
-              if (drink.stock < 10) {
+              if (!recipes.isMadeToOrder(drink) && drink.stock < 10) {
                 lowStockItems.push({ type: 'drinks', name: drink.name, stock: drink.stock });
               }
             });
@@ -359,12 +288,21 @@ class InventoryOperations {
           // Check food levels
           if (venue.inventory.food) {
             venue.inventory.food.forEach(food => {
-              if (food.stock < 10) {
+              if (!recipes.isMadeToOrder(food) && food.stock < 10) {
                 lowStockItems.push({ type: 'food', name: food.name, stock: food.stock });
               }
             });
           }
           
+          // Check ingredients against the servings they have left
+          if (venue.inventory.ingredients) {
+            venue.inventory.ingredients.forEach(ingredient => {
+              if (recipes.getIngredientServings(venue, ingredient) < 10) {
+                lowStockItems.push({ type: 'ingredients', name: ingredient.name, stock: ingredient.stock, unit: ingredient.unit });
+              }
+            });
+          }
+          
           return lowStockItems;
         }
       } catch (error) {
@@ -380,7 +318,8 @@ class InventoryOperations {
         if (lowStock && lowStock.length > 0) {
           window.logToConsole('Low inventory alert:', 'warning');
           lowStock.forEach(item => {
-            window.logToConsole(`${item.name}: Only ${item.stock} left in stock.`, 'warning');
+            const unit = item.unit && item.unit !== 'unit' ? item.unit : '';
+            window.logToConsole(`${item.name}: Only ${item.stock}${unit} left in stock.`, 'warning');
           });
           return lowStock;
         }
@@ -461,7 +400,7 @@ class InventoryOperations {
             await dbAPI.inventory.updateInventoryItem(item.id, { condition: newCondition });
             
             // If condition is very low, equipment might break
-            if (newCondition < 10 && Math.random() < 0.05) {
+            if (newCondition < 10 && rng.random() < 0.05) {
               window.logToConsole(`Your ${item.name} broke down and needs to be repaired!`, 'error');
               await dbAPI.inventory.updateInventoryItem(item.id, { condition: 0 });
             }
@@ -475,7 +414,7 @@ class InventoryOperations {
                 this.game.state.currentVenue.inventory.equipment[index].condition = Math.max(0, equipment.condition - wearRate);
                 
                 // If condition is very low, equipment might break
-                if (equipment.condition < 10 && Math.random() < 0.05) {
+                if (equipment.condition < 10 && rng.random() < 0.05) {
                   window.logToConsole(`Your ${equipment.name} broke down and needs to be repaired!`, 'error');
                   this.game.state.currentVenue.inventory.equipment[index].condition = 0;
                 }
@@ -498,7 +437,7 @@ class InventoryOperations {
             venue.inventory.equipment[index].condition = Math.max(0, equipment.condition - wearRate);
             
             // If condition is very low, equipment might break
-            if (equipment.condition < 10 && Math.random() < 0.05) {
+            if (equipment.condition < 10 && rng.random() < 0.05) {
               window.logToConsole(`Your ${equipment.name} broke down and needs to be repaired!`, 'error');
               venue.inventory.equipment[index].condition = 0;
             }
@@ -540,6 +479,9 @@ class InventoryOperations {
           // Update condition in database
           await dbAPI.inventory.updateInventoryItem(item.id, { condition: 100 });
           
+          // Deduct cost
+          this.game.state.player.cash -= repairCost;
+          
           // Record transaction
           if (this.game.financialManager) {
             await this.game.financialManager.recordTransaction({
@@ -550,9 +492,6 @@ class InventoryOperations {
               item: equipmentName,
               amount: repairCost
             });
-          } else {
-            // Update player cash directly if financialManager not available
-            this.game.state.player.cash -= repairCost;
           }
           
           // Also update in-memory inventory if this is the current venue
@@ -683,6 +622,9 @@ class InventoryOperations {
             costPrice: item.costPrice * 1.5 // Increase base cost for better equipment
           });
           
+          // Deduct cost
+          this.game.state.player.cash -= upgradeCost;
+          
           // Record transaction
           if (this.game.financialManager) {
             await this.game.financialManager.recordTransaction({
@@ -693,9 +635,6 @@ class InventoryOperations {
               item: equipmentName,
               amount: upgradeCost
             });
-          } else {
-            // Update player cash directly if financialManager not available
-            this.game.state.player.cash -= upgradeCost;
           }
           
           // Also update in-memory inventory if this is the current venue
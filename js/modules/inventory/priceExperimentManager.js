@@ -0,0 +1,487 @@
+// js/modules/inventory/priceExperimentManager.js
+// A/B price experiments on a single menu item
+
+const { withDatabaseFallback } = require('../../database/dbUtils');
+const { createLogger } = require('../../utils/logger');
+const eventBus = require('../../utils/eventBus');
+const time = require('../time');
+
+// Inventory categories whose prices can be tested
+const EXPERIMENT_TYPES = ['drinks', 'food'];
+
+// Shortest and longest experiment, in days
+const MIN_DAYS = 2;
+const MAX_DAYS = 28;
+
+// Length of each price block in 'blocks' mode, in hours
+const BLOCK_HOURS = 2;
+
+/**
+ * Tests two prices for one drink or dish by switching between them: on
+ * alternate days, or in alternate blocks of a few hours with the pattern
+ * flipped each day so both prices see every hour of the day. Every switch is
+ * recorded as a period on the experiment (venue.priceExperiment), which is
+ * saved with the game. When the experiment ends the item goes back to its
+ * original price.
+ *
+ * Results are read back from the sales history: units and revenue from the
+ * 'sales' transactions (transactionDAO), whose orders carry the menu price
+ * they were sold at, and satisfaction from the customer_visits of groups
+ * that ordered the item. The experiment also keeps its own record of those
+ * visits, used when the database has none. Profit is compared per hour each
+ * price was on the menu, and the confidence is how likely the winner is to
+ * be better, from the spread of profit between periods.
+ */
+class PriceExperimentManager {
+  /**
+   * Create a new PriceExperimentManager instance
+   * @param {Object} game - The main game object
+   */
+  constructor(game) {
+    this.game = game;
+    this.logger = createLogger(game);
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event listeners for game events
+   */
+  setupEventListeners() {
+    if (time) {
+      time.onHour(() => {
+        this.updateExperiments();
+      });
+    }
+
+    eventBus.on('customerDeparted', (customer) => {
+      this.recordVisit(customer);
+    });
+  }
+
+  /**
+   * Get a venue's current or most recent experiment
+   * @param {Object} venue - Venue
+   * @returns {Object|null} Experiment, or null if the venue has never run one
+   */
+  getExperiment(venue) {
+    return venue.priceExperiment || null;
+  }
+
+  /**
+   * Start testing two prices for an item
+   * @param {Object} venue - Venue
+   * @param {string} itemName - Drink or food item name
+   * @param {number} priceA - First price
+   * @param {number} priceB - Second price
+   * @param {number} days - Length of the experiment
+   * @param {string} [mode='daily'] - 'daily' to switch price each day, 'blocks' to switch every few hours
+   * @returns {Object|null} The experiment, or null if it couldn't start
+   */
+  startExperiment(venue, itemName, priceA, priceB, days, mode = 'daily') {
+    const current = this.getExperiment(venue);
+    if (current && current.status === 'running') {
+      this.logger.error(`A price experiment on ${current.itemName} is already running. Stop it first.`, 'INVENTORY');
+      return null;
+    }
+
+    const found = this.findItem(venue, itemName);
+    if (!found) {
+      this.logger.error(`"${itemName}" is not a drink or food item at ${venue.name}.`, 'INVENTORY');
+      return null;
+    }
+
+    if (![priceA, priceB].every(price => typeof price === 'number' && price > 0) || priceA === priceB) {
+      this.logger.error('Both prices must be more than 0 and different from each other.', 'INVENTORY');
+      return null;
+    }
+
+    if (!Number.isInteger(days) || days < MIN_DAYS || days > MAX_DAYS) {
+      this.logger.error(`An experiment runs for ${MIN_DAYS} to ${MAX_DAYS} whole days.`, 'INVENTORY');
+      return null;
+    }
+
+    if (!['daily', 'blocks'].includes(mode)) {
+      this.logger.error("The mode must be 'daily' or 'blocks'.", 'INVENTORY');
+      return null;
+    }
+
+    const now = time.getGameTime();
+    const experiment = {
+      itemType: found.itemType,
+      itemName: found.item.name,
+      originalPrice: found.item.sellPrice,
+      prices: { A: Math.round(priceA * 100) / 100, B: Math.round(priceB * 100) / 100 },
+      mode,
+      days,
+      hoursRun: 0,
+      start: time.toISOString(now),
+      end: time.toISOString(time.addHoursToDate(now, days * 24)),
+      status: 'running',
+      periods: [],
+      visits: [] // Visits that ordered the item, for when the database has none
+    };
+
+    venue.priceExperiment = experiment;
+    this.switchPrice(venue, experiment, 'A');
+
+    const switching = mode === 'daily' ? 'each day' : `every ${BLOCK_HOURS} hours`;
+    this.logger.success(
+      `Testing ${experiment.itemName} at €${experiment.prices.A.toFixed(2)} and €${experiment.prices.B.toFixed(2)}, ` +
+      `switching ${switching} for ${days} days.`,
+      'INVENTORY'
+    );
+    return experiment;
+  }
+
+  /**
+   * End the running experiment early and restore the item's price
+   * @param {Object} venue - Venue
+   * @returns {boolean} True if an experiment was stopped
+   */
+  stopExperiment(venue) {
+    const experiment = this.getExperiment(venue);
+    if (!experiment || experiment.status !== 'running') {
+      this.logger.error(`No price experiment is running at ${venue.name}.`, 'INVENTORY');
+      return false;
+    }
+
+    this.finishExperiment(venue, experiment, 'stopped');
+    return true;
+  }
+
+  /**
+   * Move every running experiment on by an hour, switching prices and ending
+   * experiments that have run their course
+   */
+  updateExperiments() {
+    (this.game.state.player.venues || []).forEach(venue => {
+      const experiment = this.getExperiment(venue);
+      if (!experiment || experiment.status !== 'running') return;
+
+      experiment.hoursRun++;
+      if (experiment.hoursRun >= experiment.days * 24) {
+        this.finishExperiment(venue, experiment, 'completed');
+        return;
+      }
+
+      const arm = this.getArm(experiment, experiment.hoursRun);
+      if (arm !== experiment.periods[experiment.periods.length - 1].arm) {
+        this.switchPrice(venue, experiment, arm);
+      }
+    });
+  }
+
+  /**
+   * Compare the two prices of an experiment from its sales and visits so far
+   * @param {Object} venue - Venue
+   * @param {Object} experiment - Experiment
+   * @returns {Promise<Object>} Results for each price (arms.A, arms.B), winner and confidence
+   */
+  async analyzeExperiment(venue, experiment) {
+    const end = experiment.status === 'running' ? time.toISOString(time.getGameTime()) : experiment.end;
+    const periods = this.getPeriods(experiment, end);
+    const item = this.findItem(venue, experiment.itemName);
+    const cost = item ? this.game.inventoryManager.recipes.getCost(venue, item.item) || 0 : 0;
+
+    // The experiment's own record of visits stands in when the database has none,
+    // such as without a database or when its writes failed
+    let sales = await withDatabaseFallback(
+      this.game,
+      'transaction',
+      'getTransactions',
+      [venue.id, { startDate: experiment.start, endDate: end, type: 'revenue', category: 'sales' }],
+      async () => []
+    );
+    if (!sales || sales.length === 0) {
+      sales = experiment.visits.filter(visit => visit.paid).map(visit => ({
+        timestamp: visit.leftAt,
+        metadata: { items: visit.orders }
+      }));
+    }
+
+    let visits = await withDatabaseFallback(
+      this.game,
+      'customer',
+      'getVisitsByVenue',
+      [venue.id, { startDate: experiment.start, endDate: end }],
+      async () => []
+    );
+    if (!visits || visits.length === 0) {
+      visits = experiment.visits.map(visit => ({
+        date: visit.date,
+        satisfaction: visit.satisfaction,
+        metadata: { orders: visit.orders.map(order => order.item) }
+      }));
+    }
+
+    // Sales are matched to a price by the menu price on the order
+    (sales || []).forEach(sale => {
+      ((sale.metadata && sale.metadata.items) || [])
+        .filter(order => order.item === experiment.itemName)
+        .forEach(order => {
+          const arm = this.getArmForPrice(experiment, order.listPrice !== undefined ? order.listPrice : order.price);
+          const period = arm ? this.findPeriod(periods, sale.timestamp, arm) : null;
+          if (period) {
+            period.units++;
+            period.revenue += order.price;
+            period.profit += order.price - cost;
+          }
+        });
+    });
+
+    // Visits count towards the price on the menu when the group arrived
+    (visits || [])
+      .filter(visit => ((visit.metadata && visit.metadata.orders) || []).includes(experiment.itemName))
+      .forEach(visit => {
+        const period = this.findPeriod(periods, visit.date);
+        if (period) {
+          period.satisfaction.push(visit.satisfaction);
+        }
+      });
+
+    const arms = {
+      A: this.summarizeArm(experiment, periods, 'A'),
+      B: this.summarizeArm(experiment, periods, 'B')
+    };
+    const winner = arms.A.profitPerDay >= arms.B.profitPerDay ? 'A' : 'B';
+
+    return {
+      arms,
+      winner,
+      confidence: this.estimateConfidence(arms[winner], arms[winner === 'A' ? 'B' : 'A'])
+    };
+  }
+
+  /**
+   * Set the item's price for one side of the experiment and start a new period
+   * @private
+   * @param {Object} venue - Venue
+   * @param {Object} experiment - Experiment
+   * @param {string} arm - 'A' or 'B'
+   */
+  switchPrice(venue, experiment, arm) {
+    const found = this.findItem(venue, experiment.itemName);
+    if (found) {
+      found.item.sellPrice = experiment.prices[arm];
+    }
+    experiment.periods.push({ arm, start: time.toISOString(time.getGameTime()) });
+  }
+
+  /**
+   * End an experiment, restore the item's price and report the result
+   * @private
+   * @param {Object} venue - Venue
+   * @param {Object} experiment - Experiment
+   * @param {string} status - 'completed' or 'stopped'
+   */
+  finishExperiment(venue, experiment, status) {
+    const found = this.findItem(venue, experiment.itemName);
+    if (found) {
+      found.item.sellPrice = experiment.originalPrice;
+    }
+
+    experiment.status = status;
+    experiment.end = time.toISOString(time.getGameTime());
+    this.logger.info(
+      `The price experiment on ${experiment.itemName} has ${status === 'stopped' ? 'been stopped' : 'finished'}. ` +
+      `${experiment.itemName} is back at €${experiment.originalPrice.toFixed(2)}.`,
+      'INVENTORY'
+    );
+
+    this.analyzeExperiment(venue, experiment)
+      .then(result => {
+        const best = result.arms[result.winner];
+        this.logger.success(
+          `€${best.price.toFixed(2)} made the most profit on ${experiment.itemName}` +
+          (result.confidence !== null ? ` (${Math.round(result.confidence * 100)}% confidence).` : ', but there is too little data to be sure.'),
+          'INVENTORY'
+        );
+      })
+      .catch(error => {
+        this.logger.error(`Error analysing the price experiment: ${error.message}`, 'INVENTORY');
+      });
+  }
+
+  /**
+   * Keep a record of a visit to a venue running an experiment, for when
+   * there are no sales or visits to read back from the database
+   * @private
+   * @param {Object} customer - Departing customer
+   */
+  recordVisit(customer) {
+    if (!this.game.venueManager) return;
+
+    const venue = this.game.venueManager.getVenue(customer.venueId);
+    const experiment = venue ? this.getExperiment(venue) : null;
+    if (!experiment || experiment.status !== 'running') return;
+
+    const orders = (customer.orders || []).filter(order => order.item === experiment.itemName);
+    if (orders.length === 0) return;
+
+    const now = time.getGameTime();
+    experiment.visits.push({
+      date: time.toISOString(customer.arrivalTime || now),
+      leftAt: time.toISOString(customer.leaveTime || now),
+      paid: customer.leaveReason === 'paid',
+      satisfaction: customer.satisfaction,
+      orders: orders.map(order => ({ item: order.item, price: order.price, listPrice: order.listPrice }))
+    });
+  }
+
+  /**
+   * Work out which price should be on the menu a number of hours into an experiment
+   * @private
+   * @param {Object} experiment - Experiment
+   * @param {number} hoursRun - Hours since the experiment started
+   * @returns {string} 'A' or 'B'
+   */
+  getArm(experiment, hoursRun) {
+    const day = Math.floor(hoursRun / 24);
+    if (experiment.mode === 'daily') {
+      return day % 2 === 0 ? 'A' : 'B';
+    }
+
+    // Flip the pattern each day so both prices cover every block
+    const block = Math.floor((hoursRun % 24) / BLOCK_HOURS);
+    return (block + day) % 2 === 0 ? 'A' : 'B';
+  }
+
+  /**
+   * Find which side of the experiment an order's menu price belongs to
+   * @private
+   * @param {Object} experiment - Experiment
+   * @param {number} price - Menu price
+   * @returns {string|null} 'A', 'B', or null for any other price
+   */
+  getArmForPrice(experiment, price) {
+    if (price === experiment.prices.A) return 'A';
+    if (price === experiment.prices.B) return 'B';
+    return null;
+  }
+
+  /**
+   * Build the experiment's periods with their length and empty totals
+   * @private
+   * @param {Object} experiment - Experiment
+   * @param {string} end - When the last period ends (ISO format)
+   * @returns {Array<Object>} Periods with arm, start, end, hours, units, revenue, profit and satisfaction
+   */
+  getPeriods(experiment, end) {
+    return experiment.periods.map((period, index) => {
+      const periodEnd = index + 1 < experiment.periods.length ? experiment.periods[index + 1].start : end;
+      return {
+        ...period,
+        end: periodEnd,
+        hours: Math.max(0, (new Date(periodEnd) - new Date(period.start)) / 3600000),
+        units: 0,
+        revenue: 0,
+        profit: 0,
+        satisfaction: []
+      };
+    });
+  }
+
+  /**
+   * Find the period a moment falls in. Sales are paid for after they are
+   * ordered, so with an arm given this is the latest period of that arm
+   * starting by then.
+   * @private
+   * @param {Array<Object>} periods - Periods from getPeriods
+   * @param {string} timestamp - Game time (ISO format)
+   * @param {string} [arm] - Only consider periods of this arm
+   * @returns {Object|null} Period, or null if the moment is outside the experiment
+   */
+  findPeriod(periods, timestamp, arm = null) {
+    if (!timestamp) return null;
+
+    const candidates = periods.filter(period => period.start <= timestamp && (!arm || period.arm === arm));
+    const period = candidates.length > 0 ? candidates[candidates.length - 1] : null;
+    if (!period) return null;
+
+    return arm || timestamp < period.end ? period : null;
+  }
+
+  /**
+   * Add up the periods of one side of the experiment
+   * @private
+   * @param {Object} experiment - Experiment
+   * @param {Array<Object>} periods - Periods with their totals
+   * @param {string} arm - 'A' or 'B'
+   * @returns {Object} price, hours, units, revenue, profit, profitPerDay, satisfaction, visits and per-period profit rates
+   */
+  summarizeArm(experiment, periods, arm) {
+    const own = periods.filter(period => period.arm === arm);
+    const total = key => own.reduce((sum, period) => sum + period[key], 0);
+    const hours = total('hours');
+    const ratings = own.flatMap(period => period.satisfaction);
+
+    return {
+      price: experiment.prices[arm],
+      hours,
+      units: total('units'),
+      revenue: Math.round(total('revenue') * 100) / 100,
+      profit: Math.round(total('profit') * 100) / 100,
+      profitPerDay: hours > 0 ? Math.round(total('profit') / hours * 24 * 100) / 100 : 0,
+      satisfaction: ratings.length > 0 ? Math.round(ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length * 10) / 10 : null,
+      visits: ratings.length,
+      rates: own.filter(period => period.hours > 0).map(period => period.profit / period.hours * 24)
+    };
+  }
+
+  /**
+   * Estimate how likely the price that made more profit really is the better
+   * one, comparing profit per day between periods (Welch's t statistic with a
+   * normal approximation)
+   * @private
+   * @param {Object} best - Summary of the winning price
+   * @param {Object} other - Summary of the other price
+   * @returns {number|null} Probability from 0.5 to 1, or null with fewer than two periods of each price
+   */
+  estimateConfidence(best, other) {
+    if (best.rates.length < 2 || other.rates.length < 2) return null;
+
+    const mean = rates => rates.reduce((sum, rate) => sum + rate, 0) / rates.length;
+    const variance = rates => {
+      const average = mean(rates);
+      return rates.reduce((sum, rate) => sum + (rate - average) ** 2, 0) / (rates.length - 1);
+    };
+
+    const difference = mean(best.rates) - mean(other.rates);
+    const standardError = Math.sqrt(variance(best.rates) / best.rates.length + variance(other.rates) / other.rates.length);
+    if (standardError === 0) return difference > 0 ? 1 : 0.5;
+
+    return Math.round(this.normalCdf(difference / standardError) * 1000) / 1000;
+  }
+
+  /**
+   * Standard normal cumulative distribution (Abramowitz and Stegun 26.2.17)
+   * @private
+   * @param {number} z - Standard score
+   * @returns {number} Probability of a value below z
+   */
+  normalCdf(z) {
+    const t = 1 / (1 + 0.2316419 * Math.abs(z));
+    const density = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+    const tail = density * t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+    return z >= 0 ? 1 - tail : tail;
+  }
+
+  /**
+   * Find a drink or food item by name
+   * @private
+   * @param {Object} venue - Venue
+   * @param {string} itemName - Item name (case-insensitive)
+   * @returns {Object|null} { itemType, item }, or null if the venue doesn't sell it
+   */
+  findItem(venue, itemName) {
+    for (const itemType of EXPERIMENT_TYPES) {
+      const item = ((venue.inventory && venue.inventory[itemType]) || [])
+        .find(candidate => candidate.name.toLowerCase() === itemName.toLowerCase());
+      if (item) return { itemType, item };
+    }
+    return null;
+  }
+}
+
+module.exports = PriceExperimentManager;
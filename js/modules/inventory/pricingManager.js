@@ -0,0 +1,221 @@
+// js/modules/inventory/pricingManager.js
+// Reference prices, customer price sensitivity and time-of-day price rules
+
+const { CUSTOMER_TYPES, PRICING } = require('../../config');
+const { createLogger } = require('../../utils/logger');
+const time = require('../time');
+
+// Inventory categories that are sold to customers
+const PRICED_TYPES = ['drinks', 'food'];
+
+// Largest cut and largest surcharge a price rule may apply, in percent
+const MIN_RULE_PERCENT = -90;
+const MAX_RULE_PERCENT = 100;
+
+/**
+ * Customers judge each price against a reference price: what the item
+ * usually costs at this kind of venue (PRICING.referencePrices), scaled by
+ * the city's price level. Above the reference some customers decide not to
+ * order the item; how many depends on their type's price sensitivity.
+ * Below it, some order a second serving.
+ *
+ * Price rules change the menu price for part of the day, such as a
+ * happy-hour discount or a late-night surcharge. They live in the venue's
+ * settings (venue.settings.priceRules) and are saved with the venue. The
+ * item's sellPrice stays the standard price; getPrice gives the price
+ * charged at the current hour.
+ */
+class PricingManager {
+  /**
+   * Create a new PricingManager instance
+   * @param {Object} game - The main game object
+   */
+  constructor(game) {
+    this.game = game;
+    this.logger = createLogger(game);
+  }
+
+  /**
+   * Get how expensive the venue's city is compared to the reference prices
+   * @param {Object} venue - Venue
+   * @returns {number} Price level, 1 for reference prices
+   */
+  getPriceLevel(venue) {
+    const cityManager = this.game.cityManager;
+    return cityManager && venue.city ? cityManager.getCityPriceLevel(venue.city) : 1;
+  }
+
+  /**
+   * Get the price customers in the venue's city expect to pay for an item
+   * @param {Object} venue - Venue
+   * @param {string} itemType - Inventory category (drinks or food)
+   * @param {Object} item - Drink or food item
+   * @returns {number} Reference price, rounded to cents
+   */
+  getReferencePrice(venue, itemType, item) {
+    const listed = (PRICING.referencePrices[venue.type] || {})[item.name];
+    const cost = this.game.inventoryManager.recipes.getCost(venue, item) || 0;
+    const price = listed !== undefined ? listed : cost * PRICING.defaultMarkup;
+    return Math.round(price * this.getPriceLevel(venue) * 100) / 100;
+  }
+
+  /**
+   * Get the price charged for an item, after the price rules active at an hour
+   * @param {Object} venue - Venue
+   * @param {string} itemType - Inventory category (drinks or food)
+   * @param {Object} item - Drink or food item
+   * @param {number} [hour] - Hour of day; defaults to the current game hour
+   * @returns {number} Price, rounded to cents
+   */
+  getPrice(venue, itemType, item, hour = time.getGameTime().hour) {
+    const factor = this.getActiveRules(venue, itemType, hour)
+      .reduce((total, rule) => total * (1 + rule.percent / 100), 1);
+    return Math.round(item.sellPrice * factor * 100) / 100;
+  }
+
+  /**
+   * Get how likely a customer is to order an item at a price
+   * @param {Object} customer - Customer
+   * @param {number} price - Price charged
+   * @param {number} referencePrice - Price the customer expects
+   * @returns {number} Below 1, the chance they order it; above 1, one plus the chance of a second serving
+   */
+  getOrderChance(customer, price, referencePrice) {
+    if (price <= 0 || referencePrice <= 0) return 1;
+
+    const chance = Math.pow(referencePrice / price, PRICING.elasticity * this.getPriceSensitivity(customer));
+    return Math.min(1 + PRICING.maxExtraServingChance, chance);
+  }
+
+  /**
+   * Get how strongly a customer reacts to prices
+   * @param {Object} customer - Customer
+   * @returns {number} Price sensitivity of the customer's type, 1 if unknown
+   */
+  getPriceSensitivity(customer) {
+    const type = CUSTOMER_TYPES[customer.type];
+    return type && typeof type.priceSensitivity === 'number' ? type.priceSensitivity : 1;
+  }
+
+  /**
+   * Get a venue's price rules
+   * @param {Object} venue - Venue
+   * @returns {Array<Object>} Rules with name, start, end, percent and itemType (null for all items)
+   */
+  getRules(venue) {
+    return (venue.settings && venue.settings.priceRules) || [];
+  }
+
+  /**
+   * Get the price rules that apply to a category at an hour
+   * @param {Object} venue - Venue
+   * @param {string} itemType - Inventory category (drinks or food)
+   * @param {number} hour - Hour of day
+   * @returns {Array<Object>} Active rules
+   */
+  getActiveRules(venue, itemType, hour) {
+    return this.getRules(venue).filter(rule =>
+      (!rule.itemType || rule.itemType === itemType) && this.isRuleActive(rule, hour)
+    );
+  }
+
+  /**
+   * Create or replace a price rule
+   * @param {Object} venue - Venue
+   * @param {string} name - Rule name, e.g. 'happyhour'
+   * @param {number} start - First hour the rule applies (0-23)
+   * @param {number} end - Hour the rule stops applying (0-23); before start for rules past midnight
+   * @param {number} percent - Price change, e.g. -30 for 30% off or 20 for a 20% surcharge
+   * @param {string|null} [itemType=null] - Only apply to drinks or food
+   * @returns {Object|null} The rule, or null if it isn't valid
+   */
+  addRule(venue, name, start, end, percent, itemType = null) {
+    if (!name || !/^[\w-]{1,20}$/.test(name)) {
+      this.logger.error('A price rule needs a one-word name of up to 20 letters, digits, - or _.', 'INVENTORY');
+      return null;
+    }
+
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || start > 23 || end < 0 || end > 23 || start === end) {
+      this.logger.error('Start and end must be different whole hours from 0 to 23.', 'INVENTORY');
+      return null;
+    }
+
+    if (typeof percent !== 'number' || isNaN(percent) || percent === 0 || percent < MIN_RULE_PERCENT || percent > MAX_RULE_PERCENT) {
+      this.logger.error(`The price change must be a percentage from ${MIN_RULE_PERCENT} to ${MAX_RULE_PERCENT}, other than 0.`, 'INVENTORY');
+      return null;
+    }
+
+    if (itemType !== null && !PRICED_TYPES.includes(itemType)) {
+      this.logger.error(`A price rule can apply to ${PRICED_TYPES.join(' or ')}, or to everything.`, 'INVENTORY');
+      return null;
+    }
+
+    const others = this.getRules(venue).filter(existing => existing.name.toLowerCase() !== name.toLowerCase());
+    if (others.length >= PRICING.maxPriceRules) {
+      this.logger.error(`A venue can have at most ${PRICING.maxPriceRules} price rules.`, 'INVENTORY');
+      return null;
+    }
+
+    const rule = { name, start, end, percent, itemType };
+    venue.settings.priceRules = others.concat(rule);
+
+    this.logger.success(
+      `${this.describeRule(rule)} from ${this.formatHour(start)} to ${this.formatHour(end)} every day.`,
+      'INVENTORY'
+    );
+    return rule;
+  }
+
+  /**
+   * Remove a price rule
+   * @param {Object} venue - Venue
+   * @param {string} name - Rule name
+   * @returns {boolean} True if a rule was removed
+   */
+  removeRule(venue, name) {
+    const rule = this.getRules(venue).find(existing => existing.name.toLowerCase() === name.toLowerCase());
+    if (!rule) {
+      this.logger.error(`There is no price rule called "${name}".`, 'INVENTORY');
+      return false;
+    }
+
+    venue.settings.priceRules = this.getRules(venue).filter(existing => existing !== rule);
+    this.logger.success(`Price rule "${rule.name}" removed.`, 'INVENTORY');
+    return true;
+  }
+
+  /**
+   * Check whether a rule applies at an hour
+   * @param {Object} rule - Price rule
+   * @param {number} hour - Hour of day
+   * @returns {boolean} True if the rule is active
+   */
+  isRuleActive(rule, hour) {
+    // Rules that end before they start run past midnight
+    return rule.start < rule.end
+      ? hour >= rule.start && hour < rule.end
+      : hour >= rule.start || hour < rule.end;
+  }
+
+  /**
+   * Describe what a rule does to prices
+   * @param {Object} rule - Price rule
+   * @returns {string} e.g. 'happyhour: drinks 30% off'
+   */
+  describeRule(rule) {
+    const applies = rule.itemType || 'everything';
+    const change = rule.percent < 0 ? `${-rule.percent}% off` : `${rule.percent}% surcharge`;
+    return `${rule.name}: ${applies} ${change}`;
+  }
+
+  /**
+   * Format an hour of day
+   * @param {number} hour - Hour of day
+   * @returns {string} e.g. '17:00'
+   */
+  formatHour(hour) {
+    return `${String(hour).padStart(2, '0')}:00`;
+  }
+}
+
+module.exports = PricingManager;
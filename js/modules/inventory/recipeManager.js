@@ -0,0 +1,165 @@
+// js/modules/inventory/recipeManager.js
+// Menu items made to order from ingredient inventory
+
+const { hasRecipe, findIngredient, getRecipeCost, getServings } = require('../../utils/recipes');
+
+// Inventory categories that hold menu items
+const MENU_TYPES = ['drinks', 'food'];
+
+/**
+ * Cocktails, spirits by the glass and dishes are made to order from the
+ * venue's ingredients inventory (venue.inventory.ingredients) following the
+ * item's recipe (item.recipe), rather than sold from their own stock. A sale
+ * uses up every ingredient in the recipe, oldest batch first, and an item can
+ * be sold while there are ingredients for at least one serving.
+ *
+ * A made-to-order item's costPrice is what its ingredients cost at their last
+ * delivery price, and is recalculated whenever ingredients are delivered, so
+ * margins everywhere are the theoretical margins of the recipe.
+ */
+class RecipeManager {
+  /**
+   * Create a new RecipeManager instance
+   * @param {Object} game - The main game object
+   */
+  constructor(game) {
+    this.game = game;
+  }
+
+  /**
+   * Check whether a menu item is made to order
+   * @param {Object} item - Drink or food item
+   * @returns {boolean} True if it has a recipe
+   */
+  isMadeToOrder(item) {
+    return hasRecipe(item);
+  }
+
+  /**
+   * Get what one serving of a menu item costs
+   * @param {Object} venue - Venue
+   * @param {Object} item - Drink or food item
+   * @returns {number} Cost per serving
+   */
+  getCost(venue, item) {
+    return hasRecipe(item) ? getRecipeCost(item.recipe, venue.inventory.ingredients) : item.costPrice;
+  }
+
+  /**
+   * Count the servings of a menu item that can be sold now
+   * @param {Object} venue - Venue
+   * @param {Object} item - Drink or food item
+   * @returns {number} Servings; the item's own stock on the shelves if it isn't made to order
+   */
+  getServings(venue, item) {
+    return hasRecipe(item) ? getServings(item.recipe, venue.inventory.ingredients) : item.stock - (item.missing || 0);
+  }
+
+  /**
+   * Check whether a menu item can be sold now
+   * @param {Object} venue - Venue
+   * @param {Object} item - Drink or food item
+   * @returns {boolean} True if at least one serving is available
+   */
+  isAvailable(venue, item) {
+    return this.getServings(venue, item) > 0;
+  }
+
+  /**
+   * Take the stock for one serving of a menu item
+   * @param {Object} venue - Venue
+   * @param {string} itemType - Inventory category (drinks or food)
+   * @param {Object} item - Drink or food item
+   * @returns {boolean} True if the serving was made
+   */
+  sell(venue, itemType, item) {
+    const batches = this.game.inventoryManager.batches;
+
+    if (!hasRecipe(item)) {
+      return batches.consume(itemType, item) > 0;
+    }
+
+    if (!this.isAvailable(venue, item)) return false;
+
+    item.recipe.forEach(line => {
+      batches.consume('ingredients', findIngredient(venue.inventory.ingredients, line.ingredient), line.quantity);
+    });
+    return true;
+  }
+
+  /**
+   * Put back the stock for a serving that wasn't sold after all
+   * @param {Object} venue - Venue
+   * @param {string} itemType - Inventory category (drinks or food)
+   * @param {Object} item - Drink or food item
+   */
+  unsell(venue, itemType, item) {
+    const batches = this.game.inventoryManager.batches;
+
+    if (!hasRecipe(item)) {
+      batches.returnStock(itemType, item);
+      return;
+    }
+
+    item.recipe.forEach(line => {
+      const ingredient = findIngredient(venue.inventory.ingredients, line.ingredient);
+      if (ingredient) {
+        batches.returnStock('ingredients', ingredient, line.quantity);
+      }
+    });
+  }
+
+  /**
+   * Recalculate the cost of every made-to-order item from its ingredients
+   * @param {Object} venue - Venue
+   */
+  updateCosts(venue) {
+    this.getMenuItems(venue)
+      .filter(({ item }) => hasRecipe(item))
+      .forEach(({ item }) => {
+        item.costPrice = this.getCost(venue, item);
+      });
+  }
+
+  /**
+   * Get the menu items that use an ingredient
+   * @param {Object} venue - Venue
+   * @param {string} ingredientName - Ingredient name
+   * @returns {Array<Object>} Entries with itemType, item and the quantity per serving
+   */
+  getUses(venue, ingredientName) {
+    const uses = [];
+
+    this.getMenuItems(venue).forEach(({ itemType, item }) => {
+      (item.recipe || [])
+        .filter(line => line.ingredient.toLowerCase() === ingredientName.toLowerCase())
+        .forEach(line => uses.push({ itemType, item, quantity: line.quantity }));
+    });
+    return uses;
+  }
+
+  /**
+   * Count the servings an ingredient's stock covers for the recipe that uses most of it
+   * @param {Object} venue - Venue
+   * @param {Object} ingredient - Ingredient item
+   * @returns {number} Servings, or Infinity if no recipe uses it
+   */
+  getIngredientServings(venue, ingredient) {
+    return this.getUses(venue, ingredient.name)
+      .reduce((servings, use) => Math.min(servings, Math.floor(ingredient.stock / use.quantity)), Infinity);
+  }
+
+  /**
+   * Get a venue's drinks and food with their category
+   * @private
+   * @param {Object} venue - Venue
+   * @returns {Array<Object>} Entries with itemType and item
+   */
+  getMenuItems(venue) {
+    return MENU_TYPES.flatMap(itemType =>
+      ((venue.inventory && venue.inventory[itemType]) || []).map(item => ({ itemType, item }))
+    );
+  }
+}
+
+module.exports = RecipeManager;
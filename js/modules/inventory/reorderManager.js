@@ -0,0 +1,261 @@
+// js/modules/inventory/reorderManager.js
+// Automatic restocking from per-item par levels and reorder points
+
+const { isDatabaseAvailable } = require('../../database/dbUtils');
+const { createLogger } = require('../../utils/logger');
+const time = require('../time');
+
+// Inventory categories that can be restocked automatically
+const REORDER_TYPES = ['drinks', 'food', 'ingredients'];
+
+/**
+ * Once a day, orders stock for every item with a reorder rule whose stock,
+ * counting orders still on the way, has fallen to its reorder point. The
+ * order brings it back to the par level. Orders go to the cheapest supplier
+ * that takes the quantity, and never touch the cash reserve the player has
+ * set aside. Each decision is logged to the notification feed.
+ *
+ * Rules live on the venue (venue.reorderRules) so they are saved with the
+ * game, and are mirrored to the inventory_reorder_rules table.
+ */
+class ReorderManager {
+  /**
+   * Create a new ReorderManager instance
+   * @param {Object} game - The main game object
+   */
+  constructor(game) {
+    this.game = game;
+    this.logger = createLogger(game);
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event listeners for game events
+   */
+  setupEventListeners() {
+    if (time) {
+      time.onDay(() => {
+        this.runReorders();
+      });
+    }
+  }
+
+  /**
+   * Get a venue's reorder rules
+   * @param {Object} venue - Venue
+   * @returns {Array<Object>} Rules with itemType, itemName, reorderPoint and parLevel
+   */
+  getRules(venue) {
+    return venue.reorderRules || [];
+  }
+
+  /**
+   * Create or replace the reorder rule for an item
+   * @param {Object} venue - Venue
+   * @param {string} itemName - Drink, food item or ingredient name
+   * @param {number} reorderPoint - Reorder when stock falls to this level
+   * @param {number} parLevel - Stock level to restore
+   * @returns {Object|null} The rule, or null if it isn't valid
+   */
+  setRule(venue, itemName, reorderPoint, parLevel) {
+    const found = this.findItem(venue, itemName);
+    if (!found) {
+      this.logger.error(`"${itemName}" is not a drink, food item or ingredient at ${venue.name}.`, 'INVENTORY');
+      return null;
+    }
+
+    if (this.game.inventoryManager.recipes.isMadeToOrder(found.item)) {
+      this.logger.error(`${found.item.name} is made to order. Set reorder rules for its ingredients instead.`, 'INVENTORY');
+      return null;
+    }
+
+    if (!Number.isInteger(reorderPoint) || !Number.isInteger(parLevel) || reorderPoint < 0 || parLevel <= reorderPoint) {
+      this.logger.error('The reorder point must be a whole number of 0 or more, and the par level must be higher.', 'INVENTORY');
+      return null;
+    }
+
+    const rule = { itemType: found.itemType, itemName: found.item.name, reorderPoint, parLevel };
+    venue.reorderRules = this.getRules(venue)
+      .filter(existing => existing.itemType !== rule.itemType || existing.itemName !== rule.itemName)
+      .concat(rule);
+
+    if (isDatabaseAvailable(this.game, 'inventory')) {
+      this.game.dbAPI.inventory.saveReorderRule(venue.id, rule).catch(error => {
+        this.logger.error(`Error saving reorder rule for ${rule.itemName}: ${error.message}`, 'DATABASE');
+      });
+    }
+
+    this.logger.success(
+      `${rule.itemName} will be reordered up to ${parLevel} whenever stock falls to ${reorderPoint}.`,
+      'INVENTORY'
+    );
+    return rule;
+  }
+
+  /**
+   * Stop reordering an item automatically
+   * @param {Object} venue - Venue
+   * @param {string} itemName - Item name
+   * @returns {boolean} True if a rule was removed
+   */
+  removeRule(venue, itemName) {
+    const rule = this.getRules(venue).find(existing => existing.itemName.toLowerCase() === itemName.toLowerCase());
+    if (!rule) {
+      this.logger.error(`There is no reorder rule for "${itemName}".`, 'INVENTORY');
+      return false;
+    }
+
+    venue.reorderRules = this.getRules(venue).filter(existing => existing !== rule);
+
+    if (isDatabaseAvailable(this.game, 'inventory')) {
+      this.game.dbAPI.inventory.deleteReorderRule(venue.id, rule.itemType, rule.itemName).catch(error => {
+        this.logger.error(`Error deleting reorder rule for ${rule.itemName}: ${error.message}`, 'DATABASE');
+      });
+    }
+
+    this.logger.success(`${rule.itemName} will no longer be reordered automatically.`, 'INVENTORY');
+    return true;
+  }
+
+  /**
+   * Get the cash automatic orders must leave untouched
+   * @param {Object} venue - Venue
+   * @returns {number} Reserve amount
+   */
+  getCashReserve(venue) {
+    return venue.settings.cashReserve || 0;
+  }
+
+  /**
+   * Set the cash automatic orders must leave untouched
+   * @param {Object} venue - Venue
+   * @param {number} amount - Reserve amount
+   * @returns {boolean} Success status
+   */
+  setCashReserve(venue, amount) {
+    if (typeof amount !== 'number' || isNaN(amount) || amount < 0) {
+      this.logger.error('The cash reserve must be 0 or more.', 'INVENTORY');
+      return false;
+    }
+
+    venue.settings.cashReserve = amount;
+    this.logger.success(`Automatic orders will keep at least €${amount.toFixed(2)} in cash.`, 'INVENTORY');
+    return true;
+  }
+
+  /**
+   * Run the daily reorder check for every venue
+   */
+  runReorders() {
+    (this.game.state.player.venues || []).forEach(venue => {
+      if (this.getRules(venue).length > 0) {
+        this.reorderVenue(venue);
+      }
+    });
+  }
+
+  /**
+   * Order stock for the items at a venue that have reached their reorder point.
+   * The emptiest items are ordered first in case cash runs short.
+   * @param {Object} venue - Venue
+   * @returns {Array<Object>} Orders placed
+   */
+  reorderVenue(venue) {
+    const suppliers = this.game.inventoryManager.suppliers;
+    const orders = [];
+
+    const due = this.getRules(venue)
+      .map(rule => ({ rule, found: this.findItem(venue, rule.itemName, rule.itemType) }))
+      .filter(({ rule, found }) => {
+        if (!found) {
+          this.logger.warning(`Auto-reorder skipped ${rule.itemName}: it is no longer on the menu.`, 'INVENTORY');
+          return false;
+        }
+        return this.getStockPosition(venue, found.item, rule) <= rule.reorderPoint;
+      })
+      .sort((a, b) => a.found.item.stock / (a.rule.reorderPoint || 1) - b.found.item.stock / (b.rule.reorderPoint || 1));
+
+    due.forEach(({ rule, found }) => {
+      const position = this.getStockPosition(venue, found.item, rule);
+      const needed = rule.parLevel - position;
+
+      let supplier = suppliers.findSupplier(venue, rule.itemType, rule.itemName, needed);
+      if (!supplier) {
+        this.logger.warning(`Auto-reorder skipped ${rule.itemName}: no supplier takes an order of ${needed}.`, 'INVENTORY');
+        return;
+      }
+
+      // Order less, possibly from another supplier, rather than dip into the reserve
+      const reserve = this.getCashReserve(venue);
+      const available = this.game.state.player.cash - suppliers.getCommittedSpend() - reserve;
+      let quantity = Math.min(needed, Math.floor(available / suppliers.getPrice(supplier.id, rule.itemType, found.item)));
+
+      if (quantity < needed) {
+        supplier = quantity > 0 ? suppliers.findSupplier(venue, rule.itemType, rule.itemName, quantity) : null;
+        if (supplier) {
+          quantity = Math.min(quantity, Math.floor(available / suppliers.getPrice(supplier.id, rule.itemType, found.item)));
+        }
+        if (!supplier || quantity < supplier.minOrder) {
+          this.logger.warning(
+            `Auto-reorder held back ${rule.itemName} (${found.item.stock} in stock): ordering would take cash below the €${reserve.toFixed(2)} reserve.`,
+            'INVENTORY'
+          );
+          return;
+        }
+      }
+
+      this.logger.info(
+        `Auto-reorder: ${rule.itemName} is at ${position} (reorder point ${rule.reorderPoint}), ordering ${quantity}` +
+        `${quantity < needed ? ` of the ${needed} needed to keep the cash reserve` : ` to reach par ${rule.parLevel}`}.`,
+        'INVENTORY'
+      );
+
+      const order = suppliers.placeOrder(venue, rule.itemType, rule.itemName, quantity, supplier.id);
+      if (order) {
+        orders.push(order);
+      }
+    });
+
+    return orders;
+  }
+
+  /**
+   * Stock in hand plus stock already on order
+   * @private
+   * @param {Object} venue - Venue
+   * @param {Object} item - Inventory item
+   * @param {Object} rule - Reorder rule
+   * @returns {number} Units
+   */
+  getStockPosition(venue, item, rule) {
+    const onOrder = this.game.inventoryManager.suppliers.getOrders(venue)
+      .filter(order => order.itemType === rule.itemType && order.itemName === rule.itemName)
+      .reduce((total, order) => total + order.quantity, 0);
+
+    return item.stock + onOrder;
+  }
+
+  /**
+   * Find a drink, food item or ingredient by name, ignoring case
+   * @private
+   * @param {Object} venue - Venue
+   * @param {string} itemName - Item name
+   * @param {string} [itemType] - Only look in this category
+   * @returns {Object|null} The item and its category, or null if not found
+   */
+  findItem(venue, itemName, itemType) {
+    const types = itemType ? [itemType] : REORDER_TYPES;
+
+    for (const type of types) {
+      const item = ((venue.inventory && venue.inventory[type]) || [])
+        .find(candidate => candidate.name.toLowerCase() === itemName.toLowerCase());
+      if (item) {
+        return { itemType: type, item };
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = ReorderManager;
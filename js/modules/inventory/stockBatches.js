@@ -0,0 +1,334 @@
+// js/modules/inventory/stockBatches.js
+// Dated stock batches, first-in first-out use, spoilage and waste
+
+const { SHELF_LIFE } = require('../../config');
+const { createLogger } = require('../../utils/logger');
+const time = require('../time');
+
+// Inventory categories that are held in batches
+const BATCH_TYPES = ['drinks', 'food', 'ingredients'];
+
+// Weeks of write-offs kept on the venue for the waste report
+const MAX_WASTE_WEEKS = 12;
+
+/**
+ * Drinks, food and ingredients are held as dated batches (item.batches), one per
+ * delivery, each with the unit cost it was bought at and the game time it
+ * spoils (SHELF_LIFE in config.js). item.stock stays the total of the
+ * batches, so code that only reads stock is unaffected. Sales draw from the
+ * oldest batch first. Every game hour, batches past their expiry are written
+ * off: the stock is removed, a 'waste' expense is recorded and the loss is
+ * added to the venue's waste log (venue.wasteLog) for the waste report.
+ *
+ * Items whose stock was changed without going through this module, such as
+ * those from older saves, have the difference booked as a batch received now,
+ * or drawn from their oldest batches.
+ */
+class StockBatches {
+  /**
+   * Create a new StockBatches instance
+   * @param {Object} game - The main game object
+   */
+  constructor(game) {
+    this.game = game;
+    this.logger = createLogger(game);
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event listeners for game events
+   */
+  setupEventListeners() {
+    if (time) {
+      time.onHour((gameTime) => {
+        this.expireStock(gameTime);
+      });
+    }
+  }
+
+  /**
+   * Get the shelf life of an item
+   * @param {string} itemType - Inventory category
+   * @param {Object} item - Inventory item
+   * @returns {number|null} Days the stock keeps, or null if it doesn't spoil
+   */
+  getShelfLife(itemType, item) {
+    const shelfLife = SHELF_LIFE[itemType];
+    if (!shelfLife) return null;
+
+    if (shelfLife.items[item.name] !== undefined) {
+      return shelfLife.items[item.name];
+    }
+    return shelfLife.subtypes[item.subtype] !== undefined ? shelfLife.subtypes[item.subtype] : null;
+  }
+
+  /**
+   * Get an item's batches, oldest first, matching them to its stock first
+   * @param {string} itemType - Inventory category
+   * @param {Object} item - Inventory item
+   * @returns {Array<Object>} Batches with quantity, receivedQuantity, unitCost, receivedAt and expiresAt
+   */
+  getBatches(itemType, item) {
+    if (!Array.isArray(item.batches)) {
+      item.batches = [];
+    }
+
+    const held = item.batches.reduce((total, batch) => total + batch.quantity, 0);
+    if (item.stock > held) {
+      item.batches.push(this.createBatch(itemType, item, item.stock - held, item.costPrice || 0));
+    } else if (item.stock < held) {
+      this.draw(item.batches, held - item.stock);
+    }
+    return item.batches;
+  }
+
+  /**
+   * Add delivered stock as a new batch
+   * @param {string} itemType - Inventory category
+   * @param {Object} item - Inventory item
+   * @param {number} quantity - Units delivered
+   * @param {number} unitCost - Price paid per unit
+   */
+  addStock(itemType, item, quantity, unitCost) {
+    this.getBatches(itemType, item).push(this.createBatch(itemType, item, quantity, unitCost));
+    item.stock += quantity;
+  }
+
+  /**
+   * Take stock for sale, oldest batch first
+   * @param {string} itemType - Inventory category
+   * @param {Object} item - Inventory item
+   * @param {number} [quantity=1] - Units wanted
+   * @returns {number} Units taken; fewer than wanted if stock runs out
+   */
+  consume(itemType, item, quantity = 1) {
+    this.getBatches(itemType, item);
+    const taken = this.draw(item.batches, Math.min(quantity, item.stock));
+    item.stock -= taken;
+    return taken;
+  }
+
+  /**
+   * Put back stock that was taken but not sold, into the batches it came from
+   * @param {string} itemType - Inventory category
+   * @param {Object} item - Inventory item
+   * @param {number} [quantity=1] - Units to put back
+   */
+  returnStock(itemType, item, quantity = 1) {
+    const batches = this.getBatches(itemType, item);
+    let remaining = quantity;
+
+    // The last batch drawn from is the newest one with units missing
+    for (let i = batches.length - 1; i >= 0 && remaining > 0; i--) {
+      const room = batches[i].receivedQuantity - batches[i].quantity;
+      const units = Math.min(room, remaining);
+      batches[i].quantity += units;
+      remaining -= units;
+    }
+
+    if (remaining > 0) {
+      batches.push(this.createBatch(itemType, item, remaining, item.costPrice || 0));
+    }
+    item.stock += quantity;
+  }
+
+  /**
+   * Write off every batch past its expiry at the player's venues
+   * @param {Object} gameTime - Current game time
+   */
+  expireStock(gameTime) {
+    const now = time.toISOString(gameTime);
+
+    (this.game.state.player.venues || []).forEach(venue => {
+      if (!venue.inventory) return;
+
+      BATCH_TYPES.forEach(itemType => {
+        (venue.inventory[itemType] || []).forEach(item => {
+          const expired = this.getBatches(itemType, item)
+            .filter(batch => batch.quantity > 0 && batch.expiresAt && batch.expiresAt <= now);
+
+          expired.forEach(batch => this.writeOff(venue, itemType, item, batch, gameTime));
+          item.batches = item.batches.filter(batch => batch.quantity > 0);
+
+          if (expired.length > 0) {
+            this.game.inventoryManager.operations.saveStock(venue.id, itemType, item.name);
+          }
+        });
+      });
+    });
+  }
+
+  /**
+   * Summarise the venue's waste by week and by item
+   * @param {Object} venue - Venue
+   * @param {number} [weeks=4] - Weeks to include, up to and including this one
+   * @returns {Object} weeks (oldest first, each with items and total), items and total
+   */
+  getWasteReport(venue, weeks = 4) {
+    const thisWeek = this.getWeekStart(time.getGameTime());
+    const weekStarts = [];
+    for (let i = weeks - 1; i >= 0; i--) {
+      weekStarts.push(this.toDateString(time.addDaysToDate(thisWeek, -7 * i)));
+    }
+
+    const entries = (venue.wasteLog || []).filter(entry => weekStarts.includes(entry.week));
+
+    const report = weekStarts.map(week => {
+      const items = this.totalByItem(entries.filter(entry => entry.week === week));
+      return { weekStart: week, items, total: this.sumCost(items) };
+    });
+
+    const items = this.totalByItem(entries);
+    return {
+      weeks: report,
+      items,
+      total: this.sumCost(items)
+    };
+  }
+
+  /**
+   * Remove a spoiled batch and record the loss
+   * @private
+   * @param {Object} venue - Venue
+   * @param {string} itemType - Inventory category
+   * @param {Object} item - Inventory item
+   * @param {Object} batch - Expired batch
+   * @param {Object} gameTime - Current game time
+   */
+  writeOff(venue, itemType, item, batch, gameTime) {
+    const waste = {
+      date: time.toISOString(gameTime),
+      week: this.toDateString(this.getWeekStart(gameTime)),
+      itemType,
+      itemName: item.name,
+      quantity: batch.quantity,
+      cost: Math.round(batch.quantity * batch.unitCost * 100) / 100
+    };
+
+    item.stock -= batch.quantity;
+    batch.quantity = 0;
+
+    if (!venue.wasteLog) {
+      venue.wasteLog = [];
+    }
+    venue.wasteLog.push(waste);
+    this.pruneWasteLog(venue, waste.week);
+
+    this.game.financialManager.expenseManager.recordWaste(venue, waste);
+
+    this.logger.warning(
+      `${waste.quantity} ${item.name} at ${venue.name} went off and was thrown away (€${waste.cost.toFixed(2)}).`,
+      'INVENTORY'
+    );
+  }
+
+  /**
+   * Create a batch received now
+   * @private
+   * @param {string} itemType - Inventory category
+   * @param {Object} item - Inventory item
+   * @param {number} quantity - Units
+   * @param {number} unitCost - Price paid per unit
+   * @returns {Object} Batch
+   */
+  createBatch(itemType, item, quantity, unitCost) {
+    const now = time.getGameTime();
+    const shelfLife = this.getShelfLife(itemType, item);
+
+    return {
+      quantity,
+      receivedQuantity: quantity,
+      unitCost,
+      receivedAt: time.toISOString(now),
+      expiresAt: shelfLife === null ? null : time.toISOString(time.addHoursToDate(now, shelfLife * 24))
+    };
+  }
+
+  /**
+   * Take units from batches, oldest first
+   * @private
+   * @param {Array<Object>} batches - Batches, oldest first
+   * @param {number} quantity - Units to take
+   * @returns {number} Units taken
+   */
+  draw(batches, quantity) {
+    let remaining = quantity;
+
+    for (const batch of batches) {
+      if (remaining <= 0) break;
+      const units = Math.min(batch.quantity, remaining);
+      batch.quantity -= units;
+      remaining -= units;
+    }
+    return quantity - remaining;
+  }
+
+  /**
+   * Drop waste log entries older than MAX_WASTE_WEEKS
+   * @private
+   * @param {Object} venue - Venue
+   * @param {string} thisWeek - Start of the current week (YYYY-MM-DD)
+   */
+  pruneWasteLog(venue, thisWeek) {
+    const [year, month, day] = thisWeek.split('-').map(Number);
+    const oldest = this.toDateString(time.addDaysToDate({ year, month, day }, -7 * (MAX_WASTE_WEEKS - 1)));
+
+    venue.wasteLog = venue.wasteLog.filter(entry => entry.week >= oldest);
+  }
+
+  /**
+   * Add up waste log entries by item, costliest first
+   * @private
+   * @param {Array<Object>} entries - Waste log entries
+   * @returns {Array<Object>} Items with itemName, itemType, quantity and cost
+   */
+  totalByItem(entries) {
+    const totals = {};
+
+    entries.forEach(entry => {
+      const key = `${entry.itemType}:${entry.itemName}`;
+      if (!totals[key]) {
+        totals[key] = { itemName: entry.itemName, itemType: entry.itemType, quantity: 0, cost: 0 };
+      }
+      totals[key].quantity += entry.quantity;
+      totals[key].cost = Math.round((totals[key].cost + entry.cost) * 100) / 100;
+    });
+
+    return Object.values(totals).sort((a, b) => b.cost - a.cost);
+  }
+
+  /**
+   * Add up the cost of waste totals
+   * @private
+   * @param {Array<Object>} items - Totals with a cost
+   * @returns {number} Amount
+   */
+  sumCost(items) {
+    return Math.round(items.reduce((total, item) => total + item.cost, 0) * 100) / 100;
+  }
+
+  /**
+   * Get the Monday a game date's week starts on
+   * @private
+   * @param {Object} gameTime - Game time
+   * @returns {Object} Date with year, month and day
+   */
+  getWeekStart(gameTime) {
+    // Days of the week run from 1 (Monday) to 7 (Sunday)
+    const dayOfWeek = time.calculateDayOfWeek(gameTime.year, gameTime.month, gameTime.day);
+    return time.addDaysToDate(gameTime, 1 - dayOfWeek);
+  }
+
+  /**
+   * Format a date as YYYY-MM-DD
+   * @private
+   * @param {Object} date - Date with year, month and day
+   * @returns {string} Date string
+   */
+  toDateString(date) {
+    return `${date.year}-${String(date.month).padStart(2, '0')}-${String(date.day).padStart(2, '0')}`;
+  }
+}
+
+module.exports = StockBatches;
@@ -0,0 +1,321 @@
+// js/modules/inventory/stocktakeManager.js
+// Stock shrinkage during service, stock-takes and variance reports
+
+const { isDatabaseAvailable } = require('../../database/dbUtils');
+const { createLogger } = require('../../utils/logger');
+const { hasRecipe, findIngredient } = require('../../utils/recipes');
+const { toScheduleDay, findShiftDay, formatShift } = require('../../utils/shifts');
+const rng = require('../../utils/rng');
+const time = require('../time');
+
+// Inventory categories that are counted
+const STOCKTAKE_TYPES = ['drinks', 'food', 'ingredients'];
+
+// Chance per item served of each kind of loss, for a staff member of average care
+const SHRINKAGE_RATES = {
+  overpour: 0.12, // Drinks only: a heavier pour of every centilitre ingredient
+  spillage: 0.02, // A serving dropped or spilled and made again
+  theft: 0.004 // Drinks only: a serving taken or given away
+};
+
+// Stock-take reports kept on the venue
+const MAX_STOCKTAKES = 12;
+
+// Skills that make a member of staff careful with stock, by the role serving
+const CARE_SKILLS = {
+  bartender: ['mixing', 'speed'],
+  waiter: ['speed', 'memory'],
+  cook: ['cooking', 'speed']
+};
+
+/**
+ * Stock goes missing during service without any record: drinks are
+ * over-poured, plates are dropped and the odd drink walks out of the door.
+ * Each item served may lose extra stock, more often with careless or
+ * dishonest staff. Careful staff are skilled at their own role (mixing for
+ * bartenders, memory for waiters, cooking for cooks, and a practised speed
+ * for all three); the reliability personality trait makes theft rarer, and
+ * friendly staff pour more generously.
+ *
+ * The losses aren't taken from item.stock, which stays the theoretical
+ * stock: what deliveries less recorded sales and write-offs leave. They are
+ * held on the item (item.missing) and in the venue's shrinkage log
+ * (venue.shrinkageLog) until a stock-take counts what is really on the
+ * shelves. The count replaces the theoretical stock, the variance is written
+ * off as a 'shrinkage' expense, and the report shows it by item and by shift.
+ */
+class StocktakeManager {
+  /**
+   * Create a new StocktakeManager instance
+   * @param {Object} game - The main game object
+   */
+  constructor(game) {
+    this.game = game;
+    this.logger = createLogger(game);
+  }
+
+  /**
+   * Roll for stock lost while a staff member serves an item
+   * @param {Object} venue - Venue
+   * @param {Object} staff - Staff member who served it
+   * @param {string} itemType - Inventory category (drinks or food)
+   * @param {Object} item - Drink or food item
+   * @returns {Array<Object>} Shrinkage log entries added
+   */
+  recordService(venue, staff, itemType, item) {
+    if (!staff) return [];
+
+    const care = this.getCarelessness(staff);
+    const personality = staff.personality || {};
+    const entries = [];
+
+    if (itemType === 'drinks' && hasRecipe(item) &&
+        rng.random() < SHRINKAGE_RATES.overpour * care * (1 + (personality.friendliness || 0) / 20)) {
+      item.recipe.forEach(line => {
+        const ingredient = findIngredient(venue.inventory.ingredients, line.ingredient);
+        if (ingredient && ingredient.unit === 'cl') {
+          const extra = Math.max(1, Math.round(line.quantity * (0.25 + rng.random() * 0.5)));
+          entries.push(this.lose(venue, staff, 'ingredients', ingredient, extra, 'overpour'));
+        }
+      });
+    }
+
+    if (rng.random() < SHRINKAGE_RATES.spillage * care) {
+      entries.push(...this.loseServing(venue, staff, itemType, item, 'spillage'));
+    }
+
+    // Honest staff rarely steal however careless they are
+    const honesty = 1 - (personality.reliability || 0) / 10;
+    if (itemType === 'drinks' && rng.random() < SHRINKAGE_RATES.theft * care * honesty * honesty) {
+      entries.push(...this.loseServing(venue, staff, itemType, item, 'theft'));
+    }
+
+    return entries.filter(Boolean);
+  }
+
+  /**
+   * Count the venue's stock, book the variance and report it
+   * @param {Object} venue - Venue
+   * @returns {Object} Stock-take with date, items, shifts, staff and total cost
+   */
+  takeStocktake(venue) {
+    const batches = this.game.inventoryManager.batches;
+    const items = [];
+
+    STOCKTAKE_TYPES.forEach(itemType => {
+      ((venue.inventory && venue.inventory[itemType]) || []).forEach(item => {
+        // Made-to-order items are counted through their ingredients
+        if (hasRecipe(item)) return;
+
+        const theoretical = item.stock;
+        const counted = Math.max(0, theoretical - (item.missing || 0));
+        const variance = counted - theoretical;
+        item.missing = 0;
+
+        if (variance < 0) {
+          batches.consume(itemType, item, -variance);
+          this.game.inventoryManager.operations.saveStock(venue.id, itemType, item.name);
+        }
+
+        items.push({
+          itemType,
+          itemName: item.name,
+          unit: item.unit || 'unit',
+          theoretical,
+          counted,
+          variance,
+          cost: Math.round(variance * (item.costPrice || 0) * 100) / 100
+        });
+      });
+    });
+
+    const log = venue.shrinkageLog || [];
+    const stocktake = {
+      date: time.toISOString(time.getGameTime()),
+      since: venue.stocktakes && venue.stocktakes.length > 0 ? venue.stocktakes[venue.stocktakes.length - 1].date : null,
+      items: items.sort((a, b) => a.cost - b.cost),
+      shifts: this.totalByShift(log),
+      staff: this.totalByStaff(log),
+      total: Math.round(items.reduce((total, item) => total + item.cost, 0) * 100) / 100
+    };
+
+    venue.shrinkageLog = [];
+    venue.stocktakes = (venue.stocktakes || []).concat(stocktake).slice(-MAX_STOCKTAKES);
+
+    if (stocktake.total < 0) {
+      this.game.financialManager.expenseManager.recordShrinkage(venue, stocktake);
+    }
+
+    if (isDatabaseAvailable(this.game, 'inventory')) {
+      this.game.dbAPI.inventory.saveStocktake(venue.id, stocktake).catch(error => {
+        this.logger.error(`Error saving stock-take: ${error.message}`, 'DATABASE');
+      });
+    }
+
+    this.logger.info(
+      `Stock-take at ${venue.name}: €${(-stocktake.total).toFixed(2)} of stock unaccounted for.`,
+      'INVENTORY'
+    );
+    return stocktake;
+  }
+
+  /**
+   * Get the venue's most recent stock-take
+   * @param {Object} venue - Venue
+   * @returns {Object|null} Stock-take, or null if stock has never been counted
+   */
+  getLastStocktake(venue) {
+    const stocktakes = venue.stocktakes || [];
+    return stocktakes.length > 0 ? stocktakes[stocktakes.length - 1] : null;
+  }
+
+  /**
+   * Work out how much more often than average a staff member loses stock
+   * @private
+   * @param {Object} staff - Staff member
+   * @returns {number} Multiplier, from 0.25 for the most careful to 2.25 for the least
+   */
+  getCarelessness(staff) {
+    // Skills run from 0 to 100; staff without these skills count as average
+    const skills = staff.skills || {};
+    const rated = (CARE_SKILLS[staff.type] || []).filter(skill => typeof skills[skill] === 'number');
+    const skill = rated.length > 0 ? rated.reduce((total, name) => total + skills[name], 0) / rated.length : 50;
+
+    // The reliability trait runs from -10 to 10
+    const trait = (staff.personality && staff.personality.reliability) || 0;
+
+    return (1.5 - skill / 100) * (1 - trait / 20);
+  }
+
+  /**
+   * Lose the stock for one serving of an item
+   * @private
+   * @param {Object} venue - Venue
+   * @param {Object} staff - Staff member
+   * @param {string} itemType - Inventory category
+   * @param {Object} item - Drink or food item
+   * @param {string} cause - overpour, spillage or theft
+   * @returns {Array<Object>} Shrinkage log entries
+   */
+  loseServing(venue, staff, itemType, item, cause) {
+    if (!hasRecipe(item)) {
+      return [this.lose(venue, staff, itemType, item, 1, cause)];
+    }
+
+    return item.recipe.map(line => {
+      const ingredient = findIngredient(venue.inventory.ingredients, line.ingredient);
+      return ingredient ? this.lose(venue, staff, 'ingredients', ingredient, line.quantity, cause) : null;
+    });
+  }
+
+  /**
+   * Mark stock as gone without reducing the theoretical stock
+   * @private
+   * @param {Object} venue - Venue
+   * @param {Object} staff - Staff member
+   * @param {string} itemType - Inventory category
+   * @param {Object} item - Inventory item
+   * @param {number} quantity - Units lost
+   * @param {string} cause - overpour, spillage or theft
+   * @returns {Object|null} Shrinkage log entry, or null if there was nothing left to lose
+   */
+  lose(venue, staff, itemType, item, quantity, cause) {
+    const lost = Math.min(quantity, item.stock - (item.missing || 0));
+    if (lost <= 0) return null;
+
+    item.missing = (item.missing || 0) + lost;
+
+    const entry = {
+      ...this.getShift(staff),
+      staffId: staff.id,
+      staffName: staff.name,
+      itemType,
+      itemName: item.name,
+      quantity: lost,
+      cause,
+      cost: Math.round(lost * (item.costPrice || 0) * 10000) / 10000
+    };
+
+    if (!venue.shrinkageLog) {
+      venue.shrinkageLog = [];
+    }
+    venue.shrinkageLog.push(entry);
+    return entry;
+  }
+
+  /**
+   * Identify the shift a staff member is working now
+   * @private
+   * @param {Object} staff - Staff member
+   * @returns {Object} shiftDate (YYYY-MM-DD the shift started) and shift (e.g. '20:00-04:00')
+   */
+  getShift(staff) {
+    const now = time.getGameTime();
+    const schedule = this.game.staffManager.scheduler.getSchedule(staff);
+    const today = toScheduleDay(now.dayOfWeek);
+    const startDay = findShiftDay(schedule, today, now.hour);
+
+    // Staff serving off their roster are booked to a shift starting today
+    const started = startDay !== null && startDay !== today ? time.addDaysToDate(now, -1) : now;
+    return {
+      shiftDate: `${started.year}-${String(started.month).padStart(2, '0')}-${String(started.day).padStart(2, '0')}`,
+      shift: startDay !== null ? formatShift(schedule[startDay]) : 'Off roster'
+    };
+  }
+
+  /**
+   * Add up shrinkage log entries by shift, costliest first
+   * @private
+   * @param {Array<Object>} log - Shrinkage log entries
+   * @returns {Array<Object>} Shifts with shiftDate, shift, staffId, staffName, incidents, causes and cost
+   */
+  totalByShift(log) {
+    const totals = {};
+
+    log.forEach(entry => {
+      const key = `${entry.shiftDate}:${entry.staffId}`;
+      if (!totals[key]) {
+        totals[key] = {
+          shiftDate: entry.shiftDate,
+          shift: entry.shift,
+          staffId: entry.staffId,
+          staffName: entry.staffName,
+          incidents: 0,
+          causes: {},
+          cost: 0
+        };
+      }
+      totals[key].incidents++;
+      totals[key].causes[entry.cause] = (totals[key].causes[entry.cause] || 0) + 1;
+      totals[key].cost += entry.cost;
+    });
+
+    return Object.values(totals)
+      .map(shift => ({ ...shift, cost: Math.round(shift.cost * 100) / 100 }))
+      .sort((a, b) => b.cost - a.cost);
+  }
+
+  /**
+   * Add up shrinkage log entries by staff member, highest loss per shift first
+   * @private
+   * @param {Array<Object>} log - Shrinkage log entries
+   * @returns {Array<Object>} Staff with staffId, staffName, shifts, cost and costPerShift
+   */
+  totalByStaff(log) {
+    const totals = {};
+
+    this.totalByShift(log).forEach(shift => {
+      if (!totals[shift.staffId]) {
+        totals[shift.staffId] = { staffId: shift.staffId, staffName: shift.staffName, shifts: 0, cost: 0 };
+      }
+      totals[shift.staffId].shifts++;
+      totals[shift.staffId].cost = Math.round((totals[shift.staffId].cost + shift.cost) * 100) / 100;
+    });
+
+    return Object.values(totals)
+      .map(staff => ({ ...staff, costPerShift: Math.round(staff.cost / staff.shifts * 100) / 100 }))
+      .sort((a, b) => b.costPerShift - a.costPerShift);
+  }
+}
+
+module.exports = StocktakeManager;
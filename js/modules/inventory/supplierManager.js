@@ -0,0 +1,477 @@
+// js/modules/inventory/supplierManager.js
+// Suppliers, their catalogues and prices, and purchase orders awaiting delivery
+
+const { SUPPLIERS } = require('../../config');
+const { createLogger } = require('../../utils/logger');
+const { generateSequentialId } = require('../../utils/idGenerator');
+const { hasRecipe } = require('../../utils/recipes');
+const rng = require('../../utils/rng');
+const time = require('../time');
+
+// Chance each day that a supplier changes its prices, and by how much
+const DAILY_PRICE_CHANGE_CHANCE = 0.05;
+const PRICE_CHANGE_RANGE = { min: -0.08, max: 0.12 };
+
+// Prices never drift further than this from a supplier's starting price
+const PRICE_BOUNDS = { min: 0.7, max: 1.6 };
+
+// Of the orders that go wrong, this share turns up late rather than short
+const LATE_DELIVERY_SHARE = 0.5;
+const DELAY_HOURS = { min: 2, max: 24 };
+
+// Share of the order a partial delivery brings
+const PARTIAL_DELIVERY_RANGE = { min: 0.4, max: 0.9 };
+
+// Completed orders kept on the venue
+const MAX_STORED_ORDERS = 50;
+
+/**
+ * Stock is bought from suppliers (SUPPLIERS in config.js) through purchase
+ * orders. An order fixes the supplier's price at the time it is placed and is
+ * delivered after the supplier's lead time, checked every game hour. Less
+ * reliable suppliers deliver late or only part of an order. The venue pays
+ * for what arrives, on delivery, and suppliers refuse to deliver at all while
+ * the player is overdrawn. Supplier prices drift from day to day.
+ *
+ * Orders live on the venue (venue.purchaseOrders) and supplier prices in
+ * getState(), so both are saved with the game.
+ */
+class SupplierManager {
+  /**
+   * Create a new SupplierManager instance
+   * @param {Object} game - The main game object
+   */
+  constructor(game) {
+    this.game = game;
+    this.logger = createLogger(game);
+
+    // Starting prices by supplier ID and item, and each supplier's price level since
+    this.basePrices = {};
+    this.priceIndex = {};
+    this.nextOrderNumber = 1;
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event listeners for game events
+   */
+  setupEventListeners() {
+    if (time) {
+      time.onHour((gameTime) => {
+        this.processDeliveries(gameTime);
+      });
+
+      time.onDay(() => {
+        this.updatePrices();
+      });
+    }
+  }
+
+  /**
+   * Get every supplier
+   * @returns {Array<Object>} Supplier definitions with their IDs
+   */
+  getSuppliers() {
+    return Object.entries(SUPPLIERS).map(([id, supplier]) => ({ id, ...supplier }));
+  }
+
+  /**
+   * Get a supplier by ID or by its number in getSuppliers()
+   * @param {string} idOrNumber - Supplier ID or list number
+   * @returns {Object|null} Supplier, or null if not found
+   */
+  getSupplier(idOrNumber) {
+    const suppliers = this.getSuppliers();
+    const index = parseInt(idOrNumber, 10) - 1;
+
+    if (String(index + 1) === String(idOrNumber)) {
+      return suppliers[index] || null;
+    }
+    return suppliers.find(supplier => supplier.id === String(idOrNumber).toLowerCase()) || null;
+  }
+
+  /**
+   * List what a supplier can deliver to a venue
+   * @param {string} supplierId - Supplier ID
+   * @param {Object} venue - Venue
+   * @returns {Array<Object>} Items with type, name and current price
+   */
+  getCatalogue(supplierId, venue) {
+    const supplier = this.getSupplier(supplierId);
+    if (!supplier || !venue.inventory) return [];
+
+    const catalogue = [];
+    supplier.itemTypes.forEach(itemType => {
+      (venue.inventory[itemType] || []).forEach(item => {
+        if (!this.supplies(supplier, itemType, item)) return;
+        catalogue.push({ itemType, name: item.name, price: this.getPrice(supplier.id, itemType, item) });
+      });
+    });
+    return catalogue;
+  }
+
+  /**
+   * Get a supplier's current price for an item
+   * @param {string} supplierId - Supplier ID
+   * @param {string} itemType - Inventory category (drinks, food or ingredients)
+   * @param {Object} item - Inventory item
+   * @returns {number} Price per unit
+   */
+  getPrice(supplierId, itemType, item) {
+    if (!this.basePrices[supplierId]) {
+      this.basePrices[supplierId] = {};
+    }
+
+    // The starting price is fixed the first time the item is listed, as cost prices follow what was paid
+    const key = `${itemType}:${item.name}`;
+    if (!this.basePrices[supplierId][key]) {
+      this.basePrices[supplierId][key] = item.costPrice * SUPPLIERS[supplierId].priceFactor;
+    }
+    // Ingredients are priced per gram or centilitre, so keep fractions of a cent
+    const precision = itemType === 'ingredients' ? 10000 : 100;
+    return Math.round(this.basePrices[supplierId][key] * this.getPriceIndex(supplierId) * precision) / precision;
+  }
+
+  /**
+   * Get a supplier's price level relative to its starting prices
+   * @param {string} supplierId - Supplier ID
+   * @returns {number} Multiplier, 1 at the start of the game
+   */
+  getPriceIndex(supplierId) {
+    return this.priceIndex[supplierId] || 1;
+  }
+
+  /**
+   * Find the cheapest supplier that will deliver an order
+   * @param {Object} venue - Venue
+   * @param {string} itemType - Inventory category
+   * @param {string} itemName - Item name
+   * @param {number} quantity - Units wanted
+   * @returns {Object|null} Supplier, or null if nobody supplies the item in that quantity
+   */
+  findSupplier(venue, itemType, itemName, quantity) {
+    const item = this.findItem(venue, itemType, itemName);
+    if (!item) return null;
+
+    const offers = this.getSuppliers()
+      .filter(supplier => this.supplies(supplier, itemType, item) && quantity >= supplier.minOrder)
+      .map(supplier => ({ supplier, price: this.getPrice(supplier.id, itemType, item) }))
+      .sort((a, b) => a.price - b.price || a.supplier.leadTimeHours - b.supplier.leadTimeHours);
+
+    return offers.length > 0 ? offers[0].supplier : null;
+  }
+
+  /**
+   * Place a purchase order
+   * @param {Object} venue - Venue to deliver to
+   * @param {string} itemType - Inventory category (drinks, food or ingredients)
+   * @param {string} itemName - Item name
+   * @param {number} quantity - Units to order
+   * @param {string} [supplierId] - Supplier; the cheapest that can fill the order if omitted
+   * @returns {Object|null} The order, or null if it couldn't be placed
+   */
+  placeOrder(venue, itemType, itemName, quantity, supplierId) {
+    const item = this.findItem(venue, itemType, itemName);
+    if (!item) {
+      this.logger.error(`Item "${itemName}" not found in ${itemType} inventory.`, 'INVENTORY');
+      return null;
+    }
+
+    if (hasRecipe(item)) {
+      this.logger.error(`${item.name} is made to order from its recipe. Order its ingredients instead.`, 'INVENTORY');
+      return null;
+    }
+
+    const supplier = supplierId ?
+      this.getSupplier(supplierId) :
+      this.findSupplier(venue, itemType, item.name, quantity);
+
+    if (!supplier) {
+      this.logger.error(supplierId ?
+        `Supplier '${supplierId}' not found.` :
+        `No supplier delivers ${quantity} ${item.name}. Check minimum orders with 'suppliers'.`, 'INVENTORY');
+      return null;
+    }
+
+    if (!this.supplies(supplier, itemType, item)) {
+      this.logger.error(`${supplier.name} doesn't sell ${item.name}.`, 'INVENTORY');
+      return null;
+    }
+
+    if (quantity < supplier.minOrder) {
+      this.logger.error(`${supplier.name} only takes orders of ${supplier.minOrder} units or more.`, 'INVENTORY');
+      return null;
+    }
+
+    const unitPrice = this.getPrice(supplier.id, itemType, item);
+    const total = Math.round(unitPrice * quantity * 100) / 100;
+
+    // Orders are paid on delivery, so cash must cover every order still to arrive
+    const committed = this.getCommittedSpend();
+    if (this.game.state.player.cash < committed + total) {
+      this.logger.error(
+        `Not enough cash to order ${quantity} ${item.name}. Need €${total.toFixed(2)} on top of €${committed.toFixed(2)} for orders still to arrive.`,
+        'INVENTORY'
+      );
+      return null;
+    }
+
+    const now = time.getGameTime();
+    const order = {
+      id: generateSequentialId('PO', this.nextOrderNumber++),
+      venueId: venue.id,
+      supplierId: supplier.id,
+      supplierName: supplier.name,
+      itemType,
+      itemName: item.name,
+      quantity,
+      unitPrice,
+      total,
+      status: 'pending',
+      orderedAt: time.toISOString(now),
+      dueAt: time.toISOString(time.addHoursToDate(now, supplier.leadTimeHours)),
+      deliveredAt: null,
+      deliveredQuantity: 0
+    };
+
+    if (!venue.purchaseOrders) {
+      venue.purchaseOrders = [];
+    }
+    venue.purchaseOrders.push(order);
+
+    this.logger.success(
+      `Ordered ${quantity} ${item.name} from ${supplier.name} for €${total.toFixed(2)}, due in ${supplier.leadTimeHours} hours (${order.id}).`,
+      'INVENTORY'
+    );
+    return order;
+  }
+
+  /**
+   * Get a venue's purchase orders, newest first
+   * @param {Object} venue - Venue
+   * @param {boolean} [includeCompleted=false] - Include delivered orders
+   * @returns {Array<Object>} Orders
+   */
+  getOrders(venue, includeCompleted = false) {
+    return [...(venue.purchaseOrders || [])]
+      .filter(order => includeCompleted || this.isOpen(order))
+      .reverse();
+  }
+
+  /**
+   * Total value of every order still to be delivered and paid for
+   * @returns {number} Amount
+   */
+  getCommittedSpend() {
+    return (this.game.state.player.venues || []).reduce((total, venue) =>
+      total + (venue.purchaseOrders || [])
+        .filter(order => this.isOpen(order))
+        .reduce((sum, order) => sum + order.total, 0),
+    0);
+  }
+
+  /**
+   * Deliver the orders that are due
+   * @param {Object} gameTime - Current game time
+   */
+  processDeliveries(gameTime) {
+    const now = time.toISOString(gameTime);
+
+    (this.game.state.player.venues || []).forEach(venue => {
+      (venue.purchaseOrders || [])
+        .filter(order => this.isOpen(order) && order.dueAt <= now)
+        .forEach(order => this.deliver(venue, order, gameTime));
+
+      this.pruneOrders(venue);
+    });
+  }
+
+  /**
+   * Change every price a supplier charges
+   * @param {string} supplierId - Supplier ID
+   * @param {number} change - Relative change, e.g. 0.1 for 10% dearer
+   * @param {string} [reason] - Why, for the message
+   */
+  changePrices(supplierId, change, reason) {
+    const supplier = this.getSupplier(supplierId);
+    if (!supplier) return;
+
+    const index = this.getPriceIndex(supplier.id) * (1 + change);
+    this.priceIndex[supplier.id] = Math.round(Math.min(PRICE_BOUNDS.max, Math.max(PRICE_BOUNDS.min, index)) * 1000) / 1000;
+
+    const percent = Math.round(Math.abs(change) * 100);
+    const message = `${supplier.name} has ${change > 0 ? 'raised' : 'cut'} its prices by ${percent}%${reason ? ` (${reason})` : ''}.`;
+    if (change > 0) {
+      this.logger.warning(message, 'INVENTORY');
+    } else {
+      this.logger.info(message, 'INVENTORY');
+    }
+  }
+
+  /**
+   * Get the supplier state to save with the game
+   * @returns {Object} Prices and order numbering
+   */
+  getState() {
+    return {
+      basePrices: this.basePrices,
+      priceIndex: this.priceIndex,
+      nextOrderNumber: this.nextOrderNumber
+    };
+  }
+
+  /**
+   * Restore supplier state from a saved game
+   * @param {Object} [state] - State from getState(); older saves have none
+   */
+  setState(state) {
+    this.basePrices = (state && state.basePrices) || {};
+    this.priceIndex = (state && state.priceIndex) || {};
+    this.nextOrderNumber = (state && state.nextOrderNumber) || 1;
+  }
+
+  /**
+   * Let each supplier change its prices now and then
+   * @private
+   */
+  updatePrices() {
+    this.getSuppliers().forEach(supplier => {
+      if (rng.random() >= DAILY_PRICE_CHANGE_CHANCE) return;
+
+      const change = PRICE_CHANGE_RANGE.min + rng.random() * (PRICE_CHANGE_RANGE.max - PRICE_CHANGE_RANGE.min);
+      this.changePrices(supplier.id, Math.round(change * 100) / 100, 'market prices');
+    });
+  }
+
+  /**
+   * Deliver an order that is due: in full, late, only in part, or not at all
+   * @private
+   * @param {Object} venue - Venue receiving the order
+   * @param {Object} order - Purchase order
+   * @param {Object} gameTime - Current game time
+   */
+  deliver(venue, order, gameTime) {
+    // Suppliers won't hand over stock to a business that can't pay for it
+    if (this.game.financialManager.insolvencyManager.isOverdrawn()) {
+      order.status = 'refused';
+      order.refusedAt = time.toISOString(gameTime);
+      this.logger.error(
+        `${order.supplierName} refused to deliver ${order.quantity} ${order.itemName} while you are overdrawn (${order.id}).`,
+        'INVENTORY'
+      );
+      return;
+    }
+
+    const supplier = SUPPLIERS[order.supplierId];
+    const reliability = supplier ? supplier.reliability : 1;
+
+    if (rng.random() < reliability) {
+      this.receive(venue, order, order.quantity, gameTime);
+      this.logger.success(`${order.supplierName} delivered ${order.quantity} ${order.itemName} (${order.id}).`, 'INVENTORY');
+      return;
+    }
+
+    // An order is only held up once; after that it comes, complete or not
+    if (order.status !== 'delayed' && rng.random() < LATE_DELIVERY_SHARE) {
+      const delay = DELAY_HOURS.min + Math.floor(rng.random() * (DELAY_HOURS.max - DELAY_HOURS.min + 1));
+      order.status = 'delayed';
+      order.dueAt = time.toISOString(time.addHoursToDate(gameTime, delay));
+      this.logger.warning(`${order.supplierName} is running late with ${order.itemName} (${order.id}); expected in ${delay} more hours.`, 'INVENTORY');
+      return;
+    }
+
+    const share = PARTIAL_DELIVERY_RANGE.min + rng.random() * (PARTIAL_DELIVERY_RANGE.max - PARTIAL_DELIVERY_RANGE.min);
+    const quantity = Math.max(1, Math.floor(order.quantity * share));
+    this.receive(venue, order, quantity, gameTime);
+    order.status = 'partial';
+    this.logger.warning(
+      `${order.supplierName} only delivered ${quantity} of ${order.quantity} ${order.itemName} (${order.id}). You only pay for what arrived.`,
+      'INVENTORY'
+    );
+  }
+
+  /**
+   * Put delivered stock on the shelves and pay for it
+   * @private
+   * @param {Object} venue - Venue receiving the order
+   * @param {Object} order - Purchase order
+   * @param {number} quantity - Units delivered
+   * @param {Object} gameTime - Current game time
+   */
+  receive(venue, order, quantity, gameTime) {
+    const item = this.findItem(venue, order.itemType, order.itemName);
+    if (item) {
+      this.game.inventoryManager.batches.addStock(order.itemType, item, quantity, order.unitPrice);
+
+      // Margins are worked out from what the stock last cost
+      item.costPrice = order.unitPrice;
+
+      if (order.itemType === 'ingredients') {
+        this.game.inventoryManager.recipes.updateCosts(venue);
+      }
+    }
+
+    const amount = Math.round(order.unitPrice * quantity * 100) / 100;
+    this.game.financialManager.expenseManager.paySupplier(venue, order, quantity, amount);
+
+    order.status = 'delivered';
+    order.deliveredQuantity = quantity;
+    order.deliveredAt = time.toISOString(gameTime);
+    order.total = amount;
+
+    this.game.inventoryManager.operations.saveStock(venue.id, order.itemType, order.itemName);
+  }
+
+  /**
+   * Drop the oldest completed orders beyond MAX_STORED_ORDERS
+   * @private
+   * @param {Object} venue - Venue
+   */
+  pruneOrders(venue) {
+    const orders = venue.purchaseOrders || [];
+    let excess = orders.filter(order => !this.isOpen(order)).length - MAX_STORED_ORDERS;
+    if (excess <= 0) return;
+
+    venue.purchaseOrders = orders.filter(order => this.isOpen(order) || excess-- <= 0);
+  }
+
+  /**
+   * Check whether an order is still to be delivered
+   * @private
+   * @param {Object} order - Purchase order
+   * @returns {boolean} True if pending or delayed
+   */
+  isOpen(order) {
+    return order.status === 'pending' || order.status === 'delayed';
+  }
+
+  /**
+   * Check whether a supplier sells an item
+   * @private
+   * @param {Object} supplier - Supplier
+   * @param {string} itemType - Inventory category
+   * @param {Object} item - Inventory item
+   * @returns {boolean} True if the item is in the supplier's range
+   */
+  supplies(supplier, itemType, item) {
+    // Made-to-order items are bought as their ingredients
+    return !hasRecipe(item) && supplier.itemTypes.includes(itemType) &&
+      (!supplier.subtypes || supplier.subtypes.includes(item.subtype));
+  }
+
+  /**
+   * Find an inventory item by name, ignoring case
+   * @private
+   * @param {Object} venue - Venue
+   * @param {string} itemType - Inventory category
+   * @param {string} itemName - Item name
+   * @returns {Object|null} Item, or null if the venue doesn't stock it
+   */
+  findItem(venue, itemType, itemName) {
+    const items = (venue.inventory && venue.inventory[itemType]) || [];
+    return items.find(item => item.name.toLowerCase() === String(itemName).toLowerCase()) || null;
+  }
+}
+
+module.exports = SupplierManager;
@@ -3,6 +3,13 @@
 const dbAPI = require('../database/api');
 const InventoryGenerator = require('./inventory/inventoryGenerator');
 const InventoryOperations = require('./inventory/inventoryOperations');
+const SupplierManager = require('./inventory/supplierManager');
+const ReorderManager = require('./inventory/reorderManager');
+const StockBatches = require('./inventory/stockBatches');
+const RecipeManager = require('./inventory/recipeManager');
+const StocktakeManager = require('./inventory/stocktakeManager');
+const PricingManager = require('./inventory/pricingManager');
+const PriceExperimentManager = require('./inventory/priceExperimentManager');
 
 class InventoryManager {
     constructor(game) {
@@ -14,6 +21,13 @@ class InventoryManager {
       // Initialize sub-modules
       this.generator = new InventoryGenerator();
       this.operations = new InventoryOperations(game);
+      this.suppliers = new SupplierManager(game);
+      this.reorders = new ReorderManager(game);
+      this.batches = new StockBatches(game);
+      this.recipes = new RecipeManager(game);
+      this.stocktakes = new StocktakeManager(game);
+      this.pricing = new PricingManager(game);
+      this.experiments = new PriceExperimentManager(game);
       
       // Check database availability
       this.checkDatabaseAvailability();
@@ -46,8 +60,8 @@ class InventoryManager {
     }
     
     // Inventory operations (delegated to operations module)
-    async orderInventory(venueId, itemType, itemName, quantity) {
-      return this.operations.orderInventory(venueId, itemType, itemName, quantity);
+    async orderInventory(venueId, itemType, itemName, quantity, supplierId) {
+      return this.operations.orderInventory(venueId, itemType, itemName, quantity, supplierId);
     }
     
     async updateInventoryPrices(venueId, itemType, itemName, newPrice) {
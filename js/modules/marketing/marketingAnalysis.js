@@ -0,0 +1,354 @@
+// js/modules/marketing/marketingAnalysis.js
+// Attributes customer visits and revenue to marketing campaigns
+
+const { withDatabaseFallback } = require('../../database/dbUtils');
+const time = require('../time');
+
+// Longest comparison window in days, so long campaigns don't scan years of history
+const MAX_WINDOW_DAYS = 60;
+
+// Busiest hours of the week to report
+const PEAK_TIME_COUNT = 3;
+
+// Weekday names by SQLite strftime('%w') number
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Compares each campaign window against the days before and after it
+ * to estimate acquired customers, incremental revenue and ROI.
+ */
+class MarketingAnalysis {
+  /**
+   * Create a new MarketingAnalysis instance
+   * @param {Object} game - The main game object
+   */
+  constructor(game) {
+    this.game = game;
+  }
+
+  /**
+   * Build the marketing analysis for a venue
+   * @param {string|number} venueId - Venue ID
+   * @param {Array} campaigns - Campaigns from every venue owned by the player
+   * @returns {Promise<Object|null>} Analysis, or null if there is nothing to analyse
+   */
+  async analyzeVenue(venueId, campaigns) {
+    const started = campaigns.filter(c =>
+      (c.status === 'active' || c.status === 'completed') && c.totalSpent > 0
+    );
+    if (started.length === 0) return null;
+
+    // Load daily history once per venue
+    const historyByVenue = {};
+    for (const id of new Set(started.map(c => c.venueId))) {
+      historyByVenue[id] = await this.loadDailyHistory(id);
+    }
+
+    const results = started.map(campaign =>
+      this.analyzeCampaign(campaign, historyByVenue[campaign.venueId])
+    );
+
+    // Campaign types are reported for the selected venue, cities across all venues
+    const venueResults = results.filter(r => r.campaign.venueId === venueId);
+
+    return {
+      windows: venueResults,
+      campaigns: this.aggregate(venueResults, r => r.label),
+      cities: this.aggregate(results, r => r.city),
+      demographics: await this.getDemographics(venueId),
+      peakTimes: await this.getPeakTimes(venueId),
+      recommendations: this.buildRecommendations(venueResults)
+    };
+  }
+
+  /**
+   * Load daily visit and revenue totals for a venue
+   * @private
+   * @param {string|number} venueId - Venue ID
+   * @returns {Promise<Object>} Map of YYYY-MM-DD to daily totals
+   */
+  async loadDailyHistory(venueId) {
+    const visits = await withDatabaseFallback(
+      this.game,
+      'customer',
+      'getVisitSummary',
+      [venueId, 'daily'],
+      async () => []
+    );
+
+    let revenue = await withDatabaseFallback(
+      this.game,
+      'transaction',
+      'getRevenueTrend',
+      [venueId, 'daily', 366],
+      async () => []
+    );
+
+    // Without a database, or when its writes failed, the revenue is only in memory
+    if (!revenue || revenue.length === 0) {
+      revenue = this.getRevenueFromMemory(venueId);
+    }
+
+    const days = {};
+    const getDay = (key) => {
+      if (!days[key]) {
+        days[key] = { customers: 0, newCustomers: 0, revenue: 0 };
+      }
+      return days[key];
+    };
+
+    for (const row of visits || []) {
+      const day = getDay(row.period);
+      day.customers = row.total_customers || 0;
+      day.newCustomers = row.new_customers || 0;
+    }
+
+    for (const row of revenue || []) {
+      getDay(row.period).revenue = row.revenue || 0;
+    }
+
+    return days;
+  }
+
+  /**
+   * Total the in-memory revenue transactions of a venue by day
+   * @private
+   * @param {string|number} venueId - Venue ID
+   * @returns {Array<Object>} Rows shaped like getRevenueTrend's
+   */
+  getRevenueFromMemory(venueId) {
+    const financialManager = this.game.financialManager;
+    if (!financialManager) return [];
+
+    const transactionManager = financialManager.transactionManager;
+    const totals = {};
+    transactionManager.getTransactionsByType('revenue', venueId)
+      .filter(transaction => transaction.date)
+      .forEach(transaction => {
+        const key = this.toDayKey(transaction.date);
+        totals[key] = (totals[key] || 0) + transaction.amount;
+      });
+
+    const rows = Object.entries(totals)
+      .map(([period, revenue]) => ({ period, revenue }))
+      .sort((a, b) => a.period.localeCompare(b.period));
+
+    // Once the log has been trimmed its earliest day is only partly there
+    return transactionManager.trimmed ? rows.slice(1) : rows;
+  }
+
+  /**
+   * Compare the days before, during and after a single campaign
+   * @private
+   * @param {Object} campaign - Campaign record
+   * @param {Object} history - Daily totals from loadDailyHistory
+   * @returns {Object} Window comparison for the campaign
+   */
+  analyzeCampaign(campaign, history) {
+    const today = time.getGameTime();
+    const duringEnd = time.isDateEarlier(today, campaign.endDate) ? today : campaign.endDate;
+    const length = Math.max(1, Math.min(MAX_WINDOW_DAYS, this.daysBetween(campaign.startDate, duringEnd)));
+
+    const before = this.summarizeWindow(history, time.addDaysToDate(campaign.startDate, -length), length);
+    const during = this.summarizeWindow(history, campaign.startDate, length);
+
+    // The after window only counts days that have already happened
+    const afterLength = campaign.status === 'completed'
+      ? Math.min(length, this.daysBetween(campaign.endDate, today))
+      : 0;
+    const after = this.summarizeWindow(history, campaign.endDate, afterLength);
+
+    // Growth above the pre-campaign baseline, including the lingering effect afterwards
+    const acquiredCustomers = Math.max(0,
+      (during.avgNewCustomers - before.avgNewCustomers) * during.days +
+      (after.avgNewCustomers - before.avgNewCustomers) * after.days
+    );
+    const incrementalRevenue =
+      (during.avgRevenue - before.avgRevenue) * during.days +
+      (after.avgRevenue - before.avgRevenue) * after.days;
+
+    const venue = this.game.venueManager ? this.game.venueManager.getVenue(campaign.venueId) : null;
+
+    return {
+      campaign,
+      label: campaign.name,
+      city: venue ? venue.city : 'Unknown',
+      before,
+      during,
+      after,
+      cost: campaign.totalSpent,
+      acquiredCustomers,
+      incrementalRevenue
+    };
+  }
+
+  /**
+   * Sum daily totals over a run of days
+   * @private
+   * @param {Object} history - Daily totals
+   * @param {Object} startDate - First day of the window
+   * @param {number} days - Window length in days
+   * @returns {Object} Window totals and daily averages
+   */
+  summarizeWindow(history, startDate, days) {
+    const totals = { customers: 0, newCustomers: 0, revenue: 0 };
+    let daysWithData = 0;
+
+    for (let i = 0; i < days; i++) {
+      const key = this.toDayKey(time.addDaysToDate(startDate, i));
+      const day = history[key];
+      if (!day) continue;
+
+      totals.customers += day.customers;
+      totals.newCustomers += day.newCustomers;
+      totals.revenue += day.revenue;
+      daysWithData++;
+    }
+
+    // Average only over days the venue has records for (e.g. before it opened)
+    const divisor = daysWithData || 1;
+
+    return {
+      days,
+      daysWithData,
+      ...totals,
+      avgCustomers: totals.customers / divisor,
+      avgNewCustomers: totals.newCustomers / divisor,
+      avgRevenue: totals.revenue / divisor,
+      newCustomerShare: totals.customers > 0 ? (totals.newCustomers / totals.customers) * 100 : 0
+    };
+  }
+
+  /**
+   * Group campaign results and compute cost per acquisition and ROI
+   * @private
+   * @param {Array} results - Campaign results from analyzeCampaign
+   * @param {Function} keyFn - Returns the group name for a result
+   * @returns {Array} Grouped results, best ROI first
+   */
+  aggregate(results, keyFn) {
+    const groups = {};
+
+    for (const result of results) {
+      const key = keyFn(result);
+      if (!groups[key]) {
+        groups[key] = { type: key, count: 0, cost: 0, acquiredCustomers: 0, impact: 0 };
+      }
+
+      const group = groups[key];
+      group.count++;
+      group.cost += result.cost;
+      group.acquiredCustomers += result.acquiredCustomers;
+      group.impact += result.incrementalRevenue;
+    }
+
+    return Object.values(groups)
+      .map(group => ({
+        ...group,
+        costPerCustomer: group.acquiredCustomers >= 1 ? group.cost / group.acquiredCustomers : null,
+        roi: group.cost > 0 ? ((group.impact - group.cost) / group.cost) * 100 : 0
+      }))
+      .sort((a, b) => b.roi - a.roi);
+  }
+
+  /**
+   * Get the customer type mix of a venue as percentages
+   * @private
+   * @param {string|number} venueId - Venue ID
+   * @returns {Promise<Object|null>} Percentage by customer type
+   */
+  async getDemographics(venueId) {
+    const rows = await withDatabaseFallback(
+      this.game,
+      'customer',
+      'getCustomerTypeDistribution',
+      [venueId],
+      async () => []
+    );
+
+    const total = (rows || []).reduce((sum, row) => sum + (row.total_customers || 0), 0);
+    if (total === 0) return null;
+
+    const demographics = {};
+    for (const row of rows) {
+      demographics[row.customer_type] = (row.total_customers / total) * 100;
+    }
+    return demographics;
+  }
+
+  /**
+   * Get the busiest hours of the week at a venue
+   * @private
+   * @param {string|number} venueId - Venue ID
+   * @returns {Promise<Array>} Day, hour and average customers, busiest first
+   */
+  async getPeakTimes(venueId) {
+    const rows = await withDatabaseFallback(
+      this.game,
+      'customer',
+      'getPeakTimes',
+      [venueId, PEAK_TIME_COUNT],
+      async () => []
+    );
+
+    return (rows || []).map(row => ({
+      day: WEEKDAYS[row.weekday],
+      hour: String(row.hour).padStart(2, '0'),
+      customers: Math.round(row.avg_customers)
+    }));
+  }
+
+  /**
+   * Turn campaign results into advice
+   * @private
+   * @param {Array} results - Campaign results for the venue
+   * @returns {Array<string>} Recommendations
+   */
+  buildRecommendations(results) {
+    const recommendations = [];
+    const byType = this.aggregate(results, r => r.label);
+
+    if (results.every(r => r.before.daysWithData === 0)) {
+      recommendations.push("Run the venue for a while without marketing so there is a baseline to compare campaigns against.");
+      return recommendations;
+    }
+
+    const best = byType[0];
+    if (best && best.roi > 0) {
+      recommendations.push(`${best.type} has paid for itself (${best.roi.toFixed(1)}% ROI). Consider running it again.`);
+    }
+
+    byType
+      .filter(group => group.roi < -50)
+      .forEach(group => {
+        recommendations.push(`${group.type} returned less than half its cost. Try a smaller budget or a different channel.`);
+      });
+
+    return recommendations;
+  }
+
+  /**
+   * Count the days from one date up to (not including) another
+   * @private
+   * @param {Object} from - Start date
+   * @param {Object} to - End date
+   * @returns {number} Number of days, 0 if to is not after from
+   */
+  daysBetween(from, to) {
+    const fromMs = Date.UTC(from.year, from.month - 1, from.day);
+    const toMs = Date.UTC(to.year, to.month - 1, to.day);
+    return Math.max(0, Math.round((toMs - fromMs) / 86400000));
+  }
+
+  /**
+   * Format a game date the way the daily DAO summaries group by
+   * @private
+   * @param {Object} date - Date with year, month and day
+   * @returns {string} Date as YYYY-MM-DD
+   */
+  toDayKey(date) {
+    return `${date.year}-${String(date.month).padStart(2, '0')}-${String(date.day).padStart(2, '0')}`;
+  }
+}
+
+module.exports = MarketingAnalysis;
@@ -0,0 +1,609 @@
+// js/modules/marketingManager.js
+// Manages advertising campaigns, promotions and special events for venues
+
+const { MARKETING_TYPES } = require('../config');
+const { isDatabaseAvailable, withDatabaseFallback } = require('../database/dbUtils');
+const { createLogger } = require('../utils/logger');
+const eventBus = require('../utils/eventBus');
+const { generateEntityId } = require('../utils/idGenerator');
+const MarketingAnalysis = require('./marketing/marketingAnalysis');
+const time = require('./time');
+
+/**
+ * Main manager class for all marketing-related functionality.
+ * Every campaign, promotion and event is stored as a "campaign" record
+ * with a kind of 'campaign', 'promotion' or 'event'.
+ */
+class MarketingManager {
+  /**
+   * Create a new MarketingManager instance
+   * @param {Object} game - The main game object
+   */
+  constructor(game) {
+    this.game = game;
+    this.logger = createLogger(game);
+
+    // Initialize marketing state if it doesn't exist
+    if (!this.game.state.marketing) {
+      this.game.state.marketing = { campaigns: [] };
+    }
+
+    // Initialize sub-modules
+    this.analysis = new MarketingAnalysis(game);
+
+    // Setup event listeners
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event listeners for game events
+   */
+  setupEventListeners() {
+    if (time) {
+      time.onDay((gameTime) => {
+        this.processDailyMarketing(gameTime);
+      });
+
+      time.onHour((gameTime) => {
+        this.finishOvernightCampaigns(gameTime);
+      });
+    }
+  }
+
+  /**
+   * Get the campaign list from game state
+   * @returns {Array} All campaigns
+   */
+  getCampaigns() {
+    return this.game.state.marketing.campaigns;
+  }
+
+  /**
+   * Create an advertising campaign
+   * @param {string|number} venueId - Venue ID
+   * @param {string} type - Campaign type (local, newspaper, radio, online, social)
+   * @param {number} budget - Total budget spread over the campaign duration
+   * @returns {Object|null} The created campaign or null on failure
+   */
+  createAdvertisingCampaign(venueId, type, budget) {
+    const definition = MARKETING_TYPES.campaigns[type];
+    if (!definition || !(budget > 0)) return null;
+
+    const today = this.getToday();
+    const dailyCost = budget / definition.durationDays;
+
+    const campaign = this.buildCampaign(venueId, 'campaign', type, definition, {
+      budget,
+      dailyCost,
+      startDate: today,
+      endDate: time.addDaysToDate(today, definition.durationDays),
+      description: `${definition.description} (${definition.durationDays} days, €${dailyCost.toFixed(2)}/day)`
+    });
+
+    return this.startCampaign(campaign);
+  }
+
+  /**
+   * Create a promotion
+   * @param {string|number} venueId - Venue ID
+   * @param {string} type - Promotion type (happy_hour, discount, two_for_one, special_menu, loyalty)
+   * @param {string} details - Player-supplied promotion details
+   * @returns {Object|null} The created promotion or null on failure
+   */
+  createPromotion(venueId, type, details) {
+    const definition = MARKETING_TYPES.promotions[type];
+    if (!definition) return null;
+
+    const today = this.getToday();
+
+    const promotion = this.buildCampaign(venueId, 'promotion', type, definition, {
+      budget: definition.dailyCost * definition.durationDays,
+      dailyCost: definition.dailyCost,
+      startDate: today,
+      endDate: time.addDaysToDate(today, definition.durationDays),
+      description: details || definition.description
+    });
+
+    return this.startCampaign(promotion);
+  }
+
+  /**
+   * Schedule a special event
+   * @param {string|number} venueId - Venue ID
+   * @param {string} type - Event type (live_music, theme_night, tasting, celebrity, competition)
+   * @param {number} budget - Event budget, spent on the event day(s)
+   * @returns {Object|null} The scheduled event or null on failure
+   */
+  createSpecialEvent(venueId, type, budget) {
+    const definition = MARKETING_TYPES.events[type];
+    if (!definition || !(budget > 0)) return null;
+
+    const eventDate = time.addDaysToDate(this.getToday(), definition.leadDays);
+
+    const event = this.buildCampaign(venueId, 'event', type, definition, {
+      budget,
+      dailyCost: budget / definition.durationDays,
+      startDate: eventDate,
+      endDate: time.addDaysToDate(eventDate, definition.durationDays),
+      description: definition.description
+    });
+
+    // Keep the event date under the name the marketing view expects
+    event.date = eventDate;
+
+    return this.startCampaign(event);
+  }
+
+  /**
+   * Build a campaign record
+   * @private
+   * @param {string|number} venueId - Venue ID
+   * @param {string} kind - campaign, promotion or event
+   * @param {string} type - Type within the kind
+   * @param {Object} definition - Definition from MARKETING_TYPES
+   * @param {Object} values - Budget, cost, dates and description
+   * @returns {Object} Campaign record
+   */
+  buildCampaign(venueId, kind, type, definition, values) {
+    return {
+      id: generateEntityId('campaign'),
+      venueId,
+      kind,
+      type,
+      name: definition.name,
+      description: values.description,
+      budget: values.budget,
+      dailyCost: values.dailyCost,
+      totalSpent: 0,
+      startDate: values.startDate,
+      endDate: values.endDate,
+      status: 'scheduled',
+      createdAt: { ...time.getGameTime() }
+    };
+  }
+
+  /**
+   * Register a new campaign, run its first day if it starts today and persist it.
+   * The player must have the cash for the whole budget, though it is paid day by day.
+   * @private
+   * @param {Object} campaign - Campaign record
+   * @returns {Object|null} The campaign, or null if the player can't afford it
+   */
+  startCampaign(campaign) {
+    if (this.game.state.player.cash < campaign.budget) {
+      this.logger.error(`Not enough cash for ${campaign.name}. You need €${campaign.budget.toFixed(2)}.`, 'MARKETING');
+      return null;
+    }
+
+    if (!time.isDateEarlier(this.getToday(), campaign.startDate)) {
+      this.runCampaignDay(campaign);
+    }
+
+    this.getCampaigns().push(campaign);
+    this.persistNewCampaign(campaign);
+
+    eventBus.emit('marketingCampaignCreated', campaign);
+
+    return campaign;
+  }
+
+  /**
+   * Run the daily marketing cycle: start, charge and finish campaigns
+   * @param {Object} gameTime - Current game time
+   */
+  processDailyMarketing(gameTime) {
+    const today = { year: gameTime.year, month: gameTime.month, day: gameTime.day };
+
+    for (const campaign of this.getCampaigns()) {
+      if (campaign.status === 'completed' || campaign.status === 'cancelled') continue;
+
+      // Not started yet
+      if (time.isDateEarlier(today, campaign.startDate)) continue;
+
+      // Finished; one that runs past midnight finishes when its last night's hours end
+      if (!time.isDateEarlier(today, campaign.endDate)) {
+        if (!(campaign.status === 'active' && this.runsPastMidnight(campaign) && this.isSameDate(today, campaign.endDate))) {
+          this.completeCampaign(campaign);
+        }
+        continue;
+      }
+
+      this.runCampaignDay(campaign);
+      this.persistCampaignUpdate(campaign);
+    }
+  }
+
+  /**
+   * Finish campaigns that ran past midnight once the hours of their last night are over
+   * @param {Object} gameTime - Current game time
+   */
+  finishOvernightCampaigns(gameTime) {
+    const today = { year: gameTime.year, month: gameTime.month, day: gameTime.day };
+
+    for (const campaign of this.getCampaigns()) {
+      if (campaign.status !== 'active' || !this.runsPastMidnight(campaign)) continue;
+      if (time.isDateEarlier(today, campaign.endDate)) continue;
+
+      if (gameTime.hour >= this.getDefinition(campaign).hours.end) {
+        this.completeCampaign(campaign);
+      }
+    }
+  }
+
+  /**
+   * Run one day of a campaign: start it if it was scheduled, charge the day's cost and apply its effect
+   * @private
+   * @param {Object} campaign - Campaign record
+   */
+  runCampaignDay(campaign) {
+    if (campaign.status === 'scheduled') {
+      campaign.status = 'active';
+
+      if (campaign.kind === 'event') {
+        this.logger.info(`Today is the day of your ${campaign.name} event!`, 'MARKETING');
+      }
+    }
+
+    this.chargeDailyCost(campaign);
+    this.applyPopularityEffect(campaign);
+  }
+
+  /**
+   * Charge a day's worth of a campaign's cost
+   * @private
+   * @param {Object} campaign - Campaign record
+   */
+  chargeDailyCost(campaign) {
+    const venue = this.findVenue(campaign.venueId);
+    if (!venue || !this.game.financialManager) return;
+
+    const cost = Math.min(campaign.dailyCost, campaign.budget - campaign.totalSpent);
+    if (cost <= 0) return;
+
+    this.game.financialManager.expenseManager.payMarketingExpense(
+      venue,
+      `${campaign.kind}_${campaign.type}`,
+      cost
+    );
+
+    campaign.totalSpent += cost;
+  }
+
+  /**
+   * Apply a campaign's daily effect on venue popularity
+   * @private
+   * @param {Object} campaign - Campaign record
+   */
+  applyPopularityEffect(campaign) {
+    const venue = this.findVenue(campaign.venueId);
+    if (!venue || !venue.stats) return;
+
+    const definition = this.getDefinition(campaign);
+    if (!definition) return;
+
+    const gain = campaign.kind === 'event'
+      ? definition.popularityBoost * this.getIntensity(campaign)
+      : definition.popularityPerDay * this.getIntensity(campaign);
+
+    venue.stats.popularity = Math.min(100, venue.stats.popularity + gain);
+  }
+
+  /**
+   * Mark a campaign as completed
+   * @private
+   * @param {Object} campaign - Campaign record
+   */
+  completeCampaign(campaign) {
+    campaign.status = 'completed';
+    this.persistCampaignUpdate(campaign);
+
+    const venue = this.findVenue(campaign.venueId);
+    const venueName = venue ? venue.name : 'your venue';
+    this.logger.info(`${campaign.name} at ${venueName} has ended. Total spent: €${campaign.totalSpent.toFixed(2)}`, 'MARKETING');
+
+    eventBus.emit('marketingCampaignCompleted', campaign);
+  }
+
+  /**
+   * Get the multiplier marketing applies to a venue's hourly customer rate
+   * @param {Object} venue - The venue
+   * @returns {number} Multiplier (1.0 = no marketing effect)
+   */
+  getCustomerRateMultiplier(venue) {
+    if (!venue) return 1.0;
+
+    const hour = time.getGameTime().hour;
+    let boost = 0;
+
+    for (const campaign of this.getCampaigns()) {
+      if (campaign.venueId !== venue.id || campaign.status !== 'active') continue;
+
+      const definition = this.getDefinition(campaign);
+      if (!definition) continue;
+
+      // Time-limited promotions and events only work in their hours
+      if (definition.hours && !this.isHourWithin(hour, definition.hours)) continue;
+
+      // Hours after midnight belong to the night before, which may have been before it started
+      if (this.runsPastMidnight(campaign) && hour < definition.hours.end &&
+          !time.isDateEarlier(campaign.startDate, this.getToday())) continue;
+
+      boost += definition.customerBoost * this.getIntensity(campaign);
+    }
+
+    return Math.min(MARKETING_TYPES.MAX_CUSTOMER_MULTIPLIER, 1.0 + boost);
+  }
+
+  /**
+   * How strongly a campaign works relative to its reference spend
+   * @private
+   * @param {Object} campaign - Campaign record
+   * @returns {number} Intensity between 0 and 2
+   */
+  getIntensity(campaign) {
+    const definition = this.getDefinition(campaign);
+    if (!definition) return 0;
+
+    switch (campaign.kind) {
+      case 'campaign':
+        return Math.min(2, campaign.dailyCost / definition.referenceDailyBudget);
+      case 'event':
+        return Math.min(2, campaign.budget / definition.referenceBudget);
+      default:
+        return 1;
+    }
+  }
+
+  /**
+   * Check whether a campaign's hours run past midnight, e.g. an event from 19:00 to 02:00
+   * @private
+   * @param {Object} campaign - Campaign record
+   * @returns {boolean} True if its hours end on the next day
+   */
+  runsPastMidnight(campaign) {
+    const definition = this.getDefinition(campaign);
+    return Boolean(definition && definition.hours && definition.hours.end < definition.hours.start);
+  }
+
+  /**
+   * Check whether two game dates are the same day
+   * @private
+   * @param {Object} date1 - Date with year, month and day
+   * @param {Object} date2 - Date with year, month and day
+   * @returns {boolean} True if they are the same day
+   */
+  isSameDate(date1, date2) {
+    return !time.isDateEarlier(date1, date2) && !time.isDateEarlier(date2, date1);
+  }
+
+  /**
+   * Check whether an hour falls inside an hour range (handles ranges past midnight)
+   * @private
+   * @param {number} hour - Hour to check
+   * @param {Object} hours - Range with start and end hours
+   * @returns {boolean} True if within the range
+   */
+  isHourWithin(hour, hours) {
+    if (hours.end < hours.start) {
+      return hour >= hours.start || hour < hours.end;
+    }
+    return hour >= hours.start && hour < hours.end;
+  }
+
+  /**
+   * Get active advertising campaigns for a venue
+   * @param {string|number} venueId - Venue ID
+   * @returns {Array} Active campaigns
+   */
+  getActiveCampaigns(venueId) {
+    return this.getCampaigns().filter(c =>
+      c.venueId === venueId && c.kind === 'campaign' && c.status === 'active'
+    );
+  }
+
+  /**
+   * Get active promotions for a venue
+   * @param {string|number} venueId - Venue ID
+   * @returns {Array} Active promotions
+   */
+  getActivePromotions(venueId) {
+    return this.getCampaigns().filter(c =>
+      c.venueId === venueId && c.kind === 'promotion' && c.status === 'active'
+    );
+  }
+
+  /**
+   * Get special events for a venue that have not finished yet
+   * @param {string|number} venueId - Venue ID
+   * @returns {Array} Upcoming and running events
+   */
+  getUpcomingEvents(venueId) {
+    return this.getCampaigns().filter(c =>
+      c.venueId === venueId && c.kind === 'event' &&
+      (c.status === 'scheduled' || c.status === 'active')
+    );
+  }
+
+  /**
+   * Get every campaign ever run for a venue
+   * @param {string|number} venueId - Venue ID
+   * @returns {Array} Campaigns of all kinds and statuses
+   */
+  getCampaignHistory(venueId) {
+    return this.getCampaigns().filter(c => c.venueId === venueId);
+  }
+
+  /**
+   * Analyse how well past and running campaigns paid off
+   * @param {string|number} venueId - Venue whose campaign types are reported
+   * @returns {Promise<Object|null>} ROI by campaign type and city, or null without campaign data
+   */
+  async getMarketingAnalysis(venueId) {
+    const venueIds = (this.game.state.player.venues || []).map(v => v.id);
+    if (!venueIds.includes(venueId)) venueIds.push(venueId);
+
+    const campaigns = this.getCampaigns().filter(c => venueIds.includes(c.venueId));
+    return this.analysis.analyzeVenue(venueId, campaigns);
+  }
+
+  /**
+   * Get all campaigns (for saving)
+   * @returns {Array} Copy of all campaigns
+   */
+  getAllCampaigns() {
+    return this.getCampaigns().map(c => ({ ...c }));
+  }
+
+  /**
+   * Replace all campaigns (for loading)
+   * @param {Array} campaigns - Campaigns to restore
+   */
+  setAllCampaigns(campaigns) {
+    this.game.state.marketing.campaigns = Array.isArray(campaigns) ? campaigns.map(c => ({ ...c })) : [];
+  }
+
+  /**
+   * Load unfinished campaigns from the database into memory
+   * @returns {Promise<boolean>} True if campaigns were loaded
+   */
+  async loadFromDatabase() {
+    const records = await withDatabaseFallback(
+      this.game,
+      'marketing',
+      'getUnfinishedCampaigns',
+      [],
+      async () => null
+    );
+
+    if (!records) return false;
+
+    const loaded = records.map(record => {
+      const campaign = {
+        ...record,
+        startDate: this.fromDateKey(record.startDate),
+        endDate: this.fromDateKey(record.endDate)
+      };
+
+      if (campaign.kind === 'event') {
+        campaign.date = campaign.startDate;
+      }
+
+      return campaign;
+    });
+
+    // Keep finished campaigns that are only in memory
+    const finished = this.getCampaigns().filter(c => c.status === 'completed' || c.status === 'cancelled');
+    this.setAllCampaigns([...finished, ...loaded]);
+
+    return true;
+  }
+
+  /**
+   * Save a new campaign to the database
+   * @private
+   * @param {Object} campaign - Campaign record
+   */
+  persistNewCampaign(campaign) {
+    if (!isDatabaseAvailable(this.game, 'marketing')) return;
+
+    withDatabaseFallback(
+      this.game,
+      'marketing',
+      'createCampaign',
+      [{
+        ...campaign,
+        startDate: this.toDateKey(campaign.startDate),
+        endDate: this.toDateKey(campaign.endDate),
+        metadata: { createdAt: campaign.createdAt }
+      }],
+      async () => {
+        this.logger.warning('Using in-memory fallback for marketing campaign', 'DATABASE');
+        return campaign.id;
+      }
+    ).catch(error => {
+      this.logger.error(`Error saving marketing campaign: ${error.message}`, 'DATABASE');
+    });
+  }
+
+  /**
+   * Save campaign status and spend to the database
+   * @private
+   * @param {Object} campaign - Campaign record
+   */
+  persistCampaignUpdate(campaign) {
+    if (!isDatabaseAvailable(this.game, 'marketing')) return;
+
+    withDatabaseFallback(
+      this.game,
+      'marketing',
+      'updateCampaign',
+      [campaign.id, { status: campaign.status, totalSpent: campaign.totalSpent }],
+      async () => false
+    ).catch(error => {
+      this.logger.error(`Error updating marketing campaign: ${error.message}`, 'DATABASE');
+    });
+  }
+
+  /**
+   * Look up the definition for a campaign's type
+   * @private
+   * @param {Object} campaign - Campaign record
+   * @returns {Object|undefined} Definition from MARKETING_TYPES
+   */
+  getDefinition(campaign) {
+    const group = {
+      campaign: MARKETING_TYPES.campaigns,
+      promotion: MARKETING_TYPES.promotions,
+      event: MARKETING_TYPES.events
+    }[campaign.kind];
+
+    return group ? group[campaign.type] : undefined;
+  }
+
+  /**
+   * Find a venue by ID among the player's venues
+   * @private
+   * @param {string|number} venueId - Venue ID
+   * @returns {Object|null} The venue
+   */
+  findVenue(venueId) {
+    const current = this.game.state.currentVenue;
+    if (current && current.id === venueId) return current;
+
+    const venues = this.game.state.player.venues || [];
+    return venues.find(v => v.id === venueId) || null;
+  }
+
+  /**
+   * Get today's game date
+   * @private
+   * @returns {Object} Date with year, month and day
+   */
+  getToday() {
+    const gameTime = time.getGameTime();
+    return { year: gameTime.year, month: gameTime.month, day: gameTime.day };
+  }
+
+  /**
+   * Convert a game date to the ISO form stored in the database
+   * @private
+   * @param {Object} date - Date with year, month and day
+   * @returns {string} ISO date string
+   */
+  toDateKey(date) {
+    return time.toISOString({ ...date, hour: 0, minute: 0 });
+  }
+
+  /**
+   * Convert a stored ISO date back to a game date
+   * @private
+   * @param {string} dateKey - ISO date string
+   * @returns {Object} Date with year, month and day
+   */
+  fromDateKey(dateKey) {
+    const parsed = time.fromISOString(dateKey);
+    return parsed ? { year: parsed.year, month: parsed.month, day: parsed.day } : this.getToday();
+  }
+}
+
+module.exports = MarketingManager;
@@ -6,6 +6,7 @@ const venueList = require('./names/venueList');
 const drinkList = require('./names/drinkList');
 const foodList = require('./names/foodList');
 const miscList = require('./names/miscList');
+const rng = require('../utils/rng');
 
 /**
  * Picks a random element from an array
@@ -13,37 +14,40 @@ const miscList = require('./names/miscList');
  * @returns {*} A random element from the array
  */
 function getRandomFromArray(array) {
-  return array[Math.floor(Math.random() * array.length)];
+  return array[Math.floor(rng.random() * array.length)];
 }
 
 /**
  * Generates a random full name (first and last name)
  * @param {string} gender - 'male', 'female', or 'random'
+ * @param {object} [localNames] - Name lists from a city pack; missing lists use the defaults
  * @returns {object} Object containing firstName, lastName, and fullName
  */
-function generateFullName(gender = 'random') {
+function generateFullName(gender = 'random', localNames = {}) {
+  const lists = { ...nameList, ...localNames };
+  
   // Default to random gender if not specified or invalid
   let firstName;
   
   if (gender === 'male') {
-    firstName = getRandomFromArray(nameList.maleFirstNames);
+    firstName = getRandomFromArray(lists.maleFirstNames);
   } else if (gender === 'female') {
-    firstName = getRandomFromArray(nameList.femaleFirstNames);
+    firstName = getRandomFromArray(lists.femaleFirstNames);
   } else {
     // Random gender
-    firstName = Math.random() < 0.5 
-      ? getRandomFromArray(nameList.maleFirstNames) 
-      : getRandomFromArray(nameList.femaleFirstNames);
+    firstName = rng.random() < 0.5 
+      ? getRandomFromArray(lists.maleFirstNames) 
+      : getRandomFromArray(lists.femaleFirstNames);
   }
   
-  const lastName = getRandomFromArray(nameList.lastNames);
+  const lastName = getRandomFromArray(lists.lastNames);
   
   return {
     firstName,
     lastName,
     fullName: `${firstName} ${lastName}`,
     // Include determined gender for reference
-    gender: nameList.maleFirstNames.includes(firstName) ? 'male' : 'female'
+    gender: lists.maleFirstNames.includes(firstName) ? 'male' : 'female'
   };
 }
 
@@ -72,8 +76,8 @@ function generateVenueName(venueType) {
     .replace('{cuisine}', getRandomFromArray(foodList.cuisines))
     .replace('{foodItem}', getRandomFromArray(foodList.fastFoodItems))
     .replace('{drink}', getRandomFromArray(drinkList.drinkTypes))
-    .replace('{digit}', Math.floor(Math.random() * 10))
-    .replace('{digit}', Math.floor(Math.random() * 10)); // In case there are two
+    .replace('{digit}', Math.floor(rng.random() * 10))
+    .replace('{digit}', Math.floor(rng.random() * 10)); // In case there are two
 }
 
 /**
@@ -171,13 +175,13 @@ function generateStaffPool(staffType, count = 3, preferredGender = 'random') {
   // Generate the requested number of staff members
   for (let i = 0; i < count; i++) {
     // Determine gender based on distribution
-    const gender = Math.random() < genderDistribution ? 'male' : 'female';
+    const gender = rng.random() < genderDistribution ? 'male' : 'female';
     
     // Generate name
     const person = generateFullName(gender);
     
     // Calculate experience (0-15 years)
-    const experience = Math.floor(Math.random() * 16);
+    const experience = Math.floor(rng.random() * 16);
     
     // Add to pool
     staffPool.push({
@@ -232,7 +236,7 @@ function generateCustomerGroup(customerType = 'regular', groupSize = 1) {
   
   for (let i = 0; i < groupSize; i++) {
     // Mix of genders in groups
-    const gender = Math.random() < 0.5 ? 'male' : 'female';
+    const gender = rng.random() < 0.5 ? 'male' : 'female';
     group.push(generateCustomerName(customerType, gender));
   }
   
@@ -0,0 +1,394 @@
+// js/modules/saveManager.js
+// Saves and loads games in named slots, in the database or in files without it
+
+const fs = require('fs');
+const path = require('path');
+const { SAVES } = require('../config');
+const { isDatabaseAvailable } = require('../database/dbUtils');
+const { createLogger } = require('../utils/logger');
+const rng = require('../utils/rng');
+const { packArchive, unpackArchive } = require('../utils/saveArchive');
+const { SaveFiles } = require('../utils/saveSlotFiles');
+
+/**
+ * Saves the game in named slots. Saves go to the saved_games table through
+ * gameService; saving under a name that is already taken overwrites that
+ * slot. When the database isn't available the game runs on in-memory
+ * storage and its slots are kept in JSON files (SaveFiles) instead, which
+ * are imported into the database the next time it is ready. Alongside the game state each slot stores what the
+ * save list shows: cash, number of venues, current venue, game date,
+ * playtime and a thumbnail of the venue view.
+ *
+ * A slot can be exported to a save archive file together with the
+ * career's database rows, and imported from one on another machine. The
+ * database only holds the rows of the game in play, so only the slot it
+ * was last saved to or loaded from can be exported, and importing first
+ * exports the game in play so its rows aren't lost.
+ *
+ * Earlier versions also saved JSON through electron-store and the
+ * DataStore files. Those saves are imported into slots once, the first time
+ * the database is ready, and the old files are left where they are.
+ */
+class SaveManager {
+  /**
+   * Create a new SaveManager instance
+   * @param {Object} game - The main game object
+   */
+  constructor(game) {
+    this.game = game;
+    this.logger = createLogger(game);
+
+    // Real time the playtime in game.state.playtime was last brought up to date
+    this.sessionStartedAt = Date.now();
+
+    // Slot the game in play was last saved to or loaded from
+    this.currentSlot = null;
+
+    // Slots saved while the database isn't available
+    this.files = new SaveFiles();
+  }
+
+  /**
+   * Start counting playtime from a saved total. The game in play is in no
+   * slot until it is saved, or load records the slot it came from.
+   * @param {number} [playtime=0] - Seconds already played
+   */
+  startSession(playtime = 0) {
+    this.game.state.playtime = playtime;
+    this.sessionStartedAt = Date.now();
+    this.currentSlot = null;
+  }
+
+  /**
+   * Get how long the game has been played, across all sessions
+   * @returns {number} Seconds played
+   */
+  getPlaytime() {
+    return Math.round((this.game.state.playtime || 0) + (Date.now() - this.sessionStartedAt) / 1000);
+  }
+
+  /**
+   * Collect the game state that goes into a save
+   * @returns {Object} Game data
+   */
+  getSaveData() {
+    return {
+      version: SAVES.version,
+      player: this.game.state.player,
+      gameTime: this.game.timeManager.getGameTime(),
+      cities: this.game.cityManager.getCities(),
+      currentCity: this.game.state.currentCity,
+      currentVenue: this.game.state.currentVenue,
+      staff: this.game.staffManager.getAllStaff(),
+      marketing: this.game.marketingManager.getAllCampaigns(),
+      suppliers: this.game.inventoryManager.suppliers.getState(),
+      random: rng.getState(),
+      settings: this.game.state.settings,
+      playtime: this.getPlaytime(),
+      lastSaveTime: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Restore the game from saved game data
+   * @param {Object} gameData - Game data from a save
+   */
+  applySaveData(gameData) {
+    this.game.state.player = gameData.player;
+    this.game.cityManager.setCities(gameData.cities);
+    this.game.state.currentCity = gameData.currentCity;
+    this.game.state.currentVenue = gameData.currentVenue;
+    this.game.timeManager.setGameTime(gameData.gameTime);
+    this.game.staffManager.setAllStaff(gameData.staff);
+    this.game.marketingManager.setAllCampaigns(gameData.marketing);
+    this.game.inventoryManager.suppliers.setState(gameData.suppliers);
+    this.game.state.settings = gameData.settings;
+    this.startSession(gameData.playtime || 0);
+    this.game.undoManager.clear();
+  }
+
+  /**
+   * Save the game to a slot
+   * @param {string} [name] - Slot name; defaults to SAVES.defaultSlot
+   * @returns {Promise<boolean>} True if saved
+   */
+  async save(name = SAVES.defaultSlot) {
+    const slotName = this.checkName(name);
+    if (!slotName) return false;
+
+    try {
+      const thumbnail = this.game.uiManager
+        ? this.game.uiManager.captureThumbnail(SAVES.thumbnailWidth, SAVES.thumbnailHeight)
+        : null;
+
+      const slots = this.getSlots();
+      await slots.saveGame(this.getSaveData(), slotName, { thumbnail });
+      this.currentSlot = slotName;
+      this.logger.success(
+        slots === this.files
+          ? `Game saved to "${slotName}". The database isn't available, so the save is kept in a file until it is.`
+          : `Game saved to "${slotName}".`,
+        'SAVE'
+      );
+      return true;
+    } catch (error) {
+      console.error('Error saving game:', error);
+      this.logger.error(`Failed to save game: ${error.message}`, 'SAVE');
+      return false;
+    }
+  }
+
+  /**
+   * Load a game from a slot
+   * @param {string} [name] - Slot name; defaults to the most recent save
+   * @returns {Promise<boolean>} True if loaded
+   */
+  async load(name) {
+    try {
+      let slotName = name;
+      if (!slotName) {
+        const saves = await this.getSaves();
+        if (saves.length === 0) {
+          this.logger.warning('No saved games found.', 'SAVE');
+          return false;
+        }
+        slotName = saves[0].name;
+      }
+
+      const { gameState, saveInfo } = await this.getSlots().loadGame(slotName);
+      this.applySaveData(gameState);
+      this.currentSlot = saveInfo.name;
+
+      if (this.game.uiManager) {
+        this.game.uiManager.hideGameOver();
+      }
+
+      this.logger.success(`Loaded "${saveInfo.name}".`, 'SAVE');
+      return true;
+    } catch (error) {
+      console.error('Error loading game:', error);
+      this.logger.error(`Failed to load game: ${error.message}`, 'SAVE');
+      return false;
+    }
+  }
+
+  /**
+   * Get the save slots, most recent first
+   * @returns {Promise<Array<Object>>} Saves with name, date, version, source and metadata
+   */
+  async getSaves() {
+    try {
+      return await this.getSlots().getSavedGames();
+    } catch (error) {
+      this.logger.error(`Failed to list saved games: ${error.message}`, 'SAVE');
+      return [];
+    }
+  }
+
+  /**
+   * Delete a save slot
+   * @param {string} name - Slot name
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteSave(name) {
+    try {
+      const deleted = await this.getSlots().deleteSavedGame(name);
+      if (!deleted) {
+        this.logger.error(`No save called "${name}".`, 'SAVE');
+        return false;
+      }
+
+      this.logger.success(`Deleted save "${name}".`, 'SAVE');
+      return true;
+    } catch (error) {
+      this.logger.error(`Failed to delete save: ${error.message}`, 'SAVE');
+      return false;
+    }
+  }
+
+  /**
+   * Rename a save slot
+   * @param {string} name - Current slot name
+   * @param {string} newName - New slot name
+   * @returns {Promise<boolean>} True if renamed
+   */
+  async renameSave(name, newName) {
+    const slotName = this.checkName(newName);
+    if (!slotName) return false;
+
+    try {
+      const renamed = await this.getSlots().renameSavedGame(name, slotName);
+      if (!renamed) {
+        this.logger.error(`No save called "${name}".`, 'SAVE');
+        return false;
+      }
+
+      this.logger.success(`Renamed save "${name}" to "${slotName}".`, 'SAVE');
+      return true;
+    } catch (error) {
+      this.logger.error(`Failed to rename save: ${error.message}`, 'SAVE');
+      return false;
+    }
+  }
+
+  /**
+   * Export the game in play to a save archive. It is saved to its slot
+   * first, so the save and the database rows in the archive match.
+   * @param {string} name - Slot name; must be the slot the game was last saved to or loaded from
+   * @param {string} file - File to write; SAVES.archiveExtension is added if it has no extension
+   * @returns {Promise<string|null>} Full path of the archive, or null if it wasn't written
+   */
+  async exportSave(name, file) {
+    const slotName = this.checkName(name);
+    if (!slotName || !this.checkDatabase('export saves')) return null;
+
+    if (!this.currentSlot) {
+      this.logger.error('Save the game before exporting it.', 'SAVE');
+      return null;
+    }
+    if (slotName.toLowerCase() !== this.currentSlot.toLowerCase()) {
+      this.logger.error(`Only the game in play can be exported, as the database only holds its records. Export "${this.currentSlot}", or load "${slotName}" first.`, 'SAVE');
+      return null;
+    }
+
+    if (!(await this.save(this.currentSlot))) return null;
+    return this.writeArchive(this.currentSlot, file);
+  }
+
+  /**
+   * Import a save archive. This replaces the career's database rows, so the
+   * game in play is saved to SAVES.importBackupSlot and exported next to
+   * the archive first, and the imported save should be loaded straight after.
+   * @param {string} file - Archive file
+   * @returns {Promise<string|null>} Name of the slot the save was imported to, or null if it failed
+   */
+  async importSave(file) {
+    if (!this.checkDatabase('import saves')) return null;
+
+    const filePath = path.resolve(file);
+    try {
+      if (!fs.existsSync(filePath)) {
+        throw new Error(`${filePath} not found`);
+      }
+
+      const archive = unpackArchive(fs.readFileSync(filePath));
+
+      const stamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+      const backupFile = path.join(path.dirname(filePath), `${SAVES.importBackupSlot} ${stamp}`);
+      if (!(await this.save(SAVES.importBackupSlot)) || !(await this.writeArchive(SAVES.importBackupSlot, backupFile))) {
+        throw new Error("the game in play couldn't be backed up, so nothing was replaced");
+      }
+
+      const name = await this.game.dbAPI.gameService.importSave(archive);
+      this.logger.success(`Imported ${filePath} as save "${name}".`, 'SAVE');
+      return name;
+    } catch (error) {
+      this.logger.error(`Failed to import save: ${error.message}`, 'SAVE');
+      return null;
+    }
+  }
+
+  /**
+   * Write a save slot and the career's database rows to a save archive
+   * @private
+   * @param {string} slotName - Slot name
+   * @param {string} file - File to write; SAVES.archiveExtension is added if it has no extension
+   * @returns {Promise<string|null>} Full path of the archive, or null if it wasn't written
+   */
+  async writeArchive(slotName, file) {
+    const filePath = path.resolve(path.extname(file) ? file : file + SAVES.archiveExtension);
+    try {
+      const archive = await this.game.dbAPI.gameService.exportSave(slotName);
+      fs.writeFileSync(filePath, packArchive(archive));
+
+      const rows = Object.values(archive.tables).reduce((total, tableRows) => total + tableRows.length, 0);
+      this.logger.success(`Exported "${archive.save.name}" with ${rows} database rows to ${filePath}.`, 'SAVE');
+      return filePath;
+    } catch (error) {
+      this.logger.error(`Failed to export save: ${error.message}`, 'SAVE');
+      return null;
+    }
+  }
+
+  /**
+   * Import saves the database doesn't have yet: slots saved to files while
+   * it wasn't available, and saves left by the old JSON save paths. The
+   * main process only hands the old saves over until it has been told they
+   * were imported, so those are imported once.
+   * @returns {Promise<number>} Number of saves imported
+   */
+  async importLegacySaves() {
+    if (!isDatabaseAvailable(this.game, 'gameService')) return 0;
+
+    const gameService = this.game.dbAPI.gameService;
+    const imported = [];
+
+    try {
+      const fileSlots = this.files.getSlotsToImport();
+      if (fileSlots.length > 0) {
+        imported.push(...await gameService.importLegacySaves(fileSlots));
+        fileSlots.forEach(slot => this.files.removeImported(slot.name));
+      }
+    } catch (error) {
+      console.error('Error importing saves kept in files:', error);
+    }
+
+    try {
+      const legacySaves = window.api && window.api.getLegacySaves ? await window.api.getLegacySaves() : null;
+      if (legacySaves) {
+        imported.push(...await gameService.importLegacySaves(legacySaves));
+        window.api.markLegacySavesImported();
+      }
+    } catch (error) {
+      console.error('Error importing old saves:', error);
+    }
+
+    if (imported.length > 0) {
+      this.logger.info(`Imported ${imported.length} save${imported.length === 1 ? '' : 's'} into the database: ${imported.join(', ')}.`, 'SAVE');
+    }
+    return imported.length;
+  }
+
+  /**
+   * Get where save slots are kept: the database, or files without it
+   * @private
+   * @returns {Object} gameService, or the SaveFiles store
+   */
+  getSlots() {
+    return isDatabaseAvailable(this.game, 'gameService') ? this.game.dbAPI.gameService : this.files;
+  }
+
+  /**
+   * Check a slot name, reporting any problem
+   * @private
+   * @param {string} name - Slot name
+   * @returns {string|null} The trimmed name, or null if it can't be used
+   */
+  checkName(name) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+      this.logger.error('A save needs a name.', 'SAVE');
+      return null;
+    }
+    if (trimmed.length > SAVES.maxNameLength) {
+      this.logger.error(`Save names can be at most ${SAVES.maxNameLength} characters.`, 'SAVE');
+      return null;
+    }
+    return trimmed;
+  }
+
+  /**
+   * Check that the database is there for save archives, reporting if it isn't
+   * @private
+   * @param {string} action - What the player tried to do, for the message
+   * @returns {boolean} True if the database is available
+   */
+  checkDatabase(action) {
+    if (isDatabaseAvailable(this.game, 'gameService')) return true;
+
+    this.logger.error(`Can't ${action}: save archives carry the game's database records, and the database isn't available.`, 'SAVE');
+    return false;
+  }
+}
+
+module.exports = SaveManager;
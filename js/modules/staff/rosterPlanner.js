@@ -0,0 +1,449 @@
+// js/modules/staff/rosterPlanner.js
+// Suggests weekly rosters from demand history, staff skills and a wage budget
+
+const { createLogger } = require('../../utils/logger');
+const { DAY_NAMES, isOnShift, getShiftLength, formatShift } = require('../../utils/shifts');
+
+// Preferred shift length; contracts are split into shifts of about this size
+const SHIFT_LENGTH = 8;
+
+// Shortest extra shift overtime can add on a day off
+const MIN_SHIFT_LENGTH = 4;
+
+// Overtime never stretches a shift beyond this
+const MAX_SHIFT_LENGTH = 12;
+
+// Everyone gets at least one day off
+const MAX_WORKING_DAYS = 6;
+
+// Cleaners work around opening hours, so the planner leaves their shifts alone
+const UNPLANNED_ROLES = ['cleaner'];
+
+// Share of demand spread evenly over opening hours, so quiet hours are still staffed
+const BASE_DEMAND_SHARE = 0.1;
+
+const HOURS_PER_WEEK = 7 * 24;
+
+/**
+ * Builds a roster for a venue in two passes. First every planned staff
+ * member gets exactly their contracted hours, with the most skilled staff
+ * placed first on the busiest hours. Busy hours come from the revenue history
+ * (calculatePeakRevenueHours and calculateRevenueByWeekday). Then any wage
+ * budget left after the contracted wages buys overtime for uncovered or busy
+ * hours.
+ * A plan is only a suggestion until applyPlan() is called.
+ */
+class RosterPlanner {
+  /**
+   * Create a new RosterPlanner instance
+   * @param {Object} game - The main game object
+   */
+  constructor(game) {
+    this.game = game;
+    this.logger = createLogger(game);
+  }
+
+  /**
+   * Plan a weekly roster for a venue
+   * @param {Object} venue - Venue to plan for
+   * @param {number} [budget] - Weekly wage budget; defaults to the contracted wages (no overtime)
+   * @returns {Object} Plan with the proposed schedules, current and planned coverage and cost, and warnings
+   */
+  planRoster(venue, budget) {
+    const scheduler = this.game.staffManager.scheduler;
+    const staff = this.game.staffManager.getStaffByVenue(venue.id);
+    const demand = this.getDemand(venue);
+    const warnings = [];
+
+    const contractedWages = staff.reduce((total, member) => total + member.wage, 0);
+    const wageBudget = budget === undefined || budget === null ? contractedWages : budget;
+    if (wageBudget < contractedWages) {
+      warnings.push(`The budget of €${wageBudget} is below the contracted wages of €${contractedWages}; contracted hours are still rostered and paid.`);
+    }
+
+    // Staff the planner leaves alone keep their current shifts
+    const schedules = new Map();
+    staff.forEach(member => {
+      schedules.set(member.id, UNPLANNED_ROLES.includes(member.type) ?
+        [...scheduler.getSchedule(member)] :
+        [null, null, null, null, null, null, null]);
+    });
+
+    const planned = staff
+      .filter(member => !UNPLANNED_ROLES.includes(member.type))
+      .sort((a, b) => this.getSkillLevel(b) - this.getSkillLevel(a));
+
+    const coverage = {};
+    planned.forEach(member => {
+      this.planContractedShifts(member, schedules.get(member.id), demand, coverage, warnings);
+    });
+
+    this.planOvertime(planned, schedules, demand, coverage, Math.max(0, wageBudget - contractedWages));
+
+    const currentEntries = staff.map(member => ({ staff: member, schedule: scheduler.getSchedule(member) }));
+    const plannedEntries = staff.map(member => ({ staff: member, schedule: schedules.get(member.id) }));
+
+    return {
+      venueId: venue.id,
+      budget: wageBudget,
+      schedules,
+      current: this.evaluate(venue, currentEntries, demand),
+      planned: this.evaluate(venue, plannedEntries, demand),
+      warnings
+    };
+  }
+
+  /**
+   * Make a planned roster the venue's roster
+   * @param {Object} plan - Plan from planRoster()
+   * @returns {boolean} Success status
+   */
+  applyPlan(plan) {
+    const scheduler = this.game.staffManager.scheduler;
+
+    plan.schedules.forEach((schedule, staffId) => {
+      const staff = this.game.staffManager.getStaff(staffId);
+      if (staff) {
+        scheduler.setSchedule(staff, schedule);
+      }
+    });
+
+    this.logger.success('The suggested roster is now in use.', 'STAFF');
+    return true;
+  }
+
+  /**
+   * Describe a planned roster for messages
+   * @param {Object} plan - Plan from planRoster()
+   * @returns {Array<string>} One line per staff member
+   */
+  describePlan(plan) {
+    const lines = [];
+    plan.schedules.forEach((schedule, staffId) => {
+      const staff = this.game.staffManager.getStaff(staffId);
+      if (!staff) return;
+
+      const shifts = DAY_NAMES.map((day, index) => `${day.slice(0, 3)} ${formatShift(schedule[index])}`);
+      lines.push(`${staff.name} (${staff.type}): ${shifts.join(' | ')}`);
+    });
+    return lines;
+  }
+
+  /**
+   * Share of the week's demand in each opening hour, from the revenue history.
+   * Without history every opening hour counts the same.
+   * @param {Object} venue - Venue
+   * @returns {Array<Array<number>>} Demand by day (Sunday-Saturday) and hour; sums to 1
+   */
+  getDemand(venue) {
+    const revenueManager = this.game.financialManager.revenueManager;
+    const hourly = revenueManager.calculatePeakRevenueHours(venue.id).hourlyData.map(hour => hour.total);
+    const weekdays = revenueManager.calculateRevenueByWeekday(venue.id).map(day => day.total);
+
+    const openHours = this.game.staffManager.scheduler.getOpenHours(venue);
+    const hourShare = this.toShares(hourly, openHours);
+    const dayShare = this.toShares(weekdays, [0, 1, 2, 3, 4, 5, 6]);
+
+    return DAY_NAMES.map((_, day) => hourShare.map(share => share * dayShare[day]));
+  }
+
+  /**
+   * Score a roster against the venue's needs
+   * @param {Object} venue - Venue
+   * @param {Array<Object>} entries - Staff with their schedules
+   * @param {Array<Array<number>>} demand - Demand from getDemand()
+   * @returns {Object} Hours covered (%), demand served (%) and weekly cost
+   */
+  evaluate(venue, entries, demand) {
+    const scheduler = this.game.staffManager.scheduler;
+    const roles = scheduler.getRequiredRoles(venue);
+    const openHours = scheduler.getOpenHours(venue);
+
+    let slots = 0;
+    let coveredSlots = 0;
+    let servedDemand = 0;
+
+    roles.forEach(role => {
+      const schedules = entries.filter(entry => entry.staff.type === role).map(entry => entry.schedule);
+
+      DAY_NAMES.forEach((_, day) => {
+        openHours.forEach(hour => {
+          slots++;
+          if (schedules.some(schedule => isOnShift(schedule, day, hour))) {
+            coveredSlots++;
+            servedDemand += demand[day][hour];
+          }
+        });
+      });
+    });
+
+    const cost = entries.reduce((total, entry) => total + scheduler.getWeeklyCost(entry.staff, entry.schedule).total, 0);
+
+    return {
+      coverage: slots > 0 ? Math.round(coveredSlots / slots * 1000) / 10 : 100,
+      demandServed: roles.length > 0 ? Math.round(servedDemand / roles.length * 1000) / 10 : 100,
+      cost: Math.round(cost * 100) / 100
+    };
+  }
+
+  /**
+   * Roster a staff member for their contracted hours, one shift per day,
+   * placing each shift where it adds the most
+   * @private
+   * @param {Object} staff - Staff member
+   * @param {Array<Object|null>} schedule - Schedule being built (modified)
+   * @param {Array<Array<number>>} demand - Demand from getDemand()
+   * @param {Object} coverage - Staff on shift per role and week hour (modified)
+   * @param {Array<string>} warnings - Warnings to add to
+   */
+  planContractedShifts(staff, schedule, demand, coverage, warnings) {
+    const contractHours = this.game.staffManager.scheduler.getContractHours(staff);
+    const lengths = this.splitIntoShifts(contractHours);
+    const rostered = lengths.reduce((total, length) => total + length, 0);
+
+    if (rostered < contractHours) {
+      warnings.push(`${staff.name} is contracted for ${contractHours} hours but can only be rostered for ${rostered}.`);
+    }
+
+    const skill = this.getSkillLevel(staff);
+
+    lengths.forEach(length => {
+      let best = null;
+
+      for (let day = 0; day < 7; day++) {
+        if (schedule[day]) continue;
+
+        for (let start = 0; start < 24; start++) {
+          const hours = this.getWeekHours(day, start, length);
+          if (!this.isFree(schedule, hours)) continue;
+
+          const value = hours.reduce((total, weekHour) => total + this.getSlotValue(staff.type, weekHour, demand, coverage, skill), 0);
+          if (!best || value > best.value) {
+            best = { day, start, hours, value };
+          }
+        }
+      }
+
+      if (!best) return;
+
+      schedule[best.day] = { start: best.start, end: this.getEndHour(best.start, length) };
+      best.hours.forEach(weekHour => this.addCoverage(coverage, staff.type, weekHour));
+    });
+  }
+
+  /**
+   * Spend the budget left after contracted wages on overtime, choosing
+   * whichever extra hours add the most per euro: lengthening a shift by an
+   * hour, or an extra short shift on a day off
+   * @private
+   * @param {Array<Object>} staff - Planned staff
+   * @param {Map} schedules - Schedules being built by staff ID (modified)
+   * @param {Array<Array<number>>} demand - Demand from getDemand()
+   * @param {Object} coverage - Staff on shift per role and week hour (modified)
+   * @param {number} budget - Money available for overtime
+   */
+  planOvertime(staff, schedules, demand, coverage, budget) {
+    const scheduler = this.game.staffManager.scheduler;
+
+    // Hours that already have someone on shift only get more staff when busier than average
+    const openSlots = demand.flat().filter(share => share > 0);
+    const busyThreshold = openSlots.length > 0 ? 1 / openSlots.length : Infinity;
+
+    let remaining = budget;
+
+    while (remaining > 0) {
+      let best = null;
+
+      staff.forEach(member => {
+        const schedule = schedules.get(member.id);
+        const currentCost = scheduler.getWeeklyCost(member, schedule).total;
+        const skill = this.getSkillLevel(member);
+
+        this.getOvertimeOptions(schedule).forEach(option => {
+          const worthwhile = option.weekHours.every(weekHour => {
+            const share = demand[Math.floor(weekHour / 24)][weekHour % 24];
+            const covered = coverage[member.type] && coverage[member.type][weekHour] > 0;
+            return share > 0 && (!covered || share >= busyThreshold);
+          });
+          if (!worthwhile) return;
+
+          const cost = scheduler.getWeeklyCost(member, option.schedule).total - currentCost;
+          if (cost > remaining) return;
+
+          const gain = option.weekHours.reduce((total, weekHour) => total + this.getSlotValue(member.type, weekHour, demand, coverage, skill), 0);
+          const value = gain / Math.max(cost, 0.01);
+          if (!best || value > best.value) {
+            best = { member, option, cost, value };
+          }
+        });
+      });
+
+      if (!best) break;
+
+      schedules.set(best.member.id, best.option.schedule);
+      best.option.weekHours.forEach(weekHour => this.addCoverage(coverage, best.member.type, weekHour));
+      remaining -= best.cost;
+    }
+  }
+
+  /**
+   * List the ways overtime can be added to a schedule
+   * @private
+   * @param {Array<Object|null>} schedule - Schedule
+   * @returns {Array<Object>} New schedules with the week hours each one adds
+   */
+  getOvertimeOptions(schedule) {
+    const options = [];
+    const workingDays = schedule.filter(Boolean).length;
+
+    schedule.forEach((shift, day) => {
+      if (!shift) {
+        if (workingDays >= MAX_WORKING_DAYS) return;
+
+        // An extra shift on a day off, kept short as it is all overtime
+        for (let start = 0; start < 24; start++) {
+          const weekHours = this.getWeekHours(day, start, MIN_SHIFT_LENGTH);
+          if (!this.isFree(schedule, weekHours)) continue;
+
+          const extended = [...schedule];
+          extended[day] = { start, end: this.getEndHour(start, MIN_SHIFT_LENGTH) };
+          options.push({ schedule: extended, weekHours });
+        }
+        return;
+      }
+
+      const length = getShiftLength(shift);
+      if (length >= MAX_SHIFT_LENGTH) return;
+
+      // One hour later at the end
+      const after = (day * 24 + shift.start + length) % HOURS_PER_WEEK;
+      if (this.isFree(schedule, [after])) {
+        const extended = [...schedule];
+        extended[day] = { start: shift.start, end: this.getEndHour(shift.start, length + 1) };
+        options.push({ schedule: extended, weekHours: [after] });
+      }
+
+      // One hour earlier at the start, as long as the shift stays on the same day
+      const before = day * 24 + shift.start - 1;
+      if (shift.start > 0 && this.isFree(schedule, [before])) {
+        const extended = [...schedule];
+        extended[day] = { start: shift.start - 1, end: this.getEndHour(shift.start - 1, length + 1) };
+        options.push({ schedule: extended, weekHours: [before] });
+      }
+    });
+
+    return options;
+  }
+
+  /**
+   * Value of one more staff member of a role in a week hour. Extra staff in
+   * an hour that is already covered are worth less each time.
+   * @private
+   * @param {string} role - Staff type
+   * @param {number} weekHour - Hour of the week (0-167, from Sunday 00:00)
+   * @param {Array<Array<number>>} demand - Demand from getDemand()
+   * @param {Object} coverage - Staff on shift per role and week hour
+   * @param {number} skill - Skill level of the staff member (0-1)
+   * @returns {number} Value
+   */
+  getSlotValue(role, weekHour, demand, coverage, skill) {
+    const onShift = coverage[role] ? coverage[role][weekHour] : 0;
+    return demand[Math.floor(weekHour / 24)][weekHour % 24] * (0.5 + skill) / (1 + onShift);
+  }
+
+  /**
+   * Count a staff member of a role as on shift in a week hour
+   * @private
+   * @param {Object} coverage - Staff on shift per role and week hour (modified)
+   * @param {string} role - Staff type
+   * @param {number} weekHour - Hour of the week
+   */
+  addCoverage(coverage, role, weekHour) {
+    if (!coverage[role]) {
+      coverage[role] = new Array(HOURS_PER_WEEK).fill(0);
+    }
+    coverage[role][weekHour]++;
+  }
+
+  /**
+   * Split contracted hours into shift lengths of about SHIFT_LENGTH
+   * @private
+   * @param {number} contractHours - Weekly contracted hours
+   * @returns {Array<number>} Shift lengths, longest first
+   */
+  splitIntoShifts(contractHours) {
+    if (contractHours <= 0) return [];
+
+    const shiftCount = Math.min(MAX_WORKING_DAYS, Math.ceil(contractHours / SHIFT_LENGTH));
+    const hours = Math.min(contractHours, shiftCount * MAX_SHIFT_LENGTH);
+    const baseLength = Math.floor(hours / shiftCount);
+    const longer = hours - baseLength * shiftCount;
+
+    return Array.from({ length: shiftCount }, (_, index) => baseLength + (index < longer ? 1 : 0));
+  }
+
+  /**
+   * Hours of the week a shift covers, wrapping from Saturday into Sunday
+   * @private
+   * @param {number} day - Day the shift starts (0-6)
+   * @param {number} start - Start hour
+   * @param {number} length - Length in hours
+   * @returns {Array<number>} Week hours (0-167)
+   */
+  getWeekHours(day, start, length) {
+    return Array.from({ length }, (_, offset) => (day * 24 + start + offset) % HOURS_PER_WEEK);
+  }
+
+  /**
+   * Check that none of the given week hours is already worked
+   * @private
+   * @param {Array<Object|null>} schedule - Schedule
+   * @param {Array<number>} weekHours - Week hours to check
+   * @returns {boolean} True if every hour is free
+   */
+  isFree(schedule, weekHours) {
+    return weekHours.every(weekHour => !isOnShift(schedule, Math.floor(weekHour / 24), weekHour % 24));
+  }
+
+  /**
+   * Get the end hour of a shift
+   * @private
+   * @param {number} start - Start hour
+   * @param {number} length - Length in hours
+   * @returns {number} End hour; 24 for midnight
+   */
+  getEndHour(start, length) {
+    return start + length > 24 ? start + length - 24 : start + length;
+  }
+
+  /**
+   * Average skill of a staff member
+   * @private
+   * @param {Object} staff - Staff member
+   * @returns {number} Skill level (0-1)
+   */
+  getSkillLevel(staff) {
+    const skills = Object.values(staff.skills || {});
+    return skills.length > 0 ? skills.reduce((total, value) => total + value, 0) / skills.length / 100 : 0.5;
+  }
+
+  /**
+   * Turn totals into shares of their sum over the given indexes. Part of the
+   * share is spread evenly so indexes without sales so far still count.
+   * @private
+   * @param {Array<number>} totals - Totals
+   * @param {Array<number>} indexes - Indexes that can have demand
+   * @returns {Array<number>} Shares; 0 outside the indexes
+   */
+  toShares(totals, indexes) {
+    const sum = indexes.reduce((total, index) => total + totals[index], 0);
+    const spread = sum > 0 ? BASE_DEMAND_SHARE : 1;
+
+    return totals.map((value, index) => {
+      if (!indexes.includes(index)) return 0;
+      return (sum > 0 ? value / sum * (1 - spread) : 0) + spread / indexes.length;
+    });
+  }
+}
+
+module.exports = RosterPlanner;
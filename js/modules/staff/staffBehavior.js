@@ -2,6 +2,8 @@
 
 const time = require('../time');
 const { GAME_CONSTANTS, STAFF_TYPES } = require('../../config');
+const rng = require('../../utils/rng');
+const { toScheduleDay } = require('../../utils/shifts');
 
 class StaffBehavior {
   constructor(game) {
@@ -30,7 +32,10 @@ class StaffBehavior {
           // Fall back to in-memory staff
           allStaff = this.game.state.staff || [];
         }
-      } else {
+      }
+      
+      // Staff hired through the staff manager only exist in game state
+      if (!allStaff || allStaff.length === 0) {
         allStaff = this.game.state.staff || [];
       }
       
@@ -42,10 +47,9 @@ class StaffBehavior {
       
       // Process each staff member
       for (const staff of allStaff) {
-        // Check if staff should be working now
-        const isWorkDay = this.isWorkingDay(staff, gameTime);
-        const isWorkHour = this.isWorkingHour(staff, gameTime);
-        const isWorking = isWorkDay && isWorkHour;
+        // Check if staff should be working now; the roster also covers
+        // overnight shifts that started yesterday
+        const isWorking = this.isWorkingHour(staff, gameTime);
         
         // Update staff working status if needed
         if (staff.isWorking !== isWorking) {
@@ -59,13 +63,13 @@ class StaffBehavior {
         }
         
         // Check for potential staff quitting due to low morale
-        if (newMorale < 20 && Math.random() < 0.01) {
+        if (newMorale < 20 && rng.random() < 0.01) {
           await this.staffQuits(staff.id);
           continue; // Skip to next staff member
         }
         
         // Random events for working staff
-        if (isWorking && Math.random() < 0.005) { // 0.5% chance per update
+        if (isWorking && rng.random() < 0.005) { // 0.5% chance per update
           await this.checkForStaffEvents(staff);
         }
       }
@@ -78,40 +82,21 @@ class StaffBehavior {
    * Check if today is a working day for the staff member
    * @param {Object} staff - Staff member
    * @param {Object} gameTime - Current game time
-   * @returns {boolean} True if today is a working day
+   * @returns {boolean} True if the roster has a shift starting today
    */
   isWorkingDay(staff, gameTime) {
-    // Ensure working days is properly defined
-    if (!staff.workingDays || !Array.isArray(staff.workingDays) || staff.workingDays.length !== 7) {
-      return true; // Default to working if schedule not defined
-    }
-    
-    // Convert from 1-7 (Monday-Sunday) to 0-6 (Sunday-Saturday)
-    const dayIndex = ((gameTime.dayOfWeek + 5) % 7);
-    return staff.workingDays[dayIndex] === true;
+    const schedule = this.game.staffManager.scheduler.getSchedule(staff);
+    return schedule[toScheduleDay(gameTime.dayOfWeek)] !== null;
   }
   
   /**
-   * Check if current hour is a working hour for the staff member
+   * Check if the staff member is rostered on at the current hour
    * @param {Object} staff - Staff member
    * @param {Object} gameTime - Current game time
    * @returns {boolean} True if current hour is a working hour
    */
   isWorkingHour(staff, gameTime) {
-    // Ensure working hours is properly defined
-    if (!staff.workingHours || typeof staff.workingHours !== 'object' || 
-        staff.workingHours.start === undefined || staff.workingHours.end === undefined) {
-      return true; // Default to working if hours not defined
-    }
-    
-    const currentHour = gameTime.hour;
-    
-    // Handle shifts that span midnight
-    if (staff.workingHours.end < staff.workingHours.start) {
-      return currentHour >= staff.workingHours.start || currentHour < staff.workingHours.end;
-    } else {
-      return currentHour >= staff.workingHours.start && currentHour < staff.workingHours.end;
-    }
+    return this.game.staffManager.scheduler.isOnShift(staff, gameTime);
   }
   
   /**
@@ -122,12 +107,13 @@ class StaffBehavior {
    */
   async updateStaffWorkingStatus(staffId, isWorking) {
     try {
+      // Customers are assigned from the in-memory roster, so always keep it current
+      const updated = this.updateStaffWorkingStatusInMemory(staffId, isWorking);
+      
       if (this.game.dbInitialized) {
-        return await this.game.dbAPI.staff.updateStaffWorkingStatus(staffId, isWorking);
-      } else {
-        // Fall back to in-memory update
-        return this.updateStaffWorkingStatusInMemory(staffId, isWorking);
+        return await this.game.dbAPI.staff.updateStaffWorkingStatus(staffId, isWorking) || updated;
       }
+      return updated;
     } catch (error) {
       console.error(`Error updating working status for staff ${staffId}:`, error);
       return false;
@@ -236,11 +222,12 @@ class StaffBehavior {
    */
   async updateStaffMorale(staffId, newMorale) {
     try {
+      const updated = this.updateStaffMoraleInMemory(staffId, newMorale);
+      
       if (this.game.dbInitialized) {
-        return await this.game.dbAPI.staff.updateStaffMorale(staffId, newMorale);
-      } else {
-        return this.updateStaffMoraleInMemory(staffId, newMorale);
+        return await this.game.dbAPI.staff.updateStaffMorale(staffId, newMorale) || updated;
       }
+      return updated;
     } catch (error) {
       console.error(`Error updating morale for staff ${staffId}:`, error);
       return false;
@@ -347,7 +334,7 @@ class StaffBehavior {
   async checkForStaffEvents(staff) {
     try {
       // Determine event type based on staff traits and random chance
-      const eventRoll = Math.random();
+      const eventRoll = rng.random();
       
       if (staff.personality.reliability < 0 && eventRoll < 0.3) {
         // Unreliable staff might not show up
@@ -395,7 +382,7 @@ class StaffBehavior {
         this.logSuccess(`${staff.name} received excellent tips due to great customer service!`);
         
         // Add a small bonus to player's cash (tips)
-        const tipAmount = Math.floor(Math.random() * 20) + 5; // 5-25 euros
+        const tipAmount = Math.floor(rng.random() * 20) + 5; // 5-25 euros
         this.game.state.player.cash += tipAmount;
         
         // Boost staff morale
@@ -409,7 +396,7 @@ class StaffBehavior {
         
         // Trigger additional customers via customer manager if available
         if (this.game.customerManager && typeof this.game.customerManager.addExtraCustomers === 'function') {
-          const extraCustomers = Math.floor(Math.random() * 5) + 3; // 3-7 extra customers
+          const extraCustomers = Math.floor(rng.random() * 5) + 3; // 3-7 extra customers
           this.game.customerManager.addExtraCustomers(extraCustomers);
         }
         
@@ -3,6 +3,8 @@
 const { GAME_CONSTANTS, STAFF_TYPES } = require('../../config');
 const { v4: uuidv4 } = require('uuid');
 const names = require('../names');  // Import the centralized names module
+const rng = require('../../utils/rng');
+const { scheduleFromWorkingTimes, getWeeklyHours } = require('../../utils/shifts');
 
 class StaffGenerator {
   constructor(game) {
@@ -24,8 +26,10 @@ class StaffGenerator {
     // Generate unique ID
     const id = uuidv4();
     
-    // Generate name using the names module
-    const name = names.generatePersonName();
+    // Generate name using the names module, preferring the city's local names
+    const localNames = this.game.cityManager ?
+                      this.game.cityManager.getCityNameLists(this.game.state.currentCity) : {};
+    const name = names.generateFullName('random', localNames).fullName;
     
     // Calculate base wage based on city's wage multiplier
     const cityMultiplier = this.getCityWageMultiplier();
@@ -39,8 +43,10 @@ class StaffGenerator {
                         Object.values(skills).length;
     const skillMultiplier = 0.7 + (averageSkill / 100) * 0.6;
     
-    // Calculate final wage
-    const wage = Math.round(baseWage * skillMultiplier);
+    // Calculate final wage, never below the city's minimum wage
+    const minimumWage = this.game.cityManager && this.game.cityManager.getCity(this.game.state.currentCity) ?
+                       this.game.cityManager.getMinimumWage(this.game.state.currentCity) : 0;
+    const wage = Math.max(Math.round(baseWage * skillMultiplier), minimumWage);
     
     // Generate personality traits
     const personalityTraits = this.generatePersonalityTraits();
@@ -48,6 +54,7 @@ class StaffGenerator {
     // Generate working schedule
     const workingDays = this.generateWorkingDays();
     const workingHours = this.generateWorkingHours(type);
+    const schedule = scheduleFromWorkingTimes(workingDays, workingHours);
     
     // Return the complete staff member object
     return {
@@ -56,35 +63,27 @@ class StaffGenerator {
       type,
       skills,
       wage,
-      experience: Math.floor(Math.random() * 10), // 0-9 years
+      experience: Math.floor(rng.random() * 10), // 0-9 years
       personality: personalityTraits,
-      morale: 80 + Math.floor(Math.random() * 20), // 80-99 to start
+      morale: 80 + Math.floor(rng.random() * 20), // 80-99 to start
       hireDate: null,
       isWorking: false,
       workingDays,
-      workingHours
+      workingHours,
+      // Weekly roster, editable with the schedule command
+      schedule,
+      // Hours the weekly wage pays for; more are paid as overtime
+      contractHours: getWeeklyHours(schedule)
     };
   }
   
   /**
    * Get city wage multiplier
-   * @returns {number} Wage multiplier for the current city
+   * @returns {number} Wage multiplier from the current city's pack; 1 without a city
    */
   getCityWageMultiplier() {
-    if (this.game.cityManager && typeof this.game.cityManager.getCityWageMultiplier === 'function') {
-      return this.game.cityManager.getCityWageMultiplier(this.game.state.currentCity);
-    }
-    
-    // Fallback to hardcoded values if cityManager not available
-    const cityMultipliers = {
-      'London': 1.5,
-      'Berlin': 1.2,
-      'Paris': 1.4,
-      'Madrid': 1.1,
-      'Rome': 1.3
-    };
-    
-    return cityMultipliers[this.game.state.currentCity] || 1.0;
+    const city = this.game.cityManager ? this.game.cityManager.getCity(this.game.state.currentCity) : null;
+    return city ? city.wageMultiplier : 1;
   }
   
   /**
@@ -102,14 +101,14 @@ class StaffGenerator {
     
     // Generate each skill with random value (30-80 base range)
     STAFF_TYPES[type].skillNames.forEach(skillName => {
-      skills[skillName] = 30 + Math.floor(Math.random() * 51);
+      skills[skillName] = 30 + Math.floor(rng.random() * 51);
     });
     
     // Occasionally add an exceptional skill (80-100)
-    if (Math.random() < 0.2) { // 20% chance
+    if (rng.random() < 0.2) { // 20% chance
       const skillNames = STAFF_TYPES[type].skillNames;
-      const randomSkill = skillNames[Math.floor(Math.random() * skillNames.length)];
-      skills[randomSkill] = 80 + Math.floor(Math.random() * 21);
+      const randomSkill = skillNames[Math.floor(rng.random() * skillNames.length)];
+      skills[randomSkill] = 80 + Math.floor(rng.random() * 21);
     }
     
     return skills;
@@ -130,7 +129,7 @@ class StaffGenerator {
     
     // Generate random values for each trait
     Object.keys(traits).forEach(trait => {
-      traits[trait] = Math.floor(Math.random() * 21) - 10;
+      traits[trait] = Math.floor(rng.random() * 21) - 10;
     });
     
     return traits;
@@ -159,7 +158,7 @@ class StaffGenerator {
       }
       
       // Pick a day based on weights
-      let randomWeight = Math.random() * totalWeights;
+      let randomWeight = rng.random() * totalWeights;
       let cumulativeWeight = 0;
       let selectedDay = -1;
       
@@ -195,12 +194,12 @@ class StaffGenerator {
     switch(staffType) {
       case 'bartender':
         // Bartenders work evening/night shifts
-        startHour = 16 + Math.floor(Math.random() * 2); // 16-17
+        startHour = 16 + Math.floor(rng.random() * 2); // 16-17
         endHour = startHour + 8; // 8-hour shift
         break;
       case 'waiter':
         // Waiters might work lunch or dinner
-        if (Math.random() < 0.5) {
+        if (rng.random() < 0.5) {
           startHour = 11; // Lunch shift
           endHour = 19;
         } else {
@@ -210,7 +209,7 @@ class StaffGenerator {
         break;
       case 'cook':
         // Cooks start early to prep
-        startHour = 9 + Math.floor(Math.random() * 2); // 9-10
+        startHour = 9 + Math.floor(rng.random() * 2); // 9-10
         endHour = startHour + 8; // 8-hour shift
         break;
       case 'bouncer':
@@ -230,7 +229,7 @@ class StaffGenerator {
         break;
       case 'cleaner':
         // Cleaners often work before opening or after closing
-        if (Math.random() < 0.5) {
+        if (rng.random() < 0.5) {
           startHour = 5; // Morning shift
           endHour = 13;
         } else {
@@ -316,11 +315,11 @@ class StaffGenerator {
     const updatedPool = sortedPool.slice(0, retainCount);
     
     // Add new candidates
-    const newCandidateCount = Math.floor(Math.random() * 5) + 3; // 3-7 new candidates
+    const newCandidateCount = Math.floor(rng.random() * 5) + 3; // 3-7 new candidates
     
     for (let i = 0; i < newCandidateCount; i++) {
       const staffTypes = Object.keys(STAFF_TYPES);
-      const randomType = staffTypes[Math.floor(Math.random() * staffTypes.length)];
+      const randomType = staffTypes[Math.floor(rng.random() * staffTypes.length)];
       updatedPool.push(this.generateStaffMember(randomType));
     }
     
@@ -371,7 +370,7 @@ class StaffGenerator {
           });
           
           // Random selection based on weights
-          let random = Math.random() * totalWeight;
+          let random = rng.random() * totalWeight;
           let selectedType = staffTypes[0];
           
           for (const type of staffTypes) {
@@ -1,6 +1,7 @@
 // staffOperations.js - Handles CRUD operations for staff
 
 const { GAME_CONSTANTS, STAFF_TYPES } = require('../../config');
+const rng = require('../../utils/rng');
 
 class StaffOperations {
   constructor(game) {
@@ -272,11 +273,11 @@ class StaffOperations {
     // Calculate skill increase (diminishing returns at higher levels)
     let skillIncrease;
     if (currentSkill < 50) {
-      skillIncrease = 5 + Math.floor(Math.random() * 6); // 5-10
+      skillIncrease = 5 + Math.floor(rng.random() * 6); // 5-10
     } else if (currentSkill < 80) {
-      skillIncrease = 3 + Math.floor(Math.random() * 4); // 3-6
+      skillIncrease = 3 + Math.floor(rng.random() * 4); // 3-6
     } else {
-      skillIncrease = 1 + Math.floor(Math.random() * 3); // 1-3
+      skillIncrease = 1 + Math.floor(rng.random() * 3); // 1-3
     }
     
     // Apply the training
@@ -384,7 +385,7 @@ class StaffOperations {
         await this.game.dbAPI.staff.updateStaffMorale(staffId, newMorale);
         
         // Check if staff might quit due to pay cut
-        if (changePercent < -5 && newMorale < 30 && Math.random() < 0.3) {
+        if (changePercent < -5 && newMorale < 30 && rng.random() < 0.3) {
           await this.game.dbAPI.staff.removeStaffFromVenue(staffId);
           this.logError(`${staff.name} quit due to the pay cut!`);
           return true; // Still return true as the action was completed
@@ -404,7 +405,7 @@ class StaffOperations {
         localStaff.morale = Math.max(0, Math.min(100, localStaff.morale + moraleChange));
         
         // Check if staff might quit due to pay cut
-        if (changePercent < -5 && localStaff.morale < 30 && Math.random() < 0.3) {
+        if (changePercent < -5 && localStaff.morale < 30 && rng.random() < 0.3) {
           this.fireStaffInMemory(staffId);
           this.logError(`${staff.name} quit due to the pay cut!`);
           return true; // Still return true as the action was completed
@@ -0,0 +1,322 @@
+// js/modules/staff/staffScheduler.js
+// Weekly staff rosters and opening-hours coverage
+
+const { isDatabaseAvailable } = require('../../database/dbUtils');
+const { createLogger } = require('../../utils/logger');
+const {
+  DAY_NAMES,
+  toScheduleDay,
+  isValidShift,
+  isOnShift,
+  scheduleFromWorkingTimes,
+  getWeeklyHours,
+  formatShift
+} = require('../../utils/shifts');
+
+// Roles a venue type needs on shift whenever it is open
+const SERVICE_ROLES = {
+  'Bar': ['bartender'],
+  'Nightclub': ['bartender', 'bouncer'],
+  'Restaurant': ['waiter'],
+  'Fast Food': []
+};
+
+// Hours beyond a staff member's contract are paid at this multiple of their hourly rate
+const OVERTIME_RATE = 1.5;
+
+/**
+ * Keeps each staff member's weekly roster (staff.schedule, Sunday to
+ * Saturday) and decides who is on shift. The roster lives on the in-memory
+ * staff objects so it is saved with the game, and is mirrored to the
+ * staff_schedule table when the database is available. Staff from older
+ * saves get a roster built from their working days and hours.
+ */
+class StaffScheduler {
+  /**
+   * Create a new StaffScheduler instance
+   * @param {Object} game - The main game object
+   */
+  constructor(game) {
+    this.game = game;
+    this.logger = createLogger(game);
+  }
+
+  /**
+   * Get a staff member's weekly roster
+   * @param {Object} staff - Staff member (in-memory or from the database)
+   * @returns {Array<Object|null>} Shifts from Sunday to Saturday
+   */
+  getSchedule(staff) {
+    // Database records don't carry the roster; the in-memory staff member does
+    const member = (this.game.staffManager && this.game.staffManager.getStaff(staff.id)) || staff;
+
+    if (!Array.isArray(member.schedule) || member.schedule.length !== 7) {
+      member.schedule = scheduleFromWorkingTimes(member.workingDays, member.workingHours);
+    }
+    return member.schedule;
+  }
+
+  /**
+   * Get the weekly hours a staff member's wage pays for
+   * @param {Object} staff - Staff member
+   * @returns {number} Contracted hours per week
+   */
+  getContractHours(staff) {
+    const member = (this.game.staffManager && this.game.staffManager.getStaff(staff.id)) || staff;
+
+    // Staff from older saves are contracted for the hours they were generated with
+    if (!member.contractHours) {
+      member.contractHours = getWeeklyHours(scheduleFromWorkingTimes(member.workingDays, member.workingHours));
+    }
+    return member.contractHours;
+  }
+
+  /**
+   * Work out what a roster costs a staff member's employer each week
+   * @param {Object} staff - Staff member
+   * @param {Array<Object|null>} [schedule] - Roster to cost; defaults to the current one
+   * @returns {Object} Wage, overtime hours, overtime pay and total
+   */
+  getWeeklyCost(staff, schedule = this.getSchedule(staff)) {
+    const contractHours = this.getContractHours(staff);
+    const overtimeHours = Math.max(0, getWeeklyHours(schedule) - contractHours);
+    const hourlyRate = contractHours > 0 ? staff.wage / contractHours : 0;
+    const overtimePay = Math.round(overtimeHours * hourlyRate * OVERTIME_RATE * 100) / 100;
+
+    return {
+      wage: staff.wage,
+      overtimeHours,
+      overtimePay,
+      total: staff.wage + overtimePay
+    };
+  }
+
+  /**
+   * Check whether a staff member is rostered on at a game time
+   * @param {Object} staff - Staff member
+   * @param {Object} gameTime - Game time
+   * @returns {boolean} True if on shift
+   */
+  isOnShift(staff, gameTime) {
+    return isOnShift(this.getSchedule(staff), toScheduleDay(gameTime.dayOfWeek), gameTime.hour);
+  }
+
+  /**
+   * Get the roster of every staff member at a venue
+   * @param {string|number} venueId - Venue ID
+   * @returns {Array<Object>} Entries with staff and schedule
+   */
+  getRoster(venueId) {
+    return this.game.staffManager.getStaffByVenue(venueId).map(staff => ({
+      staff,
+      schedule: this.getSchedule(staff)
+    }));
+  }
+
+  /**
+   * Roster a staff member on for some days
+   * @param {string} staffId - Staff ID
+   * @param {Array<number>} days - Schedule indexes (0-6 for Sunday-Saturday)
+   * @param {number} start - Start hour (0-23)
+   * @param {number} end - End hour (0-24); before start for shifts past midnight
+   * @returns {boolean} Success status
+   */
+  assignShift(staffId, days, start, end) {
+    const staff = this.game.staffManager.getStaff(staffId);
+    if (!staff) {
+      this.logger.error('Staff member not found.', 'STAFF');
+      return false;
+    }
+
+    const shift = { start, end };
+    if (!isValidShift(shift)) {
+      this.logger.error('Shifts need a start hour of 0-23 and a different end hour of 0-24.', 'STAFF');
+      return false;
+    }
+
+    const schedule = [...this.getSchedule(staff)];
+    days.forEach(day => {
+      schedule[day] = { ...shift };
+    });
+    this.setSchedule(staff, schedule);
+
+    this.logger.success(`${staff.name} is rostered ${formatShift(shift)} on ${this.formatDays(days)}.`, 'STAFF');
+    return true;
+  }
+
+  /**
+   * Give a staff member some days off
+   * @param {string} staffId - Staff ID
+   * @param {Array<number>} days - Schedule indexes (0-6 for Sunday-Saturday)
+   * @returns {boolean} Success status
+   */
+  clearShift(staffId, days) {
+    const staff = this.game.staffManager.getStaff(staffId);
+    if (!staff) {
+      this.logger.error('Staff member not found.', 'STAFF');
+      return false;
+    }
+
+    const schedule = [...this.getSchedule(staff)];
+    days.forEach(day => {
+      schedule[day] = null;
+    });
+    this.setSchedule(staff, schedule);
+
+    this.logger.success(`${staff.name} is off on ${this.formatDays(days)}.`, 'STAFF');
+    return true;
+  }
+
+  /**
+   * Copy every staff member's shift on one day to other days
+   * @param {string|number} venueId - Venue ID
+   * @param {number} fromDay - Schedule index to copy
+   * @param {Array<number>} toDays - Schedule indexes to overwrite
+   * @returns {boolean} Success status
+   */
+  copyDay(venueId, fromDay, toDays) {
+    const roster = this.getRoster(venueId);
+    if (roster.length === 0) {
+      this.logger.error("You don't have any staff at this venue.", 'STAFF');
+      return false;
+    }
+
+    roster.forEach(({ staff, schedule }) => {
+      const copy = [...schedule];
+      toDays.forEach(day => {
+        copy[day] = schedule[fromDay] ? { ...schedule[fromDay] } : null;
+      });
+      this.setSchedule(staff, copy);
+    });
+
+    this.logger.success(`Copied the ${DAY_NAMES[fromDay]} roster to ${this.formatDays(toDays)}.`, 'STAFF');
+    return true;
+  }
+
+  /**
+   * Give one staff member the same week as another
+   * @param {string} fromStaffId - Staff ID to copy from
+   * @param {string} toStaffId - Staff ID to copy to
+   * @returns {boolean} Success status
+   */
+  copySchedule(fromStaffId, toStaffId) {
+    const from = this.game.staffManager.getStaff(fromStaffId);
+    const to = this.game.staffManager.getStaff(toStaffId);
+    if (!from || !to) {
+      this.logger.error('Staff member not found.', 'STAFF');
+      return false;
+    }
+
+    this.setSchedule(to, this.getSchedule(from).map(shift => (shift ? { ...shift } : null)));
+
+    this.logger.success(`${to.name} now works the same week as ${from.name}.`, 'STAFF');
+    return true;
+  }
+
+  /**
+   * Get the roles a venue needs on shift while it is open
+   * @param {Object} venue - Venue
+   * @returns {Array<string>} Staff types
+   */
+  getRequiredRoles(venue) {
+    const roles = [...(SERVICE_ROLES[venue.type] || [])];
+
+    // Someone has to cook while the kitchen is open
+    if (venue.licences && venue.licences.food && !roles.includes('cook')) {
+      roles.push('cook');
+    }
+    return roles;
+  }
+
+  /**
+   * Find opening hours with no one of a required role on shift
+   * @param {Object} venue - Venue
+   * @returns {Array<Object>} Gaps with day, role, start and end, in day order
+   */
+  getCoverageGaps(venue) {
+    const roster = this.getRoster(venue.id);
+    const openHours = this.getOpenHours(venue);
+    const gaps = [];
+
+    DAY_NAMES.forEach((dayName, day) => {
+      this.getRequiredRoles(venue).forEach(role => {
+        const schedules = roster
+          .filter(entry => entry.staff.type === role)
+          .map(entry => entry.schedule);
+
+        let gap = null;
+        openHours.forEach(hour => {
+          const covered = schedules.some(schedule => isOnShift(schedule, day, hour));
+
+          if (!covered && gap && gap.end === hour) {
+            gap.end = hour + 1;
+          } else if (!covered) {
+            gap = { day, dayName, role, start: hour, end: hour + 1 };
+            gaps.push(gap);
+          }
+        });
+      });
+    });
+
+    return gaps;
+  }
+
+  /**
+   * Describe coverage gaps for messages
+   * @param {Object} venue - Venue
+   * @returns {Array<string>} e.g. 'Friday 02:00-04:00: no bouncer'
+   */
+  describeCoverageGaps(venue) {
+    return this.getCoverageGaps(venue).map(gap =>
+      `${gap.dayName} ${formatShift(gap)}: no ${gap.role}`
+    );
+  }
+
+  /**
+   * Hours of the day the venue is open, in order
+   * @param {Object} venue - Venue
+   * @returns {Array<number>} Hours (0-23)
+   */
+  getOpenHours(venue) {
+    const { openingHour, closingHour } = venue.settings;
+    const hours = [];
+
+    for (let hour = 0; hour < 24; hour++) {
+      const open = closingHour < openingHour ?
+        hour >= openingHour || hour < closingHour :
+        hour >= openingHour && hour < closingHour;
+      if (open) hours.push(hour);
+    }
+    return hours;
+  }
+
+  /**
+   * Replace a staff member's roster
+   * @param {Object} staff - In-memory staff member
+   * @param {Array<Object|null>} schedule - Shifts from Sunday to Saturday
+   */
+  setSchedule(staff, schedule) {
+    staff.schedule = schedule;
+
+    // Keep the older field in step for anything still reading it
+    staff.workingDays = schedule.map(shift => Boolean(shift));
+
+    if (!isDatabaseAvailable(this.game, 'staff')) return;
+
+    this.game.dbAPI.staff.saveSchedule(staff.id, schedule).catch(error => {
+      this.logger.error(`Error saving schedule for ${staff.name}: ${error.message}`, 'DATABASE');
+    });
+  }
+
+  /**
+   * Format a list of days for messages
+   * @private
+   * @param {Array<number>} days - Schedule indexes
+   * @returns {string} Day names
+   */
+  formatDays(days) {
+    return days.length === 7 ? 'every day' : days.map(day => DAY_NAMES[day]).join(', ');
+  }
+}
+
+module.exports = StaffScheduler;
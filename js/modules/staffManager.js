@@ -1,414 +1,220 @@
-// timeManager.js - Integration with centralized time module
-// This class now acts as an adapter between the game and the centralized time.js module
+// js/modules/staffManager.js
+// Main file that imports and orchestrates staff sub-modules
 
-const time = require('./time');
-const { GAME_CONSTANTS } = require('../config');
+const StaffGenerator = require('./staff/staffGenerator');
+const StaffOperations = require('./staff/staffOperations');
+const StaffBehavior = require('./staff/staffBehavior');
+const StaffScheduler = require('./staff/staffScheduler');
+const RosterPlanner = require('./staff/rosterPlanner');
+const { createLogger } = require('../utils/logger');
+const eventBus = require('../utils/eventBus');
 
-class TimeManager {
-  constructor(game) {
-    this.game = game;
-    this.gameClockInterval = null;
-    
-    // Register event handlers with the centralized time module
-    this.registerTimeEventHandlers();
-  }
-  
-  /**
-   * Register event handlers for different time intervals
-   */
-  registerTimeEventHandlers() {
-    // Handle minute updates (used sparingly for performance)
-    time.onMinute((gameTime) => {
-      // Only trigger on 15-minute intervals to reduce processing load
-      if (gameTime.minute % 15 === 0) {
-        this.onMinuteUpdate(gameTime);
-      }
-    });
-    
-    // Handle hour updates
-    time.onHour((gameTime) => {
-      this.onHourUpdate(gameTime);
-    });
-    
-    // Handle day updates
-    time.onDay((gameTime) => {
-      this.onNewDay(gameTime);
-    });
-    
-    // Handle week updates (triggered on the first day of each week)
-    time.onWeek((gameTime) => {
-      this.onEndOfWeek(gameTime);
-    });
-    
-    // Handle month updates
-    time.onMonth((gameTime) => {
-      this.onNewMonth(gameTime);
-    });
-  }
-  
-  /**
-   * Get the current game time from the centralized time module
-   * @returns {Object} Current game time object
-   */
-  getGameTime() {
-    return time.getGameTime();
-  }
-  
-  /**
-   * Set the game time in the centralized time module
-   * @param {Object} timeData - Time data to set
-   * @returns {boolean} Success status
-   */
-  setGameTime(timeData) {
-    const success = time.setGameTime(timeData);
-    if (success) {
-      this.updateTimeDisplay();
-    }
-    return success;
-  }
-  
-  /**
-   * Start the game clock, initiating time progression
-   */
-  startGameClock() {
-    if (this.gameClockInterval) {
-      clearInterval(this.gameClockInterval);
-    }
-    
-    // Set the appropriate time scale
-    time.setTimeScale(GAME_CONSTANTS.TIME_SCALE);
-    
-    // Sync with database if available
-    this.syncWithDatabase();
-    
-    // Start a real-time interval to update the game time
-    this.gameClockInterval = setInterval(() => {
-      const timeChanged = time.update();
-      
-      // Only update game state and UI if time has actually changed
-      if (timeChanged) {
-        this.game.updateGameState();
-        this.updateTimeDisplay();
-      }
-    }, 1000 / GAME_CONSTANTS.TIME_SCALE); // Adjust interval based on time scale
-    
-    this.game.state.settings.gamePaused = false;
-    
-    // Log time started if notification manager is available
-    if (this.game.notificationManager) {
-      this.game.notificationManager.info('Game time has started.');
-    }
-  }
-  
-  /**
-   * Pause the game clock, stopping time progression
-   */
-  pauseGameClock() {
-    if (this.gameClockInterval) {
-      clearInterval(this.gameClockInterval);
-      this.gameClockInterval = null;
-    }
-    this.game.state.settings.gamePaused = true;
-    
-    // Save current time to database if available
-    this.saveToDatabase();
-  }
-  
-  /**
-   * Resume the game clock if it was paused
-   */
-  resumeGameClock() {
-    if (!this.gameClockInterval) {
-      this.startGameClock();
-    }
-    this.game.state.settings.gamePaused = false;
-  }
-  
+/**
+ * Main manager class for all staff-related functionality.
+ * The roster lives in game state (state.staff and state.staffPool) so
+ * customers, venues and the UI can read it synchronously.
+ */
+class StaffManager {
   /**
-   * Change the game speed (time scale)
-   * @param {number} speedMultiplier - How many times faster than normal
+   * Create a new StaffManager instance
+   * @param {Object} game - The main game object
    */
-  setGameSpeed(speedMultiplier) {
-    // Validate input
-    if (typeof speedMultiplier !== 'number' || speedMultiplier <= 0) {
-      console.error('Invalid game speed multiplier:', speedMultiplier);
-      return;
-    }
-    
-    // Set new time scale
-    time.setTimeScale(GAME_CONSTANTS.TIME_SCALE * speedMultiplier);
-    
-    // Restart the clock with the new speed if it's running
-    if (this.gameClockInterval) {
-      this.pauseGameClock();
-      this.resumeGameClock();
+  constructor(game) {
+    this.game = game;
+    this.logger = createLogger(game);
+
+    // Initialize sub-modules
+    this.generator = new StaffGenerator(game);
+    this.operations = new StaffOperations(game);
+    this.behavior = new StaffBehavior(game);
+    this.scheduler = new StaffScheduler(game);
+    this.rosterPlanner = new RosterPlanner(game);
+
+    // Initialize staff lists if they don't exist
+    if (!this.game.state.staff) {
+      this.game.state.staff = [];
     }
-    
-    // Log speed change if notification manager is available
-    if (this.game.notificationManager) {
-      this.game.notificationManager.info(`Game speed set to ${speedMultiplier}x.`);
+
+    if (!this.game.state.staffPool) {
+      this.game.state.staffPool = [];
     }
+
+    this.logger.info('Staff Management System initialized', 'SYSTEM');
   }
-  
-  /**
-   * Format current date for display
-   * @returns {string} Formatted date string
-   */
-  getFormattedDate() {
-    return time.formatGameDate('short') + ' ' + time.formatGameTime();
-  }
-  
+
   /**
-   * Get the name of the current day of the week
-   * @returns {string} Day name
+   * Get a hired staff member
+   * @param {string} staffId - Staff ID
+   * @returns {Object|null} Staff member, or null if not found
    */
-  getDayOfWeekName() {
-    return time.formatGameDate('day');
+  getStaff(staffId) {
+    return this.operations.getStaffFromMemory(staffId) || null;
   }
-  
+
   /**
-   * Helper function to pad numbers with leading zeros
-   * @param {number} num - Number to pad
-   * @returns {string} Padded number string
+   * Get every hired staff member
+   * @returns {Array} Copy of the staff list
    */
-  padZero(num) {
-    return num.toString().padStart(2, '0');
+  getAllStaff() {
+    return this.operations.getAllStaffFromMemory();
   }
-  
+
   /**
-   * Update the UI time display
+   * Replace the staff list (used when loading a game)
+   * @param {Array} staff - Staff members
    */
-  updateTimeDisplay() {
-    // Update the date display in the UI
-    const dateValue = document.getElementById('date-value');
-    if (dateValue) {
-      dateValue.textContent = this.getFormattedDate();
-    }
+  setAllStaff(staff) {
+    this.game.state.staff = Array.isArray(staff) ? staff : [];
   }
-  
+
   /**
-   * Synchronize time with database
-   * @returns {Promise<boolean>} Success status
+   * Get the staff working at a venue
+   * @param {string|number} venueId - Venue ID
+   * @returns {Array} Staff members assigned to the venue
    */
-  async syncWithDatabase() {
-    if (this.game.dbInitialized && this.game.dbAPI) {
-      return await time.syncWithDatabase(this.game.dbAPI);
-    }
-    return false;
+  getStaffByVenue(venueId) {
+    return this.operations.getStaffByVenueFromMemory(venueId);
   }
-  
+
   /**
-   * Save current time to database
-   * @returns {Promise<boolean>} Success status
+   * Get the candidates available for hire
+   * @returns {Array} Staff pool
    */
-  async saveToDatabase() {
-    if (this.game.dbInitialized && this.game.dbAPI) {
-      return await time.saveToDatabase(this.game.dbAPI);
+  getStaffPool() {
+    // Wages depend on the city, so candidates are generated on first use
+    if (this.game.state.staffPool.length === 0) {
+      this.game.state.staffPool = this.generator.generateInMemoryStaffPool();
     }
-    return false;
+    return this.game.state.staffPool;
   }
-  
+
   /**
-   * Handler for minute updates - for high-frequency updates
-   * @param {Object} gameTime - Current game time
+   * Get the candidates of one type available for hire
+   * @param {string} type - Staff type (e.g. 'bartender')
+   * @returns {Array} Matching candidates
    */
-  onMinuteUpdate(gameTime) {
-    // Placeholder for specific minute-based logic
-    // Currently not used to reduce processing burden
+  getStaffPoolByType(type) {
+    return this.getStaffPool().filter(staff => staff.type === type);
   }
-  
+
   /**
-   * Handler for hour updates
-   * @param {Object} gameTime - Current game time
+   * Replace part of the staff pool with new candidates
+   * @returns {Array} The refreshed staff pool
    */
-  onHourUpdate(gameTime) {
-    // Delegate to customer manager for customer updates
-    if (this.game.customerManager) {
-      this.game.customerManager.hourlyUpdate(gameTime);
-    }
-    
-    // Update staff behavior
-    if (this.game.staffManager) {
-      this.game.staffManager.onHourUpdate(gameTime);
-    }
-    
-    // Check for hourly events
-    if (this.game.eventManager) {
-      this.game.eventManager.checkHourlyEvents(gameTime);
-    }
+  refreshStaffPool() {
+    this.game.state.staffPool = this.generator.refreshInMemoryStaffPool(this.game.state.staffPool);
+    return this.game.state.staffPool;
   }
-  
+
   /**
-   * Handler for new day events
-   * @param {Object} gameTime - Current game time
+   * Hire a candidate from the pool
+   * @param {string} staffId - Staff ID from the pool
+   * @param {string|number} venueId - Venue to assign them to
+   * @returns {boolean} True if hired
    */
-  onNewDay(gameTime) {
-    // Call financial manager to handle daily finances
-    if (this.game.financialManager) {
-      this.game.financialManager.onNewDay(gameTime);
-    }
-    
-    // Update venue statistics
-    if (this.game.venueManager && this.game.state.currentVenue) {
-      this.game.venueManager.updateDailyStats(this.game.state.currentVenue.id);
-    }
-    
-    // Process staff daily updates
-    if (this.game.staffManager) {
-      this.game.staffManager.onDayUpdate(gameTime);
-    }
-    
-    // Check for daily events
-    if (this.game.eventManager) {
-      this.game.eventManager.checkDailyEvents(gameTime);
-    }
-    
-    // Handle automatic saving if enabled
-    if (this.game.state.settings.autosave) {
-      // Only autosave on day change and if not in the middle of the night
-      const hour = gameTime.hour;
-      if (hour >= 4 && hour <= 23) { // Only save between 4 AM and 11 PM
-        this.game.saveGame('autosave');
-      }
+  hireStaff(staffId, venueId) {
+    const hired = this.operations.hireStaffInMemory(staffId, venueId);
+
+    if (hired) {
+      eventBus.emit('staffHired', this.getStaff(staffId));
     }
+
+    return hired;
   }
-  
+
   /**
-   * Handler for end of week events
-   * @param {Object} gameTime - Current game time
+   * Fire a staff member
+   * @param {string} staffId - Staff ID
+   * @returns {boolean} True if fired
    */
-  onEndOfWeek(gameTime) {
-    // Call financial manager to handle weekly finances
-    if (this.game.financialManager) {
-      this.game.financialManager.onEndOfWeek(gameTime);
-    }
-    
-    // Process weekly staff payments
-    if (this.game.staffManager) {
-      this.game.staffManager.processStaffPayments();
+  fireStaff(staffId) {
+    const staff = this.getStaff(staffId);
+    if (!staff) {
+      this.logger.error('Staff member not found.', 'STAFF');
+      return false;
     }
-    
-    // Generate weekly reports
-    if (this.game.financialManager) {
-      this.game.financialManager.generateWeeklyReport();
+
+    const fired = this.operations.fireStaffInMemory(staffId);
+
+    if (fired) {
+      eventBus.emit('staffFired', { id: staff.id, venueId: staff.venue });
     }
+
+    return fired;
   }
-  
+
   /**
-   * Handler for new month events
-   * @param {Object} gameTime - Current game time
+   * Put a staff member back as they were, re-hiring them if they have
+   * been fired or quit since
+   * @param {Object} staff - Copy of the staff member's earlier record
+   * @returns {boolean} True if restored
    */
-  onNewMonth(gameTime) {
-    // Call financial manager to handle monthly finances
-    if (this.game.financialManager) {
-      this.game.financialManager.onNewMonth(gameTime);
-    }
-    
-    // Update city popularity and trends
-    if (this.game.cityManager) {
-      this.game.cityManager.updateCityTrends();
-    }
-    
-    // Process rent payments
-    if (this.game.financialManager && this.game.state.currentVenue) {
-      this.game.financialManager.processRentPayment(this.game.state.currentVenue.id);
+  restoreStaff(staff) {
+    const venue = this.game.venueManager.getVenue(staff.venue);
+    if (!venue) {
+      this.logger.error(`${staff.name}'s venue no longer exists.`, 'STAFF');
+      return false;
     }
-    
-    // Generate monthly financial report
-    if (this.game.financialManager) {
-      this.game.financialManager.generateMonthlyReport();
+
+    const index = this.game.state.staff.findIndex(member => member.id === staff.id);
+    if (index !== -1) {
+      this.game.state.staff[index] = staff;
+      return true;
     }
-  }
-  
-  /**
-   * Check if current time is within working hours
-   * @returns {boolean} True if within standard working hours
-   */
-  isWorkingHours() {
-    const gameTime = time.getGameTime();
-    const hour = gameTime.hour;
-    // Consider 8 AM to 10 PM as standard working hours
-    return hour >= 8 && hour < 22;
-  }
-  
-  /**
-   * Check if current day is a weekend
-   * @returns {boolean} True if weekend (Saturday or Sunday)
-   */
-  isWeekend() {
-    const gameTime = time.getGameTime();
-    // Convert 1-7 (Monday-Sunday) to 0-6 (Sunday-Saturday)
-    const dayOfWeek = (gameTime.dayOfWeek + 5) % 7;
-    // Saturday (6) or Sunday (0)
-    return dayOfWeek === 0 || dayOfWeek === 6;
-  }
-  
-  /**
-   * Check if current time is peak hours for venues
-   * @returns {boolean} True if during peak hours
-   */
-  isPeakHours() {
-    const gameTime = time.getGameTime();
-    const hour = gameTime.hour;
-    
-    // Late evening on weekends is peak time for venues
-    if (this.isWeekend()) {
-      return hour >= 19 || hour < 2;
-    } else {
-      return hour >= 17 && hour < 22;
+
+    this.game.state.staff.push(staff);
+    if (!venue.staff.includes(staff.id)) {
+      venue.staff.push(staff.id);
     }
+    eventBus.emit('staffHired', staff);
+    return true;
   }
-  
+
   /**
-   * Get current season
-   * @returns {string} Current season name
+   * Train a staff member in a skill
+   * @param {string} staffId - Staff ID
+   * @param {string} skill - Skill to train
+   * @returns {Promise<boolean>} True if trained
    */
-  getCurrentSeason() {
-    return time.getSeason();
+  trainStaff(staffId, skill) {
+    return this.operations.trainStaff(staffId, skill);
   }
-  
+
   /**
-   * Get current time of day
-   * @returns {string} Time of day category
+   * Change a staff member's weekly wage
+   * @param {string} staffId - Staff ID
+   * @param {number} newWage - New weekly wage
+   * @returns {Promise<boolean>} True if changed
    */
-  getTimeOfDay() {
-    return time.getTimeOfDay();
+  adjustStaffWage(staffId, newWage) {
+    return this.operations.adjustStaffWage(staffId, newWage);
   }
-  
+
   /**
-   * Calculate minutes between two time objects
-   * @param {Object} startTime - Start time object
-   * @param {Object} endTime - End time object
-   * @returns {number} Minutes between times
+   * Update working status, morale and staff events
+   * @returns {Promise<void>}
    */
-  calculateMinutesBetween(startTime, endTime) {
-    return time.getTimeDifferenceInMinutes(startTime, endTime);
+  updateStaff() {
+    return this.behavior.updateStaff();
   }
-  
+
   /**
-   * Add minutes to current game time
-   * @param {number} minutes - Minutes to add
-   * @returns {Object} New time after adding minutes
+   * Get the total weekly wage bill for a venue
+   * @param {string|number} venueId - Venue ID
+   * @returns {Promise<number>} Weekly wages
    */
-  addMinutes(minutes) {
-    const currentTime = time.getGameTime();
-    return time.addMinutesToTime(currentTime, minutes);
+  getStaffCost(venueId) {
+    return this.behavior.getStaffCost(venueId);
   }
-  
+
   /**
-   * Add days to current game date
-   * @param {number} days - Days to add
-   * @returns {Object} New date after adding days
+   * Get the average morale of a venue's staff
+   * @param {string|number} venueId - Venue ID
+   * @returns {Promise<number>} Average morale (0-100)
    */
-  addDays(days) {
-    const currentTime = time.getGameTime();
-    const date = {
-      year: currentTime.year,
-      month: currentTime.month,
-      day: currentTime.day
-    };
-    return time.addDaysToDate(date, days);
+  getAverageStaffMorale(venueId) {
+    return this.behavior.getAverageStaffMorale(venueId);
   }
 }
 
-module.exports = TimeManager;
\ No newline at end of file
+module.exports = StaffManager;
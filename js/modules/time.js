@@ -5,24 +5,9 @@ const { GAME_CONSTANTS } = require('../config');
 
 class Time {
   constructor() {
-    // Default game time start is January 1, 2025 at 8:00 AM
-    this.gameTime = {
-      year: 2025,
-      month: 1,
-      day: 1,
-      hour: 8,
-      minute: 0,
-      dayOfWeek: 1, // Monday
-      dayOfYear: 1
-    };
-    
     // Time scale (how many game minutes pass per real second)
     this.timeScale = GAME_CONSTANTS.TIME_SCALE || 1;
     
-    // Time tracking for game loop
-    this.lastUpdateTime = Date.now();
-    this.accumulatedTime = 0;
-    
     // Days in each month (accounting for leap years)
     this.daysInMonth = [
       31, // January
@@ -39,6 +24,27 @@ class Time {
       31  // December
     ];
     
+    this.reset();
+  }
+  
+  // Restore the start time and drop all registered callbacks,
+  // so a fresh game instance can register its own handlers
+  reset() {
+    // Default game time start is January 1, 2025 at 8:00 AM
+    this.gameTime = {
+      year: 2025,
+      month: 1,
+      day: 1,
+      hour: 8,
+      minute: 0,
+      dayOfWeek: this.calculateDayOfWeek(2025, 1, 1), // Wednesday
+      dayOfYear: 1
+    };
+    
+    // Time tracking for game loop
+    this.lastUpdateTime = Date.now();
+    this.accumulatedTime = 0;
+    
     // Event callbacks for time changes
     this.minuteCallbacks = [];
     this.hourCallbacks = [];
@@ -222,7 +228,7 @@ class Time {
     const shortDays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
     
     // Convert from 1-7 (Monday-Sunday) to 0-6 (Sunday-Saturday)
-    const dayOfWeekIndex = (this.gameTime.dayOfWeek + 5) % 7;
+    const dayOfWeekIndex = this.gameTime.dayOfWeek % 7;
     
     switch (format) {
       case 'short':
@@ -361,6 +367,19 @@ class Time {
     };
   }
   
+  // Add hours to a date and time, rolling over into later days
+  addHoursToDate(date, hoursToAdd) {
+    // Work on the game-time fields; a local-time Date would gain or lose an hour at DST changes
+    const totalHours = (date.hour || 0) + hoursToAdd;
+    const daysToAdd = Math.floor(totalHours / 24);
+
+    return {
+      ...this.addDaysToDate(date, daysToAdd),
+      hour: totalHours - daysToAdd * 24,
+      minute: date.minute || 0
+    };
+  }
+
   // Register callback functions for different time units
   onMinute(callback) {
     if (typeof callback === 'function') {
@@ -1,5 +1,7 @@
-// Time Manager - Handles the in-game clock and time-based events
+// timeManager.js - Integration with centralized time module
+// This class acts as an adapter between the game and the centralized time.js module
 
+const time = require('./time');
 const { GAME_CONSTANTS } = require('../config');
 
 class TimeManager {
@@ -7,117 +9,173 @@ class TimeManager {
     this.game = game;
     this.gameClockInterval = null;
     
-    this.gameTime = {
-      day: 1,
-      month: 1,
-      year: 2025,
-      hour: 8,
-      minute: 0,
-      dayOfWeek: 1 // 1 = Monday, 7 = Sunday
-    };
-  }
-  
-  getGameTime() {
-    return { ...this.gameTime };
+    // Register event handlers with the centralized time module
+    this.registerTimeEventHandlers();
   }
   
-  setGameTime(timeData) {
-    this.gameTime = { ...timeData };
-    this.updateTimeDisplay();
-  }
-  
-  getFormattedDate() {
-    const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-    const month = monthNames[this.gameTime.month - 1];
-    const formattedTime = `${this.padZero(this.gameTime.hour)}:${this.padZero(this.gameTime.minute)}`;
-    return `${month} ${this.gameTime.day}, ${this.gameTime.year} ${formattedTime}`;
+  /**
+   * Register event handlers for different time intervals
+   */
+  registerTimeEventHandlers() {
+    // Handle minute updates (used sparingly for performance)
+    time.onMinute((gameTime) => {
+      // Only trigger on 15-minute intervals, the length of one game tick
+      if (gameTime.minute % 15 === 0) {
+        this.onMinuteUpdate(gameTime);
+      }
+    });
+    
+    // Handle day updates
+    time.onDay((gameTime) => {
+      this.onNewDay(gameTime);
+    });
+    
+    // Handle week updates (triggered on the first day of each week)
+    time.onWeek((gameTime) => {
+      this.onEndOfWeek(gameTime);
+    });
+    
+    // Handle month updates
+    time.onMonth((gameTime) => {
+      this.onNewMonth(gameTime);
+    });
   }
   
-  getDayOfWeekName() {
-    const dayNames = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
-    return dayNames[this.gameTime.dayOfWeek - 1];
+  /**
+   * Get the current game time from the centralized time module
+   * @returns {Object} Current game time object
+   */
+  getGameTime() {
+    return time.getGameTime();
   }
   
-  padZero(num) {
-    return num.toString().padStart(2, '0');
+  /**
+   * Set the game time in the centralized time module
+   * @param {Object} timeData - Time data to set
+   * @returns {boolean} Success status
+   */
+  setGameTime(timeData) {
+    const success = time.setGameTime(timeData);
+    if (success) {
+      this.updateTimeDisplay();
+    }
+    return success;
   }
   
+  /**
+   * Start the game clock, initiating time progression
+   */
   startGameClock() {
     if (this.gameClockInterval) {
       clearInterval(this.gameClockInterval);
     }
     
+    // Set the appropriate time scale
+    time.setTimeScale(GAME_CONSTANTS.TIME_SCALE);
+    
+    // Sync with database if available
+    this.syncWithDatabase();
+    
+    // Start a real-time interval to update the game time.
+    // Game state updates are driven by the time callbacks registered above.
     this.gameClockInterval = setInterval(() => {
-      this.updateGameTime();
-      this.game.updateGameState();
-    }, 1000 / GAME_CONSTANTS.TIME_SCALE);
+      const timeChanged = time.update();
+      
+      // Only update the UI if time has actually changed
+      if (timeChanged) {
+        this.updateTimeDisplay();
+      }
+    }, 1000 / GAME_CONSTANTS.TIME_SCALE); // Adjust interval based on time scale
     
     this.game.state.settings.gamePaused = false;
+    
+    // Log time started if notification manager is available
+    if (this.game.notificationManager) {
+      this.game.notificationManager.info('Game time has started.');
+    }
   }
   
+  /**
+   * Pause the game clock, stopping time progression
+   */
   pauseGameClock() {
     if (this.gameClockInterval) {
       clearInterval(this.gameClockInterval);
       this.gameClockInterval = null;
     }
     this.game.state.settings.gamePaused = true;
+    
+    // Save current time to database if available
+    this.saveToDatabase();
   }
   
+  /**
+   * Resume the game clock if it was paused
+   */
   resumeGameClock() {
+    // A bankrupt game stays over until a new one is started
+    if (this.game.financialManager && this.game.financialManager.insolvencyManager.isBankrupt()) return;
+    
     if (!this.gameClockInterval) {
       this.startGameClock();
     }
     this.game.state.settings.gamePaused = false;
   }
   
-  updateGameTime() {
-    // Increment the game time
-    this.gameTime.minute += 15; // 15-minute increments
+  /**
+   * Change the game speed (time scale)
+   * @param {number} speedMultiplier - How many times faster than normal
+   */
+  setGameSpeed(speedMultiplier) {
+    // Validate input
+    if (typeof speedMultiplier !== 'number' || speedMultiplier <= 0) {
+      console.error('Invalid game speed multiplier:', speedMultiplier);
+      return;
+    }
     
-    // Update hour if minutes exceed 60
-    if (this.gameTime.minute >= 60) {
-      this.gameTime.hour++;
-      this.gameTime.minute = 0;
-      
-      // Update day if hours exceed 24
-      if (this.gameTime.hour >= 24) {
-        this.gameTime.hour = 0;
-        this.gameTime.day++;
-        this.gameTime.dayOfWeek = (this.gameTime.dayOfWeek % 7) + 1;
-        
-        // Reset daily stats and trigger daily events
-        this.onNewDay();
-        
-        // Update month if days exceed month length
-        const daysInMonth = this.getDaysInMonth(this.gameTime.month, this.gameTime.year);
-        if (this.gameTime.day > daysInMonth) {
-          this.gameTime.day = 1;
-          this.gameTime.month++;
-          
-          // Trigger monthly events
-          this.onNewMonth();
-          
-          // Update year if months exceed 12
-          if (this.gameTime.month > 12) {
-            this.gameTime.month = 1;
-            this.gameTime.year++;
-            
-            // Trigger yearly events
-            this.onNewYear();
-          }
-        }
-      }
+    // Set new time scale
+    time.setTimeScale(GAME_CONSTANTS.TIME_SCALE * speedMultiplier);
+    
+    // Restart the clock with the new speed if it's running
+    if (this.gameClockInterval) {
+      this.pauseGameClock();
+      this.resumeGameClock();
     }
     
-    // Update UI with new time
-    this.updateTimeDisplay();
+    // Log speed change if notification manager is available
+    if (this.game.notificationManager) {
+      this.game.notificationManager.info(`Game speed set to ${speedMultiplier}x.`);
+    }
+  }
+  
+  /**
+   * Format current date for display
+   * @returns {string} Formatted date string
+   */
+  getFormattedDate() {
+    return time.formatGameDate('short') + ' ' + time.formatGameTime();
   }
   
-  getDaysInMonth(month, year) {
-    // Return the number of days in the given month
-    return new Date(year, month, 0).getDate();
+  /**
+   * Get the name of the current day of the week
+   * @returns {string} Day name
+   */
+  getDayOfWeekName() {
+    return time.formatGameDate('day');
+  }
+  
+  /**
+   * Helper function to pad numbers with leading zeros
+   * @param {number} num - Number to pad
+   * @returns {string} Padded number string
+   */
+  padZero(num) {
+    return num.toString().padStart(2, '0');
   }
   
+  /**
+   * Update the UI time display
+   */
   updateTimeDisplay() {
     // Update the date display in the UI
     const dateValue = document.getElementById('date-value');
@@ -126,52 +184,103 @@ class TimeManager {
     }
   }
   
-  onNewDay() {
-    // Call financial manager to handle daily finances
-    if (this.game.financialManager) {
-      this.game.financialManager.onNewDay();
+  /**
+   * Synchronize time with database
+   * @returns {Promise<boolean>} Success status
+   */
+  async syncWithDatabase() {
+    if (this.game.dbInitialized && this.game.dbAPI) {
+      return await time.syncWithDatabase(this.game.dbAPI);
     }
-    
-    // Update weekly stats if it's the end of the week
-    if (this.gameTime.dayOfWeek === 7) {
-      this.onEndOfWeek();
+    return false;
+  }
+  
+  /**
+   * Save current time to database
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveToDatabase() {
+    if (this.game.dbInitialized && this.game.dbAPI) {
+      return await time.saveToDatabase(this.game.dbAPI);
     }
+    return false;
+  }
+  
+  /**
+   * Handler for minute updates - runs once per 15-minute game tick
+   * @param {Object} gameTime - Current game time
+   */
+  onMinuteUpdate(gameTime) {
+    // Update venue, staff and events
+    this.game.updateGameState();
   }
   
-  onEndOfWeek() {
-    // Call financial manager to handle weekly finances
+  /**
+   * Handler for new day events
+   * @param {Object} gameTime - Current game time
+   */
+  onNewDay(gameTime) {
+    // Call financial manager to handle daily finances
     if (this.game.financialManager) {
-      this.game.financialManager.onEndOfWeek();
+      this.game.financialManager.onNewDay(gameTime);
     }
   }
   
-  onNewMonth() {
-    // Call financial manager to handle monthly finances
+  /**
+   * Handler for end of week events
+   * @param {Object} gameTime - Current game time
+   */
+  onEndOfWeek(gameTime) {
+    // Call financial manager to handle weekly finances, including staff wages
     if (this.game.financialManager) {
-      this.game.financialManager.onNewMonth();
+      this.game.financialManager.onEndOfWeek(gameTime);
     }
   }
   
-  onNewYear() {
-    // Call financial manager to handle yearly finances
+  /**
+   * Handler for new month events
+   * @param {Object} gameTime - Current game time
+   */
+  onNewMonth(gameTime) {
+    // Call financial manager to handle monthly finances, including rent
     if (this.game.financialManager) {
-      this.game.financialManager.onNewYear();
+      this.game.financialManager.onNewMonth(gameTime);
+      
+      // The first month of the year also closes the previous year
+      if (gameTime.month === 1) {
+        this.game.financialManager.onNewYear(gameTime);
+      }
     }
   }
   
+  /**
+   * Check if current time is within working hours
+   * @returns {boolean} True if within standard working hours
+   */
   isWorkingHours() {
-    const hour = this.gameTime.hour;
+    const gameTime = time.getGameTime();
+    const hour = gameTime.hour;
     // Consider 8 AM to 10 PM as standard working hours
     return hour >= 8 && hour < 22;
   }
   
+  /**
+   * Check if current day is a weekend
+   * @returns {boolean} True if weekend (Saturday or Sunday)
+   */
   isWeekend() {
     // Saturday or Sunday
-    return this.gameTime.dayOfWeek >= 6;
+    return time.getGameTime().dayOfWeek >= 6;
   }
   
+  /**
+   * Check if current time is peak hours for venues
+   * @returns {boolean} True if during peak hours
+   */
   isPeakHours() {
-    const hour = this.gameTime.hour;
+    const gameTime = time.getGameTime();
+    const hour = gameTime.hour;
+    
     // Late evening on weekends is peak time for venues
     if (this.isWeekend()) {
       return hour >= 19 || hour < 2;
@@ -179,6 +288,57 @@ class TimeManager {
       return hour >= 17 && hour < 22;
     }
   }
+  
+  /**
+   * Get current season
+   * @returns {string} Current season name
+   */
+  getCurrentSeason() {
+    return time.getSeason();
+  }
+  
+  /**
+   * Get current time of day
+   * @returns {string} Time of day category
+   */
+  getTimeOfDay() {
+    return time.getTimeOfDay();
+  }
+  
+  /**
+   * Calculate minutes between two time objects
+   * @param {Object} startTime - Start time object
+   * @param {Object} endTime - End time object
+   * @returns {number} Minutes between times
+   */
+  calculateMinutesBetween(startTime, endTime) {
+    return time.getTimeDifferenceInMinutes(startTime, endTime);
+  }
+  
+  /**
+   * Add minutes to current game time
+   * @param {number} minutes - Minutes to add
+   * @returns {Object} New time after adding minutes
+   */
+  addMinutes(minutes) {
+    const currentTime = time.getGameTime();
+    return time.addMinutesToTime(currentTime, minutes);
+  }
+  
+  /**
+   * Add days to current game date
+   * @param {number} days - Days to add
+   * @returns {Object} New date after adding days
+   */
+  addDays(days) {
+    const currentTime = time.getGameTime();
+    const date = {
+      year: currentTime.year,
+      month: currentTime.month,
+      day: currentTime.day
+    };
+    return time.addDaysToDate(date, days);
+  }
 }
 
 module.exports = TimeManager;
\ No newline at end of file
@@ -0,0 +1,221 @@
+// js/modules/undoManager.js
+// Undo history for commands that can be reversed
+
+const { UNDO } = require('../config');
+const { isDatabaseAvailable } = require('../database/dbUtils');
+const { createLogger } = require('../utils/logger');
+const eventBus = require('../utils/eventBus');
+const time = require('./time');
+
+// Tables with a venue_id column, each after the tables its rows refer to
+const VENUE_TABLES = [
+  'venue_finances', 'venue_licenses', 'venue_stats', 'staff', 'inventory_items', 'inventory_reorder_rules',
+  'transactions', 'customer_visits', 'events', 'health_inspections', 'marketing_campaigns', 'reports',
+  'stocktakes', 'tax_liabilities'
+];
+
+/**
+ * Keeps the last UNDO.historySize reversible commands so the player can take
+ * them back with 'undo', most recent first. The command processors run
+ * these commands through perform(), giving each one:
+ *
+ * - an inverse, which puts the in-memory game state back as it was, and
+ * - a scope: the database rows the command may change, as table and WHERE
+ *   clause. The rows are copied before the command runs and written back in
+ *   a single transaction when it is undone (gameService.restoreRows), before
+ *   the inverse runs.
+ *
+ * A command can only be undone while nothing has happened since that
+ * depends on it: within UNDO.windowMinutes of game time, on the same game
+ * day, and before any customer has been served at its venue. The history
+ * isn't saved; loading or starting a game clears it.
+ */
+class UndoManager {
+  /**
+   * Create a new UndoManager instance
+   * @param {Object} game - The main game object
+   */
+  constructor(game) {
+    this.game = game;
+    this.logger = createLogger(game);
+
+    // Entries, oldest first
+    this.history = [];
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event listeners for game events
+   */
+  setupEventListeners() {
+    eventBus.on('customerServed', (customer) => {
+      this.markServed(customer.venueId);
+    });
+  }
+
+  /**
+   * Run a command and, if it happens, add it to the history. If its rows
+   * can't be copied it still runs, but can't be undone.
+   * @param {Object} command - The command
+   * @param {string} command.description - What it does, e.g. "fire Anna Weber"
+   * @param {string|number} command.venueId - Venue it affects
+   * @param {Array<Object>} [command.scope] - Database rows it may change: parts with table, where and params
+   * @param {Function} command.apply - Runs the command; returns (a promise of) true if it happened
+   * @param {Function} command.inverse - Puts the in-memory state back; may return a promise
+   * @returns {Promise<boolean>} What apply returned
+   */
+  async perform({ description, venueId, scope = [], apply, inverse }) {
+    const venue = this.game.venueManager.getVenue(venueId);
+
+    let snapshot;
+    try {
+      snapshot = await this.captureRows(scope);
+    } catch (error) {
+      console.error('Error copying rows for undo:', error);
+      this.logger.warning(`You won't be able to undo "${description}".`, 'UNDO');
+      return apply();
+    }
+
+    const done = await apply();
+    if (done) {
+      this.history.push({
+        description,
+        venueId,
+        venueName: venue ? venue.name : '',
+        snapshot,
+        inverse,
+        recordedAt: time.toISOString(time.getGameTime()),
+        servedAt: null
+      });
+
+      if (this.history.length > UNDO.historySize) {
+        this.history.shift();
+      }
+    }
+
+    return done;
+  }
+
+  /**
+   * Undo the most recent command in the history
+   * @returns {Promise<boolean>} True if undone
+   */
+  async undo() {
+    const entry = this.history[this.history.length - 1];
+    if (!entry) {
+      this.logger.warning('Nothing to undo.', 'UNDO');
+      return false;
+    }
+
+    const reason = this.getRefusal(entry);
+    if (reason) {
+      // Older commands are further in the past, so they can't be reached either
+      this.clear();
+      this.logger.error(`Can't undo "${entry.description}": ${reason}.`, 'UNDO');
+      return false;
+    }
+
+    try {
+      if (entry.snapshot) {
+        await this.game.dbAPI.gameService.restoreRows(entry.snapshot);
+      }
+      await entry.inverse();
+
+      this.history.pop();
+      this.logger.success(`Undone: ${entry.description}.`, 'UNDO');
+      return true;
+    } catch (error) {
+      console.error('Error undoing command:', error);
+      this.logger.error(`Failed to undo "${entry.description}": ${error.message}`, 'UNDO');
+      return false;
+    }
+  }
+
+  /**
+   * Get the history, most recent first, with why each command can't be undone
+   * @returns {Array<Object>} Entries with description, recordedAt and refusal (null if it can be undone)
+   */
+  getHistory() {
+    return this.history.slice().reverse().map(entry => ({
+      description: entry.description,
+      recordedAt: entry.recordedAt,
+      refusal: this.getRefusal(entry)
+    }));
+  }
+
+  /**
+   * Forget every command in the history
+   */
+  clear() {
+    this.history = [];
+  }
+
+  /**
+   * Get the database rows of a venue and everything that belongs to it
+   * @param {string|number} venueId - Venue ID
+   * @returns {Array<Object>} Scope parts with table, where and params
+   */
+  getVenueScope(venueId) {
+    const params = [venueId];
+    const ofItems = 'IN (SELECT id FROM inventory_items WHERE venue_id = ?)';
+    const ofStocktakes = 'stocktake_id IN (SELECT id FROM stocktakes WHERE venue_id = ?)';
+
+    return [
+      { table: 'venues', where: 'id = ?', params },
+      ...VENUE_TABLES.map(table => ({ table, where: 'venue_id = ?', params })),
+      { table: 'inventory_batches', where: `inventory_item_id ${ofItems}`, params },
+      { table: 'inventory_recipes', where: `menu_item_id ${ofItems}`, params },
+      { table: 'stocktake_items', where: ofStocktakes, params },
+      { table: 'stocktake_shifts', where: ofStocktakes, params }
+    ];
+  }
+
+  /**
+   * Get why a command can no longer be undone
+   * @private
+   * @param {Object} entry - History entry
+   * @returns {string|null} Reason, or null if it can still be undone
+   */
+  getRefusal(entry) {
+    const now = time.toISOString(time.getGameTime());
+
+    if (now.slice(0, 10) !== entry.recordedAt.slice(0, 10)) {
+      return 'the day it was done has ended';
+    }
+    if ((new Date(now) - new Date(entry.recordedAt)) / 60000 > UNDO.windowMinutes) {
+      return `more than ${UNDO.windowMinutes} minutes of game time have passed`;
+    }
+    if (entry.servedAt) {
+      return `customers have been served at ${entry.venueName || 'the venue'} since`;
+    }
+    return null;
+  }
+
+  /**
+   * Note that a customer was served, which fixes the commands at that venue
+   * @private
+   * @param {string|number} venueId - Venue ID
+   */
+  markServed(venueId) {
+    const now = time.toISOString(time.getGameTime());
+    this.history
+      .filter(entry => entry.venueId === venueId && !entry.servedAt)
+      .forEach(entry => {
+        entry.servedAt = now;
+      });
+  }
+
+  /**
+   * Copy the rows in a command's scope before it runs
+   * @private
+   * @param {Array<Object>} scope - Scope parts
+   * @returns {Promise<Array<Object>|null>} Snapshot, or null without a scope or the database
+   */
+  async captureRows(scope) {
+    if (scope.length === 0 || !isDatabaseAvailable(this.game, 'gameService')) return null;
+    return this.game.dbAPI.gameService.captureRows(scope);
+  }
+}
+
+module.exports = UndoManager;
@@ -1,5 +1,7 @@
 // Layout Generator - Handles layout generation for different venue types
 
+const rng = require('../../utils/rng');
+
 class LayoutGenerator {
     constructor() {
       // Initialize any constants or helper data needed for layout generation
@@ -408,8 +410,8 @@ class LayoutGenerator {
         
         // Try to find a valid position that doesn't overlap
         while (!position && attempts < 20) {
-          const x = area.x1 + Math.floor(Math.random() * (area.x2 - area.x1 - width));
-          const y = area.y1 + Math.floor(Math.random() * (area.y2 - area.y1 - height));
+          const x = area.x1 + Math.floor(rng.random() * (area.x2 - area.x1 - width));
+          const y = area.y1 + Math.floor(rng.random() * (area.y2 - area.y1 - height));
           
           // Check if position is valid
           let valid = true;
@@ -701,10 +703,10 @@ class LayoutGenerator {
     
     for (let i = 0; i < plantCount; i++) {
       decorations.push({
-        x: Math.floor(Math.random() * (width - 4)) + 2,
-        y: Math.floor(Math.random() * (height - 4)) + 2,
+        x: Math.floor(rng.random() * (width - 4)) + 2,
+        y: Math.floor(rng.random() * (height - 4)) + 2,
         type: 'plant',
-        size: Math.random() < 0.3 ? 'large' : 'small'
+        size: rng.random() < 0.3 ? 'large' : 'small'
       });
     }
     
@@ -714,10 +716,10 @@ class LayoutGenerator {
         // Paintings on walls
         for (let i = 0; i < (venueSize === 'small' ? 2 : 4); i++) {
           decorations.push({
-            x: Math.floor(Math.random() * (width - 4)) + 2,
+            x: Math.floor(rng.random() * (width - 4)) + 2,
             y: 1, // On the top wall
             type: 'painting',
-            theme: ['food', 'landscape', 'abstract'][Math.floor(Math.random() * 3)]
+            theme: ['food', 'landscape', 'abstract'][Math.floor(rng.random() * 3)]
           });
         }
         break;
@@ -752,7 +754,7 @@ class LayoutGenerator {
         // Speakers
         for (let i = 0; i < (venueSize === 'small' ? 2 : 4); i++) {
           decorations.push({
-            x: Math.floor(Math.random() * (width - 4)) + 2,
+            x: Math.floor(rng.random() * (width - 4)) + 2,
             y: 1,
             type: 'speaker',
             size: 'large'
@@ -763,10 +765,10 @@ class LayoutGenerator {
         const lightCount = venueSize === 'small' ? 4 : (venueSize === 'medium' ? 8 : 12);
         for (let i = 0; i < lightCount; i++) {
           decorations.push({
-            x: Math.floor(Math.random() * (width - 4)) + 2,
-            y: Math.floor(Math.random() * (height - 4)) + 2,
+            x: Math.floor(rng.random() * (width - 4)) + 2,
+            y: Math.floor(rng.random() * (height - 4)) + 2,
             type: 'light',
-            color: ['red', 'blue', 'green', 'purple'][Math.floor(Math.random() * 4)]
+            color: ['red', 'blue', 'green', 'purple'][Math.floor(rng.random() * 4)]
           });
         }
         break;
@@ -783,7 +785,7 @@ class LayoutGenerator {
         // Trash bins
         for (let i = 0; i < (venueSize === 'small' ? 2 : 3); i++) {
           decorations.push({
-            x: Math.floor(Math.random() * (width - 6)) + 3,
+            x: Math.floor(rng.random() * (width - 6)) + 3,
             y: height - 3,
             type: 'trash_bin'
           });
@@ -14,7 +14,7 @@ class VenueCreator {
       return null;
     }
     
-    if (!GAME_CONSTANTS.CITIES.includes(city)) {
+    if (!this.game.cityManager.getCity(city)) {
       window.logToConsole(`Invalid city: ${city}`, 'error');
       return null;
     }
@@ -49,6 +49,7 @@ class VenueCreator {
         customerCapacity: VENUE_SIZES.small.capacity,
         decorationLevel: 1, // 1-5 scale
         cleaningSchedule: 'daily', // daily, alternate, weekly
+        smokingAllowed: type === 'Bar' || type === 'Nightclub'
       },
       stats: {
         popularity: 10,
@@ -69,6 +70,9 @@ class VenueCreator {
       }
     };
     
+    // Start within the city's rules
+    this.applyCityRegulations(newVenue.settings, city);
+    
     // Add to player's venues
     this.game.state.player.venues.push(newVenue);
     
@@ -88,6 +92,35 @@ class VenueCreator {
     return newVenue;
   }
   
+  /**
+   * Adjust default venue settings so a new venue complies with city regulations
+   * @param {Object} settings - Venue settings (modified in place)
+   * @param {string} city - City name
+   * @returns {Object} The settings
+   */
+  applyCityRegulations(settings, city) {
+    const cityManager = this.game.cityManager;
+    if (!cityManager || !cityManager.getCity(city)) return settings;
+    
+    const regulations = cityManager.getCityRegulations(city);
+    
+    // Open no earlier than allowed, then close earlier until the hours comply
+    if (!cityManager.isHourPermitted(regulations.openingHoursRestriction, settings.openingHour)) {
+      settings.openingHour = regulations.openingHoursRestriction.earliest % 24;
+    }
+    for (let i = 0; i < 24 && !cityManager.isWithinOpeningHoursRegulation(city, settings.openingHour, settings.closingHour); i++) {
+      settings.closingHour = (settings.closingHour + 23) % 24;
+    }
+    
+    settings.musicVolume = Math.min(settings.musicVolume, regulations.maxNoiseLevelAllowed);
+    
+    if (regulations.smokingBan) {
+      settings.smokingAllowed = false;
+    }
+    
+    return settings;
+  }
+  
   calculateRent(size, city) {
     const baseRent = VENUE_SIZES[size].baseRent;
     const cityMultiplier = this.game.cityManager ? 
@@ -186,6 +186,22 @@ class VenueUpgrader {
     return true;
   }
   
+  setSmokingPolicy(venueId, allowed) {
+    const venue = this.game.venueManager.getVenue(venueId);
+    if (!venue) return false;
+    
+    // Check smoking ban
+    if (allowed && this.game.cityManager && this.game.cityManager.isSmokingBanned(venue.city)) {
+      window.logToConsole(`Smoking is banned in ${venue.city} venues.`, 'error');
+      return false;
+    }
+    
+    venue.settings.smokingAllowed = allowed;
+    
+    window.logToConsole(`Smoking is now ${allowed ? 'allowed' : 'not allowed'} in ${venue.name}`, 'success');
+    return true;
+  }
+  
   recalculateAtmosphere(venue) {
     // Quick atmosphere recalculation based on music, lighting, and cleanliness
     const musicFactor = venue.settings.musicVolume / 100;
@@ -279,10 +295,8 @@ class VenueUpgrader {
     return true;
   }
   
-  sellVenue(venueId) {
-    const venue = this.game.venueManager.getVenue(venueId);
-    if (!venue) return false;
-    
+  // Sale value without the database: a year's rent scaled by popularity, plus equipment and stock
+  calculateSaleValue(venue) {
     // Calculate sale value based on size, popularity, and equipment
     const sizeValue = VENUE_SIZES[venue.size].baseRent * 12; // 1 year of rent
     const popularityMultiplier = 0.5 + (venue.stats.popularity / 100);
@@ -313,10 +327,17 @@ class VenueUpgrader {
       }
     });
     
-    const totalValue = Math.round((sizeValue * popularityMultiplier) + equipmentValue + inventoryValue);
+    return Math.round((sizeValue * popularityMultiplier) + equipmentValue + inventoryValue);
+  }
+  
+  sellVenue(venueId, { forced = false } = {}) {
+    const venue = this.game.venueManager.getVenue(venueId);
+    if (!venue) return false;
+    
+    const totalValue = this.calculateSaleValue(venue);
     
-    // Confirm sale
-    if (confirm(`Are you sure you want to sell ${venue.name} for €${totalValue.toFixed(2)}?`)) {
+    // Confirm sale, unless the player has no say in it
+    if (forced || confirm(`Are you sure you want to sell ${venue.name} for €${totalValue.toFixed(2)}?`)) {
       // Remove venue from city
       if (this.game.cityManager) {
         this.game.cityManager.removeVenueFromCity(venue.city, venue.id);
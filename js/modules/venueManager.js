@@ -5,6 +5,7 @@ const LayoutGenerator = require('./venue/layoutGenerator');
 const VenueUpgrader = require('./venue/venueUpgrader');
 const dbAPI = require('../database/api');
 const { VENUE_SIZES } = require('../config');
+const rng = require('../utils/rng');
 
 class VenueManager {
   constructor(game) {
@@ -53,7 +54,7 @@ class VenueManager {
           city,
           size: 'small',
           layout: this.layoutGenerator.generateVenueLayout(type, 'small'),
-          settings: {
+          settings: this.venueCreator.applyCityRegulations({
             openingHour: this.getDefaultOpeningHour(type),
             closingHour: this.getDefaultClosingHour(type),
             musicVolume: this.getDefaultMusicVolume(type),
@@ -62,7 +63,8 @@ class VenueManager {
             customerCapacity: VENUE_SIZES.small.capacity,
             decorationLevel: 1,
             cleaningSchedule: 'daily',
-          },
+            smokingAllowed: type === 'Bar' || type === 'Nightclub'
+          }, city),
           stats: {
             popularity: 10,
             cleanliness: 100,
@@ -106,19 +108,16 @@ class VenueManager {
     }
   }
   
-  async getVenue(venueId) {
-    try {
-      if (this.useDatabase) {
-        // Get venue from database
-        return await dbAPI.venue.getVenueById(venueId);
-      } else {
-        // Fallback to in-memory search
-        return this.game.state.player.venues.find(v => v.id === venueId);
-      }
-    } catch (error) {
-      console.error(`Error getting venue ${venueId}:`, error);
-      return null;
+  getVenue(venueId) {
+    // Venues owned by the player are always held in memory (and mirrored to the
+    // database), so the lookup is synchronous for use inside the simulation loop
+    const current = this.game.state.currentVenue;
+    if (current && current.id === venueId) {
+      return current;
     }
+    
+    const venues = this.game.state.player.venues || [];
+    return venues.find(v => v.id === venueId) || null;
   }
   
   getCurrentVenue() {
@@ -160,7 +159,7 @@ class VenueManager {
     await this.updateVenueStats(venue);
     
     // If using database, save changes back to database periodically
-    if (this.useDatabase && Math.random() < 0.05) { // 5% chance each update to reduce database load
+    if (this.useDatabase && rng.random() < 0.05) { // 5% chance each update to reduce database load
       try {
         // Update venue stats in database
         await dbAPI.venue.updateVenue(venue.id, { 
@@ -174,6 +173,9 @@ class VenueManager {
   }
   
   isVenueOpen(venue) {
+    // Closed by the city for breaking regulations
+    if (venue.forcedClosure) return false;
+    
     const currentHour = this.game.timeManager ? 
                         this.game.timeManager.getGameTime().hour : 12;
     
@@ -502,6 +504,11 @@ class VenueManager {
     }
   }
   
+  setSmokingPolicy(venueId, allowed) {
+    // The smoking policy is only kept in game state; the venues table has no column for it
+    return this.venueUpgrader.setSmokingPolicy(venueId, allowed);
+  }
+  
   async setEntranceFee(venueId, fee) {
     try {
       if (this.useDatabase) {
@@ -580,7 +587,8 @@ class VenueManager {
     }
   }
   
-  async sellVenue(venueId) {
+  // A forced sale, such as one the bank demands, goes ahead without asking the player
+  async sellVenue(venueId, { forced = false } = {}) {
     try {
       if (this.useDatabase) {
         const result = await dbAPI.venueService.sellVenue(venueId, this.game.state.player.id);
@@ -611,18 +619,57 @@ class VenueManager {
           window.logToConsole(result.message, 'success');
           return true;
         }
-        return false;
+        if (!forced) return false;
       } else {
         // Fallback to in-memory sell
-        return this.venueUpgrader.sellVenue(venueId);
+        return this.venueUpgrader.sellVenue(venueId, { forced });
       }
     } catch (error) {
       console.error(`Error selling venue ${venueId}:`, error);
-      window.logToConsole(`Failed to sell venue: ${error.message}`, 'error');
-      return false;
+      if (!forced) {
+        window.logToConsole(`Failed to sell venue: ${error.message}`, 'error');
+        return false;
+      }
     }
+
+    // The bank's sale goes ahead even when the database can't record it
+    return this.venueUpgrader.sellVenue(venueId, { forced });
   }
   
+  // Take a venue away from the player without a sale, such as when a lender repossesses it
+  async removeVenue(venueId) {
+    const venue = this.getVenue(venueId);
+    if (!venue) return false;
+
+    // Remove venue from city
+    if (this.game.cityManager) {
+      this.game.cityManager.removeVenueFromCity(venue.city, venue.id);
+    }
+
+    // Remove venue from player's venues list
+    const venueIndex = this.game.state.player.venues.findIndex(v => v.id === venueId);
+    if (venueIndex !== -1) {
+      this.game.state.player.venues.splice(venueIndex, 1);
+    }
+
+    // If this was the current venue, move on to another venue if there is one
+    if (this.game.state.currentVenue && this.game.state.currentVenue.id === venueId) {
+      this.game.state.currentVenue = this.game.state.player.venues.length > 0 ?
+                                    this.game.state.player.venues[0] : null;
+    }
+
+    if (this.useDatabase) {
+      try {
+        await dbAPI.venue.deleteVenue(venueId);
+        await dbAPI.settings.setSetting('current_venue_id', this.game.state.currentVenue ? this.game.state.currentVenue.id : null, 'game');
+      } catch (error) {
+        console.error(`Error removing venue ${venueId} from database:`, error);
+      }
+    }
+
+    return true;
+  }
+
   // VenueReport - new feature using database capabilities
   async getVenueReport(venueId) {
     try {
@@ -0,0 +1,191 @@
+// js/simulation/__tests__/simulationRunner.test.js
+// Balance regression checks for the headless simulation runner
+
+const { INSOLVENCY } = require('../../config');
+const SimulationRunner = require('../simulationRunner');
+
+// A week, so the run pays one round of wages as well as daily utilities
+const RUN = { days: 7, seed: 7, city: 'London', venueType: 'Bar' };
+
+// Where a small, fully staffed London bar should land. A change that moves
+// a run outside these is a balance change and should be made on purpose.
+const BOUNDS = {
+  dailyRevenue: [150, 800],
+  dailyExpenses: [150, 800],
+  dailyRunningCost: [200, 800],
+  dailyCustomers: [50, 400],
+  satisfaction: [50, 90]
+};
+
+describe('SimulationRunner', () => {
+  let first;
+  let second;
+
+  beforeAll(async () => {
+    const runner = new SimulationRunner({ quiet: true });
+    [first, second] = await runner.runBatch([RUN, RUN]);
+  });
+
+  test('the same seed gives the same run', () => {
+    expect(second.totals).toEqual(first.totals);
+    expect(second.daily).toEqual(first.daily);
+    expect(second.final).toEqual(first.final);
+  });
+
+  test('simulates every day asked for', () => {
+    expect(first.days).toBe(RUN.days);
+    expect(first.daily).toHaveLength(RUN.days);
+  });
+
+  test.each(Object.entries(BOUNDS))('average %s stays within bounds', (key, [min, max]) => {
+    expect(first.averages[key]).toBeGreaterThanOrEqual(min);
+    expect(first.averages[key]).toBeLessThanOrEqual(max);
+  });
+
+  test('wages are paid within the week', () => {
+    const utilitiesOnly = Math.min(...first.daily.map(day => day.expenses));
+    expect(Math.max(...first.daily.map(day => day.expenses))).toBeGreaterThan(utilitiesOnly * 10);
+  });
+
+  test('totals add up', () => {
+    expect(first.totals.profit).toBeCloseTo(first.totals.revenue - first.totals.expenses, 1);
+  });
+
+  test('a run with database errors fails', async () => {
+    const runner = new SimulationRunner({ quiet: true });
+    // Leave the managers writing the in-memory venue to the database
+    runner.useMemoryStorage = () => {};
+
+    await expect(runner.run({ ...RUN, days: 1 })).rejects.toThrow(/database errors/);
+  });
+});
+
+describe('a marketing campaign in a simulated run', () => {
+  const runner = new SimulationRunner();
+  let analysis;
+
+  beforeAll(async () => {
+    runner.installHeadlessGlobals();
+    const restoreConsole = runner.silenceConsole();
+    let game;
+    try {
+      game = await runner.createGame(RUN.seed);
+      runner.useMemoryStorage(game);
+      const venue = runner.openVenue(game, RUN);
+
+      // A few days without marketing give the campaign a baseline
+      await runner.advanceDays(game, venue, 3);
+      game.marketingManager.createAdvertisingCampaign(venue.id, 'social', 300);
+      await runner.advanceDays(game, venue, 3);
+
+      analysis = await game.marketingManager.getMarketingAnalysis(venue.id);
+    } finally {
+      if (game) {
+        await runner.teardown(game);
+      }
+      restoreConsole();
+    }
+  });
+
+  test('has revenue before and during the campaign', () => {
+    const [result] = analysis.windows;
+    expect(result.before.revenue).toBeGreaterThan(0);
+    expect(result.during.revenue).toBeGreaterThan(0);
+  });
+
+  test('counts the revenue in the campaign ROI', () => {
+    const [campaign] = analysis.campaigns;
+    expect(campaign.cost).toBeGreaterThan(0);
+    expect(campaign.impact).not.toBe(0);
+    expect(campaign.roi).not.toBe(-100);
+  });
+});
+
+describe('a tax audit in a simulated run', () => {
+  const runner = new SimulationRunner();
+  let game;
+  let venue;
+  let restoreConsole;
+
+  // Random audits during the run may already have checked the returns
+  const audit = () => {
+    venue.taxLiabilities.forEach(liability => {
+      liability.audited = false;
+    });
+    return game.financialManager.taxManager.runAudit(venue);
+  };
+
+  beforeAll(async () => {
+    runner.installHeadlessGlobals();
+    restoreConsole = runner.silenceConsole();
+    game = await runner.createGame(RUN.seed);
+    runner.useMemoryStorage(game);
+    venue = runner.openVenue(game, RUN);
+
+    // Into February, so January's VAT and payroll returns are closed
+    await runner.advanceDays(game, venue, 33);
+  });
+
+  afterAll(async () => {
+    await runner.teardown(game).finally(restoreConsole);
+  });
+
+  test('finds nothing when the returns match the records', async () => {
+    const findings = await audit();
+    expect(findings.periods).toBeGreaterThanOrEqual(2);
+    expect(findings.shortfall).toBe(0);
+    expect(findings.liability).toBeNull();
+  });
+
+  test('charges VAT that was not declared', async () => {
+    const vat = venue.taxLiabilities.find(liability => liability.type === 'vat' && liability.period === '2025-01');
+    vat.amount -= 100;
+
+    const findings = await audit();
+    expect(findings.shortfall).toBeCloseTo(100, 0);
+    expect(findings.liability).not.toBeNull();
+  });
+});
+
+describe('a forced sale in a simulated run', () => {
+  const runner = new SimulationRunner();
+  let game;
+  let venue;
+  let restoreConsole;
+  let showGameOver;
+
+  beforeAll(async () => {
+    runner.installHeadlessGlobals();
+    restoreConsole = runner.silenceConsole();
+    game = await runner.createGame(RUN.seed);
+    runner.useMemoryStorage(game);
+    venue = runner.openVenue(game, RUN);
+    await runner.advanceDays(game, venue, 2);
+
+    // The venue was never written to the database, so the database sale fails
+    game.venueManager.useDatabase = true;
+    showGameOver = jest.fn();
+    game.uiManager = { showGameOver };
+
+    // Further overdrawn than the venue is worth
+    const value = game.venueManager.venueUpgrader.calculateSaleValue(venue);
+    game.state.player.cash = -(INSOLVENCY.overdraftLimit + value + 1000);
+    await game.financialManager.insolvencyManager.checkCashFlow();
+  });
+
+  afterAll(async () => {
+    await runner.teardown(game).finally(restoreConsole);
+  });
+
+  test('sells the venue when the database sale fails', () => {
+    const record = game.financialManager.insolvencyManager.getRecord();
+    expect(game.state.player.venues).toHaveLength(0);
+    expect(record.forcedSales).toHaveLength(1);
+    expect(record.forcedSales[0].amount).toBeGreaterThan(0);
+  });
+
+  test('ends the game when the sale does not cover the overdraft', () => {
+    expect(game.financialManager.insolvencyManager.isBankrupt()).toBe(true);
+    expect(showGameOver).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,72 @@
+// js/simulation/simulate-cli.js
+const fs = require('fs');
+const SimulationRunner = require('./simulationRunner');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const command = args[0];
+
+/**
+ * Read --name value pairs into an object
+ * @param {Array<string>} argv - Arguments after the command
+ * @returns {Object} Option values by name
+ */
+function parseOptions(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const runner = new SimulationRunner();
+
+  try {
+    switch (command) {
+      case 'run': {
+        const options = parseOptions(args.slice(1));
+        const parameters = {};
+        if (options.days) parameters.days = parseInt(options.days, 10);
+        if (options.seed) parameters.seed = isNaN(Number(options.seed)) ? options.seed : Number(options.seed);
+        if (options.type) parameters.venueType = options.type;
+        if (options.city) parameters.city = options.city;
+        if (options.name) parameters.name = options.name;
+
+        const result = await runner.run(parameters);
+        console.log(JSON.stringify(result, null, 2));
+        break;
+      }
+
+      case 'batch': {
+        if (!args[1]) {
+          console.error('Error: Parameter file is required');
+          console.log('Usage: node simulate-cli.js batch <file.json>');
+          process.exit(1);
+        }
+        const parameterSets = JSON.parse(fs.readFileSync(args[1], 'utf8'));
+        if (!Array.isArray(parameterSets)) {
+          throw new Error('Parameter file must contain an array of parameter sets');
+        }
+
+        const results = await runner.runBatch(parameterSets);
+        console.log(JSON.stringify(results, null, 2));
+        break;
+      }
+
+      default:
+        console.log('Available commands:');
+        console.log('  run [--days n] [--seed s] [--type t] [--city c] - Simulate one venue');
+        console.log('  batch <file.json> - Simulate every parameter set in a JSON array');
+        break;
+    }
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,512 @@
+// js/simulation/simulationRunner.js
+// Runs the game economy headlessly (no Electron, DOM or canvas) for balance testing
+
+const config = require('../config');
+// Loaded before the headless globals exist, so game.js doesn't create its renderer instance
+const { Game } = require('../game');
+const { DatabaseManager } = require('../database/databaseManager');
+const time = require('../modules/time');
+const eventBus = require('../utils/eventBus');
+const rng = require('../utils/rng');
+
+// Game minutes advanced per step; one legacy game tick
+const STEP_MINUTES = 15;
+
+// Staff hired for a new venue when a parameter set doesn't specify any
+const DEFAULT_STAFF = {
+  'Bar': { bartender: 2, cleaner: 1 },
+  'Nightclub': { bartender: 2, bouncer: 1, dj: 1 },
+  'Restaurant': { waiter: 2, cook: 1, bartender: 1 },
+  'Fast Food': { waiter: 1, cook: 2 }
+};
+
+const DEFAULT_OPTIONS = {
+  name: 'default',
+  days: 30,
+  seed: 1,
+  city: 'London',
+  venueType: 'Bar',
+  staff: null,
+  config: {},
+  quiet: true
+};
+
+/**
+ * Creates a game against an in-memory database, keeps it on the managers'
+ * in-memory storage, opens a venue and advances the clock day by day,
+ * collecting revenue, expenses, customer counts and satisfaction. Each run starts from a fresh database, clock and event bus,
+ * so a batch of parameter sets can run in one process (e.g. inside Jest).
+ */
+class SimulationRunner {
+  /**
+   * Create a new SimulationRunner instance
+   * @param {Object} [options] - Defaults applied to every parameter set
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+  }
+
+  /**
+   * Run one simulation
+   * @param {Object} [parameters] - Parameter set, overriding the runner defaults
+   * @param {string} [parameters.name] - Label for the summary
+   * @param {number} [parameters.days] - Game days to simulate
+   * @param {number|string} [parameters.seed] - Random seed
+   * @param {string} [parameters.city] - City for the venue
+   * @param {string} [parameters.venueType] - Venue type from GAME_CONSTANTS.ESTABLISHMENT_TYPES
+   * @param {Object} [parameters.staff] - Staff to hire by type, e.g. { bartender: 2 }
+   * @param {Object} [parameters.config] - config.js overrides by dotted path,
+   *   e.g. { 'GAME_CONSTANTS.STARTING_CASH': 5000 }
+   * @param {boolean} [parameters.quiet] - Silence game logging while running
+   * @returns {Promise<Object>} JSON-serializable summary
+   */
+  async run(parameters = {}) {
+    const settings = { ...this.options, ...parameters };
+    const restoreConfig = this.applyConfigOverrides(settings.config);
+    const restoreConsole = settings.quiet ? this.silenceConsole() : () => {};
+
+    let game = null;
+    let database = null;
+    try {
+      this.installHeadlessGlobals();
+      game = await this.createGame(settings.seed);
+      this.useMemoryStorage(game);
+      database = this.watchDatabaseErrors();
+
+      const venue = this.openVenue(game, settings);
+      const days = await this.advanceDays(game, venue, settings.days);
+
+      // Quiet runs hide the errors, so a failed write would otherwise skew the results unnoticed
+      if (database.errors.length > 0) {
+        throw new Error(
+          `${database.errors.length} database errors during the simulation, the first: ${database.errors[0]}`
+        );
+      }
+
+      return this.summarize(settings, game, venue, days);
+    } finally {
+      if (game) {
+        await this.teardown(game);
+      }
+      if (database) {
+        database.restore();
+      }
+      restoreConsole();
+      restoreConfig();
+    }
+  }
+
+  /**
+   * Run several parameter sets one after another
+   * @param {Array<Object>} parameterSets - Parameter sets for run()
+   * @returns {Promise<Array<Object>>} One summary per parameter set
+   */
+  async runBatch(parameterSets) {
+    const results = [];
+    for (const parameters of parameterSets) {
+      results.push(await this.run(parameters));
+    }
+    return results;
+  }
+
+  /**
+   * Build a game on a fresh in-memory database
+   * @private
+   * @param {number|string} seed - Random seed
+   * @returns {Promise<Object>} Initialized game
+   */
+  async createGame(seed) {
+    // Drop handlers left behind by a previous run
+    time.reset();
+    eventBus.clear();
+
+    DatabaseManager.configure({ filename: ':memory:' });
+
+    const game = new Game();
+
+    // The constructor starts database initialization; wait for it to finish
+    await game.databaseReady;
+    if (!game.dbInitialized) {
+      throw new Error('In-memory database failed to initialize');
+    }
+
+    rng.seed(seed);
+    return game;
+  }
+
+  /**
+   * Keep the run on the managers' in-memory paths. The simulated venue and
+   * staff only exist in memory, so every database write that references
+   * them would fail.
+   * @private
+   * @param {Object} game - Initialized game
+   */
+  useMemoryStorage(game) {
+    game.dbInitialized = false;
+
+    const managers = [
+      game.venueManager,
+      game.financialManager,
+      game.inventoryManager,
+      game.inventoryManager.operations,
+      game.customerManager
+    ];
+    managers.forEach(manager => {
+      manager.useDatabase = false;
+    });
+  }
+
+  /**
+   * Collect the errors of every statement run against the database
+   * @private
+   * @returns {{errors: Array<string>, restore: Function}} Error messages, and a
+   *   function that stops collecting them
+   */
+  watchDatabaseErrors() {
+    const db = DatabaseManager.getInstance();
+    const methods = ['runOnConnection', 'queryOnConnection', 'getOnConnection'];
+    const errors = [];
+
+    methods.forEach(method => {
+      const original = db[method];
+      db[method] = (...args) => original.apply(db, args).catch(error => {
+        errors.push(error.message);
+        throw error;
+      });
+    });
+
+    return {
+      errors,
+      restore: () => methods.forEach(method => delete db[method])
+    };
+  }
+
+  /**
+   * Create the venue and hire its staff
+   * @private
+   * @param {Object} game - Game instance
+   * @param {Object} settings - Run settings
+   * @returns {Object} The venue
+   */
+  openVenue(game, settings) {
+    const venue = game.venueManager.venueCreator.createNewVenue(
+      `${settings.venueType} Simulation`,
+      settings.venueType,
+      settings.city
+    );
+    if (!venue) {
+      throw new Error(`Could not create a ${settings.venueType} in ${settings.city}`);
+    }
+
+    game.state.currentVenue = venue;
+    game.state.currentCity = settings.city;
+
+    const staffPlan = settings.staff || DEFAULT_STAFF[settings.venueType] || {};
+    for (const [type, count] of Object.entries(staffPlan)) {
+      for (let i = 0; i < count; i++) {
+        let candidate = game.staffManager.getStaffPoolByType(type)[0];
+        if (!candidate) {
+          // The pool only holds a few candidates of each type
+          game.state.staffPool.push(game.staffManager.generator.generateStaffMember(type));
+          candidate = game.staffManager.getStaffPoolByType(type)[0];
+        }
+        game.staffManager.hireStaff(candidate.id, venue.id);
+      }
+    }
+
+    return venue;
+  }
+
+  /**
+   * Advance the clock and record one entry per simulated day
+   * @private
+   * @param {Object} game - Game instance
+   * @param {Object} venue - Venue being simulated
+   * @param {number} dayCount - Days to simulate
+   * @returns {Promise<Array<Object>>} Daily results
+   */
+  async advanceDays(game, venue, dayCount) {
+    const days = [];
+    let today = this.createDayRecord(game);
+    let closing = null;
+
+    const closeDay = () => {
+      // Runs before the financial manager resets the daily counters. The
+      // end-of-day payments (utilities, and wages or rent at the end of a
+      // week or month) only land once the step settles, so the day's profit
+      // is taken after that.
+      today.revenue = venue.finances.dailyRevenue;
+      closing = today;
+      today = this.createDayRecord(game);
+    };
+
+    time.onDay(closeDay);
+
+    eventBus.on('customerArrived', (customer) => {
+      today.customers += customer.groupSize || 1;
+      today.groups++;
+    });
+
+    eventBus.on('customerDeparted', (customer) => {
+      today.satisfactionTotal += customer.satisfaction || 0;
+      today.departures++;
+      if (customer.leaveReason !== 'paid') {
+        today.leftEarly++;
+      }
+    });
+
+    // Convert game minutes to the real milliseconds advanceTime expects
+    const stepMs = (STEP_MINUTES / time.getTimeScale()) * 1000;
+
+    while (days.length < dayCount) {
+      time.advanceTime(stepMs);
+      await this.settle();
+
+      if (closing) {
+        closing.profit = game.state.player.cash - closing.openingCash;
+        days.push(this.finishDay(closing));
+        today.openingCash = game.state.player.cash;
+        closing = null;
+      }
+    }
+
+    return days;
+  }
+
+  /**
+   * Wait for database writes and the handlers chained on them to finish,
+   * so async work never interleaves with the next step and a seed always
+   * produces the same run
+   * @private
+   * @returns {Promise<void>}
+   */
+  async settle() {
+    const db = DatabaseManager.getInstance();
+
+    // Handlers may start another query as soon as one finishes
+    do {
+      await db.whenIdle();
+      await new Promise(resolve => setImmediate(resolve));
+    } while (!db.isIdle());
+  }
+
+  /**
+   * Start an empty daily record
+   * @private
+   * @param {Object} game - Game instance
+   * @returns {Object} Daily record
+   */
+  createDayRecord(game) {
+    const gameTime = time.getGameTime();
+    return {
+      date: `${gameTime.year}-${String(gameTime.month).padStart(2, '0')}-${String(gameTime.day).padStart(2, '0')}`,
+      openingCash: game.state.player.cash,
+      customers: 0,
+      groups: 0,
+      departures: 0,
+      leftEarly: 0,
+      satisfactionTotal: 0,
+      revenue: 0,
+      profit: 0
+    };
+  }
+
+  /**
+   * Turn a daily record into its reported form
+   * @private
+   * @param {Object} record - Daily record
+   * @returns {Object} Daily result
+   */
+  finishDay(record) {
+    return {
+      date: record.date,
+      revenue: this.round(record.revenue),
+      // Everything that left the cash balance, including wages, rent and marketing
+      expenses: this.round(record.revenue - record.profit),
+      profit: this.round(record.profit),
+      customers: record.customers,
+      groups: record.groups,
+      leftEarly: record.leftEarly,
+      satisfaction: record.departures > 0 ? this.round(record.satisfactionTotal / record.departures) : null
+    };
+  }
+
+  /**
+   * Build the summary for a finished run
+   * @private
+   * @param {Object} settings - Run settings
+   * @param {Object} game - Game instance
+   * @param {Object} venue - Venue that was simulated
+   * @param {Array<Object>} days - Daily results
+   * @returns {Object} Summary
+   */
+  summarize(settings, game, venue, days) {
+    const sum = (key) => days.reduce((total, day) => total + day[key], 0);
+    const rated = days.filter(day => day.satisfaction !== null);
+
+    return {
+      name: settings.name,
+      seed: settings.seed,
+      city: settings.city,
+      venueType: settings.venueType,
+      days: days.length,
+      config: settings.config,
+      totals: {
+        revenue: this.round(sum('revenue')),
+        expenses: this.round(sum('expenses')),
+        profit: this.round(sum('profit')),
+        customers: sum('customers'),
+        groups: sum('groups'),
+        leftEarly: sum('leftEarly')
+      },
+      averages: {
+        dailyRevenue: this.round(days.length ? sum('revenue') / days.length : 0),
+        dailyExpenses: this.round(days.length ? sum('expenses') / days.length : 0),
+        dailyRunningCost: this.getDailyRunningCost(game, venue),
+        dailyCustomers: this.round(days.length ? sum('customers') / days.length : 0),
+        satisfaction: rated.length
+          ? this.round(rated.reduce((total, day) => total + day.satisfaction, 0) / rated.length)
+          : null
+      },
+      final: {
+        cash: this.round(game.state.player.cash),
+        popularity: this.round(venue.stats.popularity),
+        staff: game.staffManager.getStaffByVenue(venue.id).length
+      },
+      daily: days
+    };
+  }
+
+  /**
+   * Get what the venue costs to run per day, however often each cost is
+   * paid. Wages are paid weekly and rent monthly, so the cash expenses of a
+   * run shorter than a week or a month leave them out.
+   * @private
+   * @param {Object} game - Game instance
+   * @param {Object} venue - Venue that was simulated
+   * @returns {number} Utilities, wages and rent per day
+   */
+  getDailyRunningCost(game, venue) {
+    const weeklyWages = game.staffManager.getStaffByVenue(venue.id).reduce((total, staff) =>
+      total + staff.wage + game.staffManager.scheduler.getWeeklyCost(staff).overtimePay, 0);
+
+    return this.round(
+      game.financialManager.expenseManager.calculateDailyUtilities(venue) +
+      weeklyWages / 7 +
+      venue.finances.rentPerMonth * 12 / 365
+    );
+  }
+
+  /**
+   * Apply config.js overrides for the length of a run
+   * @private
+   * @param {Object} overrides - Values by dotted path, e.g. 'GAME_CONSTANTS.STARTING_CASH'
+   * @returns {Function} Restores the original values
+   */
+  applyConfigOverrides(overrides = {}) {
+    const originals = [];
+
+    for (const [path, value] of Object.entries(overrides)) {
+      const keys = path.split('.');
+      const property = keys.pop();
+      const target = keys.reduce((obj, key) => (obj ? obj[key] : undefined), config);
+
+      if (!target || typeof target !== 'object' || !(property in target)) {
+        throw new Error(`Unknown config setting: ${path}`);
+      }
+
+      originals.push({ target, property, value: target[property] });
+      target[property] = value;
+    }
+
+    return () => {
+      // Restore in reverse so repeated paths end on the first original
+      for (const { target, property, value } of originals.reverse()) {
+        target[property] = value;
+      }
+    };
+  }
+
+  /**
+   * Provide the browser globals the game modules expect
+   * @private
+   */
+  installHeadlessGlobals() {
+    const element = () => ({
+      style: {},
+      classList: { add() {}, remove() {}, toggle() {}, contains: () => false },
+      appendChild() {},
+      removeChild() {},
+      addEventListener() {},
+      setAttribute() {}
+    });
+
+    if (typeof global.window === 'undefined') {
+      global.window = {
+        addEventListener() {},
+        removeEventListener() {},
+        dispatchEvent() {}
+      };
+    }
+
+    if (typeof global.document === 'undefined') {
+      global.document = {
+        getElementById: () => null,
+        querySelector: () => null,
+        querySelectorAll: () => [],
+        createElement: element,
+        addEventListener() {},
+        body: element()
+      };
+    }
+  }
+
+  /**
+   * Silence console output from the game while a run is in progress
+   * @private
+   * @returns {Function} Restores the console
+   */
+  silenceConsole() {
+    const methods = ['log', 'info', 'warn', 'error'];
+    const originals = methods.map(method => console[method]);
+
+    methods.forEach(method => {
+      console[method] = () => {};
+    });
+
+    return () => {
+      methods.forEach((method, i) => {
+        console[method] = originals[i];
+      });
+    };
+  }
+
+  /**
+   * Close the in-memory database and drop run handlers
+   * @private
+   * @param {Object} game - Game instance
+   * @returns {Promise<void>}
+   */
+  async teardown(game) {
+    time.reset();
+    eventBus.clear();
+
+    // Stop managers from starting new queries, then let pending ones finish
+    game.dbInitialized = false;
+    await this.settle();
+
+    await DatabaseManager.getInstance().close();
+  }
+
+  /**
+   * Round a value to two decimal places
+   * @private
+   * @param {number} value - Value to round
+   * @returns {number} Rounded value
+   */
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+module.exports = SimulationRunner;
@@ -4,8 +4,14 @@
 // Import specialized command processors
 const VenueCommands = require('./processor/venueCommands');
 const StaffCommands = require('./processor/staffCommands');
+const ScheduleCommands = require('./processor/scheduleCommands');
 const InventoryCommands = require('./processor/inventoryCommands');
+const RecipeCommands = require('./processor/recipeCommands');
+const StocktakeCommands = require('./processor/stocktakeCommands');
+const PricingCommands = require('./processor/pricingCommands');
 const FinanceCommands = require('./processor/financeCommands');
+const TaxCommands = require('./processor/taxCommands');
+const LoanCommands = require('./processor/loanCommands');
 const MarketingCommands = require('./processor/marketingCommands');
 const GameCommands = require('./processor/gameCommands');
 
@@ -24,8 +30,14 @@ class CommandProcessor {
     // Initialize specialized command processors
     this.venueCommands = new VenueCommands(game);
     this.staffCommands = new StaffCommands(game);
+    this.scheduleCommands = new ScheduleCommands(game);
     this.inventoryCommands = new InventoryCommands(game);
+    this.recipeCommands = new RecipeCommands(game);
+    this.stocktakeCommands = new StocktakeCommands(game);
+    this.pricingCommands = new PricingCommands(game);
     this.financeCommands = new FinanceCommands(game);
+    this.taxCommands = new TaxCommands(game);
+    this.loanCommands = new LoanCommands(game);
     this.marketingCommands = new MarketingCommands(game);
     this.gameCommands = new GameCommands(game);
     
@@ -49,6 +61,7 @@ class CommandProcessor {
       'setmusic': 'musicvolume',
       'setlighting': 'lighting',
       'setfee': 'entrancefee',
+      'setsmoking': 'smoking',
       'clean': 'cleanvenue',
       'expand': 'upgradevenue',
       'status': 'venuestatus',
@@ -61,6 +74,7 @@ class CommandProcessor {
       'trainstaff': 'train',
       'adjustwage': 'wage',
       'staffinfo': 'staffdetails',
+      'roster': 'schedule',
       
       // Inventory command aliases
       'viewinventory': 'inventory',
@@ -116,14 +130,38 @@ class CommandProcessor {
         return true;
       }
       
+      if (this.scheduleCommands.processCommand(command, args)) {
+        return true;
+      }
+      
       if (this.inventoryCommands.processCommand(command, args)) {
         return true;
       }
       
+      if (this.recipeCommands.processCommand(command, args)) {
+        return true;
+      }
+      
+      if (this.stocktakeCommands.processCommand(command, args)) {
+        return true;
+      }
+      
+      if (this.pricingCommands.processCommand(command, args)) {
+        return true;
+      }
+      
       if (this.financeCommands.processCommand(command, args)) {
         return true;
       }
       
+      if (this.taxCommands.processCommand(command, args)) {
+        return true;
+      }
+      
+      if (this.loanCommands.processCommand(command, args)) {
+        return true;
+      }
+      
       if (this.marketingCommands.processCommand(command, args)) {
         return true;
       }
@@ -201,7 +239,7 @@ class CommandProcessor {
    */
   getGameCommands() {
     return [
-      'help', 'save', 'load', 'pause', 'resume', 'setspeed',
+      'help', 'save', 'load', 'saves', 'exportsave', 'importsave', 'undo', 'pause', 'resume', 'setspeed',
       'money', 'time', 'quit', 'mainmenu', 'clear'
     ];
   }
@@ -214,8 +252,8 @@ class CommandProcessor {
     return [
       'createvenue', 'viewvenues', 'selectvenue', 'venuestatus',
       'renamevenue', 'venuehours', 'musicvolume', 'lighting',
-      'entrancefee', 'cleanvenue', 'upgradevenue', 'sellvenue',
-      'venuemenu'
+      'entrancefee', 'smoking', 'regulations', 'inspections', 'cleanvenue',
+      'upgradevenue', 'sellvenue', 'venuemenu'
     ];
   }
 
@@ -226,7 +264,7 @@ class CommandProcessor {
   getStaffCommands() {
     return [
       'hire', 'fire', 'staff', 'staffpool', 'train',
-      'wage', 'staffmenu', 'staffdetails'
+      'wage', 'staffmenu', 'staffdetails', 'schedule', 'autoschedule'
     ];
   }
 
@@ -236,8 +274,8 @@ class CommandProcessor {
    */
   getInventoryCommands() {
     return [
-      'inventory', 'order', 'setprice', 'repair',
-      'upgrade', 'inventorymenu', 'checkstock'
+      'inventory', 'order', 'orders', 'suppliers', 'autoreorder', 'recipes', 'setprice',
+      'pricerule', 'priceexperiment', 'repair', 'upgrade', 'inventorymenu', 'checkstock', 'stocktake'
     ];
   }
 
@@ -248,8 +286,8 @@ class CommandProcessor {
   getFinanceCommands() {
     return [
       'finances', 'dailyreport', 'weeklyreport', 'monthlyreport',
-      'yearlyreport', 'transactions', 'expenses', 'revenue',
-      'profitability', 'forecast', 'financemenu'
+      'yearlyreport', 'transactions', 'expenses', 'waste', 'revenue',
+      'profitability', 'forecast', 'taxes', 'loan', 'financemenu'
     ];
   }
 
@@ -260,7 +298,7 @@ class CommandProcessor {
   getMarketingCommands() {
     return [
       'marketing', 'advertise', 'promotion', 'event',
-      'marketinganalysis', 'marketingmenu'
+      'marketinganalysis', 'marketingmenu', 'regulars'
     ];
   }
 }
@@ -398,14 +398,14 @@ class MenuManager {
     }
   }
   
-  updateLoadGameList() {
+  async updateLoadGameList() {
     const loadList = document.getElementById('load-list');
     if (!loadList) return;
     
     loadList.innerHTML = '';
     
-    // Get saved games from data store
-    const savedGames = this.game.dataStore.getSavedGames();
+    // Get saved games from the save slots
+    const savedGames = await this.game.saveManager.getSaves();
     
     if (savedGames.length === 0) {
       const emptyItem = document.createElement('div');
@@ -428,9 +428,17 @@ class MenuManager {
       info.appendChild(name);
       
       const details = document.createElement('p');
-      details.textContent = `${save.date} - €${save.cash.toFixed(2)} - ${save.venues} venues`;
+      const gameDate = save.metadata.gameDate ? save.metadata.gameDate.slice(0, 10) : 'Unknown date';
+      details.textContent = `${gameDate} - €${save.metadata.cash.toFixed(2)} - ${save.metadata.venueCount} venues`;
       info.appendChild(details);
       
+      if (save.metadata.thumbnail) {
+        const thumbnail = document.createElement('img');
+        thumbnail.className = 'save-thumbnail';
+        thumbnail.src = save.metadata.thumbnail;
+        item.appendChild(thumbnail);
+      }
+      
       item.appendChild(info);
       
       // Actions
@@ -441,7 +449,7 @@ class MenuManager {
       loadButton.textContent = 'Load';
       loadButton.className = 'small-button';
       loadButton.addEventListener('click', () => {
-        this.loadGame(save.id);
+        this.loadGame(save.name);
       });
       
       const deleteButton = document.createElement('button');
@@ -449,8 +457,7 @@ class MenuManager {
       deleteButton.className = 'small-button danger';
       deleteButton.addEventListener('click', () => {
         if (confirm(`Are you sure you want to delete save "${save.name}"?`)) {
-          this.deleteGame(save.id);
-          this.updateLoadGameList();
+          this.deleteGame(save.name).then(() => this.updateLoadGameList());
         }
       });
       
@@ -495,74 +502,32 @@ class MenuManager {
     this.game.startNewGame();
   }
   
-  saveGame() {
+  async saveGame() {
     const saveNameInput = document.getElementById('save-name');
     if (!saveNameInput) return;
     
     const saveName = saveNameInput.value.trim() || 'Unnamed Save';
     
-    // Prepare game data to save
-    const gameData = {
-      player: this.game.state.player,
-      gameTime: this.game.timeManager.getGameTime(),
-      cities: this.game.cityManager.getCities(),
-      currentCity: this.game.state.currentCity,
-      currentVenue: this.game.state.currentVenue,
-      staff: this.game.staffManager.getAllStaff(),
-      settings: this.game.state.settings
-    };
-    
-    // Save the game
-    const success = this.game.dataStore.saveGame(saveName, gameData);
-    
-    if (success) {
-      window.logToConsole('Game saved successfully!', 'success');
-    } else {
-      window.logToConsole('Failed to save game.', 'error');
-    }
+    // Save the game to the named slot
+    await this.game.saveGame(saveName);
     
     // Hide the save menu
     this.hideMenu();
   }
   
-  loadGame(saveId) {
-    const gameData = this.game.dataStore.loadGame(saveId);
-    
-    if (gameData) {
-      // Restore game state
-      this.game.state.player = gameData.player;
-      this.game.cityManager.setCities(gameData.cities);
-      this.game.state.currentCity = gameData.currentCity;
-      this.game.state.currentVenue = gameData.currentVenue;
-      this.game.timeManager.setGameTime(gameData.gameTime);
-      this.game.staffManager.setAllStaff(gameData.staff);
-      this.game.state.settings = gameData.settings;
-      
-      window.logToConsole('Game loaded successfully!', 'success');
-      
+  async loadGame(saveName) {
+    const success = await this.game.loadGame(saveName);
+    
+    if (success) {
       // Hide the load menu
       this.hideMenu();
-      
-      // Resume game if it was running
-      if (!gameData.settings.gamePaused) {
-        this.game.timeManager.resumeGameClock();
-      }
-      
-      return true;
-    } else {
-      window.logToConsole('Failed to load game.', 'error');
-      return false;
     }
+    
+    return success;
   }
   
-  deleteGame(saveId) {
-    const success = this.game.dataStore.deleteGame(saveId);
-    
-    if (success) {
-      window.logToConsole('Save deleted.', 'success');
-    } else {
-      window.logToConsole('Failed to delete save.', 'error');
-    }
+  async deleteGame(saveName) {
+    return this.game.saveManager.deleteSave(saveName);
   }
 }
 
@@ -35,6 +35,9 @@ class FinanceCommands {
         case 'expenses':
         case 'viewexpenses':
           return this.viewExpenses();
+        case 'waste':
+        case 'wastereport':
+          return this.showWasteReport(args);
         case 'revenue':
         case 'viewrevenue':
           return this.viewRevenue();
@@ -396,6 +399,45 @@ class FinanceCommands {
       return true;
     }
   
+    /**
+     * Show the cost of spoiled stock by week and by item
+     * @param {Array} args - Command arguments: [weeks]
+     * @returns {boolean} Success status
+     */
+    showWasteReport(args) {
+      if (!this.validateVenueExists()) return false;
+  
+      const weeks = args.length > 0 ? parseInt(args[0], 10) : 4;
+      if (isNaN(weeks) || weeks < 1 || weeks > 12) {
+        this.game.notificationManager.error("Usage: waste [weeks] (1-12, default 4)");
+        return false;
+      }
+  
+      const venue = this.game.state.currentVenue;
+      const report = this.game.inventoryManager.batches.getWasteReport(venue, weeks);
+  
+      this.game.notificationManager.info(`=== Waste Report: ${venue.name} (last ${weeks} weeks) ===`);
+      if (report.items.length === 0) {
+        this.game.notificationManager.info("Nothing has spoiled.");
+        return true;
+      }
+  
+      report.weeks.forEach(week => {
+        const items = week.items.map(item => `${item.itemName} ${item.quantity} (€${item.cost.toFixed(2)})`);
+        this.game.notificationManager.info(
+          `Week of ${week.weekStart}: €${week.total.toFixed(2)}${items.length > 0 ? ' - ' + items.join(', ') : ''}`
+        );
+      });
+  
+      this.game.notificationManager.info("--- By Item ---");
+      report.items.forEach(item => {
+        this.game.notificationManager.info(`${item.itemName} (${item.itemType}): ${item.quantity} units, €${item.cost.toFixed(2)}`);
+      });
+      this.game.notificationManager.info(`Total spoilage: €${report.total.toFixed(2)}`);
+  
+      return true;
+    }
+  
     /**
      * View revenue breakdown
      * @returns {boolean} Success status
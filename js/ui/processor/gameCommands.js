@@ -1,6 +1,8 @@
 // js/ui/processor/gameCommands.js
 // Handles system-level game commands like saving, loading, speed control, etc.
 
+const { SAVES } = require('../../config');
+
 /**
  * GameCommands - Module for processing system-level game commands
  * @param {Object} game - Reference to the game instance
@@ -22,10 +24,18 @@ class GameCommands {
           return this.showHelp(args);
         case 'save':
         case 'savegame':
-          return this.saveGame();
+          return this.saveGame(args);
         case 'load':
         case 'loadgame':
-          return this.loadGame();
+          return this.loadGame(args);
+        case 'saves':
+          return this.manageSaves(args);
+        case 'exportsave':
+          return this.exportSave(args);
+        case 'importsave':
+          return this.importSave(args);
+        case 'undo':
+          return this.undo(args);
         case 'pause':
           return this.pauseGame();
         case 'resume':
@@ -133,6 +143,9 @@ class GameCommands {
       this.game.notificationManager.info("setmusic <volume> - Set music volume (0-100)");
       this.game.notificationManager.info("setlighting <level> - Set lighting level (0-100)");
       this.game.notificationManager.info("setfee <amount> - Set entrance fee");
+      this.game.notificationManager.info("setsmoking <on|off> - Allow or forbid smoking");
+      this.game.notificationManager.info("regulations - City rules, announced changes and compliance");
+      this.game.notificationManager.info("inspections - Health inspection reports and the next visit");
       this.game.notificationManager.info("clean - Clean the venue");
       this.game.notificationManager.info("upgradevenue - Expand venue size");
       this.game.notificationManager.info("sellvenue - Sell the venue");
@@ -151,6 +164,13 @@ class GameCommands {
       this.game.notificationManager.info("train <staff_id> <skill> - Train staff in a specific skill");
       this.game.notificationManager.info("adjustwage <staff_id> <amount> - Change staff wage");
       this.game.notificationManager.info("fire <staff_id> - Fire a staff member");
+      this.game.notificationManager.info("schedule - View the weekly roster and uncovered opening hours");
+      this.game.notificationManager.info("schedule set <staff> <days> <start> <end> - Roster a shift (days: mon, fri,sat, weekdays, weekend, all)");
+      this.game.notificationManager.info("schedule off <staff> <days> - Give days off");
+      this.game.notificationManager.info("schedule copy <day> <days> - Copy a day's roster to other days");
+      this.game.notificationManager.info("schedule copy <staff> <staff> - Copy one staff member's week to another");
+      this.game.notificationManager.info("autoschedule [budget <amount>] - Suggest a roster from busy hours within a weekly wage budget");
+      this.game.notificationManager.info("autoschedule apply - Use the suggested roster");
     }
   
     /**
@@ -158,9 +178,16 @@ class GameCommands {
      */
     showInventoryHelp() {
       this.game.notificationManager.info("=== Inventory Commands ===");
-      this.game.notificationManager.info("viewinventory [category] - View inventory (drinks/food/equipment/all)");
-      this.game.notificationManager.info("order <type> <item_name> <quantity> - Order inventory items");
+      this.game.notificationManager.info("viewinventory [category] - View inventory (drinks/food/ingredients/equipment/all)");
+      this.game.notificationManager.info("order <type> <item_name> <quantity> [supplier] - Order stock from a supplier (cheapest if none given)");
+      this.game.notificationManager.info("orders [all] - Show purchase orders awaiting delivery (all: include past orders)");
+      this.game.notificationManager.info("suppliers [supplier] - List suppliers, or show one supplier's catalogue and prices");
+      this.game.notificationManager.info("autoreorder [<item> <min> <max> | <item> off | reserve <amount>] - Reorder items automatically when stock runs low, keeping a cash reserve");
+      this.game.notificationManager.info("recipes [item_name] - List made-to-order drinks and dishes, or show one recipe's cost breakdown");
+      this.game.notificationManager.info("stocktake [last] - Count stock and report missing stock by item, shift and staff member (last: show the previous count)");
       this.game.notificationManager.info("setprice <type> <item_name> <price> - Set item selling price");
+      this.game.notificationManager.info("pricerule [add <name> <start> <end> <percent> [drinks|food] | remove <name>] - Change prices for part of the day, e.g. a happy hour");
+      this.game.notificationManager.info("priceexperiment [<item> <priceA> <priceB> <days> [daily|blocks] | stop] - Test two prices and report which makes more profit");
       this.game.notificationManager.info("repair <equipment_name> - Repair damaged equipment");
       this.game.notificationManager.info("upgrade <equipment_name> - Upgrade equipment quality");
       this.game.notificationManager.info("checkstock - Check for low stock items");
@@ -177,8 +204,11 @@ class GameCommands {
       this.game.notificationManager.info("monthlyreport - View monthly financial report");
       this.game.notificationManager.info("transactions - View recent transactions");
       this.game.notificationManager.info("expenses - View expense breakdown");
+      this.game.notificationManager.info("waste [weeks] - View the cost of spoiled stock by week and item");
       this.game.notificationManager.info("revenue - View revenue breakdown");
       this.game.notificationManager.info("profitability - View item profitability report");
+      this.game.notificationManager.info("taxes [pay] - View tax rates and the VAT, payroll and corporate tax owed (pay: pay everything due now)");
+      this.game.notificationManager.info("loan [apply <amount> <months> | repay <number> [amount]] - View loans and what you can borrow, borrow against the venue, or repay early");
     }
   
     /**
@@ -190,7 +220,8 @@ class GameCommands {
       this.game.notificationManager.info("advertise <type> <budget> - Launch advertising campaign");
       this.game.notificationManager.info("promotion <type> <details> - Create special promotion");
       this.game.notificationManager.info("event <type> <budget> - Host a special event");
-      this.game.notificationManager.info("marketinganalysis - Analyze marketing effectiveness");
+      this.game.notificationManager.info("marketinganalysis - Campaign ROI, cost per new customer and results by city");
+      this.game.notificationManager.info("regulars [count] - Your most loyal patrons in this city, their favourites and visits");
     }
   
     /**
@@ -198,8 +229,12 @@ class GameCommands {
      */
     showSystemHelp() {
       this.game.notificationManager.info("=== System Commands ===");
-      this.game.notificationManager.info("save - Save game");
-      this.game.notificationManager.info("load - Load game");
+      this.game.notificationManager.info("save [name] - Save game to a named slot (overwrites a save with the same name)");
+      this.game.notificationManager.info("load [name] - Load a saved game (the most recent if no name is given)");
+      this.game.notificationManager.info("saves [load <name> | delete <name> | rename <name> <new name>] - List, load, delete or rename saved games");
+      this.game.notificationManager.info("exportsave <name> <file> - Save the game in play to its slot and export it with its database records to a single file");
+      this.game.notificationManager.info("importsave <file> - Import an exported save, replacing the current game");
+      this.game.notificationManager.info("undo [history] - Take back the last fire, wage, setprice, upgradevenue or sellvenue, or list what can be undone");
       this.game.notificationManager.info("pause - Pause game");
       this.game.notificationManager.info("resume - Resume game");
       this.game.notificationManager.info("speed <1-10> - Set game speed");
@@ -211,39 +246,169 @@ class GameCommands {
     }
   
     /**
-     * Save the game
+     * Save the game to a slot
+     * @param {Array} args - Command arguments: [name]; the default slot if empty
      * @returns {boolean} Success status
      */
-    saveGame() {
-      try {
-        this.game.saveGame();
-        this.game.notificationManager.success("Game saved successfully!");
+    saveGame(args = []) {
+      this.game.saveGame(args.length > 0 ? args.join(' ') : undefined);
+      return true;
+    }
+  
+    /**
+     * Load the game from a slot
+     * @param {Array} args - Command arguments: [name]; the most recent save if empty
+     * @returns {boolean} Success status
+     */
+    loadGame(args = []) {
+      this.game.loadGame(args.length > 0 ? args.join(' ') : undefined);
+      return true;
+    }
+  
+    /**
+     * List the save slots, or load, delete or rename one
+     * @param {Array} args - Command arguments: [] | [load|delete <name>] | [rename <name> <new name>]
+     * @returns {boolean} Success status
+     */
+    manageSaves(args) {
+      if (args.length === 0) {
+        this.listSaves();
         return true;
-      } catch (error) {
-        this.game.notificationManager.error(`Error saving game: ${error.message}`);
+      }
+  
+      const action = args[0].toLowerCase();
+      const saveManager = this.game.saveManager;
+  
+      if ((action === 'load' || action === 'delete') && args.length >= 2) {
+        const name = args.slice(1).join(' ');
+        if (action === 'load') {
+          this.game.loadGame(name);
+        } else {
+          saveManager.deleteSave(name);
+        }
+        return true;
+      }
+  
+      if (action === 'rename' && args.length === 3) {
+        saveManager.renameSave(args[1], args[2]);
+        return true;
+      }
+  
+      this.game.notificationManager.error('Usage: saves [load <name> | delete <name> | rename <name> <new name>] (quote names with spaces when renaming)');
+      return false;
+    }
+  
+    /**
+     * Show the save slots, most recent first
+     */
+    listSaves() {
+      const nm = this.game.notificationManager;
+  
+      this.game.saveManager.getSaves()
+        .then(saves => {
+          if (saves.length === 0) {
+            nm.info("No saved games yet. Use 'save <name>' to save.");
+            return;
+          }
+  
+          nm.info('=== Saved Games ===');
+          saves.forEach(save => {
+            const meta = save.metadata;
+            const gameDate = meta.gameDate ? meta.gameDate.slice(0, 10) : 'unknown date';
+            const venues = `${meta.venueCount} venue${meta.venueCount === 1 ? '' : 's'}${meta.currentVenue ? ` (${meta.currentVenue})` : ''}`;
+            const imported = save.source === 'imported' ? ' [imported]' : '';
+            nm.info(
+              `"${save.name}"${imported} - ${gameDate}, €${meta.cash.toFixed(2)}, ${venues}, ` +
+              `played ${this.formatPlaytime(meta.playtime)}, saved ${save.date.slice(0, 16).replace('T', ' ')}`
+            );
+          });
+          nm.info("Use 'load <name>' to load a save, or 'saves delete <name>' / 'saves rename <name> <new name>'.");
+        })
+        .catch(error => {
+          nm.error(`Error listing saved games: ${error.message}`);
+        });
+    }
+  
+    /**
+     * Export a save slot to an archive file
+     * @param {Array} args - Command arguments: [name, file] (quote either if it has spaces)
+     * @returns {boolean} Success status
+     */
+    exportSave(args) {
+      if (args.length !== 2) {
+        this.game.notificationManager.error('Usage: exportsave <name> <file> (quote names or paths with spaces)');
         return false;
       }
+  
+      this.game.saveManager.exportSave(args[0], args[1]);
+      return true;
     }
   
     /**
-     * Load the game
+     * Import an archive file and load the save from it
+     * @param {Array} args - Command arguments: [file]
      * @returns {boolean} Success status
      */
-    loadGame() {
-      try {
-        const success = this.game.loadGame();
-        
-        if (success) {
-          this.game.notificationManager.success("Game loaded successfully!");
-        } else {
-          this.game.notificationManager.error("No saved game found or loading failed.");
+    importSave(args) {
+      if (args.length === 0) {
+        this.game.notificationManager.error('Usage: importsave <file>');
+        return false;
+      }
+  
+      if (!confirm(`Importing a save replaces the current game, including its records in the database. The current game is saved to "${SAVES.importBackupSlot}" and exported next to the file first. Continue?`)) {
+        this.game.notificationManager.info('Import cancelled.');
+        return true;
+      }
+  
+      this.game.saveManager.importSave(args.join(' '))
+        .then(name => {
+          if (name) {
+            this.game.loadGame(name);
+          }
+        });
+      return true;
+    }
+  
+    /**
+     * Undo the last reversible command, or list the ones that can be undone
+     * @param {Array} args - Command arguments: [history]
+     * @returns {boolean} Success status
+     */
+    undo(args) {
+      if (args.length > 0 && args[0].toLowerCase() === 'history') {
+        const history = this.game.undoManager.getHistory();
+        if (history.length === 0) {
+          this.game.notificationManager.info('Nothing to undo.');
+          return true;
         }
-        
-        return success;
-      } catch (error) {
-        this.game.notificationManager.error(`Error loading game: ${error.message}`);
+  
+        this.game.notificationManager.info('=== Undo History (most recent first) ===');
+        history.forEach((entry, index) => {
+          const status = entry.refusal ? `can't be undone: ${entry.refusal}` : 'can be undone';
+          this.game.notificationManager.info(`${index + 1}. ${entry.recordedAt.slice(11, 16)} ${entry.description} (${status})`);
+        });
+        return true;
+      }
+  
+      if (args.length > 0) {
+        this.game.notificationManager.error('Usage: undo [history]');
         return false;
       }
+  
+      this.game.undoManager.undo();
+      return true;
+    }
+  
+    /**
+     * Format a playtime for display
+     * @param {number} seconds - Seconds played
+     * @returns {string} Hours and minutes, e.g. "3h 05m"
+     */
+    formatPlaytime(seconds) {
+      const totalMinutes = Math.floor((seconds || 0) / 60);
+      const hours = Math.floor(totalMinutes / 60);
+      const minutes = totalMinutes % 60;
+      return `${hours}h ${String(minutes).padStart(2, '0')}m`;
     }
   
     /**
@@ -276,6 +441,11 @@ class GameCommands {
      */
     resumeGame() {
       try {
+        if (this.game.financialManager.insolvencyManager.isBankrupt()) {
+          this.game.notificationManager.error("You are bankrupt. Start a new game to play again.");
+          return true;
+        }
+        
         if (!this.game.state.settings.gamePaused) {
           this.game.notificationManager.info("Game is already running.");
           return true;
@@ -414,4 +584,6 @@ class GameCommands {
       
       return false;
     }
-  }
\ No newline at end of file
+  }
+  
+  module.exports = GameCommands;
\ No newline at end of file
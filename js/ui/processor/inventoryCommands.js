@@ -24,6 +24,15 @@ class InventoryCommands {
         case 'order':
         case 'orderinventory':
           return this.orderInventory(args);
+        case 'orders':
+        case 'purchaseorders':
+          return this.showOrders(args);
+        case 'suppliers':
+        case 'supplier':
+          return this.showSuppliers(args);
+        case 'autoreorder':
+        case 'reorder':
+          return this.autoReorder(args);
         case 'setprice':
         case 'updateprice':
           return this.updatePrice(args);
@@ -76,7 +85,7 @@ class InventoryCommands {
       // Check for specific category
       let category = 'all';
       if (args.length > 0) {
-        const validCategories = ['drinks', 'food', 'equipment', 'all'];
+        const validCategories = ['drinks', 'food', 'ingredients', 'equipment', 'all'];
         const requestedCategory = args[0].toLowerCase();
         
         if (validCategories.includes(requestedCategory)) {
@@ -98,6 +107,10 @@ class InventoryCommands {
         this.displayFoodInventory(venue);
       }
       
+      if (category === 'all' || category === 'ingredients') {
+        this.displayIngredientsInventory(venue);
+      }
+      
       if (category === 'all' || category === 'equipment') {
         this.displayEquipmentInventory(venue);
       }
@@ -116,6 +129,7 @@ class InventoryCommands {
       }
       
       this.game.notificationManager.info("--- Drinks ---");
+      const recipes = this.game.inventoryManager.recipes;
       
       // Group by type
       const drinksByType = {};
@@ -131,16 +145,21 @@ class InventoryCommands {
         this.game.notificationManager.info(`${type.charAt(0).toUpperCase() + type.slice(1)}:`);
         
         drinks.forEach(drink => {
-          const profit = (drink.sellPrice - drink.costPrice).toFixed(2);
-          const margin = ((drink.sellPrice / drink.costPrice - 1) * 100).toFixed(0);
+          const cost = recipes.getCost(venue, drink);
+          const stock = recipes.getServings(venue, drink);
+          const profit = (drink.sellPrice - cost).toFixed(2);
+          const margin = ((drink.sellPrice / cost - 1) * 100).toFixed(0);
           
           // Highlight low stock
-          let stockStatus = drink.stock.toString();
-          if (drink.stock < 10) {
-            stockStatus = `[LOW: ${drink.stock}]`;
+          let stockStatus = stock.toString();
+          if (stock < 10) {
+            stockStatus = `[LOW: ${stock}]`;
+          }
+          if (recipes.isMadeToOrder(drink)) {
+            stockStatus += ' (made to order)';
           }
           
-          this.game.notificationManager.info(`  ${drink.name} - Stock: ${stockStatus} - Cost: €${drink.costPrice.toFixed(2)} - Price: €${drink.sellPrice.toFixed(2)} - Profit: €${profit} (${margin}%)`);
+          this.game.notificationManager.info(`  ${drink.name} - Stock: ${stockStatus} - Cost: €${cost.toFixed(2)} - Price: €${drink.sellPrice.toFixed(2)} - Profit: €${profit} (${margin}%)`);
         });
       });
     }
@@ -161,6 +180,7 @@ class InventoryCommands {
       }
       
       this.game.notificationManager.info("--- Food ---");
+      const recipes = this.game.inventoryManager.recipes;
       
       // Group by type
       const foodByType = {};
@@ -176,20 +196,60 @@ class InventoryCommands {
         this.game.notificationManager.info(`${type.charAt(0).toUpperCase() + type.slice(1)}:`);
         
         foods.forEach(food => {
-          const profit = (food.sellPrice - food.costPrice).toFixed(2);
-          const margin = ((food.sellPrice / food.costPrice - 1) * 100).toFixed(0);
+          const cost = recipes.getCost(venue, food);
+          const stock = recipes.getServings(venue, food);
+          const profit = (food.sellPrice - cost).toFixed(2);
+          const margin = ((food.sellPrice / cost - 1) * 100).toFixed(0);
           
           // Highlight low stock
-          let stockStatus = food.stock.toString();
-          if (food.stock < 10) {
-            stockStatus = `[LOW: ${food.stock}]`;
+          let stockStatus = stock.toString();
+          if (stock < 10) {
+            stockStatus = `[LOW: ${stock}]`;
+          }
+          if (recipes.isMadeToOrder(food)) {
+            stockStatus += ' (made to order)';
           }
           
-          this.game.notificationManager.info(`  ${food.name} - Stock: ${stockStatus} - Cost: €${food.costPrice.toFixed(2)} - Price: €${food.sellPrice.toFixed(2)} - Profit: €${profit} (${margin}%)`);
+          this.game.notificationManager.info(`  ${food.name} - Stock: ${stockStatus} - Cost: €${cost.toFixed(2)} - Price: €${food.sellPrice.toFixed(2)} - Profit: €${profit} (${margin}%)`);
         });
       });
     }
   
+    /**
+     * Display ingredients inventory
+     * @param {Object} venue - Venue object
+     */
+    displayIngredientsInventory(venue) {
+      if (!venue.inventory.ingredients || venue.inventory.ingredients.length === 0) {
+        return;
+      }
+      
+      this.game.notificationManager.info("--- Ingredients ---");
+      const recipes = this.game.inventoryManager.recipes;
+      
+      venue.inventory.ingredients.forEach(ingredient => {
+        const unit = ingredient.unit === 'unit' ? '' : ingredient.unit;
+        const servings = recipes.getIngredientServings(venue, ingredient);
+        
+        // Highlight ingredients that will run out within 10 servings
+        let stockStatus = `${ingredient.stock}${unit}`;
+        if (servings < 10) {
+          stockStatus = `[LOW: ${ingredient.stock}${unit}]`;
+        }
+        
+        this.game.notificationManager.info(`  ${ingredient.name} - Stock: ${stockStatus} - Cost: €${this.formatUnitPrice(ingredient.costPrice)} per ${ingredient.unit}`);
+      });
+    }
+  
+    /**
+     * Format a price per unit, keeping fractions of a cent for ingredients sold by the gram or centilitre
+     * @param {number} price - Price per unit
+     * @returns {string} Price with 2 or 4 decimals
+     */
+    formatUnitPrice(price) {
+      return Math.round(price * 100) / 100 === price ? price.toFixed(2) : price.toFixed(4);
+    }
+  
     /**
      * Display equipment inventory
      * @param {Object} venue - Venue object
@@ -230,26 +290,27 @@ class InventoryCommands {
     }
   
     /**
-     * Order inventory item
-     * @param {Array} args - Command arguments: [item_type, item_name, quantity]
+     * Order inventory item from a supplier
+     * @param {Array} args - Command arguments: [item_type, item_name, quantity, supplier]
      * @returns {boolean} Success status
      */
     orderInventory(args) {
       if (!this.validateVenueExists()) return false;
   
       if (args.length < 3) {
-        this.game.notificationManager.error("Usage: order <item_type> <item_name> <quantity>");
-        this.game.notificationManager.info("Example: order drinks 'Beer' 50");
-        this.game.notificationManager.info("Item types: drinks, food");
+        this.game.notificationManager.error("Usage: order <item_type> <item_name> <quantity> [supplier]");
+        this.game.notificationManager.info("Example: order drinks 'Beer' 50 city_wholesale");
+        this.game.notificationManager.info("Item types: drinks, food, ingredients. Without a supplier the cheapest one is used; see 'suppliers'.");
         return false;
       }
   
       const itemType = args[0].toLowerCase();
       const itemName = args[1];
       const quantity = parseInt(args[2], 10);
+      const supplierId = args[3];
   
       // Validate item type
-      const validTypes = ['drinks', 'food'];
+      const validTypes = ['drinks', 'food', 'ingredients'];
       if (!validTypes.includes(itemType)) {
         this.game.notificationManager.error(`Invalid item type. Choose from: ${validTypes.join(', ')}`);
         return false;
@@ -261,31 +322,166 @@ class InventoryCommands {
         return false;
       }
   
-      try {
-        const success = this.game.inventoryManager.orderInventory(
-          this.game.state.currentVenue.id,
-          itemType,
-          itemName,
-          quantity
+      this.game.inventoryManager.orderInventory(
+        this.game.state.currentVenue.id,
+        itemType,
+        itemName,
+        quantity,
+        supplierId
+      ).then(order => {
+        if (order) {
+          this.game.notificationManager.info("Use 'orders' to follow the delivery.");
+        }
+      });
+      return true;
+    }
+  
+    /**
+     * Show suppliers, or one supplier's catalogue for the current venue
+     * @param {Array} args - Command arguments: [supplier]
+     * @returns {boolean} Success status
+     */
+    showSuppliers(args) {
+      if (!this.validateVenueExists()) return false;
+  
+      const suppliers = this.game.inventoryManager.suppliers;
+      const venue = this.game.state.currentVenue;
+  
+      if (args.length === 0) {
+        this.game.notificationManager.info("=== Suppliers ===");
+        suppliers.getSuppliers().forEach((supplier, index) => {
+          this.game.notificationManager.info(`${index + 1}. ${supplier.name} (${supplier.id}) - ${supplier.description}`);
+          this.game.notificationManager.info(
+            `   Sells: ${supplier.subtypes ? supplier.subtypes.join(', ') + ' ' : ''}${supplier.itemTypes.join(', ')} | ` +
+            `Delivery: ${supplier.leadTimeHours}h | Min. order: ${supplier.minOrder} | Reliability: ${Math.round(supplier.reliability * 100)}%`
+          );
+        });
+        this.game.notificationManager.info("Use 'suppliers <supplier>' to see a catalogue.");
+        return true;
+      }
+  
+      const supplier = suppliers.getSupplier(args[0]);
+      if (!supplier) {
+        this.game.notificationManager.error(`Supplier '${args[0]}' not found.`);
+        return false;
+      }
+  
+      const catalogue = suppliers.getCatalogue(supplier.id, venue);
+      this.game.notificationManager.info(`=== ${supplier.name} Catalogue ===`);
+      if (catalogue.length === 0) {
+        this.game.notificationManager.info("Nothing this supplier sells is on your menu.");
+        return true;
+      }
+  
+      catalogue.forEach(entry => {
+        const item = venue.inventory[entry.itemType].find(i => i.name === entry.name);
+        const unit = item.unit || 'unit';
+        const price = this.formatUnitPrice(entry.price);
+        this.game.notificationManager.info(
+          `${entry.name} (${entry.itemType}) - €${price} per ${unit} | In stock: ${item.stock}${unit === 'unit' ? '' : unit}`
         );
+      });
+      this.game.notificationManager.info(`Minimum order: ${supplier.minOrder} units. Orders arrive in about ${supplier.leadTimeHours} hours.`);
+      return true;
+    }
   
-        if (success) {
-          this.game.notificationManager.success(`Ordered ${quantity} ${itemName} for your inventory.`);
-          return true;
-        } else {
-          this.game.notificationManager.error(`Failed to order ${itemName}. Make sure the item exists and you have enough cash.`);
+    /**
+     * Show purchase orders and their delivery status
+     * @param {Array} args - Command arguments: ['all'] to include delivered orders
+     * @returns {boolean} Success status
+     */
+    showOrders(args) {
+      if (!this.validateVenueExists()) return false;
+  
+      const includeCompleted = args.length > 0 && args[0].toLowerCase() === 'all';
+      const orders = this.game.inventoryManager.suppliers.getOrders(this.game.state.currentVenue, includeCompleted);
+  
+      this.game.notificationManager.info(`=== ${includeCompleted ? 'Purchase Orders' : 'Open Purchase Orders'} ===`);
+      if (orders.length === 0) {
+        this.game.notificationManager.info(includeCompleted ? "You haven't ordered anything yet." : "No deliveries are expected. Use 'orders all' to see past orders.");
+        return true;
+      }
+  
+      const statusText = {
+        pending: 'Pending',
+        delayed: 'Delayed',
+        delivered: 'Delivered',
+        partial: 'Partly delivered',
+        refused: 'Refused'
+      };
+  
+      orders.forEach(order => {
+        let when = `due ${order.dueAt.replace('T', ' ').slice(0, 16)}`;
+        if (order.deliveredAt) {
+          when = `arrived ${order.deliveredAt.replace('T', ' ').slice(0, 16)}`;
+        } else if (order.refusedAt) {
+          when = `refused ${order.refusedAt.replace('T', ' ').slice(0, 16)}`;
+        }
+        const quantity = order.status === 'partial' ? `${order.deliveredQuantity}/${order.quantity}` : order.quantity;
+  
+        this.game.notificationManager.info(
+          `${order.id}: ${quantity} ${order.itemName} from ${order.supplierName} - €${order.total.toFixed(2)} - ${statusText[order.status]}, ${when}`
+        );
+      });
+      return true;
+    }
+  
+    /**
+     * Show or change automatic reorder rules and the cash reserve
+     * @param {Array} args - Command arguments: [], [item, min, max], [item, 'off'] or ['reserve', amount]
+     * @returns {boolean} Success status
+     */
+    autoReorder(args) {
+      if (!this.validateVenueExists()) return false;
+  
+      const reorders = this.game.inventoryManager.reorders;
+      const venue = this.game.state.currentVenue;
+  
+      if (args.length === 0) {
+        const rules = reorders.getRules(venue);
+        this.game.notificationManager.info("=== Automatic Reordering ===");
+        if (rules.length === 0) {
+          this.game.notificationManager.info("No items are reordered automatically.");
+        }
+        rules.forEach(rule => {
+          const item = (venue.inventory[rule.itemType] || []).find(i => i.name === rule.itemName);
+          this.game.notificationManager.info(
+            `${rule.itemName} (${rule.itemType}) - reorder at ${rule.reorderPoint}, refill to ${rule.parLevel} | In stock: ${item ? item.stock : 'not on the menu'}`
+          );
+        });
+        this.game.notificationManager.info(`Cash reserve: €${reorders.getCashReserve(venue).toFixed(2)}`);
+        this.game.notificationManager.info("Usage: autoreorder <item> <min> <max> | autoreorder <item> off | autoreorder reserve <amount>");
+        return true;
+      }
+  
+      if (args[0].toLowerCase() === 'reserve') {
+        const amount = parseFloat(args[1]);
+        if (args.length < 2 || isNaN(amount)) {
+          this.game.notificationManager.error("Usage: autoreorder reserve <amount>");
           return false;
         }
-      } catch (error) {
-        this.game.notificationManager.error(`Error ordering inventory: ${error.message}`);
+        return reorders.setCashReserve(venue, amount);
+      }
+  
+      if (args.length >= 2 && args[args.length - 1].toLowerCase() === 'off') {
+        return reorders.removeRule(venue, args.slice(0, -1).join(' '));
+      }
+  
+      if (args.length < 3) {
+        this.game.notificationManager.error("Usage: autoreorder <item> <min> <max>");
+        this.game.notificationManager.info("Example: autoreorder 'Beer' 20 60");
         return false;
       }
+  
+      const reorderPoint = Number(args[args.length - 2]);
+      const parLevel = Number(args[args.length - 1]);
+      return reorders.setRule(venue, args.slice(0, -2).join(' '), reorderPoint, parLevel) !== null;
     }
   
     /**
      * Update item price
      * @param {Array} args - Command arguments: [item_type, item_name, price]
-     * @returns {boolean} Success status
+     * @returns {boolean|Promise<boolean>} Success status; a promise once the change has started
      */
     updatePrice(args) {
       if (!this.validateVenueExists()) return false;
@@ -314,48 +510,88 @@ class InventoryCommands {
         return false;
       }
   
+      return this.performPriceChange(this.game.state.currentVenue, itemType, itemName, price);
+    }
+
+    /**
+     * Change an item's price so it can be undone
+     * @param {Object} venue - Venue
+     * @param {string} itemType - drinks or food
+     * @param {string} itemName - Item name
+     * @param {number} price - New price
+     * @returns {Promise<boolean>} True if the price was changed
+     */
+    async performPriceChange(venue, itemType, itemName, price) {
+      const oldItem = venue.inventory[itemType] && venue.inventory[itemType].find(item => item.name === itemName);
+      const oldPrice = oldItem ? oldItem.sellPrice : null;
+
       try {
-        const success = this.game.inventoryManager.updateInventoryPrices(
-          this.game.state.currentVenue.id,
-          itemType,
-          itemName,
-          price
-        );
-  
-        if (success) {
-          this.game.notificationManager.success(`Updated ${itemName} price to €${price.toFixed(2)}.`);
-          
-          // Get the item to check profit margin
-          const venue = this.game.state.currentVenue;
-          const item = venue.inventory[itemType].find(item => item.name === itemName);
-          
-          if (item) {
-            const margin = ((price / item.costPrice - 1) * 100).toFixed(0);
-            const profit = (price - item.costPrice).toFixed(2);
-            
-            // Provide feedback based on margin
-            if (price < item.costPrice) {
-              this.game.notificationManager.warning(`Warning: You're selling this item at a loss of €${Math.abs(profit)} per unit!`);
-            } else if (margin < 20) {
-              this.game.notificationManager.warning(`Low profit margin of ${margin}%. Consider increasing the price.`);
-            } else if (margin > 300) {
-              this.game.notificationManager.warning(`Very high profit margin of ${margin}%. This might deter customers.`);
-            } else {
-              this.game.notificationManager.info(`Profit margin: ${margin}% (€${profit} per unit)`);
+        const success = await this.game.undoManager.perform({
+          description: `set the price of ${itemName} at ${venue.name}` + (oldPrice !== null ? ` from €${oldPrice.toFixed(2)}` : ''),
+          venueId: venue.id,
+          scope: [{ table: 'inventory_items', where: 'venue_id = ? AND name = ?', params: [venue.id, itemName] }],
+          apply: () => this.game.inventoryManager.updateInventoryPrices(venue.id, itemType, itemName, price),
+          inverse: () => {
+            const item = (this.game.venueManager.getVenue(venue.id) || venue).inventory[itemType].find(item => item.name === itemName);
+            if (item && oldPrice !== null) {
+              item.sellPrice = oldPrice;
             }
           }
-          
-          return true;
-        } else {
-          this.game.notificationManager.error(`Failed to update ${itemName} price. Make sure the item exists.`);
-          return false;
-        }
+        });
+
+        this.reportPriceUpdate(success, venue, itemType, itemName, price);
+        return Boolean(success);
       } catch (error) {
         this.game.notificationManager.error(`Error updating price: ${error.message}`);
         return false;
       }
     }
   
+    /**
+     * Report a price change with the margin and how customers will see it
+     * @param {boolean} success - Whether the price was changed
+     * @param {Object} venue - Venue
+     * @param {string} itemType - drinks or food
+     * @param {string} itemName - Item name
+     * @param {number} price - New price
+     */
+    reportPriceUpdate(success, venue, itemType, itemName, price) {
+      if (success) {
+        this.game.notificationManager.success(`Updated ${itemName} price to €${price.toFixed(2)}.`);
+        
+        // Get the item to check profit margin
+        const item = venue.inventory[itemType].find(item => item.name === itemName);
+        
+        if (item) {
+          const margin = ((price / item.costPrice - 1) * 100).toFixed(0);
+          const profit = (price - item.costPrice).toFixed(2);
+          
+          // Provide feedback based on margin
+          if (price < item.costPrice) {
+            this.game.notificationManager.warning(`Warning: You're selling this item at a loss of €${Math.abs(profit)} per unit!`);
+          } else if (margin < 20) {
+            this.game.notificationManager.warning(`Low profit margin of ${margin}%. Consider increasing the price.`);
+          } else {
+            this.game.notificationManager.info(`Profit margin: ${margin}% (€${profit} per unit)`);
+          }
+          
+          // Customers judge the price against what the item usually costs in the city
+          const reference = this.game.inventoryManager.pricing.getReferencePrice(venue, itemType, item);
+          const difference = reference > 0 ? Math.round((price / reference - 1) * 100) : 0;
+          const expected = `Customers in ${venue.city} expect to pay about €${reference.toFixed(2)}`;
+          if (difference > 10) {
+            this.game.notificationManager.warning(`${expected}. At ${difference}% more, price-sensitive customers will order less.`);
+          } else if (difference < -10) {
+            this.game.notificationManager.info(`${expected}. At ${-difference}% less, some will order a second.`);
+          } else {
+            this.game.notificationManager.info(`${expected}.`);
+          }
+        }
+      } else {
+        this.game.notificationManager.error(`Failed to update ${itemName} price. Make sure the item exists.`);
+      }
+    }
+  
     /**
      * Repair equipment
      * @param {Array} args - Command arguments: [equipment_name]
@@ -463,7 +699,8 @@ class InventoryCommands {
         this.game.notificationManager.warning(`--- ${type.charAt(0).toUpperCase() + type.slice(1)} ---`);
         
         items.forEach(item => {
-          this.game.notificationManager.warning(`${item.name}: Only ${item.stock} left in stock.`);
+          const unit = item.unit && item.unit !== 'unit' ? item.unit : '';
+          this.game.notificationManager.warning(`${item.name}: Only ${item.stock}${unit} left in stock.`);
         });
       });
       
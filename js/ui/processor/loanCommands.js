@@ -0,0 +1,134 @@
+// js/ui/processor/loanCommands.js
+// Handles loan commands for borrowing against venues and repaying loans
+
+const { LOANS } = require('../../config');
+
+/**
+ * LoanCommands - Module for processing loan commands
+ * @param {Object} game - Reference to the game instance
+ */
+class LoanCommands {
+    constructor(game) {
+      this.game = game;
+    }
+
+    /**
+     * Process loan commands
+     * @param {string} command - The command to process
+     * @param {Array} args - The command arguments
+     * @returns {boolean} True if the command was successfully processed
+     */
+    processCommand(command, args) {
+      switch (command) {
+        case 'loan':
+        case 'loans':
+          return this.loan(args);
+        default:
+          return false;
+      }
+    }
+
+    /**
+     * Validate that a current venue is selected
+     * @param {boolean} [showError=true] - Whether to show an error message if no venue is selected
+     * @returns {boolean} - Whether a venue is selected
+     */
+    validateVenueExists(showError = true) {
+      if (!this.game.state.currentVenue) {
+        if (showError) {
+          this.game.notificationManager.error("No venue is currently selected. Use 'selectvenue' command first.");
+        }
+        return false;
+      }
+      return true;
+    }
+
+    /**
+     * Show loans and the current offer, apply for a loan or repay one
+     * @param {Array} args - Command arguments: [] | [apply, amount, months] | [repay, number, amount?]
+     * @returns {boolean} Success status
+     */
+    loan(args) {
+      const loanManager = this.game.financialManager.loanManager;
+      const action = args.length > 0 ? args[0].toLowerCase() : 'list';
+
+      if (action === 'list' && args.length <= 1) {
+        this.showLoans();
+        return true;
+      }
+
+      if (action === 'apply' && args.length === 3) {
+        if (!this.validateVenueExists()) return false;
+
+        // The lender values the venue first, so the answer arrives asynchronously
+        loanManager.applyForLoan(this.game.state.currentVenue, Number(args[1]), Number(args[2]))
+          .catch(error => {
+            this.game.notificationManager.error(`Error applying for the loan: ${error.message}`);
+          });
+        return true;
+      }
+
+      if (action === 'repay' && (args.length === 2 || args.length === 3)) {
+        const loan = loanManager.getLoan(Number(args[1]));
+        if (!loan) {
+          this.game.notificationManager.error(`There is no loan ${args[1]}. Use 'loan' to see your loans.`);
+          return false;
+        }
+        return args.length === 3 ? loanManager.repay(loan, Number(args[2])) : loanManager.repay(loan);
+      }
+
+      this.game.notificationManager.error("Usage: loan [apply <amount> <months> | repay <number> [amount]]");
+      this.game.notificationManager.info(`Example: loan apply 5000 12 (terms: ${LOANS.termsMonths.join(', ')} months)`);
+      return false;
+    }
+
+    /**
+     * Show the player's loans, then what the current venue could borrow
+     */
+    showLoans() {
+      const nm = this.game.notificationManager;
+      const loanManager = this.game.financialManager.loanManager;
+      const loans = loanManager.getLoans();
+
+      nm.info('=== Loans ===');
+      if (loans.length === 0) {
+        nm.info('You have no loans.');
+      }
+
+      loans.forEach(loan => {
+        const title = `Loan ${loan.number}: €${loan.principal.toFixed(2)} against ${loan.venueName} at ${(loan.annualRate * 100).toFixed(1)}%`;
+        if (loan.status === 'active') {
+          const line = `${title} - €${loan.balance.toFixed(2)} left, €${loan.monthlyPayment.toFixed(2)} a month ` +
+            `(${loan.paymentsMade} of ${loan.termMonths} payments made)`;
+          if (loan.missedPayments > 0) {
+            nm.warning(`${line} - ${loan.missedPayments} payment${loan.missedPayments === 1 ? '' : 's'} missed`);
+          } else {
+            nm.info(line);
+          }
+        } else {
+          nm.info(`${title} - ${loan.status} ${loan.closedAt.slice(0, 10)}`);
+        }
+      });
+
+      if (!this.validateVenueExists(false)) return;
+
+      const venue = this.game.state.currentVenue;
+      loanManager.getOffer(venue)
+        .then(offer => {
+          const history = offer.months > 0
+            ? `average monthly profit €${offer.averageProfit.toFixed(2)} over ${offer.months} month${offer.months === 1 ? '' : 's'}`
+            : 'no profit history yet';
+          nm.info(`${venue.name} is worth €${offer.value.toFixed(2)} to the bank (${history}).`);
+          if (offer.available >= LOANS.minAmount) {
+            nm.info(`You can borrow up to €${offer.available.toFixed(2)} against it at ${(offer.annualRate * 100).toFixed(1)}% a year. Use 'loan apply <amount> <months>'.`);
+          } else {
+            nm.info(`The bank won't lend any more against ${venue.name} at the moment.`);
+          }
+        })
+        .catch(error => {
+          nm.error(`Error getting a loan offer: ${error.message}`);
+        });
+    }
+  }
+
+  module.exports = LoanCommands;
@@ -1,6 +1,8 @@
 // js/ui/processor/marketingCommands.js
 // Handles marketing-related commands for advertising, promotions, and events
 
+const { PATRONS } = require('../../config');
+
 /**
  * MarketingCommands - Module for processing marketing-related commands
  * @param {Object} game - Reference to the game instance
@@ -34,6 +36,8 @@ class MarketingCommands {
           return this.showMarketingAnalysis();
         case 'marketingmenu':
           return this.showMarketingMenu();
+        case 'regulars':
+          return this.showRegulars(args);
         default:
           return false;
       }
@@ -191,29 +195,16 @@ class MarketingCommands {
       }
       
       try {
-        const success = this.game.marketingManager.createAdvertisingCampaign(
+        const campaign = this.game.marketingManager.createAdvertisingCampaign(
           this.game.state.currentVenue.id,
           type,
           budget
         );
         
-        if (success) {
-          // Deduct cost
-          this.game.state.player.cash -= budget;
-          
-          // Record transaction if financial manager exists
-          if (this.game.financialManager) {
-            this.game.financialManager.recordTransaction({
-              type: 'expense',
-              category: 'marketing',
-              subcategory: 'advertising',
-              amount: budget,
-              date: this.game.timeManager ? { ...this.game.timeManager.getGameTime() } : null,
-              venueId: this.game.state.currentVenue.id
-            });
-          }
-          
+        if (campaign) {
+          // Costs are charged daily by the marketing manager
           this.game.notificationManager.success(`Started a ${type} advertising campaign with a budget of €${budget.toFixed(2)}.`);
+          this.game.notificationManager.info(`The budget is spent at €${campaign.dailyCost.toFixed(2)} per day until ${campaign.endDate.day}/${campaign.endDate.month}/${campaign.endDate.year}.`);
           
           // Impact description based on type and budget
           let impactDescription = '';
@@ -282,13 +273,13 @@ class MarketingCommands {
       }
       
       try {
-        const success = this.game.marketingManager.createPromotion(
+        const promotion = this.game.marketingManager.createPromotion(
           this.game.state.currentVenue.id,
           type,
           details
         );
         
-        if (success) {
+        if (promotion) {
           this.game.notificationManager.success(`Created a new ${this.formatPromotionType(type)} promotion: ${details}`);
           
           // Provide some guidance based on promotion type
@@ -306,7 +297,7 @@ class MarketingCommands {
               this.game.notificationManager.info("Tip: Special menus can showcase your best items and create a unique experience.");
               break;
             case 'loyalty':
-              this.game.notificationManager.info("Tip: Loyalty programs help build a regular customer base over time.");
+              this.game.notificationManager.info(`Tip: Regulars get ${Math.round(PATRONS.programme.discount * 100)}% off their bill and come back more often while it runs. See them with 'regulars'.`);
               break;
           }
           
@@ -383,29 +374,15 @@ class MarketingCommands {
       }
       
       try {
-        const success = this.game.marketingManager.createSpecialEvent(
+        const event = this.game.marketingManager.createSpecialEvent(
           venue.id,
           type,
           budget
         );
         
-        if (success) {
-          // Deduct cost
-          this.game.state.player.cash -= budget;
-          
-          // Record transaction if financial manager exists
-          if (this.game.financialManager) {
-            this.game.financialManager.recordTransaction({
-              type: 'expense',
-              category: 'marketing',
-              subcategory: 'special_event',
-              amount: budget,
-              date: this.game.timeManager ? { ...this.game.timeManager.getGameTime() } : null,
-              venueId: venue.id
-            });
-          }
-          
-          this.game.notificationManager.success(`Scheduled a ${this.formatPromotionType(type)} event with a budget of €${budget.toFixed(2)}.`);
+        if (event) {
+          // The budget is charged on the day of the event
+          this.game.notificationManager.success(`Scheduled a ${this.formatPromotionType(type)} event with a budget of €${budget.toFixed(2)} for ${event.date.day}/${event.date.month}/${event.date.year}.`);
           
           // Event quality description based on budget
           let qualityDescription = '';
@@ -489,25 +466,64 @@ class MarketingCommands {
         return true;
       }
       
-      const analysis = this.game.marketingManager.getMarketingAnalysis(this.game.state.currentVenue.id);
+      const venue = this.game.state.currentVenue;
       
+      // The analysis reads visit and revenue history, so it completes asynchronously
+      this.game.marketingManager.getMarketingAnalysis(venue.id)
+        .then(analysis => this.displayMarketingAnalysis(venue, analysis))
+        .catch(error => {
+          this.game.notificationManager.error(`Error analysing marketing: ${error.message}`);
+        });
+      
+      return true;
+    }
+  
+    /**
+     * Display a marketing analysis
+     * @param {Object} venue - The analysed venue
+     * @param {Object|null} analysis - Analysis from the marketing manager
+     */
+    displayMarketingAnalysis(venue, analysis) {
       if (!analysis) {
         this.game.notificationManager.info("Not enough data for marketing analysis. Try running some campaigns first.");
-        return true;
+        return;
       }
       
-      this.game.notificationManager.info(`=== Marketing Analysis: ${this.game.state.currentVenue.name} ===`);
+      this.game.notificationManager.info(`=== Marketing Analysis: ${venue.name} ===`);
+      
+      // Before / during / after comparison for each campaign
+      this.game.notificationManager.info("--- Campaign Windows (daily averages) ---");
+      if (analysis.windows && analysis.windows.length > 0) {
+        analysis.windows.forEach(result => {
+          this.game.notificationManager.info(`${result.label} (${this.formatDate(result.campaign.startDate)} - ${this.formatDate(result.campaign.endDate)}):`);
+          this.game.notificationManager.info(`  Before: ${this.formatWindow(result.before)}`);
+          this.game.notificationManager.info(`  During: ${this.formatWindow(result.during)}`);
+          this.game.notificationManager.info(`  After:  ${result.after.days > 0 ? this.formatWindow(result.after) : 'not yet available'}`);
+        });
+      } else {
+        this.game.notificationManager.info("No campaigns have run at this venue yet.");
+      }
       
       // Campaign effectiveness
-      this.game.notificationManager.info("--- Campaign Effectiveness ---");
+      this.game.notificationManager.info("\n--- Campaign Effectiveness ---");
       if (analysis.campaigns && analysis.campaigns.length > 0) {
         analysis.campaigns.forEach(campaign => {
-          this.game.notificationManager.info(`${campaign.type}: ROI: ${campaign.roi.toFixed(1)}% | Cost: €${campaign.cost.toFixed(2)} | Revenue impact: €${campaign.impact.toFixed(2)}`);
+          this.game.notificationManager.info(`${campaign.type}: ROI: ${campaign.roi.toFixed(1)}% | Cost: €${campaign.cost.toFixed(2)} | Revenue impact: €${campaign.impact.toFixed(2)} | ${this.formatCostPerCustomer(campaign)}`);
         });
       } else {
         this.game.notificationManager.info("No campaign data available.");
       }
       
+      // Return by city across all venues
+      this.game.notificationManager.info("\n--- ROI by City ---");
+      if (analysis.cities && analysis.cities.length > 0) {
+        analysis.cities.forEach(city => {
+          this.game.notificationManager.info(`${city.type}: ROI: ${city.roi.toFixed(1)}% | Cost: €${city.cost.toFixed(2)} | Revenue impact: €${city.impact.toFixed(2)} | ${this.formatCostPerCustomer(city)}`);
+        });
+      } else {
+        this.game.notificationManager.info("No city data available.");
+      }
+      
       // Customer demographics
       this.game.notificationManager.info("\n--- Customer Demographics ---");
       if (analysis.demographics) {
@@ -537,10 +553,92 @@ class MarketingCommands {
       } else {
         this.game.notificationManager.info("No marketing recommendations available yet.");
       }
+    }
+  
+    /**
+     * Format one campaign window for display
+     * @param {Object} window - Window summary
+     * @returns {string} Formatted summary
+     */
+    formatWindow(window) {
+      if (window.daysWithData === 0) return 'no data';
+      return `${window.avgCustomers.toFixed(1)} customers, €${window.avgRevenue.toFixed(2)} revenue, ${window.newCustomerShare.toFixed(0)}% new customers`;
+    }
+  
+    /**
+     * Format cost per acquired customer for display
+     * @param {Object} group - Aggregated campaign results
+     * @returns {string} Formatted cost per customer
+     */
+    formatCostPerCustomer(group) {
+      if (group.costPerCustomer === null) return 'No measurable new customers';
+      return `€${group.costPerCustomer.toFixed(2)} per new customer (${Math.round(group.acquiredCustomers)} acquired)`;
+    }
+  
+    /**
+     * Format a game date for display
+     * @param {Object} date - Date with year, month and day
+     * @returns {string} Formatted date
+     */
+    formatDate(date) {
+      return `${date.day}/${date.month}/${date.year}`;
+    }
+  
+    /**
+     * Show the most loyal patrons in the current venue's city
+     * @param {Array} args - Optional number of patrons to show
+     * @returns {boolean} Success status
+     */
+    showRegulars(args) {
+      if (!this.validateVenueExists()) return false;
+  
+      const count = args.length > 0 ? parseInt(args[0], 10) : 10;
+      if (isNaN(count) || count < 1) {
+        this.game.notificationManager.error("Usage: regulars [count]");
+        return false;
+      }
+      
+      const venue = this.game.state.currentVenue;
+      const patronManager = this.game.customerManager.patrons;
+      const patrons = patronManager.getTopPatrons(venue.city, count);
+      
+      this.game.notificationManager.info(`=== Regulars in ${venue.city} ===`);
+      if (patronManager.hasLoyaltyProgramme(venue)) {
+        this.game.notificationManager.info(`${venue.name} is running a loyalty programme: ${Math.round(PATRONS.programme.discount * 100)}% off for regulars.`);
+      }
+      
+      if (patrons.length === 0) {
+        this.game.notificationManager.info("No regulars yet. Patrons come back to venues where they had a good time.");
+        return true;
+      }
+      
+      patrons.forEach((patron, index) => {
+        const favourites = patronManager.getFavourites(patron);
+        const items = [...favourites.drinks, ...favourites.food];
+        const favouriteVenue = patronManager.getFavouriteVenue(patron);
+        const lastVisit = patron.visits[patron.visits.length - 1];
+        const returnChance = patronManager.getReturnChance(patron, venue);
+        
+        this.game.notificationManager.info(`${index + 1}. ${patron.name} - Loyalty: ${Math.round(patron.loyalty)} | Visits: ${patron.visitCount} | Spent: €${patron.totalSpent.toFixed(2)} | Chance of coming here: ${Math.round(returnChance * 100)}%`);
+        this.game.notificationManager.info(`   Favourites: ${items.length > 0 ? items.join(', ') : 'none yet'} | Favourite venue: ${favouriteVenue ? favouriteVenue.name : 'none yet'}`);
+        if (lastVisit) {
+          this.game.notificationManager.info(`   Last visit: ${this.formatIsoDate(lastVisit.date)} at ${lastVisit.venueName || 'a closed venue'}, satisfaction ${lastVisit.satisfaction}%`);
+        }
+      });
       
       return true;
     }
   
+    /**
+     * Format an ISO game date for display
+     * @param {string} isoDate - Date as YYYY-MM-DDTHH:MM:00
+     * @returns {string} Formatted date
+     */
+    formatIsoDate(isoDate) {
+      const [year, month, day] = isoDate.slice(0, 10).split('-').map(Number);
+      return this.formatDate({ year, month, day });
+    }
+  
     /**
      * Show marketing menu
      * @returns {boolean} Success status
@@ -0,0 +1,189 @@
+// js/ui/processor/pricingCommands.js
+// Handles price rule and price experiment commands
+
+/**
+ * PricingCommands - Module for processing price rule and price experiment commands
+ * @param {Object} game - Reference to the game instance
+ */
+class PricingCommands {
+    constructor(game) {
+      this.game = game;
+    }
+
+    /**
+     * Process pricing commands
+     * @param {string} command - The command to process
+     * @param {Array} args - The command arguments
+     * @returns {boolean} True if the command was successfully processed
+     */
+    processCommand(command, args) {
+      switch (command) {
+        case 'pricerule':
+        case 'pricerules':
+          return this.priceRule(args);
+        case 'priceexperiment':
+          return this.priceExperiment(args);
+        default:
+          return false;
+      }
+    }
+
+    /**
+     * Validate that a current venue is selected
+     * @param {boolean} [showError=true] - Whether to show an error message if no venue is selected
+     * @returns {boolean} - Whether a venue is selected
+     */
+    validateVenueExists(showError = true) {
+      if (!this.game.state.currentVenue) {
+        if (showError) {
+          this.game.notificationManager.error("No venue is currently selected. Use 'selectvenue' command first.");
+        }
+        return false;
+      }
+      return true;
+    }
+
+    /**
+     * List, add or remove time-of-day price rules
+     * @param {Array} args - Command arguments: [] | [add, name, start, end, percent, type?] | [remove, name]
+     * @returns {boolean} Success status
+     */
+    priceRule(args) {
+      if (!this.validateVenueExists()) return false;
+
+      const pricing = this.game.inventoryManager.pricing;
+      const venue = this.game.state.currentVenue;
+      const action = args.length > 0 ? args[0].toLowerCase() : 'list';
+
+      if (action === 'list') {
+        this.showRules(venue);
+        return true;
+      }
+
+      if (action === 'add' && (args.length === 5 || args.length === 6)) {
+        const itemType = args.length === 6 ? args[5].toLowerCase() : null;
+        return pricing.addRule(venue, args[1], Number(args[2]), Number(args[3]), Number(args[4]), itemType) !== null;
+      }
+
+      if (action === 'remove' && args.length === 2) {
+        return pricing.removeRule(venue, args[1]);
+      }
+
+      this.game.notificationManager.error("Usage: pricerule [add <name> <start> <end> <percent> [drinks|food] | remove <name>]");
+      this.game.notificationManager.info("Example: pricerule add happyhour 17 19 -30 drinks");
+      return false;
+    }
+
+    /**
+     * Show the venue's price rules and which are in force now
+     * @param {Object} venue - Venue
+     */
+    showRules(venue) {
+      const pricing = this.game.inventoryManager.pricing;
+      const rules = pricing.getRules(venue);
+      const hour = this.game.timeManager.getGameTime().hour;
+
+      this.game.notificationManager.info(`=== Price rules at ${venue.name} ===`);
+      if (rules.length === 0) {
+        this.game.notificationManager.info("No price rules. Menu prices are the same all day.");
+      }
+
+      rules.forEach(rule => {
+        const hours = `${pricing.formatHour(rule.start)}-${pricing.formatHour(rule.end)}`;
+        const active = pricing.isRuleActive(rule, hour) ? ' (in force now)' : '';
+        this.game.notificationManager.info(`${pricing.describeRule(rule)}, ${hours}${active}`);
+      });
+
+      this.game.notificationManager.info(
+        `Prices in ${venue.city} are ${Math.round(pricing.getPriceLevel(venue) * 100)}% of the usual level.`
+      );
+      this.game.notificationManager.info("Use 'pricerule add <name> <start> <end> <percent> [drinks|food]' to add a rule.");
+    }
+
+    /**
+     * Start, stop or report on an A/B price experiment
+     * @param {Array} args - Command arguments: [] | [stop] | [item_name..., priceA, priceB, days, mode?]
+     * @returns {boolean} Success status
+     */
+    priceExperiment(args) {
+      if (!this.validateVenueExists()) return false;
+
+      const experiments = this.game.inventoryManager.experiments;
+      const venue = this.game.state.currentVenue;
+
+      if (args.length === 0) {
+        const experiment = experiments.getExperiment(venue);
+        if (!experiment) {
+          this.game.notificationManager.info("No price experiment yet. Use 'priceexperiment <item> <priceA> <priceB> <days> [daily|blocks]' to start one.");
+          return true;
+        }
+
+        // Results are read from the sales and visit history, so they arrive asynchronously
+        experiments.analyzeExperiment(venue, experiment)
+          .then(result => this.showExperiment(experiment, result))
+          .catch(error => {
+            this.game.notificationManager.error(`Error analysing the price experiment: ${error.message}`);
+          });
+        return true;
+      }
+
+      if (args.length === 1 && args[0].toLowerCase() === 'stop') {
+        return experiments.stopExperiment(venue);
+      }
+
+      const rest = [...args];
+      const mode = ['daily', 'blocks'].includes(rest[rest.length - 1].toLowerCase()) ? rest.pop().toLowerCase() : 'daily';
+      if (rest.length < 4) {
+        this.game.notificationManager.error("Usage: priceexperiment [<item> <priceA> <priceB> <days> [daily|blocks] | stop]");
+        this.game.notificationManager.info("Example: priceexperiment Beer 4.00 4.80 14 blocks");
+        return false;
+      }
+
+      const [priceA, priceB, days] = rest.splice(-3).map(Number);
+      return experiments.startExperiment(venue, rest.join(' '), priceA, priceB, days, mode) !== null;
+    }
+
+    /**
+     * Show an experiment's progress and how each price has done
+     * @param {Object} experiment - Experiment
+     * @param {Object} result - Results from analyzeExperiment
+     */
+    showExperiment(experiment, result) {
+      const nm = this.game.notificationManager;
+      const state = experiment.status === 'running'
+        ? `day ${Math.floor(experiment.hoursRun / 24) + 1} of ${experiment.days}`
+        : `${experiment.status} ${experiment.end.slice(0, 10)}`;
+
+      nm.info(`=== Price experiment: ${experiment.itemName} (${state}) ===`);
+      ['A', 'B'].forEach(arm => {
+        const summary = result.arms[arm];
+        const satisfaction = summary.satisfaction !== null ? `${summary.satisfaction} (${summary.visits} groups)` : 'no data';
+        nm.info(
+          `€${summary.price.toFixed(2)}: ${summary.units} sold over ${Math.round(summary.hours)} hours - ` +
+          `Revenue: €${summary.revenue.toFixed(2)} - Profit: €${summary.profit.toFixed(2)} (€${summary.profitPerDay.toFixed(2)} per day) - ` +
+          `Satisfaction: ${satisfaction}`
+        );
+      });
+
+      const best = result.arms[result.winner];
+      if (result.arms.A.units + result.arms.B.units === 0) {
+        nm.info(`No ${experiment.itemName} sold yet.`);
+      } else if (result.confidence === null) {
+        nm.info(`€${best.price.toFixed(2)} is ahead, but each price needs at least two periods before the result means much.`);
+      } else {
+        const confidence = Math.round(result.confidence * 100);
+        const message = `€${best.price.toFixed(2)} made the most profit, with ${confidence}% confidence that it is the better price.`;
+        if (confidence >= 90) {
+          nm.success(message);
+        } else {
+          nm.info(`${message} Run the experiment for longer to be surer.`);
+        }
+      }
+
+      if (experiment.status === 'running') {
+        nm.info("Use 'priceexperiment stop' to end it early and restore the original price.");
+      }
+    }
+  }
+
+  module.exports = PricingCommands;
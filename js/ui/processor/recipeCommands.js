@@ -0,0 +1,121 @@
+// js/ui/processor/recipeCommands.js
+// Handles recipe commands for made-to-order drinks and dishes
+
+const { findIngredient, formatRecipe } = require('../../utils/recipes');
+
+/**
+ * RecipeCommands - Module for processing recipe commands
+ * @param {Object} game - Reference to the game instance
+ */
+class RecipeCommands {
+    constructor(game) {
+      this.game = game;
+    }
+
+    /**
+     * Process recipe commands
+     * @param {string} command - The command to process
+     * @param {Array} args - The command arguments
+     * @returns {boolean} True if the command was successfully processed
+     */
+    processCommand(command, args) {
+      switch (command) {
+        case 'recipes':
+        case 'recipe':
+          return this.showRecipes(args);
+        default:
+          return false;
+      }
+    }
+
+    /**
+     * Validate that a current venue is selected
+     * @param {boolean} [showError=true] - Whether to show an error message if no venue is selected
+     * @returns {boolean} - Whether a venue is selected
+     */
+    validateVenueExists(showError = true) {
+      if (!this.game.state.currentVenue) {
+        if (showError) {
+          this.game.notificationManager.error("No venue is currently selected. Use 'selectvenue' command first.");
+        }
+        return false;
+      }
+      return true;
+    }
+
+    /**
+     * List the venue's made-to-order items, or show one recipe in detail
+     * @param {Array} args - Command arguments: [] | [item_name]
+     * @returns {boolean} Success status
+     */
+    showRecipes(args) {
+      if (!this.validateVenueExists()) return false;
+
+      const recipes = this.game.inventoryManager.recipes;
+      const venue = this.game.state.currentVenue;
+      const items = ['drinks', 'food']
+        .flatMap(itemType => venue.inventory[itemType] || [])
+        .filter(item => recipes.isMadeToOrder(item));
+
+      if (args.length > 0) {
+        const itemName = args.join(' ').toLowerCase();
+        const item = items.find(candidate => candidate.name.toLowerCase() === itemName);
+        if (!item) {
+          this.game.notificationManager.error(`'${args.join(' ')}' is not made to order at ${venue.name}. Use 'recipes' to list recipes.`);
+          return false;
+        }
+        this.showRecipe(venue, item);
+        return true;
+      }
+
+      if (items.length === 0) {
+        this.game.notificationManager.info(`Nothing on the menu at ${venue.name} is made to order.`);
+        return true;
+      }
+
+      this.game.notificationManager.info(`=== Recipes at ${venue.name} ===`);
+      items.forEach(item => {
+        const cost = recipes.getCost(venue, item);
+        this.game.notificationManager.info(
+          `${item.name}: ${formatRecipe(item.recipe, venue.inventory.ingredients)} - ` +
+          `Cost: €${cost.toFixed(2)} - Price: €${item.sellPrice.toFixed(2)} - Servings: ${recipes.getServings(venue, item)}`
+        );
+      });
+      this.game.notificationManager.info("Use 'recipes <item>' for a cost breakdown.");
+      return true;
+    }
+
+    /**
+     * Show what each ingredient of a recipe costs and how many servings are left
+     * @param {Object} venue - Venue
+     * @param {Object} item - Made-to-order drink or dish
+     */
+    showRecipe(venue, item) {
+      const recipes = this.game.inventoryManager.recipes;
+      const cost = recipes.getCost(venue, item);
+      const margin = item.sellPrice > 0 ? ((item.sellPrice - cost) / item.sellPrice) * 100 : 0;
+
+      this.game.notificationManager.info(`=== ${item.name} ===`);
+      item.recipe.forEach(line => {
+        const ingredient = findIngredient(venue.inventory.ingredients, line.ingredient);
+        if (!ingredient) {
+          this.game.notificationManager.warning(`  ${line.quantity} ${line.ingredient} - not stocked`);
+          return;
+        }
+
+        const unit = ingredient.unit === 'unit' ? '' : ingredient.unit;
+        this.game.notificationManager.info(
+          `  ${line.quantity}${unit} ${ingredient.name} - €${(ingredient.costPrice * line.quantity).toFixed(2)}` +
+          ` | In stock: ${ingredient.stock}${unit}`
+        );
+      });
+
+      this.game.notificationManager.info(
+        `Cost per serving: €${cost.toFixed(2)} - Price: €${item.sellPrice.toFixed(2)} - ` +
+        `Profit: €${(item.sellPrice - cost).toFixed(2)} (${margin.toFixed(0)}% margin)`
+      );
+      this.game.notificationManager.info(`Servings available: ${recipes.getServings(venue, item)}`);
+    }
+  }
+
+  module.exports = RecipeCommands;
@@ -0,0 +1,270 @@
+// js/ui/processor/scheduleCommands.js
+// Handles roster commands for viewing, editing and planning staff shifts
+
+const { DAY_NAMES, parseDays, formatShift } = require('../../utils/shifts');
+
+/**
+ * ScheduleCommands - Module for processing roster commands
+ * @param {Object} game - Reference to the game instance
+ */
+class ScheduleCommands {
+    constructor(game) {
+      this.game = game;
+    }
+  
+    /**
+     * Process roster commands
+     * @param {string} command - The command to process
+     * @param {Array} args - The command arguments
+     * @returns {boolean} True if the command was successfully processed
+     */
+    processCommand(command, args) {
+      switch (command) {
+        case 'schedule':
+        case 'roster':
+          return this.manageSchedule(args);
+        case 'autoschedule':
+        case 'autoroster':
+          return this.autoSchedule(args);
+        default:
+          return false;
+      }
+    }
+  
+    /**
+     * Validate that a current venue is selected
+     * @param {boolean} [showError=true] - Whether to show an error message if no venue is selected
+     * @returns {boolean} - Whether a venue is selected
+     */
+    validateVenueExists(showError = true) {
+      if (!this.game.state.currentVenue) {
+        if (showError) {
+          this.game.notificationManager.error("No venue is currently selected. Use 'selectvenue' command first.");
+        }
+        return false;
+      }
+      return true;
+    }
+  
+    /**
+     * View or change the weekly roster
+     * @param {Array} args - Command arguments: [] | [set, staff, days, start, end] |
+     *   [off, staff, days] | [copy, day, days] | [copy, staff, staff]
+     * @returns {boolean} Success status
+     */
+    manageSchedule(args) {
+      if (!this.validateVenueExists()) return false;
+  
+      const scheduler = this.game.staffManager.scheduler;
+      const venue = this.game.state.currentVenue;
+      const action = args.length > 0 ? args[0].toLowerCase() : 'view';
+      let success;
+  
+      switch (action) {
+        case 'view':
+          return this.showSchedule();
+  
+        case 'set': {
+          if (args.length < 5) {
+            this.game.notificationManager.error("Usage: schedule set <staff> <days> <start> <end>");
+            return false;
+          }
+          const staff = this.findVenueStaff(args[1]);
+          const days = this.parseScheduleDays(args[2]);
+          if (!staff || !days) return false;
+  
+          success = scheduler.assignShift(staff.id, days, parseInt(args[3], 10), parseInt(args[4], 10));
+          break;
+        }
+  
+        case 'off': {
+          if (args.length < 3) {
+            this.game.notificationManager.error("Usage: schedule off <staff> <days>");
+            return false;
+          }
+          const staff = this.findVenueStaff(args[1]);
+          const days = this.parseScheduleDays(args[2]);
+          if (!staff || !days) return false;
+  
+          success = scheduler.clearShift(staff.id, days);
+          break;
+        }
+  
+        case 'copy': {
+          if (args.length < 3) {
+            this.game.notificationManager.error("Usage: schedule copy <day> <days> or schedule copy <staff> <staff>");
+            return false;
+          }
+  
+          // Day names copy a day's roster; anything else names staff
+          const fromDays = parseDays(args[1]);
+          if (fromDays) {
+            const toDays = this.parseScheduleDays(args[2]);
+            if (fromDays.length !== 1) {
+              this.game.notificationManager.error("Copy from a single day, e.g. 'schedule copy fri sat'.");
+              return false;
+            }
+            if (!toDays) return false;
+  
+            success = scheduler.copyDay(venue.id, fromDays[0], toDays);
+          } else {
+            const from = this.findVenueStaff(args[1]);
+            const to = from && this.findVenueStaff(args[2]);
+            if (!from || !to) return false;
+  
+            success = scheduler.copySchedule(from.id, to.id);
+          }
+          break;
+        }
+  
+        default:
+          this.game.notificationManager.error("Usage: schedule [set|off|copy] ...");
+          this.game.notificationManager.info("Type 'help staff' for the schedule commands.");
+          return false;
+      }
+  
+      if (success) {
+        this.showCoverageWarnings();
+      }
+      return success;
+    }
+  
+    /**
+     * Show the weekly roster of the current venue and any uncovered hours
+     * @returns {boolean} Success status
+     */
+    showSchedule() {
+      const venue = this.game.state.currentVenue;
+      const roster = this.game.staffManager.scheduler.getRoster(venue.id);
+  
+      if (roster.length === 0) {
+        this.game.notificationManager.info("You don't have any staff at this venue yet.");
+        return true;
+      }
+  
+      this.game.notificationManager.info(`=== Weekly Roster at ${venue.name} (open ${venue.settings.openingHour}:00-${venue.settings.closingHour}:00) ===`);
+      roster.forEach(({ staff, schedule }, index) => {
+        this.game.notificationManager.info(`${index + 1}. ${staff.name} (${staff.type})`);
+        const shifts = DAY_NAMES.map((day, dayIndex) => `${day.slice(0, 3)} ${formatShift(schedule[dayIndex])}`);
+        this.game.notificationManager.info(`   ${shifts.join(' | ')}`);
+      });
+  
+      this.showCoverageWarnings();
+      return true;
+    }
+  
+    /**
+     * Warn about opening hours without a required role on shift
+     */
+    showCoverageWarnings() {
+      const gaps = this.game.staffManager.scheduler.describeCoverageGaps(this.game.state.currentVenue);
+  
+      if (gaps.length === 0) {
+        this.game.notificationManager.success('Every opening hour is covered.');
+        return;
+      }
+  
+      this.game.notificationManager.warning(`Uncovered opening hours (${gaps.length}):`);
+      gaps.forEach(gap => this.game.notificationManager.warning(`  ${gap}`));
+    }
+  
+    /**
+     * Find a staff member at the current venue by list number or ID
+     * @param {string} arg - Number from the roster list, or staff ID
+     * @returns {Object|null} Staff member, or null if not found
+     */
+    findVenueStaff(arg) {
+      const venueStaff = this.game.staffManager.getStaffByVenue(this.game.state.currentVenue.id);
+      const index = parseInt(arg, 10) - 1;
+  
+      const staff = String(index + 1) === arg && index >= 0 && index < venueStaff.length ?
+        venueStaff[index] :
+        venueStaff.find(member => member.id === arg);
+  
+      if (!staff) {
+        this.game.notificationManager.error(`Staff member '${arg}' not found at this venue.`);
+        return null;
+      }
+      return staff;
+    }
+  
+    /**
+     * Parse days for a schedule command, reporting bad input
+     * @param {string} arg - Days, e.g. 'fri', 'mon,tue', 'weekend'
+     * @returns {Array<number>|null} Schedule indexes, or null if invalid
+     */
+    parseScheduleDays(arg) {
+      const days = parseDays(arg);
+      if (!days) {
+        this.game.notificationManager.error(`'${arg}' is not a day. Use e.g. mon, fri,sat, weekdays, weekend or all.`);
+      }
+      return days;
+    }
+  
+    /**
+     * Suggest next week's roster from demand history, and optionally use it
+     * @param {Array} args - Command arguments: [budget <amount>] [apply]
+     * @returns {boolean} Success status
+     */
+    autoSchedule(args) {
+      if (!this.validateVenueExists()) return false;
+  
+      const venue = this.game.state.currentVenue;
+      const planner = this.game.staffManager.rosterPlanner;
+      let apply = false;
+  
+      for (let i = 0; i < args.length; i++) {
+        const arg = args[i].toLowerCase();
+  
+        if (arg === 'apply') {
+          apply = true;
+        } else if (arg === 'budget') {
+          const budget = parseFloat(args[i + 1]);
+          if (isNaN(budget) || budget < 0) {
+            this.game.notificationManager.error("Usage: autoschedule budget <weekly_amount> [apply]");
+            return false;
+          }
+  
+          // The budget is remembered for later plans
+          venue.settings.wageBudget = budget;
+          i++;
+        } else {
+          this.game.notificationManager.error("Usage: autoschedule [budget <weekly_amount>] [apply]");
+          return false;
+        }
+      }
+  
+      if (this.game.staffManager.getStaffByVenue(venue.id).length === 0) {
+        this.game.notificationManager.error("You don't have any staff at this venue.");
+        return false;
+      }
+  
+      const plan = planner.planRoster(venue, venue.settings.wageBudget);
+  
+      this.game.notificationManager.info(`=== Suggested Roster for ${venue.name} (budget €${plan.budget}/week) ===`);
+      planner.describePlan(plan).forEach((line, index) => {
+        this.game.notificationManager.info(`${index + 1}. ${line}`);
+      });
+  
+      plan.warnings.forEach(warning => this.game.notificationManager.warning(warning));
+  
+      const { current, planned } = plan;
+      const difference = planned.cost - current.cost;
+      this.game.notificationManager.info(`Opening hours covered: ${current.coverage}% now, ${planned.coverage}% planned`);
+      this.game.notificationManager.info(`Expected demand served: ${current.demandServed}% now, ${planned.demandServed}% planned`);
+      this.game.notificationManager.info(
+        `Weekly cost: €${current.cost.toFixed(2)} now, €${planned.cost.toFixed(2)} planned (${difference >= 0 ? '+' : '-'}€${Math.abs(difference).toFixed(2)})`
+      );
+  
+      if (!apply) {
+        this.game.notificationManager.info("Use 'autoschedule apply' to use this roster.");
+        return true;
+      }
+  
+      planner.applyPlan(plan);
+      this.showCoverageWarnings();
+      return true;
+    }
+  }
+  
+  module.exports = ScheduleCommands;
\ No newline at end of file
@@ -1,6 +1,8 @@
 // js/ui/processor/staffCommands.js
 // Handles staff-related commands for hiring, firing, and managing staff
 
+const { DAY_NAMES, formatShift } = require('../../utils/shifts');
+
 /**
  * StaffCommands - Module for processing staff-related commands
  * @param {Object} game - Reference to the game instance
@@ -134,7 +136,7 @@ class StaffCommands {
     /**
      * Fire a staff member
      * @param {Array} args - Command arguments: [staff_id or staff_index]
-     * @returns {boolean} Success status
+     * @returns {boolean|Promise<boolean>} Success status; a promise once the firing has started
      */
     fireStaff(args) {
       if (!this.validateVenueExists()) return false;
@@ -176,25 +178,44 @@ class StaffCommands {
   
       // Ask for confirmation
       if (confirm(`Are you sure you want to fire ${staffName}?`)) {
-        try {
-          const success = this.game.staffManager.fireStaff(staffId);
-  
-          if (success) {
-            this.game.notificationManager.success(`${staffName} has been fired.`);
-            return true;
-          } else {
-            this.game.notificationManager.error("Failed to fire staff member.");
-            return false;
-          }
-        } catch (error) {
-          this.game.notificationManager.error(`Error firing staff: ${error.message}`);
-          return false;
-        }
+        return this.performFire(staffId, staffName);
       } else {
         this.game.notificationManager.info("Staff firing cancelled.");
         return false;
       }
     }
+
+    /**
+     * Fire a staff member the player has confirmed, so it can be undone
+     * @param {string} staffId - Staff ID
+     * @param {string} staffName - Name for the notifications
+     * @returns {Promise<boolean>} True if fired
+     */
+    async performFire(staffId, staffName) {
+      try {
+        let before = null;
+        const success = await this.game.undoManager.perform({
+          description: `fire ${staffName}`,
+          venueId: this.game.state.currentVenue.id,
+          scope: this.getStaffScope(staffId),
+          apply: () => {
+            before = this.copyStaff(staffId);
+            return this.game.staffManager.fireStaff(staffId);
+          },
+          inverse: () => this.game.staffManager.restoreStaff(before)
+        });
+
+        if (success) {
+          this.game.notificationManager.success(`${staffName} has been fired.`);
+        } else {
+          this.game.notificationManager.error("Failed to fire staff member.");
+        }
+        return success;
+      } catch (error) {
+        this.game.notificationManager.error(`Error firing staff: ${error.message}`);
+        return false;
+      }
+    }
   
     /**
      * View current staff at the venue
@@ -345,7 +366,7 @@ class StaffCommands {
     /**
      * Adjust a staff member's wage
      * @param {Array} args - Command arguments: [staff_id, new_wage]
-     * @returns {boolean} Success status
+     * @returns {boolean|Promise<boolean>} Success status; a promise once the change has started
      */
     adjustWage(args) {
       if (!this.validateVenueExists()) return false;
@@ -378,28 +399,70 @@ class StaffCommands {
         return false;
       }
   
+      return this.performWageChange(staff, newWage);
+    }
+
+    /**
+     * Change a staff member's wage so it can be undone
+     * @param {Object} staff - Staff member
+     * @param {number} newWage - New weekly wage
+     * @returns {Promise<boolean>} True if the wage was changed
+     */
+    async performWageChange(staff, newWage) {
+      const oldWage = staff.wage;
       try {
-        const success = this.game.staffManager.adjustStaffWage(staffId, newWage);
-  
+        let before = null;
+        const success = await this.game.undoManager.perform({
+          description: `change ${staff.name}'s wage from €${oldWage} to €${newWage}`,
+          venueId: staff.venue,
+          scope: this.getStaffScope(staff.id),
+          apply: () => {
+            before = this.copyStaff(staff.id);
+            return this.game.staffManager.adjustStaffWage(staff.id, newWage);
+          },
+          inverse: () => this.game.staffManager.restoreStaff(before)
+        });
+
         if (success) {
           // Check if wage was increased or decreased
-          if (newWage > staff.wage) {
+          if (newWage > oldWage) {
             this.game.notificationManager.success(`${staff.name}'s wage increased to €${newWage}/week. They seem happy about it.`);
-          } else if (newWage < staff.wage) {
+          } else if (newWage < oldWage) {
             this.game.notificationManager.warning(`${staff.name}'s wage decreased to €${newWage}/week. They don't look pleased.`);
           } else {
             this.game.notificationManager.info(`${staff.name}'s wage remains €${newWage}/week.`);
           }
-          return true;
         } else {
           this.game.notificationManager.error("Failed to adjust wage. The staff member may have quit due to a substantial pay cut.");
-          return false;
         }
+        return success;
       } catch (error) {
         this.game.notificationManager.error(`Error adjusting wage: ${error.message}`);
         return false;
       }
     }
+
+    /**
+     * Get the database rows of a staff member, for undo
+     * @param {string} staffId - Staff ID
+     * @returns {Array<Object>} Undo scope
+     */
+    getStaffScope(staffId) {
+      return ['staff', 'staff_skills', 'staff_personality', 'staff_schedule'].map(table => ({
+        table,
+        where: table === 'staff' ? 'id = ?' : 'staff_id = ?',
+        params: [staffId]
+      }));
+    }
+
+    /**
+     * Copy a staff member's record as it is now, for undo
+     * @param {string} staffId - Staff ID
+     * @returns {Object} Deep copy of the staff member
+     */
+    copyStaff(staffId) {
+      return JSON.parse(JSON.stringify(this.game.staffManager.getStaff(staffId)));
+    }
   
     /**
      * View detailed information about a staff member
@@ -451,13 +514,10 @@ class StaffCommands {
       
       // Display schedule
       this.game.notificationManager.info('--- Schedule ---');
-      const daysOfWeek = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-      const workingDaysText = daysOfWeek
-        .filter((_, index) => staff.workingDays[index])
-        .join(', ');
-      
-      this.game.notificationManager.info(`Working days: ${workingDaysText}`);
-      this.game.notificationManager.info(`Working hours: ${staff.workingHours.start}:00 - ${staff.workingHours.end}:00`);
+      const schedule = this.game.staffManager.scheduler.getSchedule(staff);
+      DAY_NAMES.forEach((day, index) => {
+        this.game.notificationManager.info(`${day}: ${formatShift(schedule[index])}`);
+      });
       
       return true;
     }
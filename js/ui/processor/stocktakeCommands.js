@@ -0,0 +1,131 @@
+// js/ui/processor/stocktakeCommands.js
+// Handles stock-take commands for counting stock and reviewing shrinkage
+
+// Shifts listed in a stock-take report
+const MAX_SHIFTS_SHOWN = 10;
+
+/**
+ * StocktakeCommands - Module for processing stock-take commands
+ * @param {Object} game - Reference to the game instance
+ */
+class StocktakeCommands {
+    constructor(game) {
+      this.game = game;
+    }
+
+    /**
+     * Process stock-take commands
+     * @param {string} command - The command to process
+     * @param {Array} args - The command arguments
+     * @returns {boolean} True if the command was successfully processed
+     */
+    processCommand(command, args) {
+      switch (command) {
+        case 'stocktake':
+        case 'stockcount':
+          return this.stocktake(args);
+        default:
+          return false;
+      }
+    }
+
+    /**
+     * Validate that a current venue is selected
+     * @param {boolean} [showError=true] - Whether to show an error message if no venue is selected
+     * @returns {boolean} - Whether a venue is selected
+     */
+    validateVenueExists(showError = true) {
+      if (!this.game.state.currentVenue) {
+        if (showError) {
+          this.game.notificationManager.error("No venue is currently selected. Use 'selectvenue' command first.");
+        }
+        return false;
+      }
+      return true;
+    }
+
+    /**
+     * Count stock now, or show the last stock-take again
+     * @param {Array} args - Command arguments: [] | [last]
+     * @returns {boolean} Success status
+     */
+    stocktake(args) {
+      if (!this.validateVenueExists()) return false;
+
+      const stocktakes = this.game.inventoryManager.stocktakes;
+      const venue = this.game.state.currentVenue;
+
+      if (args.length > 0 && args[0].toLowerCase() === 'last') {
+        const last = stocktakes.getLastStocktake(venue);
+        if (!last) {
+          this.game.notificationManager.info("No stock-take yet. Use 'stocktake' to count your stock.");
+          return true;
+        }
+        this.showReport(venue, last);
+        return true;
+      }
+
+      if (args.length > 0) {
+        this.game.notificationManager.error("Usage: stocktake [last]");
+        return false;
+      }
+
+      this.showReport(venue, stocktakes.takeStocktake(venue));
+      return true;
+    }
+
+    /**
+     * Show a stock-take's variance by item, by shift and by staff member
+     * @param {Object} venue - Venue
+     * @param {Object} stocktake - Stock-take
+     */
+    showReport(venue, stocktake) {
+      const nm = this.game.notificationManager;
+      const amount = value => `€${Math.abs(value).toFixed(2)}`;
+
+      nm.info(`=== Stock-take at ${venue.name}, ${stocktake.date.replace('T', ' ').slice(0, 16)} ===`);
+      nm.info(stocktake.since ? `Losses since the last count on ${stocktake.since.slice(0, 10)}.` : 'First count at this venue.');
+
+      const short = stocktake.items.filter(item => item.variance !== 0);
+      if (short.length === 0) {
+        nm.success('Every item counted matches the records.');
+        return;
+      }
+
+      nm.info('--- Variance by item ---');
+      short.forEach(item => {
+        const unit = item.unit === 'unit' ? '' : item.unit;
+        nm.warning(
+          `${item.itemName}: expected ${item.theoretical}${unit}, counted ${item.counted}${unit} ` +
+          `(${item.variance}${unit}) - ${amount(item.cost)}`
+        );
+      });
+
+      if (stocktake.shifts.length > 0) {
+        nm.info('--- Variance by shift ---');
+        stocktake.shifts.slice(0, MAX_SHIFTS_SHOWN).forEach(shift => {
+          const causes = Object.entries(shift.causes).map(([cause, count]) => `${count} ${cause}`).join(', ');
+          nm.info(`${shift.shiftDate} ${shift.shift} ${shift.staffName}: ${amount(shift.cost)} (${causes})`);
+        });
+        if (stocktake.shifts.length > MAX_SHIFTS_SHOWN) {
+          nm.info(`...and ${stocktake.shifts.length - MAX_SHIFTS_SHOWN} more shifts.`);
+        }
+
+        // Staff losing well over the average per shift are worth a closer look
+        const average = stocktake.staff.reduce((total, staff) => total + staff.costPerShift, 0) / stocktake.staff.length;
+        nm.info('--- Variance by staff ---');
+        stocktake.staff.forEach(staff => {
+          const line = `${staff.staffName}: ${amount(staff.cost)} over ${staff.shifts} shift${staff.shifts === 1 ? '' : 's'} (${amount(staff.costPerShift)} per shift)`;
+          if (stocktake.staff.length > 1 && staff.costPerShift > average * 1.5) {
+            nm.warning(`${line} - well above average`);
+          } else {
+            nm.info(line);
+          }
+        });
+      }
+
+      nm.warning(`Total shrinkage: ${amount(stocktake.total)}, written off as an expense.`);
+    }
+  }
+
+  module.exports = StocktakeCommands;
@@ -0,0 +1,123 @@
+// js/ui/processor/taxCommands.js
+// Handles tax commands for reviewing and paying what a venue owes
+
+// Paid liabilities listed after the ones still open
+const MAX_PAID_SHOWN = 4;
+
+/**
+ * TaxCommands - Module for processing tax commands
+ * @param {Object} game - Reference to the game instance
+ */
+class TaxCommands {
+    constructor(game) {
+      this.game = game;
+    }
+
+    /**
+     * Process tax commands
+     * @param {string} command - The command to process
+     * @param {Array} args - The command arguments
+     * @returns {boolean} True if the command was successfully processed
+     */
+    processCommand(command, args) {
+      switch (command) {
+        case 'taxes':
+        case 'tax':
+          return this.taxes(args);
+        default:
+          return false;
+      }
+    }
+
+    /**
+     * Validate that a current venue is selected
+     * @param {boolean} [showError=true] - Whether to show an error message if no venue is selected
+     * @returns {boolean} - Whether a venue is selected
+     */
+    validateVenueExists(showError = true) {
+      if (!this.game.state.currentVenue) {
+        if (showError) {
+          this.game.notificationManager.error("No venue is currently selected. Use 'selectvenue' command first.");
+        }
+        return false;
+      }
+      return true;
+    }
+
+    /**
+     * Show the venue's taxes, or pay everything that is owed
+     * @param {Array} args - Command arguments: [] | [pay]
+     * @returns {boolean} Success status
+     */
+    taxes(args) {
+      if (!this.validateVenueExists()) return false;
+
+      const venue = this.game.state.currentVenue;
+
+      if (args.length === 1 && args[0].toLowerCase() === 'pay') {
+        return this.game.financialManager.taxManager.payAll(venue);
+      }
+
+      if (args.length > 0) {
+        this.game.notificationManager.error("Usage: taxes [pay]");
+        return false;
+      }
+
+      this.showTaxes(venue);
+      return true;
+    }
+
+    /**
+     * Show tax rates, open and recent liabilities, and the profit so far this year
+     * @param {Object} venue - Venue
+     */
+    showTaxes(venue) {
+      const nm = this.game.notificationManager;
+      const taxManager = this.game.financialManager.taxManager;
+      const rates = taxManager.getRates(venue);
+      const percent = rate => `${Math.round(rate * 1000) / 10}%`;
+
+      nm.info(`=== Taxes at ${venue.name} ===`);
+      nm.info(`Rates in ${venue.city}: VAT ${percent(rates.vat)} (included in prices), payroll tax ${percent(rates.payroll)} of wages, corporate tax ${percent(rates.corporate)} of profit`);
+
+      const liabilities = taxManager.getLiabilities(venue);
+      const open = liabilities.filter(liability => liability.status !== 'paid');
+      const paid = liabilities.filter(liability => liability.status === 'paid').slice(0, MAX_PAID_SHOWN);
+
+      if (liabilities.length === 0) {
+        nm.info('No taxes charged yet.');
+      }
+
+      open.forEach(liability => {
+        const total = `€${taxManager.getTotal(liability).toFixed(2)}`;
+        const penalties = liability.penalties > 0 ? ` including €${liability.penalties.toFixed(2)} in penalties` : '';
+        const line = `${taxManager.describe(liability)}: ${total}${penalties}`;
+
+        if (liability.status === 'accruing') {
+          nm.info(`${line} so far, due once the period ends`);
+        } else if (liability.status === 'overdue') {
+          nm.error(`${line} - overdue since ${liability.dueDate.slice(0, 10)}`);
+        } else {
+          nm.warning(`${line} - due ${liability.dueDate.slice(0, 10)}`);
+        }
+      });
+
+      paid.forEach(liability => {
+        nm.info(`${taxManager.describe(liability)}: €${taxManager.getTotal(liability).toFixed(2)} paid ${liability.paidAt.slice(0, 10)}`);
+      });
+
+      const books = (venue.taxBooks || {})[this.game.timeManager.getGameTime().year];
+      if (books) {
+        const profit = books.revenue - books.expenses;
+        const estimate = profit > 0 ? ` (corporate tax so far: €${(profit * rates.corporate).toFixed(2)})` : '';
+        nm.info(`Taxable profit this year: €${profit.toFixed(2)}${estimate}`);
+      }
+
+      const owed = taxManager.getAmountOwed(venue);
+      if (owed > 0) {
+        nm.info(`Use 'taxes pay' to pay the €${owed.toFixed(2)} owed now. Unpaid taxes are paid automatically on their due date when there is enough cash.`);
+      }
+    }
+  }
+
+  module.exports = TaxCommands;
@@ -41,6 +41,13 @@ class VenueCommands {
         case 'entrancefee':
         case 'setfee':
           return this.setEntranceFee(args);
+        case 'smoking':
+        case 'setsmoking':
+          return this.setSmokingPolicy(args);
+        case 'regulations':
+          return this.showRegulations();
+        case 'inspections':
+          return this.showInspections();
         case 'clean':
         case 'cleanvenue':
           return this.cleanVenue();
@@ -85,7 +92,7 @@ class VenueCommands {
         this.game.notificationManager.error("Usage: createvenue <name> <type> <city>");
         this.game.notificationManager.info("Example: createvenue 'The Blue Lagoon' Bar London");
         this.game.notificationManager.info("Available types: Bar, Nightclub, Restaurant, Fast Food");
-        this.game.notificationManager.info("Available cities: London, Berlin, Paris, Madrid, Rome");
+        this.game.notificationManager.info(`Available cities: ${this.game.cityManager.getCityNames().join(', ')}`);
         return false;
       }
   
@@ -101,7 +108,7 @@ class VenueCommands {
       }
   
       // Validate city
-      const validCities = ['London', 'Berlin', 'Paris', 'Madrid', 'Rome'];
+      const validCities = this.game.cityManager.getCityNames();
       if (!validCities.includes(city)) {
         this.game.notificationManager.error(`Invalid city. Choose from: ${validCities.join(', ')}`);
         return false;
@@ -444,21 +451,60 @@ class VenueCommands {
   
     /**
      * Upgrade venue size
-     * @returns {boolean} Success status
+     * @returns {boolean|Promise<boolean>} Success status; a promise once the upgrade has started
      */
     upgradeVenue() {
       if (!this.validateVenueExists()) return false;
+
+      return this.performUpgrade(this.game.state.currentVenue);
+    }
+
+    /**
+     * Upgrade a venue to the next size so it can be undone
+     * @param {Object} venue - The venue
+     * @returns {Promise<boolean>} True if upgraded
+     */
+    async performUpgrade(venue) {
+      const scope = this.game.undoManager.getVenueScope(venue.id)
+        .filter(part => ['venues', 'inventory_items', 'inventory_batches'].includes(part.table));
+      scope.push({ table: 'transactions', where: "venue_id = ? AND category = 'property'", params: [venue.id] });
   
       try {
-        const success = this.game.venueManager.upgradeVenueSize(this.game.state.currentVenue.id);
-  
+        let before = null;
+        const success = await this.game.undoManager.perform({
+          description: `upgrade ${venue.name} from ${venue.size} size`,
+          venueId: venue.id,
+          scope,
+          apply: async () => {
+            before = {
+              cash: this.game.state.player.cash,
+              size: venue.size,
+              settings: { ...venue.settings },
+              layout: venue.layout,
+              rentPerMonth: venue.finances.rentPerMonth,
+              utilityExpensePerDay: venue.finances.utilityExpensePerDay
+            };
+            const upgraded = await this.game.venueManager.upgradeVenueSize(venue.id);
+            before.cost = before.cash - this.game.state.player.cash;
+            return upgraded;
+          },
+          inverse: () => {
+            const current = this.game.venueManager.getVenue(venue.id) || venue;
+            current.size = before.size;
+            current.settings = before.settings;
+            current.layout = before.layout;
+            current.finances.rentPerMonth = before.rentPerMonth;
+            current.finances.utilityExpensePerDay = before.utilityExpensePerDay;
+            this.game.state.player.cash += before.cost;
+          }
+        });
+
         if (success) {
-          this.game.notificationManager.success(`Venue upgraded to ${this.game.state.currentVenue.size} size!`);
-          return true;
+          this.game.notificationManager.success(`Venue upgraded to ${venue.size} size!`);
         } else {
           this.game.notificationManager.error("Failed to upgrade venue. Check if you have enough cash or if the venue is already at maximum size.");
-          return false;
         }
+        return success;
       } catch (error) {
         this.game.notificationManager.error(`Error upgrading venue: ${error.message}`);
         return false;
@@ -467,30 +513,183 @@ class VenueCommands {
   
     /**
      * Sell the current venue
-     * @returns {boolean} Success status
+     * @returns {boolean|Promise<boolean>} Success status; a promise once the sale has started
      */
     sellVenue() {
       if (!this.validateVenueExists()) return false;
-  
-      const venueName = this.game.state.currentVenue.name;
-      
-      // Selling is handled by the venueManager which includes a confirmation dialog
+
+      return this.performSale(this.game.state.currentVenue);
+    }
+
+    /**
+     * Sell a venue so it can be undone
+     * @param {Object} venue - The venue
+     * @returns {Promise<boolean>} True if sold; false if it failed or the player cancelled
+     */
+    async performSale(venue) {
+      const venueName = venue.name;
+
       try {
-        const success = this.game.venueManager.sellVenue(this.game.state.currentVenue.id);
-  
+        // Selling is handled by the venueManager which includes a confirmation dialog
+        let before = null;
+        const success = await this.game.undoManager.perform({
+          description: `sell ${venueName}`,
+          venueId: venue.id,
+          scope: this.game.undoManager.getVenueScope(venue.id),
+          apply: async () => {
+            before = {
+              cash: this.game.state.player.cash,
+              index: this.game.state.player.venues.findIndex(v => v.id === venue.id),
+              wasCurrent: this.game.state.currentVenue === venue,
+              taxBooks: JSON.parse(JSON.stringify(venue.taxBooks || {}))
+            };
+            const sold = await this.game.venueManager.sellVenue(venue.id);
+            before.proceeds = this.game.state.player.cash - before.cash;
+            return sold;
+          },
+          inverse: () => this.restoreSoldVenue(venue, before)
+        });
+
         if (success) {
           this.game.notificationManager.success(`Sold venue: ${venueName}`);
-          return true;
         } else {
           this.game.notificationManager.info("Venue sale cancelled");
-          return false;
         }
+        return success;
       } catch (error) {
         this.game.notificationManager.error(`Error selling venue: ${error.message}`);
         return false;
       }
     }
   
+    /**
+     * Take back the sale of a venue, for undo
+     * @param {Object} venue - The venue that was sold
+     * @param {Object} before - What the sale changed: cash, index, wasCurrent, taxBooks and proceeds
+     */
+    restoreSoldVenue(venue, before) {
+      const player = this.game.state.player;
+      player.cash -= before.proceeds;
+      venue.taxBooks = before.taxBooks;
+  
+      if (!player.venues.some(v => v.id === venue.id)) {
+        player.venues.splice(Math.max(0, Math.min(before.index, player.venues.length)), 0, venue);
+      }
+      if (this.game.cityManager && !this.game.cityManager.getVenuesInCity(venue.city).includes(venue.id)) {
+        this.game.cityManager.addVenueToCity(venue.city, venue);
+      }
+  
+      // The sale is recorded without waiting for it, so look for it now
+      const transactionManager = this.game.financialManager.transactionManager;
+      const sale = transactionManager.transactions.find(t => t.venueId === venue.id && t.category === 'sale');
+      if (sale) {
+        transactionManager.removeTransaction(sale.id);
+      }
+      if (before.wasCurrent) {
+        this.game.state.currentVenue = venue;
+      }
+    }
+  
+    /**
+     * Allow or forbid smoking in the venue
+     * @param {Array} args - Command arguments: [on|off]
+     * @returns {boolean} Success status
+     */
+    setSmokingPolicy(args) {
+      if (!this.validateVenueExists()) return false;
+  
+      const setting = (args[0] || '').toLowerCase();
+      if (setting !== 'on' && setting !== 'off') {
+        this.game.notificationManager.error("Usage: setsmoking <on|off>");
+        return false;
+      }
+  
+      return this.game.venueManager.setSmokingPolicy(this.game.state.currentVenue.id, setting === 'on');
+    }
+  
+    /**
+     * Show the current city's regulations, announced changes and venue compliance
+     * @returns {boolean} Success status
+     */
+    showRegulations() {
+      if (!this.validateVenueExists()) return false;
+  
+      const venue = this.game.state.currentVenue;
+      const city = this.game.cityManager.getCity(venue.city);
+      const regulations = city.regulations;
+      const hours = regulations.openingHoursRestriction;
+      const notify = this.game.notificationManager;
+  
+      notify.info(`=== ${city.name} Regulations (version ${regulations.version || 1}) ===`);
+      notify.info(`Opening hours: ${hours.earliest}:00-${hours.latest}:00`);
+      notify.info(`Noise limit: ${regulations.maxNoiseLevelAllowed}`);
+      notify.info(`Alcohol license: €${regulations.alcoholLicenseCost}`);
+      notify.info(`Smoking ban: ${regulations.smokingBan ? 'Yes' : 'No'}`);
+      notify.info(`Minimum wage: ${regulations.minimumWage ? `€${regulations.minimumWage}/week` : 'None'}`);
+  
+      (city.pendingRegulations || []).forEach(change => {
+        const date = change.effectiveDate;
+        notify.warning(`From ${date.day}/${date.month}/${date.year}: ${change.description}`);
+      });
+  
+      const status = this.game.cityManager.regulationEngine.getComplianceStatus(venue);
+      notify.info(`--- ${venue.name} ---`);
+      if (status.closedUntil) {
+        const until = status.closedUntil;
+        notify.error(`Closed by the authorities until ${until.day}/${until.month}/${until.year}`);
+      }
+      if (status.violations.length === 0) {
+        notify.success('The venue complies with all regulations.');
+      } else {
+        status.violations.forEach(violation => notify.error(`Violation: ${violation}`));
+        if (status.graceDaysLeft > 0) {
+          notify.warning(`${status.graceDaysLeft} day(s) left before fines start.`);
+        } else {
+          notify.warning('The venue is being fined daily. Repeated fines lead to closure.');
+        }
+      }
+  
+      return true;
+    }
+  
+    /**
+     * Show the current venue's health inspection reports, newest first
+     * @returns {boolean} Success status
+     */
+    showInspections() {
+      if (!this.validateVenueExists()) return false;
+  
+      const venue = this.game.state.currentVenue;
+      const reports = this.game.cityManager.healthInspector.getReports(venue);
+      const notify = this.game.notificationManager;
+  
+      notify.info(`=== ${venue.name} Health Inspections ===`);
+      if (reports.length === 0) {
+        notify.info('The venue has not been inspected yet.');
+        return true;
+      }
+  
+      const latest = reports[0];
+      if (latest.nextInspection) {
+        const label = latest.passed ? 'Next inspection' : 'Re-inspection';
+        notify.info(`${label} due: ${latest.nextInspection.slice(0, 10)}`);
+      }
+  
+      reports.forEach(report => {
+        const summary = `${report.date.slice(0, 10)}: grade ${report.grade} (${report.score}/100)` +
+          (report.reinspection ? ' [re-inspection]' : '') +
+          (report.fine > 0 ? ` - fined €${report.fine}` : '');
+        if (report.passed) {
+          notify.success(summary);
+        } else {
+          notify.error(summary);
+        }
+        report.findings.forEach(finding => notify.info(`  - ${finding}`));
+      });
+  
+      return true;
+    }
+  
     /**
      * Show venue status
      * @returns {boolean} Success status
@@ -505,6 +704,7 @@ class VenueCommands {
       this.game.notificationManager.info(`Hours: ${venue.settings.openingHour}:00-${venue.settings.closingHour}:00`);
       this.game.notificationManager.info(`Entrance Fee: €${venue.settings.entranceFee.toFixed(2)}`);
       this.game.notificationManager.info(`Music: ${venue.settings.musicVolume}% | Lighting: ${venue.settings.lightingLevel}%`);
+      this.game.notificationManager.info(`Smoking: ${venue.settings.smokingAllowed ? 'Allowed' : 'Not allowed'}`);
       this.game.notificationManager.info(`Customer Capacity: ${venue.settings.customerCapacity}`);
       
       this.game.notificationManager.info('--- Statistics ---');
@@ -514,6 +714,9 @@ class VenueCommands {
       this.game.notificationManager.info(`Service Quality: ${venue.stats.serviceQuality.toFixed(1)}%`);
       this.game.notificationManager.info(`Total Customers Served: ${venue.stats.totalCustomersServed}`);
       this.game.notificationManager.info(`Customer Satisfaction: ${venue.stats.customerSatisfaction.toFixed(1)}%`);
+      if (venue.stats.healthInspectionGrade) {
+        this.game.notificationManager.info(`Health Inspection: grade ${venue.stats.healthInspectionGrade} (${venue.stats.healthInspectionScore}/100)`);
+      }
       
       this.game.notificationManager.info('--- Finances ---');
       this.game.notificationManager.info(`Daily Revenue: €${venue.finances.dailyRevenue.toFixed(2)}`);
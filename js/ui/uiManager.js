@@ -22,7 +22,9 @@ class UIManager {
         staffMorale: document.getElementById('staff-morale'),
         venuePopularity: document.getElementById('venue-popularity'),
         staffList: document.getElementById('staff-list'),
-        venueCanvas: document.getElementById('venue-canvas')
+        venueCanvas: document.getElementById('venue-canvas'),
+        gameOverMenu: document.getElementById('game-over-menu'),
+        gameOverSummary: document.getElementById('game-over-summary')
       };
       
       // Set up command input event listener
@@ -86,6 +88,23 @@ class UIManager {
         });
       }
       
+      // Game over buttons
+      const gameOverNewBtn = document.getElementById('game-over-new-btn');
+      const gameOverExitBtn = document.getElementById('game-over-exit-btn');
+      
+      if (gameOverNewBtn) {
+        gameOverNewBtn.addEventListener('click', () => {
+          this.hideGameOver();
+          this.game.startNewGame();
+        });
+      }
+      
+      if (gameOverExitBtn) {
+        gameOverExitBtn.addEventListener('click', () => {
+          window.close();
+        });
+      }
+      
       // Function keys
       document.addEventListener('keydown', (e) => {
         if (e.key === 'F1') {
@@ -684,6 +703,44 @@ class UIManager {
         this.showMenu();
       }
     }
+    
+    showGameOver(summary) {
+      if (!this.elements.gameOverMenu) return;
+      
+      // One line of the bankruptcy summary per list item
+      if (this.elements.gameOverSummary) {
+        this.elements.gameOverSummary.innerHTML = '';
+        summary.lines.forEach(line => {
+          const item = document.createElement('li');
+          item.textContent = line;
+          this.elements.gameOverSummary.appendChild(item);
+        });
+      }
+      
+      this.elements.gameOverMenu.style.display = 'block';
+    }
+    
+    hideGameOver() {
+      if (this.elements.gameOverMenu) {
+        this.elements.gameOverMenu.style.display = 'none';
+      }
+    }
+    
+    captureThumbnail(width, height) {
+      if (!this.elements.venueCanvas || !this.game.state.currentVenue) return null;
+      
+      try {
+        // Draw a scaled-down copy of the venue view for the save list
+        const thumbnail = document.createElement('canvas');
+        thumbnail.width = width;
+        thumbnail.height = height;
+        thumbnail.getContext('2d').drawImage(this.elements.venueCanvas, 0, 0, width, height);
+        return thumbnail.toDataURL('image/png');
+      } catch (error) {
+        console.error('Error capturing save thumbnail:', error);
+        return null;
+      }
+    }
   }
   
   module.exports = UIManager;
\ No newline at end of file
@@ -0,0 +1,93 @@
+// js/utils/__tests__/saveUpgrades.test.js
+// Older saves upgrade to the current format and survive a save and load
+
+const { SAVES } = require('../../config');
+const { getSaveVersion, upgradeSave, validateSave } = require('../saveUpgrades');
+const SimulationRunner = require('../../simulation/simulationRunner');
+
+const FIXTURES = {
+  '1.0': require('./fixtures/save-1.0.json'),
+  '1.1': require('./fixtures/save-1.1.json'),
+  '1.2': require('./fixtures/save-1.2.json')
+};
+
+// Fields that change every time the game is saved
+const VOLATILE = ['lastSaveTime', 'playtime', 'random'];
+
+function withoutVolatile(gameData) {
+  const data = JSON.parse(JSON.stringify(gameData));
+  VOLATILE.forEach(key => delete data[key]);
+  return data;
+}
+
+describe.each(Object.keys(FIXTURES))('save format %s', (version) => {
+  const fixture = FIXTURES[version];
+
+  test('is recognised', () => {
+    expect(getSaveVersion(fixture)).toBe(version);
+    expect(validateSave(fixture)).toBe(false);
+  });
+
+  test('upgrades to the current format', () => {
+    const upgraded = upgradeSave(fixture);
+    expect(upgraded.version).toBe(SAVES.version);
+    expect(validateSave(upgraded)).toBe(true);
+  });
+
+  test('leaves the original save alone', () => {
+    const before = JSON.stringify(fixture);
+    upgradeSave(fixture);
+    expect(JSON.stringify(fixture)).toBe(before);
+  });
+
+  test('upgrading again changes nothing', () => {
+    const upgraded = upgradeSave(fixture);
+    expect(upgradeSave(upgraded)).toEqual(upgraded);
+  });
+});
+
+describe('a newer save', () => {
+  test('is refused', () => {
+    expect(() => upgradeSave({ ...FIXTURES['1.2'], version: '9.9' })).toThrow(/unknown or newer/);
+  });
+});
+
+describe('saving and loading an upgraded save', () => {
+  const runner = new SimulationRunner();
+  let game;
+
+  beforeAll(async () => {
+    runner.installHeadlessGlobals();
+    const restoreConsole = runner.silenceConsole();
+    try {
+      game = await runner.createGame(22);
+    } finally {
+      restoreConsole();
+    }
+  });
+
+  afterAll(async () => {
+    if (game) {
+      const restoreConsole = runner.silenceConsole();
+      await runner.teardown(game).finally(restoreConsole);
+    }
+  });
+
+  test.each(Object.keys(FIXTURES))('keeps the same data for format %s', async (version) => {
+    const upgraded = upgradeSave(FIXTURES[version]);
+    game.saveManager.applySaveData(upgraded);
+
+    const saved = JSON.parse(JSON.stringify(game.saveManager.getSaveData()));
+    Object.keys(withoutVolatile(upgraded)).forEach(key => {
+      expect(saved[key]).toEqual(upgraded[key]);
+    });
+
+    await game.dbAPI.gameService.saveGame(saved, `Upgraded ${version}`);
+    const { gameState } = await game.dbAPI.gameService.loadGame(`Upgraded ${version}`);
+    game.saveManager.applySaveData(gameState);
+
+    const resaved = game.saveManager.getSaveData();
+    expect(withoutVolatile(resaved)).toEqual(withoutVolatile(saved));
+    expect(resaved.random).toEqual(saved.random);
+  });
+});
@@ -3,6 +3,8 @@
 const fs = require('fs');
 const path = require('path');
 const { app } = require('electron');
+const { SAVES } = require('../config');
+const { upgradeSave, validateSave } = require('./saveUpgrades');
 
 class DataStore {
     constructor() {
@@ -149,9 +151,9 @@ class DataStore {
         
         for (const key of keys) {
           if (key.startsWith('liquid-assets-save-')) {
-            const gameData = this.load(key);
+            const gameData = this.loadGame(key.replace('liquid-assets-save-', ''));
             
-            if (gameData && this.validateGameData(gameData)) {
+            if (gameData) {
               savedGames.push({
                 id: key.replace('liquid-assets-save-', ''),
                 name: gameData.saveName || 'Unnamed Save',
@@ -178,19 +180,19 @@ class DataStore {
       }
     }
     
-    // Validate game data structure
+    // Validate game data structure against the current save format
     validateGameData(gameData) {
-      if (!gameData || typeof gameData !== 'object') return false;
-      
-      // Check for required properties
-      if (!gameData.player || typeof gameData.player !== 'object') return false;
-      if (typeof gameData.player.cash !== 'number') return false;
-      if (!Array.isArray(gameData.player.venues)) return false;
-      
-      // Check for game time data
-      if (!gameData.gameTime || typeof gameData.gameTime !== 'object') return false;
-      
-      return true;
+      return validateSave(gameData);
+    }
+    
+    // Bring game data from an older save format up to date, or null if it can't be
+    upgradeGameData(gameData) {
+      try {
+        return upgradeSave(gameData);
+      } catch (error) {
+        console.error('Error upgrading save data:', error);
+        return null;
+      }
     }
     
     // Save game with a specific name
@@ -205,20 +207,20 @@ class DataStore {
         return false;
       }
       
-      // Validate essential game data
-      if (!this.validateGameData(gameData)) {
-        console.error('Game data failed validation');
-        return false;
-      }
-      
       // Add metadata to save
       const saveData = {
         ...gameData,
         saveName: name.trim() || 'Unnamed Save',
         saveDate: new Date().toISOString(),
-        saveVersion: '1.0.0' // Add version tracking for future compatibility
+        version: SAVES.version
       };
       
+      // Validate essential game data
+      if (!this.validateGameData(saveData)) {
+        console.error('Game data failed validation');
+        return false;
+      }
+      
       const saveId = Date.now().toString();
       return this.save(`liquid-assets-save-${saveId}`, saveData);
     }
@@ -230,9 +232,10 @@ class DataStore {
         return null;
       }
       
-      const gameData = this.load(`liquid-assets-save-${id}`);
+      const savedData = this.load(`liquid-assets-save-${id}`);
       
-      // Validate loaded data
+      // Upgrade older saves, then validate the result
+      const gameData = savedData ? this.upgradeGameData(savedData) : null;
       if (!gameData || !this.validateGameData(gameData)) {
         console.error('Invalid or corrupted save data');
         return null;
@@ -374,8 +377,9 @@ class DataStore {
         
         for (const key in importData) {
           if (key.startsWith('liquid-assets-save-')) {
-            if (this.validateGameData(importData[key])) {
-              this.save(key, importData[key]);
+            const gameData = this.upgradeGameData(importData[key]);
+            if (gameData && this.validateGameData(gameData)) {
+              this.save(key, gameData);
               importCount++;
             }
           }
@@ -1,5 +1,7 @@
 // Helper Functions - Useful utility functions for the game
 
+const rng = require('./rng');
+
 // Number formatting
 function formatCurrency(value) {
     if (typeof value !== 'number' || isNaN(value)) {
@@ -75,7 +77,7 @@ function formatCurrency(value) {
     
     min = Math.ceil(min);
     max = Math.floor(max);
-    return Math.floor(Math.random() * (max - min + 1)) + min;
+    return Math.floor(rng.random() * (max - min + 1)) + min;
   }
   
   function getRandomFloat(min, max, decimals = 2) {
@@ -89,7 +91,7 @@ function formatCurrency(value) {
       decimals = 2;
     }
     
-    const value = Math.random() * (max - min) + min;
+    const value = rng.random() * (max - min) + min;
     const factor = Math.pow(10, decimals);
     return Math.round(value * factor) / factor;
   }
@@ -100,7 +102,7 @@ function formatCurrency(value) {
       return null;
     }
     
-    return array[Math.floor(Math.random() * array.length)];
+    return array[Math.floor(rng.random() * array.length)];
   }
   
   function getRandomWeighted(options) {
@@ -126,7 +128,7 @@ function formatCurrency(value) {
       return options[0].value;
     }
     
-    let random = Math.random() * totalWeight;
+    let random = rng.random() * totalWeight;
     
     for (const option of options) {
       random -= option.weight;
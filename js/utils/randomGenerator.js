@@ -3,6 +3,8 @@
  * Centralized utilities for random data generation.
  */
 
+const rng = require('./rng');
+
 /**
  * Get a random integer between min and max (inclusive)
  * @param {number} min - Minimum value
@@ -17,7 +19,7 @@ function getRandomInt(min, max) {
     
     min = Math.ceil(min);
     max = Math.floor(max);
-    return Math.floor(Math.random() * (max - min + 1)) + min;
+    return Math.floor(rng.random() * (max - min + 1)) + min;
   }
   
   /**
@@ -33,7 +35,7 @@ function getRandomInt(min, max) {
       return 0;
     }
     
-    const value = Math.random() * (max - min) + min;
+    const value = rng.random() * (max - min) + min;
     const factor = Math.pow(10, decimals);
     return Math.round(value * factor) / factor;
   }
@@ -49,7 +51,7 @@ function getRandomInt(min, max) {
       return null;
     }
     
-    return array[Math.floor(Math.random() * array.length)];
+    return array[Math.floor(rng.random() * array.length)];
   }
   
   /**
@@ -80,7 +82,7 @@ function getRandomInt(min, max) {
       return options[0].value;
     }
     
-    let random = Math.random() * totalWeight;
+    let random = rng.random() * totalWeight;
     
     for (const option of options) {
       random -= option.weight;
@@ -99,7 +101,7 @@ function getRandomInt(min, max) {
    * @returns {boolean} Random boolean
    */
   function getRandomBoolean(trueProbability = 0.5) {
-    return Math.random() < trueProbability;
+    return rng.random() < trueProbability;
   }
   
   /**
@@ -110,8 +112,8 @@ function getRandomInt(min, max) {
    */
   function getRandomNormal(mean, stdDev) {
     // Box-Muller transform for normal distribution
-    const u1 = Math.random();
-    const u2 = Math.random();
+    const u1 = rng.random();
+    const u2 = rng.random();
     
     const z0 = Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(2.0 * Math.PI * u2);
     
@@ -145,7 +147,7 @@ function getRandomInt(min, max) {
     const start = startDate.getTime();
     const end = endDate.getTime();
     
-    const randomTime = start + Math.random() * (end - start);
+    const randomTime = start + rng.random() * (end - start);
     return new Date(randomTime);
   }
   
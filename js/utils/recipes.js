@@ -0,0 +1,80 @@
+// js/utils/recipes.js
+/**
+ * Recipe utilities.
+ *
+ * A menu item made to order carries a recipe: an array of
+ * { ingredient, quantity } lines, where ingredient is the name of an item in
+ * the venue's ingredients inventory and quantity is in that ingredient's
+ * unit (cl, g or unit). Menu items without a recipe are sold from their own
+ * stock.
+ */
+
+/**
+ * Check whether a menu item is made from a recipe
+ * @param {Object} item - Drink or food item
+ * @returns {boolean} True if the item has recipe lines
+ */
+function hasRecipe(item) {
+  return Array.isArray(item.recipe) && item.recipe.length > 0;
+}
+
+/**
+ * Find an ingredient by name, ignoring case
+ * @param {Array<Object>} ingredients - The venue's ingredients inventory
+ * @param {string} name - Ingredient name
+ * @returns {Object|null} Ingredient, or null if the venue doesn't stock it
+ */
+function findIngredient(ingredients, name) {
+  return (ingredients || []).find(ingredient => ingredient.name.toLowerCase() === name.toLowerCase()) || null;
+}
+
+/**
+ * Work out what one serving of a recipe costs at current ingredient prices
+ * @param {Array<Object>} recipe - Recipe lines
+ * @param {Array<Object>} ingredients - The venue's ingredients inventory
+ * @returns {number} Cost, rounded to the cent; missing ingredients count as free
+ */
+function getRecipeCost(recipe, ingredients) {
+  const cost = recipe.reduce((total, line) => {
+    const ingredient = findIngredient(ingredients, line.ingredient);
+    return total + (ingredient ? ingredient.costPrice * line.quantity : 0);
+  }, 0);
+
+  return Math.round(cost * 100) / 100;
+}
+
+/**
+ * Count the servings of a recipe the ingredients on the shelves can make
+ * @param {Array<Object>} recipe - Recipe lines
+ * @param {Array<Object>} ingredients - The venue's ingredients inventory
+ * @returns {number} Whole servings; stock gone missing since the last stock-take can't be used
+ */
+function getServings(recipe, ingredients) {
+  return recipe.reduce((servings, line) => {
+    const ingredient = findIngredient(ingredients, line.ingredient);
+    const available = ingredient ? Math.floor((ingredient.stock - (ingredient.missing || 0)) / line.quantity) : 0;
+    return Math.min(servings, available);
+  }, Infinity);
+}
+
+/**
+ * Describe a recipe for messages
+ * @param {Array<Object>} recipe - Recipe lines
+ * @param {Array<Object>} ingredients - The venue's ingredients inventory
+ * @returns {string} e.g. '4cl House Vodka, 1 Lime Wedge'
+ */
+function formatRecipe(recipe, ingredients) {
+  return recipe.map(line => {
+    const ingredient = findIngredient(ingredients, line.ingredient);
+    const unit = ingredient && ingredient.unit !== 'unit' ? ingredient.unit : '';
+    return `${line.quantity}${unit} ${line.ingredient}`;
+  }).join(', ');
+}
+
+module.exports = {
+  hasRecipe,
+  findIngredient,
+  getRecipeCost,
+  getServings,
+  formatRecipe
+};
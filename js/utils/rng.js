@@ -0,0 +1,95 @@
+// js/utils/rng.js
+/**
+ * Seeded pseudo-random number generator shared by all simulation modules.
+ * Uses mulberry32, whose entire state is a single 32-bit integer, so the
+ * generator can be saved with the game and resumed exactly where it left off.
+ */
+class SeededRandom {
+    constructor() {
+      this.seed(Date.now());
+    }
+
+    /**
+     * Reset the generator with a new seed
+     * @param {number|string} seed - Numeric seed or any string
+     * @returns {number} The normalized 32-bit seed
+     */
+    seed(seed) {
+      this.initialSeed = SeededRandom.normalizeSeed(seed);
+      this.state = this.initialSeed;
+      return this.initialSeed;
+    }
+
+    /**
+     * Get the next random number
+     * @returns {number} Float in the range [0, 1)
+     */
+    random() {
+      this.state = (this.state + 0x6D2B79F5) >>> 0;
+
+      let t = this.state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Get the seed the generator was last reset with
+     * @returns {number} The 32-bit seed
+     */
+    getSeed() {
+      return this.initialSeed;
+    }
+
+    /**
+     * Get the generator state (for saving)
+     * @returns {Object} Seed and current state
+     */
+    getState() {
+      return {
+        seed: this.initialSeed,
+        state: this.state
+      };
+    }
+
+    /**
+     * Restore a previously saved generator state
+     * @param {Object} savedState - State from getState()
+     * @returns {boolean} True if the state was restored
+     */
+    setState(savedState) {
+      if (!savedState || typeof savedState.state !== 'number') {
+        console.error('rng.setState received invalid state:', savedState);
+        return false;
+      }
+
+      this.initialSeed = SeededRandom.normalizeSeed(savedState.seed ?? savedState.state);
+      this.state = savedState.state >>> 0;
+      return true;
+    }
+
+    /**
+     * Turn a number or string into a 32-bit unsigned seed
+     * @param {number|string} seed - Seed value
+     * @returns {number} 32-bit seed
+     */
+    static normalizeSeed(seed) {
+      if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return Math.floor(seed) >>> 0;
+      }
+
+      // FNV-1a hash for string seeds
+      const text = String(seed);
+      let hash = 0x811C9DC5;
+      for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+      }
+      return hash >>> 0;
+    }
+  }
+
+  // Export a singleton instance
+  const rng = new SeededRandom();
+  module.exports = rng;
@@ -0,0 +1,76 @@
+// js/utils/saveArchive.js
+/**
+ * Save archive utilities.
+ *
+ * A save archive is a single gzip-compressed JSON file carrying one save
+ * slot together with the database rows of the career it belongs to, so the
+ * game can be moved to another machine or attached to a bug report. The
+ * payload is kept as a JSON string inside an envelope with a SHA-256
+ * checksum of that string, which is checked before anything is imported.
+ */
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+// Identifies a save archive and the version of the envelope around the payload
+const ARCHIVE_FORMAT = 'liquid-assets-save-archive';
+const ARCHIVE_VERSION = 1;
+
+/**
+ * Get the checksum of a payload string
+ * @param {string} text - Serialized payload
+ * @returns {string} SHA-256 hex digest
+ */
+function getChecksum(text) {
+  return crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+}
+
+/**
+ * Pack a payload into archive file contents
+ * @param {Object} payload - Save, game time, settings and table rows
+ * @returns {Buffer} Compressed archive
+ */
+function packArchive(payload) {
+  const text = JSON.stringify(payload);
+  const envelope = {
+    format: ARCHIVE_FORMAT,
+    archiveVersion: ARCHIVE_VERSION,
+    checksum: getChecksum(text),
+    payload: text
+  };
+  return zlib.gzipSync(JSON.stringify(envelope));
+}
+
+/**
+ * Unpack archive file contents, checking the format and checksum
+ * @param {Buffer} contents - Compressed archive
+ * @returns {Object} The payload
+ * @throws {Error} If the file isn't a save archive, is from a newer game or is corrupted
+ */
+function unpackArchive(contents) {
+  let envelope;
+  try {
+    envelope = JSON.parse(zlib.gunzipSync(contents).toString('utf8'));
+  } catch (error) {
+    throw new Error('The file is not a save archive');
+  }
+
+  if (!envelope || envelope.format !== ARCHIVE_FORMAT || typeof envelope.payload !== 'string') {
+    throw new Error('The file is not a save archive');
+  }
+  if (envelope.archiveVersion > ARCHIVE_VERSION) {
+    throw new Error(`The archive was made by a newer version of the game (archive version ${envelope.archiveVersion})`);
+  }
+  if (getChecksum(envelope.payload) !== envelope.checksum) {
+    throw new Error('The archive is corrupted (checksum mismatch)');
+  }
+
+  return JSON.parse(envelope.payload);
+}
+
+module.exports = {
+  ARCHIVE_FORMAT,
+  ARCHIVE_VERSION,
+  packArchive,
+  unpackArchive
+};
@@ -0,0 +1,245 @@
+// js/utils/saveSlotFiles.js
+/**
+ * Save slots kept in JSON files.
+ *
+ * Saves normally go to the saved_games table. When the database isn't
+ * available the game carries on with in-memory storage, and its saves are
+ * kept here instead: one DataStore file per slot, holding the game data
+ * and the same metadata the save list shows. SaveFiles has the save
+ * methods of gameService, so SaveManager can use either. Once the database
+ * is ready the slots are imported into it and their files removed.
+ */
+
+const { SAVES } = require('../config');
+const rng = require('./rng');
+const { getSaveVersion, upgradeSave, validateSave } = require('./saveUpgrades');
+
+// Key prefix of slot files; the old DataStore saves use 'liquid-assets-save-'
+const SLOT_KEY_PREFIX = 'liquid-assets-slot-';
+
+/**
+ * Get what the save list shows about a save
+ * @param {Object} gameState - Saved game data
+ * @returns {Object} Metadata with cash, venueCount, currentVenue, gameDate and playtime
+ */
+function getSaveMetadata(gameState) {
+  const player = gameState.player || {};
+  const gameTime = gameState.gameTime;
+  const pad = value => String(value).padStart(2, '0');
+
+  return {
+    cash: player.cash || 0,
+    venueCount: (player.venues || []).length,
+    currentVenue: gameState.currentVenue?.name || null,
+    gameDate: gameTime ? `${gameTime.year}-${pad(gameTime.month)}-${pad(gameTime.day)}T${pad(gameTime.hour)}:${pad(gameTime.minute)}:00` : null,
+    playtime: gameState.playtime || 0
+  };
+}
+
+class SaveFiles {
+  /**
+   * Create a new SaveFiles store
+   * @param {Object} [dataStore] - DataStore to keep the files in; created when first needed
+   */
+  constructor(dataStore = null) {
+    this.dataStore = dataStore;
+  }
+
+  /**
+   * Save game data to a slot, overwriting the slot if one with the same name exists
+   * @param {Object} gameState - Game data
+   * @param {string} [saveName] - Slot name
+   * @param {Object} [options] - thumbnail and source
+   * @returns {Promise<Object>} Result with saveName and saveDate
+   */
+  async saveGame(gameState, saveName = SAVES.autosaveSlot, options = {}) {
+    // Capture the random generator so the save resumes the same sequence
+    if (!gameState.random) {
+      gameState = { ...gameState, random: rng.getState() };
+    }
+
+    // Saving under another case of an existing name keeps that slot's name
+    const existing = this.read(saveName);
+    const name = existing ? existing.name : saveName;
+    const saveDate = options.saveDate || new Date().toISOString();
+
+    this.write({
+      name,
+      saveDate,
+      version: gameState.version || SAVES.version,
+      source: options.source || 'game',
+      gameData: gameState,
+      metadata: {
+        ...getSaveMetadata(gameState),
+        thumbnail: options.thumbnail || null
+      }
+    });
+
+    return { success: true, saveName: name, saveDate };
+  }
+
+  /**
+   * Load game data from a slot
+   * @param {string} saveName - Slot name (not case sensitive)
+   * @returns {Promise<Object>} Result with gameState and saveInfo
+   */
+  async loadGame(saveName) {
+    const save = this.read(saveName);
+    if (!save) {
+      throw new Error(`No save called "${saveName}"`);
+    }
+
+    // Bring older saves up to the current format
+    const gameState = upgradeSave(save.gameData);
+    if (!validateSave(gameState)) {
+      throw new Error(`Save "${save.name}" is damaged or incomplete`);
+    }
+
+    // Resume the random sequence from where it was saved
+    if (gameState.random) {
+      rng.setState(gameState.random);
+    }
+
+    return {
+      success: true,
+      gameState,
+      saveInfo: {
+        name: save.name,
+        date: save.saveDate,
+        version: save.version,
+        metadata: save.metadata
+      }
+    };
+  }
+
+  /**
+   * Get the save slots, most recent first
+   * @returns {Promise<Array<Object>>} Saves with name, date, version, source and metadata
+   */
+  async getSavedGames() {
+    return this.readAll()
+      .map(save => ({
+        name: save.name,
+        date: save.saveDate,
+        version: save.version,
+        source: save.source,
+        metadata: save.metadata
+      }))
+      .sort((a, b) => b.date.localeCompare(a.date));
+  }
+
+  /**
+   * Delete a save slot
+   * @param {string} saveName - Slot name (not case sensitive)
+   * @returns {Promise<boolean>} True if a slot was deleted
+   */
+  async deleteSavedGame(saveName) {
+    if (!this.read(saveName)) return false;
+    return this.getDataStore().remove(this.getKey(saveName));
+  }
+
+  /**
+   * Rename a save slot
+   * @param {string} saveName - Current slot name (not case sensitive)
+   * @param {string} newName - New name; must not belong to another slot
+   * @returns {Promise<boolean>} True if the slot was renamed
+   */
+  async renameSavedGame(saveName, newName) {
+    const save = this.read(saveName);
+    if (!save) return false;
+
+    const existing = this.read(newName);
+    if (existing && existing.name.toLowerCase() !== saveName.toLowerCase()) {
+      throw new Error(`There is already a save called "${existing.name}"`);
+    }
+
+    this.getDataStore().remove(this.getKey(saveName));
+    this.write({ ...save, name: newName });
+    return true;
+  }
+
+  /**
+   * Hand over every slot with its game data, for importing into the database
+   * @returns {Array<Object>} Saves with name, date and gameData, as gameService.importLegacySaves takes them
+   */
+  getSlotsToImport() {
+    return this.readAll().map(save => ({
+      name: save.name,
+      date: save.saveDate,
+      gameData: save.gameData
+    }));
+  }
+
+  /**
+   * Remove a slot once it has been imported
+   * @param {string} saveName - Slot name
+   */
+  removeImported(saveName) {
+    this.getDataStore().remove(this.getKey(saveName));
+  }
+
+  /**
+   * Read a slot file
+   * @private
+   * @param {string} saveName - Slot name (not case sensitive)
+   * @returns {Object|null} The save, or null if there is no such slot
+   */
+  read(saveName) {
+    return this.getDataStore().load(this.getKey(saveName));
+  }
+
+  /**
+   * Read every slot file
+   * @private
+   * @returns {Array<Object>} Saves
+   */
+  readAll() {
+    const dataStore = this.getDataStore();
+    return dataStore.getKeys()
+      .filter(key => key.startsWith(SLOT_KEY_PREFIX))
+      .map(key => dataStore.load(key))
+      .filter(save => save && save.name && save.gameData);
+  }
+
+  /**
+   * Write a slot file
+   * @private
+   * @param {Object} save - Save with name, saveDate, version, source, gameData and metadata
+   */
+  write(save) {
+    if (!this.getDataStore().save(this.getKey(save.name), save)) {
+      throw new Error(`Couldn't write the save file for "${save.name}"`);
+    }
+  }
+
+  /**
+   * Get the file key of a slot. Names are matched without regard to case,
+   * as in the saved_games table, and hex-encoded so any name makes a valid
+   * file name.
+   * @private
+   * @param {string} saveName - Slot name
+   * @returns {string} DataStore key
+   */
+  getKey(saveName) {
+    return SLOT_KEY_PREFIX + Buffer.from(saveName.toLowerCase(), 'utf8').toString('hex');
+  }
+
+  /**
+   * Get the DataStore, creating it on first use
+   * @private
+   * @returns {Object} DataStore
+   */
+  getDataStore() {
+    if (!this.dataStore) {
+      // Only loaded when needed, as it reads the user data folder from Electron
+      const DataStore = require('./dataStore');
+      this.dataStore = new DataStore();
+    }
+    return this.dataStore;
+  }
+}
+
+module.exports = {
+  SaveFiles,
+  getSaveMetadata
+};
@@ -0,0 +1,198 @@
+// js/utils/saveUpgrades.js
+/**
+ * Save format upgrades.
+ *
+ * Every save records the format version it was written in (gameData.version;
+ * DataStore files written before that used saveVersion '1.0.0', and saves
+ * with neither are '1.0'). When the shape of the game state changes, the
+ * save format version in SAVES.version goes up and an upgrade is added to
+ * SAVE_UPGRADES to bring saves from the version before it up to date.
+ * upgradeSave runs the chain from a save's version to the current one, so
+ * any older save loads with the fields the game now expects.
+ *
+ * Upgrades only fill in what the older format didn't have, from what the
+ * save does have. They never touch the database.
+ */
+
+const { SAVES } = require('../config');
+const { scheduleFromWorkingTimes, getWeeklyHours } = require('./shifts');
+
+// Versions written before saves carried a version of their own
+const LEGACY_VERSIONS = {
+  '1.0.0': '1.0'
+};
+
+/**
+ * Get every venue object in a save; the current venue is stored as a
+ * separate copy next to the player's venues
+ * @param {Object} gameData - Saved game data
+ * @returns {Array<Object>} Venues
+ */
+function getSavedVenues(gameData) {
+  const venues = (gameData.player && Array.isArray(gameData.player.venues)) ? gameData.player.venues : [];
+  return gameData.currentVenue ? venues.concat(gameData.currentVenue) : venues;
+}
+
+/**
+ * Get every staff member object in a save
+ * @param {Object} gameData - Saved game data
+ * @returns {Array<Object>} Staff members
+ */
+function getSavedStaff(gameData) {
+  const staff = Array.isArray(gameData.staff) ? gameData.staff : [];
+  const venueStaff = getSavedVenues(gameData)
+    .flatMap(venue => (Array.isArray(venue.staff) ? venue.staff : []))
+    .filter(member => member && typeof member === 'object');
+  return staff.concat(venueStaff);
+}
+
+// Upgrades in order; each takes a save in version `from` and changes it into version `to`
+const SAVE_UPGRADES = [
+  {
+    from: '1.0',
+    to: '1.1',
+    description: 'Staff rosters, recipe ingredients and venue smoking rules',
+    upgrade(gameData) {
+      getSavedStaff(gameData).forEach(member => {
+        if (!Array.isArray(member.schedule) || member.schedule.length !== 7) {
+          member.schedule = scheduleFromWorkingTimes(member.workingDays, member.workingHours);
+        }
+        if (!member.contractHours) {
+          member.contractHours = getWeeklyHours(member.schedule);
+        }
+      });
+
+      getSavedVenues(gameData).forEach(venue => {
+        venue.inventory = venue.inventory || {};
+        if (!Array.isArray(venue.inventory.ingredients)) {
+          venue.inventory.ingredients = [];
+        }
+
+        venue.settings = venue.settings || {};
+        if (venue.settings.smokingAllowed === undefined) {
+          venue.settings.smokingAllowed = venue.type === 'Bar' || venue.type === 'Nightclub';
+        }
+      });
+    }
+  },
+  {
+    from: '1.1',
+    to: '1.2',
+    description: 'Profit history, unpaid wages, loans and playtime',
+    upgrade(gameData) {
+      getSavedVenues(gameData).forEach(venue => {
+        venue.finances = venue.finances || {};
+        if (!Array.isArray(venue.finances.profitHistory)) {
+          venue.finances.profitHistory = [];
+        }
+        if (typeof venue.finances.unpaidWages !== 'number') {
+          venue.finances.unpaidWages = 0;
+        }
+      });
+
+      if (gameData.player && !Array.isArray(gameData.player.loans)) {
+        gameData.player.loans = [];
+      }
+
+      if (typeof gameData.playtime !== 'number') {
+        gameData.playtime = 0;
+      }
+    }
+  },
+  {
+    from: '1.2',
+    to: '1.3',
+    description: 'Named patrons in each city',
+    upgrade(gameData) {
+      // The pools fill up the first time customers arrive in each city
+      Object.values(gameData.cities || {}).forEach(city => {
+        if (city && !Array.isArray(city.patrons)) {
+          city.patrons = [];
+        }
+      });
+    }
+  }
+];
+
+/**
+ * Get the format version a save was written in
+ * @param {Object} gameData - Saved game data
+ * @returns {string} Version, e.g. '1.1'
+ */
+function getSaveVersion(gameData) {
+  const version = String(gameData.version || gameData.saveVersion || '1.0');
+  return LEGACY_VERSIONS[version] || version;
+}
+
+/**
+ * Bring a save up to the current format
+ * @param {Object} gameData - Saved game data in any known version; left unchanged
+ * @returns {Object} Copy of the game data in version SAVES.version
+ * @throws {Error} If the version is unknown or newer than this game
+ */
+function upgradeSave(gameData) {
+  const upgraded = JSON.parse(JSON.stringify(gameData));
+  let version = getSaveVersion(upgraded);
+
+  while (version !== SAVES.version) {
+    const step = SAVE_UPGRADES.find(upgrade => upgrade.from === version);
+    if (!step) {
+      throw new Error(`Save format ${version} is unknown or newer than this game (${SAVES.version})`);
+    }
+
+    step.upgrade(upgraded);
+    version = step.to;
+  }
+
+  upgraded.version = version;
+  delete upgraded.saveVersion;
+  return upgraded;
+}
+
+/**
+ * Check that a save has the shape of the current format. Fields the game
+ * only creates once they are first needed (loans, profit history, unpaid
+ * wages) are checked when they are there.
+ * @param {Object} gameData - Saved game data
+ * @returns {boolean} True if the save can be loaded as it is
+ */
+function validateSave(gameData) {
+  if (!gameData || typeof gameData !== 'object') return false;
+  if (gameData.version !== SAVES.version) return false;
+
+  // Player and game time
+  const player = gameData.player;
+  if (!player || typeof player !== 'object') return false;
+  if (typeof player.cash !== 'number') return false;
+  if (!Array.isArray(player.venues)) return false;
+  if (player.loans !== undefined && !Array.isArray(player.loans)) return false;
+  if (!gameData.gameTime || typeof gameData.gameTime !== 'object') return false;
+  if (typeof gameData.playtime !== 'number') return false;
+
+  // Cities
+  if (!gameData.cities || typeof gameData.cities !== 'object') return false;
+  if (!Object.values(gameData.cities).every(city => city && Array.isArray(city.patrons))) return false;
+
+  // Venues
+  const venuesValid = getSavedVenues(gameData).every(venue =>
+    venue && typeof venue === 'object' &&
+    venue.inventory && Array.isArray(venue.inventory.ingredients) &&
+    venue.settings && typeof venue.settings.smokingAllowed === 'boolean' &&
+    venue.finances && typeof venue.finances === 'object' &&
+    (venue.finances.profitHistory === undefined || Array.isArray(venue.finances.profitHistory)) &&
+    (venue.finances.unpaidWages === undefined || typeof venue.finances.unpaidWages === 'number')
+  );
+  if (!venuesValid) return false;
+
+  // Staff
+  return getSavedStaff(gameData).every(member =>
+    Array.isArray(member.schedule) && member.schedule.length === 7 && typeof member.contractHours === 'number'
+  );
+}
+
+module.exports = {
+  SAVE_UPGRADES,
+  getSaveVersion,
+  upgradeSave,
+  validateSave
+};
@@ -0,0 +1,159 @@
+// js/utils/shifts.js
+/**
+ * Weekly shift roster utilities.
+ *
+ * A schedule is an array of 7 shifts, Sunday to Saturday (the day_of_week
+ * order of the staff_schedule table). Each shift is { start, end } in whole
+ * hours, or null for a day off. A shift whose end is before its start runs
+ * past midnight into the next day; an end of 24 means midnight.
+ */
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Day groups accepted wherever days are parsed
+const DAY_GROUPS = {
+  all: [0, 1, 2, 3, 4, 5, 6],
+  week: [0, 1, 2, 3, 4, 5, 6],
+  weekdays: [1, 2, 3, 4, 5],
+  weekend: [0, 6]
+};
+
+/**
+ * Convert a game day of week to a schedule index
+ * @param {number} dayOfWeek - Day of week (1-7 for Monday-Sunday)
+ * @returns {number} Schedule index (0-6 for Sunday-Saturday)
+ */
+function toScheduleDay(dayOfWeek) {
+  return dayOfWeek % 7;
+}
+
+/**
+ * Parse a day name, abbreviation or group, or a comma-separated list of them
+ * @param {string} text - e.g. 'fri', 'Saturday', 'weekend', 'mon,wed,fri'
+ * @returns {Array<number>|null} Schedule indexes, or null if a part isn't a day
+ */
+function parseDays(text) {
+  if (typeof text !== 'string' || text.length === 0) return null;
+
+  const days = new Set();
+  for (const part of text.toLowerCase().split(',')) {
+    if (DAY_GROUPS[part]) {
+      DAY_GROUPS[part].forEach(day => days.add(day));
+      continue;
+    }
+
+    const day = part.length >= 3 ? DAY_NAMES.findIndex(name => name.toLowerCase().startsWith(part)) : -1;
+    if (day === -1) return null;
+    days.add(day);
+  }
+
+  return Array.from(days).sort((a, b) => a - b);
+}
+
+/**
+ * Check that a shift has sensible hours
+ * @param {Object} shift - Shift with start and end hours
+ * @returns {boolean} True if the shift can be used
+ */
+function isValidShift(shift) {
+  return Boolean(shift) &&
+    Number.isInteger(shift.start) && shift.start >= 0 && shift.start <= 23 &&
+    Number.isInteger(shift.end) && shift.end >= 0 && shift.end <= 24 &&
+    shift.start !== shift.end % 24;
+}
+
+/**
+ * Check whether a schedule has someone working at an hour of a day,
+ * including an overnight shift that started the day before
+ * @param {Array<Object|null>} schedule - Weekly schedule
+ * @param {number} day - Schedule index (0-6 for Sunday-Saturday)
+ * @param {number} hour - Hour of day (0-23)
+ * @returns {boolean} True if on shift
+ */
+function isOnShift(schedule, day, hour) {
+  return findShiftDay(schedule, day, hour) !== null;
+}
+
+/**
+ * Find the day the shift being worked at an hour of a day started on
+ * @param {Array<Object|null>} schedule - Weekly schedule
+ * @param {number} day - Schedule index (0-6 for Sunday-Saturday)
+ * @param {number} hour - Hour of day (0-23)
+ * @returns {number|null} Schedule index of the shift's start day, or null if off
+ */
+function findShiftDay(schedule, day, hour) {
+  const today = schedule[day];
+  if (today) {
+    if (today.end > today.start ? hour >= today.start && hour < today.end : hour >= today.start) {
+      return day;
+    }
+  }
+
+  const yesterday = (day + 6) % 7;
+  const shift = schedule[yesterday];
+  return shift && shift.end < shift.start && hour < shift.end ? yesterday : null;
+}
+
+/**
+ * Build a schedule from the older working days and hours fields
+ * @param {Array<boolean>} [workingDays] - Working flags, Sunday to Saturday
+ * @param {Object} [workingHours] - Daily hours with start and end
+ * @returns {Array<Object|null>} Weekly schedule
+ */
+function scheduleFromWorkingTimes(workingDays, workingHours) {
+  // Staff without a schedule were always treated as working
+  const days = Array.isArray(workingDays) && workingDays.length === 7 ? workingDays : DAY_NAMES.map(() => true);
+
+  // Generated hours may run past 24 (e.g. 17 to 25) for shifts ending after midnight
+  const shift = workingHours ?
+    { start: workingHours.start, end: workingHours.end > 24 ? workingHours.end - 24 : workingHours.end } :
+    null;
+  if (!isValidShift(shift)) {
+    return days.map(working => (working ? { start: 0, end: 24 } : null));
+  }
+
+  return days.map(working => (working ? { ...shift } : null));
+}
+
+/**
+ * Get the length of a shift
+ * @param {Object|null} shift - Shift
+ * @returns {number} Hours worked; 0 for a day off
+ */
+function getShiftLength(shift) {
+  if (!shift) return 0;
+  return shift.end > shift.start ? shift.end - shift.start : shift.end + 24 - shift.start;
+}
+
+/**
+ * Get the hours worked in a week
+ * @param {Array<Object|null>} schedule - Weekly schedule
+ * @returns {number} Total hours
+ */
+function getWeeklyHours(schedule) {
+  return schedule.reduce((total, shift) => total + getShiftLength(shift), 0);
+}
+
+/**
+ * Format a shift for display
+ * @param {Object|null} shift - Shift
+ * @returns {string} e.g. '20:00-04:00', or 'Off'
+ */
+function formatShift(shift) {
+  if (!shift) return 'Off';
+  const pad = hour => `${String(hour % 24).padStart(2, '0')}:00`;
+  return `${pad(shift.start)}-${pad(shift.end)}`;
+}
+
+module.exports = {
+  DAY_NAMES,
+  toScheduleDay,
+  parseDays,
+  isValidShift,
+  isOnShift,
+  findShiftDay,
+  scheduleFromWorkingTimes,
+  getShiftLength,
+  getWeeklyHours,
+  formatShift
+};
@@ -127,6 +127,121 @@ function validateNumber(value, min, max, defaultValue) {
       .trim();
   }
   
+  /**
+   * Validate a city pack loaded from JSON
+   * @param {Object} pack - City definition
+   * @returns {Array<string>} Problems found; empty if the pack is valid
+   */
+  function validateCityPack(pack) {
+    const errors = [];
+
+    if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+      return ['City pack must be a JSON object'];
+    }
+
+    if (validateString(pack.name, 1, 50, null) === null) {
+      errors.push('name must be a string of 1-50 characters');
+    }
+
+    if (pack.country !== undefined && validateString(pack.country, 1, 50, null) === null) {
+      errors.push('country must be a string of 1-50 characters');
+    }
+
+    ['rentMultiplier', 'wageMultiplier', 'customerAffluence'].forEach(key => {
+      if (!isInRange(pack[key], 0.1, 5)) {
+        errors.push(`${key} must be a number between 0.1 and 5`);
+      }
+    });
+
+    if (pack.startingCity !== undefined && typeof pack.startingCity !== 'boolean') {
+      errors.push('startingCity must be true or false');
+    }
+
+    if (pack.priceLevel !== undefined && !isInRange(pack.priceLevel, 0.1, 5)) {
+      errors.push('priceLevel must be a number between 0.1 and 5');
+    }
+
+    if (pack.taxes !== undefined) {
+      if (!pack.taxes || typeof pack.taxes !== 'object' || Array.isArray(pack.taxes)) {
+        errors.push('taxes must be an object of tax rates');
+      } else {
+        Object.keys(pack.taxes).forEach(key => {
+          if (!['vat', 'payroll', 'corporate'].includes(key)) {
+            errors.push(`taxes.${key} is not a known tax; use vat, payroll or corporate`);
+          } else if (!isInRange(pack.taxes[key], 0, 0.6)) {
+            errors.push(`taxes.${key} must be a rate between 0 and 0.6`);
+          }
+        });
+      }
+    }
+
+    const regulations = pack.regulations;
+    if (!hasRequiredProperties(regulations, ['openingHours', 'noiseLimit', 'alcoholLicenseCost', 'healthInspectionFrequency'])) {
+      errors.push('regulations must define openingHours, noiseLimit, alcoholLicenseCost and healthInspectionFrequency');
+    } else {
+      const hours = regulations.openingHours;
+      // latest may be earlier than earliest for venues that close after midnight
+      if (!hasRequiredProperties(hours, ['earliest', 'latest']) ||
+          !isIntegerInRange(hours.earliest, 0, 23) ||
+          !isIntegerInRange(hours.latest, 0, 24)) {
+        errors.push('regulations.openingHours needs whole hours: earliest 0-23, latest 0-24');
+      }
+      if (!isIntegerInRange(regulations.noiseLimit, 0, 100)) {
+        errors.push('regulations.noiseLimit must be a whole number between 0 and 100');
+      }
+      if (!isInRange(regulations.alcoholLicenseCost, 0, 1000000)) {
+        errors.push('regulations.alcoholLicenseCost must be a non-negative number');
+      }
+      if (!isIntegerInRange(regulations.healthInspectionFrequency, 1, 365)) {
+        errors.push('regulations.healthInspectionFrequency must be a whole number of days between 1 and 365');
+      }
+      if (regulations.smokingBan !== undefined && typeof regulations.smokingBan !== 'boolean') {
+        errors.push('regulations.smokingBan must be true or false');
+      }
+      if (regulations.minimumWage !== undefined && !isInRange(regulations.minimumWage, 0, 100000)) {
+        errors.push('regulations.minimumWage must be a non-negative weekly wage');
+      }
+    }
+
+    if (pack.names !== undefined) {
+      if (!pack.names || typeof pack.names !== 'object') {
+        errors.push('names must be an object of name lists');
+      } else {
+        ['maleFirstNames', 'femaleFirstNames', 'lastNames'].forEach(key => {
+          const list = pack.names[key];
+          if (list !== undefined && (!Array.isArray(list) || list.length === 0 ||
+              !list.every(name => validateString(name, 1, 50, null) !== null))) {
+            errors.push(`names.${key} must be a non-empty array of names`);
+          }
+        });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check a value is a number within a range
+   * @param {any} value - Value to check
+   * @param {number} min - Minimum allowed value
+   * @param {number} max - Maximum allowed value
+   * @returns {boolean} True if in range
+   */
+  function isInRange(value, min, max) {
+    return typeof value === 'number' && !isNaN(value) && value >= min && value <= max;
+  }
+
+  /**
+   * Check a value is an integer within a range
+   * @param {any} value - Value to check
+   * @param {number} min - Minimum allowed value
+   * @param {number} max - Maximum allowed value
+   * @returns {boolean} True if in range
+   */
+  function isIntegerInRange(value, min, max) {
+    return Number.isInteger(value) && value >= min && value <= max;
+  }
+
   module.exports = {
     validateNumber,
     validateEnum,
@@ -135,5 +250,6 @@ function validateNumber(value, min, max, defaultValue) {
     hasRequiredProperties,
     isValidISODate,
     sanitizeString,
-    sanitizeFilename
+    sanitizeFilename,
+    validateCityPack
   };
\ No newline at end of file
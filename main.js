@@ -1,6 +1,7 @@
 const { app, BrowserWindow, ipcMain } = require('electron');
 const path = require('path');
 const Store = require('electron-store');
+const DataStore = require('./js/utils/dataStore');
 
 // Initialize persistent storage
 const store = new Store();
@@ -140,51 +141,47 @@ function setGameLoopSpeed(speed) {
   console.log(`Game loop speed adjusted to ${speed}x (${newInterval}ms interval)`);
 }
 
-// IPC handlers for game data
-ipcMain.handle('save-game', (event, gameData) => {
+// IPC handlers for saves from earlier versions, which kept them as JSON in
+// electron-store and in DataStore files. The renderer imports them into the
+// database save slots once; the old copies are left untouched.
+ipcMain.handle('get-legacy-saves', () => {
+  // Already imported
+  if (store.get('legacySavesImported')) {
+    return null;
+  }
+  
+  const legacySaves = [];
+  
   try {
-    // Pause the game while saving
-    const wasPaused = isPaused;
-    if (!wasPaused) {
-      pauseGameLoop();
-    }
-    
-    // Save the game data
-    store.set('gameData', gameData);
-    
-    // Resume if it was running before
-    if (!wasPaused) {
-      resumeGameLoop();
+    const gameData = store.get('gameData');
+    if (gameData) {
+      legacySaves.push({
+        name: 'Imported save',
+        date: gameData.lastSaveTime || null,
+        gameData
+      });
     }
-    
-    return { success: true };
   } catch (error) {
-    console.error('Error saving game:', error);
-    return { success: false, error: error.message };
+    console.error('Error reading electron-store save:', error);
   }
-});
-
-ipcMain.handle('load-game', () => {
+  
   try {
-    // Pause the game while loading
-    const wasPaused = isPaused;
-    if (!wasPaused) {
-      pauseGameLoop();
-    }
-    
-    // Load the game data
-    const gameData = store.get('gameData');
-    
-    // Resume if it was running before
-    if (!wasPaused) {
-      resumeGameLoop();
-    }
-    
-    return gameData || null;
+    const dataStore = new DataStore();
+    dataStore.getSavedGames().forEach(save => {
+      const gameData = dataStore.loadGame(save.id);
+      if (gameData) {
+        legacySaves.push({ name: save.name, date: save.date, gameData });
+      }
+    });
   } catch (error) {
-    console.error('Error loading game:', error);
-    return null;
+    console.error('Error reading DataStore saves:', error);
   }
+  
+  return legacySaves;
+});
+
+ipcMain.on('legacy-saves-imported', () => {
+  store.set('legacySavesImported', true);
 });
 
 // Game simulation functions
@@ -4,11 +4,11 @@ const { contextBridge, ipcRenderer } = require('electron');
 // the ipcRenderer without exposing the entire object
 contextBridge.exposeInMainWorld(
   'api', {
-    saveGame: (gameData) => {
-      return ipcRenderer.invoke('save-game', gameData);
+    getLegacySaves: () => {
+      return ipcRenderer.invoke('get-legacy-saves');
     },
-    loadGame: () => {
-      return ipcRenderer.invoke('load-game');
+    markLegacySavesImported: () => {
+      ipcRenderer.send('legacy-saves-imported');
     },
     startGameLoop: () => {
       ipcRenderer.send('start-game-loop');